@@ -1,171 +1,595 @@
 /**
  * 오디오 파일 주파수 분석 스크립트
- * Node.js로 MP3 파일을 분석하여 각 대역별 min/max 통계 계산
+ * Node.js로 오디오 파일을 분석하여 각 대역별 min/max 통계와 beat/onset 시각 계산
+ * 결과 JSON은 playlist.json의 "stats"로 지정하면 city-audio.js가 바로 읽음
+ *
+ * Usage: node analyze-audio.js [options] <file|directory>...
+ * (입력이 없으면 resource/sound/city-drive.mp3, node analyze-audio.js --help)
  */
 
 const fs = require('fs');
 const path = require('path');
 
-async function analyzeAudio() {
-  try {
-    // ESM 모듈 동적 import
-    const { default: decode } = await import('audio-decode');
-
-    const filePath = path.join(__dirname, 'resource/sound/city-drive.mp3');
-    console.log('Loading audio file:', filePath);
-
-    const buffer = fs.readFileSync(filePath);
-    const audioBuffer = await decode(buffer);
-
-    console.log('Sample rate:', audioBuffer.sampleRate);
-    console.log('Duration:', audioBuffer.duration.toFixed(2), 'seconds');
-    console.log('Channels:', audioBuffer.numberOfChannels);
-
-    // 모노로 변환 (첫 번째 채널 사용)
-    const samples = audioBuffer.getChannelData(0);
-    const sampleRate = audioBuffer.sampleRate;
-
-    // FFT 설정
-    const fftSize = 2048;
-    const hopSize = fftSize / 2;
-
-    // 대역별 bin 범위 (44100Hz 기준, 다른 샘플레이트면 조정)
-    const binScale = sampleRate / 44100;
-    const bandRanges = {
-      bass: { start: Math.round(1 * binScale), end: Math.round(7 * binScale) },
-      lowMid: { start: Math.round(7 * binScale), end: Math.round(19 * binScale) },
-      mid: { start: Math.round(19 * binScale), end: Math.round(47 * binScale) },
-      highMid: { start: Math.round(47 * binScale), end: Math.round(186 * binScale) },
-      treble: { start: Math.round(186 * binScale), end: Math.round(512 * binScale) }
+const DEFAULT_INPUT = path.join(__dirname, 'resource/sound/city-drive.mp3');
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.oga', '.flac', '.opus', '.m4a', '.aac'];
+const BAND_NAMES = ['bass', 'lowMid', 'mid', 'highMid', 'treble'];
+
+// 기본값: 2048 FFT, 50% hop, P10-P90 (아웃라이어 제거)
+// 대역 경계 (Hz): 48000Hz / 2048 FFT에서 bin 1, 8, 21, 51, 202, 512 (city-audio.js 기본 대역)
+// 결과에 fftSize와 대역별 hz가 들어가고 city-audio.js analyser가 곡마다 그 값을 따름
+const DEFAULT_OPTIONS = {
+  fftSize: 2048,
+  hopSize: null, // null = fftSize / 2
+  bandEdges: [23.4, 187.5, 492.2, 1195.3, 4734.4, 12000],
+  percentiles: [10, 90],
+  out: null,
+  outDir: null,
+  playlist: null
+};
+
+// Web Audio API AnalyserNode fftSize 최대값
+const MAX_FFT_SIZE = 32768;
+
+// Web Audio API AnalyserNode 기본값 (getByteFrequencyData와 같은 0-1 스케일)
+const MIN_DECIBELS = -100;
+const MAX_DECIBELS = -30;
+
+// Onset: spectral flux가 주변 평균 * ONSET_MULTIPLIER + ONSET_DELTA 이상인 peak
+const ONSET_WINDOW = 0.5;        // 주변 평균 구간 (초, 앞뒤)
+const ONSET_MULTIPLIER = 1.5;
+const ONSET_DELTA = 0.005;
+const ONSET_MIN_INTERVAL = 0.05; // 초
+// Beat: flux 자기상관으로 tempo 추정 후 dynamic programming으로 beat 위치 결정
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;       // 배수/절반 tempo 중 이 근처를 선호
+const BEAT_TIGHTNESS = 100;      // 클수록 tempo 간격을 엄격하게 지킴
+// Spectral flux 대역 가중치 (kick/snare가 있는 저음 쪽이 beat, hi-hat은 보조)
+const FLUX_WEIGHTS = { bass: 2, lowMid: 1.5, mid: 1, highMid: 0.5, treble: 0.5 };
+const FLUX_WEIGHT_SUM = Object.values(FLUX_WEIGHTS).reduce((a, b) => a + b, 0);
+
+const HELP = `Usage: node analyze-audio.js [options] <file|directory>...
+
+Analyses audio files (directories: audio files directly inside) and writes
+<name>.stats.json next to each input for city-audio.js (playlist.json "stats").
+The output records the FFT size and band ranges; city-audio.js configures its
+analyser from them for each track.
+
+Options:
+  -o, --out <file>          output file (single input only)
+  --out-dir <dir>           write all outputs to this directory
+  --fft <n>                 FFT size, power of two up to ${MAX_FFT_SIZE} (default ${DEFAULT_OPTIONS.fftSize})
+  --hop <n>                 hop size in samples (default fft / 2)
+  --bands <hz,...>          6 band edges in Hz for ${BAND_NAMES.join(', ')}
+                            (default ${DEFAULT_OPTIONS.bandEdges.join(',')})
+  --percentiles <low,high>  normalisation range (default ${DEFAULT_OPTIONS.percentiles.join(',')})
+  --playlist <file>         also write a playlist manifest of the analysed files
+                            (paths relative to the current directory = site root)
+  -h, --help                show this help
+`;
+
+// ============================================
+// CLI
+// ============================================
+
+function parseNumberList(value, name, count) {
+  const list = String(value).split(',').map(Number);
+  if (list.length !== count || list.some(n => !Number.isFinite(n))) {
+    throw new Error(`${name} expects ${count} comma-separated numbers`);
+  }
+  return list;
+}
+
+/**
+ * 명령행 인자 파싱
+ * @returns {{ options: Object, inputs: string[] }}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  const inputs = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
     };
 
-    console.log('\nBand ranges (adjusted for sample rate):');
-    for (const [band, range] of Object.entries(bandRanges)) {
-      console.log(`  ${band}: bins ${range.start}-${range.end}`);
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-o':
+      case '--out':
+        options.out = value();
+        break;
+      case '--out-dir':
+        options.outDir = value();
+        break;
+      case '--fft':
+        options.fftSize = Number(value());
+        break;
+      case '--hop':
+        options.hopSize = Number(value());
+        break;
+      case '--bands':
+        options.bandEdges = parseNumberList(value(), '--bands', BAND_NAMES.length + 1);
+        break;
+      case '--percentiles':
+        options.percentiles = parseNumberList(value(), '--percentiles', 2);
+        break;
+      case '--playlist':
+        options.playlist = value();
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        inputs.push(arg);
     }
+  }
 
-    // 각 대역별 에너지 값 수집
-    const bandValues = {
-      bass: [],
-      lowMid: [],
-      mid: [],
-      highMid: [],
-      treble: []
-    };
+  const { fftSize, bandEdges, percentiles } = options;
+  if (!Number.isInteger(fftSize) || fftSize < 32 || fftSize > MAX_FFT_SIZE || (fftSize & (fftSize - 1)) !== 0) {
+    throw new Error(`--fft must be a power of two between 32 and ${MAX_FFT_SIZE}`);
+  }
+  if (options.hopSize === null) options.hopSize = fftSize / 2;
+  if (!Number.isInteger(options.hopSize) || options.hopSize < 1 || options.hopSize > fftSize) {
+    throw new Error('--hop must be an integer between 1 and the FFT size');
+  }
+  if (bandEdges[0] < 0 || bandEdges.some((edge, i) => i > 0 && edge <= bandEdges[i - 1])) {
+    throw new Error('--bands must be increasing');
+  }
+  if (percentiles[0] < 0 || percentiles[1] > 100 || percentiles[0] >= percentiles[1]) {
+    throw new Error('--percentiles must be 0 <= low < high <= 100');
+  }
 
-    // 간단한 DFT 기반 분석 (실제 FFT 라이브러리 없이)
-    const numFrames = Math.floor((samples.length - fftSize) / hopSize);
-    console.log(`\nAnalyzing ${numFrames} frames...`);
+  return { options, inputs };
+}
 
-    for (let frame = 0; frame < numFrames; frame++) {
-      const startSample = frame * hopSize;
+/**
+ * 입력 경로 → 오디오 파일 목록 (디렉토리는 바로 아래 파일만, 이름순)
+ */
+function collectFiles(inputs) {
+  const files = [];
+  for (const input of inputs.length ? inputs : [DEFAULT_INPUT]) {
+    const resolved = path.resolve(input);
+    if (fs.statSync(resolved).isDirectory()) {
+      fs.readdirSync(resolved)
+        .filter(name => AUDIO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .forEach(name => files.push(path.join(resolved, name)));
+    } else {
+      files.push(resolved);
+    }
+  }
+  return files;
+}
 
-      // 윈도우 적용
-      const windowed = new Float32Array(fftSize);
-      for (let i = 0; i < fftSize; i++) {
-        const windowValue = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
-        windowed[i] = samples[startSample + i] * windowValue;
-      }
+function getOutputPath(filePath, options) {
+  if (options.out) return path.resolve(options.out);
+  const name = path.basename(filePath).replace(/\.[^.]+$/, '') + '.stats.json';
+  return path.join(options.outDir ? path.resolve(options.outDir) : path.dirname(filePath), name);
+}
 
-      // DFT로 주파수 대역 에너지 계산
-      const magnitudes = computeMagnitudes(windowed, fftSize);
+// 브라우저에서 쓰는 경로 (playlist.json)
+function toURLPath(filePath) {
+  return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
 
-      // 각 대역별 RMS 에너지 계산
-      for (const [band, range] of Object.entries(bandRanges)) {
-        let sum = 0;
-        let count = 0;
-        for (let i = range.start; i < range.end && i < magnitudes.length; i++) {
-          sum += magnitudes[i] * magnitudes[i];
-          count++;
-        }
-        const rms = count > 0 ? Math.sqrt(sum / count) : 0;
-        bandValues[band].push(rms);
-      }
+// ============================================
+// Analysis
+// ============================================
 
-      // 진행 상황 표시
-      if (frame % 1000 === 0) {
-        process.stdout.write(`\rProgress: ${Math.round(frame / numFrames * 100)}%`);
+// FFT 크기별 twiddle factor (cos, sin)
+const twiddleCache = new Map();
+
+function getTwiddles(n) {
+  if (!twiddleCache.has(n)) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cos[k] = Math.cos(-2 * Math.PI * k / n);
+      sin[k] = Math.sin(-2 * Math.PI * k / n);
+    }
+    twiddleCache.set(n, { cos, sin });
+  }
+  return twiddleCache.get(n);
+}
+
+/**
+ * In-place radix-2 FFT
+ */
+function fft(real, imag) {
+  const n = real.length;
+  const twiddles = getTwiddles(n);
+
+  // Bit reversal
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = twiddles.cos[k * stride];
+        const sin = twiddles.sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
       }
     }
+  }
+}
+
+/**
+ * FFT 기반 magnitude 계산
+ * Web Audio API의 getByteFrequencyData와 유사한 출력을 위해
+ * dB 스케일로 변환 후 0-1 범위로 정규화
+ */
+function computeMagnitudes(real, imag, magnitudes) {
+  const fftSize = real.length;
+  imag.fill(0);
+  fft(real, imag);
+
+  const dbRange = MAX_DECIBELS - MIN_DECIBELS;
+  for (let k = 0; k < magnitudes.length; k++) {
+    const mag = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / fftSize;
+    const db = 20 * Math.log10(Math.max(mag, 1e-10));
+    magnitudes[k] = Math.max(0, Math.min(1, (db - MIN_DECIBELS) / dbRange));
+  }
+}
 
-    console.log('\rProgress: 100%');
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
 
-    // 통계 계산
-    console.log('\n=== FREQUENCY BAND STATISTICS ===\n');
+/**
+ * 대역별 RMS 에너지와 spectral flux (프레임마다)
+ */
+function analyzeFrames(samples, sampleRate, { fftSize, hopSize, bandEdges }) {
+  const binWidth = sampleRate / fftSize;
+  const maxBin = fftSize / 2;
+  const toBin = hz => Math.max(0, Math.min(maxBin, Math.round(hz / binWidth)));
+  const bandRanges = {};
+  BAND_NAMES.forEach((band, i) => {
+    bandRanges[band] = { start: toBin(bandEdges[i]), end: toBin(bandEdges[i + 1]) };
+    if (bandRanges[band].end <= bandRanges[band].start) {
+      throw new Error(`band ${band} is narrower than one FFT bin (${binWidth.toFixed(1)} Hz)`);
+    }
+  });
+
+  const numFrames = Math.floor((samples.length - fftSize) / hopSize) + 1;
+  if (numFrames < 1) throw new Error('file is shorter than one FFT frame');
 
-    const stats = {};
+  const hann = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+  }
 
-    for (const [band, values] of Object.entries(bandValues)) {
-      values.sort((a, b) => a - b);
+  const bandValues = {};
+  BAND_NAMES.forEach(band => { bandValues[band] = new Float32Array(numFrames); });
+  const flux = new Float32Array(numFrames);
 
-      const p10 = values[Math.floor(values.length * 0.10)];
-      const p90 = values[Math.floor(values.length * 0.90)];
-      const avg = values.reduce((a, b) => a + b, 0) / values.length;
-      const min = values[0];
-      const max = values[values.length - 1];
+  const real = new Float64Array(fftSize);
+  const imag = new Float64Array(fftSize);
+  let magnitudes = new Float32Array(maxBin);
+  let previous = new Float32Array(maxBin);
 
-      stats[band] = { min: p10, max: p90, avg };
+  for (let frame = 0; frame < numFrames; frame++) {
+    const startSample = frame * hopSize;
+    for (let i = 0; i < fftSize; i++) {
+      real[i] = samples[startSample + i] * hann[i];
+    }
+    computeMagnitudes(real, imag, magnitudes);
+
+    // 각 대역별 RMS 에너지 계산
+    for (const band of BAND_NAMES) {
+      const { start, end } = bandRanges[band];
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += magnitudes[i] * magnitudes[i];
+      }
+      bandValues[band][frame] = Math.sqrt(sum / (end - start));
+    }
 
-      console.log(`${band}:`);
-      console.log(`  Absolute: min=${min.toFixed(4)}, max=${max.toFixed(4)}`);
-      console.log(`  P10-P90:  min=${p10.toFixed(4)}, max=${p90.toFixed(4)}`);
-      console.log(`  Average:  ${avg.toFixed(4)}`);
-      console.log();
+    // Spectral flux: 대역마다 커진 bin의 평균 (onset/beat 검출용)
+    // 대역 평균이라 bin 수가 적은 bass의 kick도 넓은 treble의 hi-hat만큼 반영됨 (+ FLUX_WEIGHTS)
+    if (frame > 0) {
+      let sum = 0;
+      for (const band of BAND_NAMES) {
+        const { start, end } = bandRanges[band];
+        let bandSum = 0;
+        for (let i = start; i < end; i++) {
+          const diff = magnitudes[i] - previous[i];
+          if (diff > 0) bandSum += diff;
+        }
+        sum += FLUX_WEIGHTS[band] * bandSum / (end - start);
+      }
+      flux[frame] = sum / FLUX_WEIGHT_SUM;
     }
+    [previous, magnitudes] = [magnitudes, previous];
 
-    // 코드에 사용할 형식으로 출력
-    console.log('=== CODE TO USE ===\n');
-    console.log('const bandStats = {');
-    for (const [band, s] of Object.entries(stats)) {
-      console.log(`  ${band}: { min: ${s.min.toFixed(4)}, max: ${s.max.toFixed(4)} },`);
+    // 진행 상황 표시
+    if (frame % 1000 === 0) {
+      process.stdout.write(`\rProgress: ${Math.round(frame / numFrames * 100)}%`);
     }
-    console.log('};');
+  }
+  process.stdout.write('\rProgress: 100%\n');
 
-  } catch (e) {
-    console.error('Error:', e.message);
-    console.log('\nPlease install required packages:');
-    console.log('  npm install audio-decode');
+  return { bandRanges, bandValues, flux };
+}
+
+/**
+ * Onset 검출: 주변 평균보다 충분히 큰 flux peak
+ * @returns {number[]} frame indices
+ */
+function detectOnsets(flux, frameRate) {
+  const radius = Math.max(1, Math.round(ONSET_WINDOW * frameRate));
+  const minGap = Math.max(1, Math.round(ONSET_MIN_INTERVAL * frameRate));
+  const onsets = [];
+
+  // 구간 합 (prefix sum)으로 주변 평균
+  const prefix = new Float64Array(flux.length + 1);
+  for (let i = 0; i < flux.length; i++) prefix[i + 1] = prefix[i] + flux[i];
+
+  for (let i = 1; i < flux.length - 1; i++) {
+    if (flux[i] < flux[i - 1] || flux[i] <= flux[i + 1]) continue;
+    const from = Math.max(0, i - radius);
+    const to = Math.min(flux.length, i + radius + 1);
+    const mean = (prefix[to] - prefix[from]) / (to - from);
+    if (flux[i] < mean * ONSET_MULTIPLIER + ONSET_DELTA) continue;
+
+    const last = onsets[onsets.length - 1];
+    if (last !== undefined && i - last < minGap) {
+      // 너무 가까우면 더 강한 쪽만
+      if (flux[i] > flux[last]) onsets[onsets.length - 1] = i;
+      continue;
+    }
+    onsets.push(i);
   }
+  return onsets;
 }
 
 /**
- * 간단한 DFT 기반 magnitude 계산
- * Web Audio API의 getByteFrequencyData와 유사한 출력을 위해
- * dB 스케일로 변환 후 0-1 범위로 정규화
+ * Tempo 추정: flux 자기상관이 가장 큰 beat 간격 (PREFERRED_BPM 근처 가중)
+ * @returns {number} beat 간격 (frames, 소수), 0 = 추정 실패
  */
-function computeMagnitudes(samples, fftSize) {
-  const magnitudes = new Float32Array(fftSize / 2);
+function estimatePeriod(flux, frameRate) {
+  // 간격이 frame 사이에 걸려도 peak가 이웃 lag로 나뉘지 않도록 살짝 smoothing
+  const smoothed = flux.map((v, i) => (flux[Math.max(0, i - 1)] + 2 * v + flux[Math.min(flux.length - 1, i + 1)]) / 4);
+  const mean = smoothed.reduce((a, b) => a + b, 0) / smoothed.length;
+  const centered = smoothed.map(v => v - mean);
+  const minLag = Math.max(1, Math.floor(frameRate * 60 / MAX_BPM));
+  const maxLag = Math.min(flux.length - 1, Math.ceil(frameRate * 60 / MIN_BPM));
+  const preferredLag = frameRate * 60 / PREFERRED_BPM;
+
+  // 자기상관 (lag / 2까지 필요)
+  const correlation = new Float64Array(maxLag + 1);
+  for (let lag = Math.max(1, Math.floor(minLag / 2)); lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = lag; i < centered.length; i++) sum += centered[i] * centered[i - lag];
+    correlation[lag] = sum / (centered.length - lag);
+  }
 
-  // 주요 bin만 계산 (속도를 위해 512개까지만)
-  const maxBin = Math.min(fftSize / 2, 512);
+  const scores = new Float64Array(maxLag + 2);
+  let bestLag = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    // 절반 간격 (8분음표)도 강하면 실제 beat 간격 (kick/hi-hat 교차로 1.5배 간격이 잡히는 것 방지)
+    const score = correlation[lag] + 0.5 * correlation[Math.round(lag / 2)];
+    // log2 간격에 대한 Gaussian 가중 (한 옥타브 = 0.5 감쇠 정도)
+    const octaves = Math.log2(lag / preferredLag);
+    scores[lag] = score * Math.exp(-0.5 * octaves * octaves / 0.7);
+    if (!bestLag || scores[lag] > scores[bestLag]) bestLag = lag;
+  }
+  if (!bestLag || scores[bestLag] <= 0) return 0;
+
+  // Parabolic interpolation (frame 단위보다 정밀하게)
+  if (bestLag > minLag && bestLag < maxLag) {
+    const a = scores[bestLag - 1];
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1];
+    const denominator = a - 2 * b + c;
+    if (denominator < 0) return bestLag + 0.5 * (a - c) / denominator;
+  }
+  return bestLag;
+}
 
-  // Web Audio API 기본값
-  const minDecibels = -100;
-  const maxDecibels = -30;
-  const dbRange = maxDecibels - minDecibels;
+/**
+ * Beat tracking (dynamic programming): flux가 큰 곳을 지나면서 간격이 period에 가까운 경로
+ * @returns {number[]} frame indices
+ */
+function trackBeats(flux, period) {
+  const n = flux.length;
+  // flux 표준편차로 정규화 (BEAT_TIGHTNESS 기준)
+  const mean = flux.reduce((a, b) => a + b, 0) / n;
+  const std = Math.sqrt(flux.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n) || 1;
+
+  const score = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const minStep = Math.max(1, Math.round(period / 2));
+  const maxStep = Math.round(period * 2);
+
+  for (let i = 0; i < n; i++) {
+    let best = -Infinity;
+    let bestFrame = -1;
+    for (let j = Math.max(0, i - maxStep); j <= i - minStep; j++) {
+      const deviation = Math.log((i - j) / period);
+      const candidate = score[j] - BEAT_TIGHTNESS * deviation * deviation;
+      if (candidate > best) {
+        best = candidate;
+        bestFrame = j;
+      }
+    }
+    // 이전 beat를 이어서 손해면 여기서 새로 시작
+    if (best > 0) backlink[i] = bestFrame;
+    score[i] = flux[i] / std + Math.max(0, best);
+  }
 
-  for (let k = 0; k < maxBin; k++) {
-    let real = 0;
-    let imag = 0;
+  // 마지막 한 박자 안에서 가장 높은 점수부터 거슬러 올라감
+  let end = n - 1;
+  for (let i = Math.max(0, n - Math.round(period)); i < n; i++) {
+    if (score[i] > score[end]) end = i;
+  }
+  const beats = [];
+  for (let i = end; i >= 0; i = backlink[i]) beats.push(i);
+  beats.reverse();
+
+  // 앞뒤 무음 구간의 beat 제거 (beat 위치 flux RMS의 절반 미만)
+  const rms = Math.sqrt(beats.reduce((sum, i) => sum + flux[i] * flux[i], 0) / beats.length);
+  let first = 0;
+  let last = beats.length - 1;
+  while (first <= last && flux[beats[first]] < rms / 2) first++;
+  while (last >= first && flux[beats[last]] < rms / 2) last--;
+  return beats.slice(first, last + 1);
+}
 
-    for (let n = 0; n < fftSize; n++) {
-      const angle = -2 * Math.PI * k * n / fftSize;
-      real += samples[n] * Math.cos(angle);
-      imag += samples[n] * Math.sin(angle);
-    }
+/**
+ * 파일 하나 분석
+ * @returns {Promise<Object>} stats JSON
+ */
+async function analyzeFile(decode, filePath, options) {
+  console.log('\nLoading audio file:', filePath);
+
+  const buffer = fs.readFileSync(filePath);
+  const audioBuffer = await decode(buffer);
+  const sampleRate = audioBuffer.sampleRate;
+
+  console.log('Sample rate:', sampleRate);
+  console.log('Duration:', audioBuffer.duration.toFixed(2), 'seconds');
+  console.log('Channels:', audioBuffer.numberOfChannels);
+
+  // 모노로 변환 (첫 번째 채널 사용)
+  const samples = audioBuffer.getChannelData(0);
+  const { fftSize, hopSize, percentiles } = options;
+
+  const { bandRanges, bandValues, flux } = analyzeFrames(samples, sampleRate, options);
+  const numFrames = flux.length;
+
+  // 프레임 → 초 (프레임 중심)
+  const frameRate = sampleRate / hopSize;
+  const toTime = frame => Number(((frame * hopSize + fftSize / 2) / sampleRate).toFixed(3));
+
+  const bands = {};
+  for (const band of BAND_NAMES) {
+    const values = Array.from(bandValues[band]).sort((a, b) => a - b);
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    const { start, end } = bandRanges[band];
+    bands[band] = {
+      min: Number(percentile(values, percentiles[0]).toFixed(4)),
+      max: Number(percentile(values, percentiles[1]).toFixed(4)),
+      avg: Number(avg.toFixed(4)),
+      hz: [Number((start * sampleRate / fftSize).toFixed(1)), Number((end * sampleRate / fftSize).toFixed(1))]
+    };
+    console.log(`  ${band.padEnd(8)} P${percentiles[0]}-P${percentiles[1]}: ` +
+      `min=${bands[band].min.toFixed(4)}, max=${bands[band].max.toFixed(4)}, avg=${bands[band].avg.toFixed(4)}`);
+  }
 
-    // Magnitude 계산
-    const mag = Math.sqrt(real * real + imag * imag) / fftSize;
+  const onsets = detectOnsets(flux, frameRate);
+  const period = estimatePeriod(flux, frameRate);
+  const beats = period ? trackBeats(flux, period) : [];
+  const tempo = period ? Number((60 * frameRate / period).toFixed(1)) : null;
+  console.log(`  ${numFrames} frames, ${onsets.length} onsets, ` +
+    (tempo ? `${beats.length} beats at ${tempo} BPM` : 'no stable tempo'));
+
+  return {
+    file: path.basename(filePath),
+    sampleRate,
+    duration: Number(audioBuffer.duration.toFixed(2)),
+    fftSize,
+    hopSize,
+    percentiles,
+    bands,
+    tempo,
+    beats: beats.map(toTime),
+    onsets: onsets.map(toTime)
+  };
+}
 
-    // dB로 변환 (Web Audio API 방식)
-    const db = 20 * Math.log10(Math.max(mag, 1e-10));
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error('Error:', e.message);
+    console.error('Run with --help for usage.');
+    process.exitCode = 1;
+    return;
+  }
+  const { options, inputs } = parsed;
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+
+  let decode;
+  try {
+    // ESM 모듈 동적 import
+    ({ default: decode } = await import('audio-decode'));
+  } catch (e) {
+    console.error('Error:', e.message);
+    console.log('\nPlease install required packages:');
+    console.log('  npm install audio-decode');
+    process.exitCode = 1;
+    return;
+  }
 
-    // 0-1 범위로 정규화 (Web Audio API의 getByteFrequencyData / 255와 동일)
-    const normalized = (db - minDecibels) / dbRange;
-    magnitudes[k] = Math.max(0, Math.min(1, normalized));
+  let files;
+  try {
+    files = collectFiles(inputs);
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exitCode = 1;
+    return;
+  }
+  if (files.length === 0) {
+    console.error(`No audio files found (${AUDIO_EXTENSIONS.join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.out && files.length > 1) {
+    console.error('--out can only be used with a single input file (use --out-dir)');
+    process.exitCode = 1;
+    return;
+  }
+  if (options.outDir) fs.mkdirSync(path.resolve(options.outDir), { recursive: true });
+
+  // 한 파일이 실패해도 나머지는 계속
+  const tracks = [];
+  for (const filePath of files) {
+    try {
+      const stats = await analyzeFile(decode, filePath, options);
+      const outputPath = getOutputPath(filePath, options);
+      fs.writeFileSync(outputPath, JSON.stringify(stats, null, 2) + '\n');
+      console.log('Stats written:', path.relative(process.cwd(), outputPath));
+      tracks.push({
+        title: path.basename(filePath).replace(/\.[^.]+$/, ''),
+        src: toURLPath(filePath),
+        stats: toURLPath(outputPath)
+      });
+    } catch (e) {
+      console.error(`Error (${filePath}):`, e.message);
+      process.exitCode = 1;
+    }
   }
 
-  return magnitudes;
+  if (options.playlist && tracks.length) {
+    const playlistPath = path.resolve(options.playlist);
+    fs.writeFileSync(playlistPath, JSON.stringify({ tracks }, null, 2) + '\n');
+    console.log(`\nPlaylist written: ${path.relative(process.cwd(), playlistPath)} (${tracks.length} tracks)`);
+  }
 }
 
-analyzeAudio();
+main();
@@ -3,17 +3,44 @@
  * Web Audio API 기반 오디오 분석 시스템
  * - 배경음악 재생 및 주파수 분석
  * - 사전 분석된 통계로 균일한 이퀄라이저 반응
+ * - Playlist (resource/sound/playlist.json): 곡마다 자체 통계, 이전/다음 곡, crossfade
  *
- * 통계는 analyze-audio.js로 분석됨 (city-drive.mp3 기준)
+ * 통계는 analyze-audio.js로 분석됨 (곡별 .stats.json, 없으면 city-drive.mp3 기준 기본값)
+ * - stats에 beat 시각이 있으면 beat마다 튀는 pulse (getFrequencyBands().beat)
  */
 
 let audioContext = null;
 let analyser = null;
-let audioSource = null;
-let audioElement = null;
 let isPlaying = false;
 let frequencyData = null;
 
+// ============================================
+// Playlist
+// manifest: { "tracks": [{ "title", "artist"?, "src", "stats"? }] }
+// stats: analyze-audio.js가 만든 JSON ({ fftSize?, bands: { bass: { min, max, hz?: [Hz, Hz] }, ... }, beats?: [초] }), 없으면 기본 bandStats
+// 음원 (resource/sound/*.mp3)은 git에 없고 사이트와 함께 배포됨
+// - 곡 추가: mp3를 resource/sound/에 두고 node analyze-audio.js resource/sound/<곡>.mp3 → <곡>.stats.json을 playlist에 지정
+// - city-drive.stats.json: 기존 bandStats 측정값 + 그때 쓴 대역 (44100Hz / 2048 FFT에서 bin 1, 7, 19, 47, 186, 512)
+//   beats 없음 → mp3가 있는 곳에서 node analyze-audio.js로 다시 분석하면 beats 추가
+// ============================================
+const PLAYLIST_URL = 'resource/sound/playlist.json';
+const DEFAULT_TRACK = { title: 'City Drive', artist: null, src: 'resource/sound/city-drive.mp3', stats: null };
+// 곡 전환 crossfade (초), 곡이 끝나기 이 시간 전에 다음 곡 시작
+const CROSSFADE_TIME = 4;
+
+let playlist = [DEFAULT_TRACK];
+let trackIndex = 0;
+// Deck: 곡 하나의 재생 체인 (audio element → gain → analyser)
+let deck = null;        // 현재 곡 { element, source, gain, track, stats, beats, beatCursor, analysis }
+let fadingDeck = null;  // crossfade로 나가는 곡
+let fadeStart = 0;      // crossfade 시작 (audioContext time)
+const statsCache = new Map(); // stats URL → Promise
+const trackListeners = [];
+
+// Beat pulse: beat 순간 1 → BEAT_PULSE_TIME 동안 0으로
+const BEAT_PULSE_TIME = 0.25;
+let beatPulse = 0;
+
 // 주파수 대역별 실시간 값 (0~1 범위)
 const frequencyBands = {
   bass: 0,
@@ -36,6 +63,7 @@ const normalizedBands = {
 // 사전 분석된 대역별 통계 (city-drive.mp3)
 // analyze-audio.js로 분석됨
 // P10-P90 범위 사용 (아웃라이어 제거)
+// Playlist에서 stats가 없거나 읽지 못한 곡의 기본값
 // ============================================
 const bandStats = {
   bass: { min: 0.6431, max: 0.9004 },
@@ -45,45 +73,302 @@ const bandStats = {
   treble: { min: 0.2472, max: 0.4839 },
 };
 
-// 대역별 주파수 bin 범위 (48000Hz 샘플레이트, 2048 FFT 기준)
-const bandRanges = {
+// 기본 analyser 설정: 대역별 주파수 bin 범위 (48000Hz 샘플레이트, 2048 FFT 기준)
+// stats에 fftSize와 대역별 hz가 있으면 곡마다 그 값으로 바꿈 (applyAnalysis)
+const DEFAULT_FFT_SIZE = 2048;
+const defaultBandRanges = {
   bass: { start: 1, end: 8 },
   lowMid: { start: 8, end: 21 },
   mid: { start: 21, end: 51 },
   highMid: { start: 51, end: 202 },
   treble: { start: 202, end: 512 }
 };
+// AnalyserNode fftSize 허용 범위
+const MIN_FFT_SIZE = 32;
+const MAX_FFT_SIZE = 32768;
+
+let bandRanges = defaultBandRanges;
+let appliedAnalysis = null; // 현재 analyser에 적용된 stats 설정 (null = 기본)
 
 // 설정
 const SMOOTHING = 0.6;     // 출력 스무딩 (높을수록 부드러움)
 const OUTPUT_SCALE = 0.95; // 출력 스케일
 
 /**
- * 오디오 시스템 초기화
+ * AudioContext, analyser 생성 (한 번)
  */
-export function initAudio() {
+function ensureContext() {
   if (audioContext) return;
+  audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  analyser = audioContext.createAnalyser();
+  analyser.fftSize = DEFAULT_FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.7; // FFT 스무딩 (높을수록 부드러움)
+  frequencyData = new Uint8Array(analyser.frequencyBinCount);
+  analyser.connect(audioContext.destination);
+}
 
-  try {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    analyser = audioContext.createAnalyser();
-    analyser.fftSize = 2048;
-    analyser.smoothingTimeConstant = 0.7; // FFT 스무딩 (높을수록 부드러움)
+/**
+ * 곡 stats의 analyser 설정 적용 (fftSize, 대역 Hz → 이 context 샘플레이트의 bin 범위)
+ * @param {Object|null} analysis - validateStats의 analysis, null이면 기본 설정
+ */
+function applyAnalysis(analysis) {
+  if (analysis === appliedAnalysis) return;
+  appliedAnalysis = analysis;
 
+  const fftSize = analysis ? analysis.fftSize : DEFAULT_FFT_SIZE;
+  if (analyser.fftSize !== fftSize) {
+    analyser.fftSize = fftSize;
     frequencyData = new Uint8Array(analyser.frequencyBinCount);
+  }
+  if (!analysis) {
+    bandRanges = defaultBandRanges;
+    return;
+  }
+
+  const binWidth = audioContext.sampleRate / fftSize;
+  const maxBin = analyser.frequencyBinCount;
+  const toBin = hz => Math.max(0, Math.min(maxBin, Math.round(hz / binWidth)));
+  bandRanges = {};
+  Object.keys(bandStats).forEach(band => {
+    const [low, high] = analysis.hz[band];
+    const start = Math.min(toBin(low), maxBin - 1);
+    // 한 bin보다 좁아도 최소 한 bin은 읽음
+    bandRanges[band] = { start, end: Math.max(start + 1, toBin(high)) };
+  });
+}
+
+/**
+ * 곡 stats JSON 검증 (analyze-audio.js 출력 형식)
+ * fftSize와 대역별 hz가 있으면 그 곡 재생 중 analyser가 같은 설정으로 분석 (없으면 예전 형식 = 기본 설정)
+ * @returns {Object} { bands: { bass: { min, max }, ... }, beats: number[]|null, analysis: { fftSize, hz }|null }
+ */
+function validateStats(data) {
+  const bands = data && data.bands;
+  const stats = {};
+  const hz = {};
+  Object.keys(bandStats).forEach(band => {
+    const entry = bands && bands[band];
+    if (!entry || !Number.isFinite(entry.min) || !Number.isFinite(entry.max)) {
+      throw new Error(`missing band "${band}"`);
+    }
+    if (entry.hz !== undefined) {
+      if (!Array.isArray(entry.hz) || entry.hz.length !== 2 || !entry.hz.every(Number.isFinite) ||
+          entry.hz[0] < 0 || entry.hz[0] >= entry.hz[1]) {
+        throw new Error(`band "${band}" has an invalid hz range ${JSON.stringify(entry.hz)}`);
+      }
+      hz[band] = entry.hz;
+    }
+    stats[band] = { min: entry.min, max: entry.max };
+  });
+
+  // fftSize와 hz는 함께 있어야 통계와 같은 bin을 읽을 수 있음
+  let analysis = null;
+  const hzCount = Object.keys(hz).length;
+  if (data.fftSize !== undefined || hzCount > 0) {
+    const { fftSize } = data;
+    if (!Number.isInteger(fftSize) || fftSize < MIN_FFT_SIZE || fftSize > MAX_FFT_SIZE ||
+        (fftSize & (fftSize - 1)) !== 0) {
+      throw new Error(`fftSize ${fftSize} is not a power of two between ${MIN_FFT_SIZE} and ${MAX_FFT_SIZE}`);
+    }
+    if (hzCount !== Object.keys(bandStats).length) {
+      throw new Error('every band needs an hz range when fftSize is given');
+    }
+    analysis = { fftSize, hz };
+  }
+  // beats는 선택 (예전 stats JSON에는 없음)
+  const beats = Array.isArray(data.beats) && data.beats.every(Number.isFinite)
+    ? [...data.beats].sort((a, b) => a - b)
+    : null;
+  return { bands: stats, beats, analysis };
+}
+
+/**
+ * 곡 stats 로드 (실패하면 기본 bandStats, beat 없음, 기본 analyser 설정)
+ * @returns {Promise<Object>} { bands, beats, analysis }
+ */
+function loadTrackStats(track) {
+  if (!track.stats) return Promise.resolve({ bands: bandStats, beats: null, analysis: null });
+  if (!statsCache.has(track.stats)) {
+    statsCache.set(track.stats, fetch(track.stats)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(validateStats)
+      .catch(e => {
+        console.warn(`Band stats for "${track.title}" unavailable (${e.message}), using defaults`);
+        return { bands: bandStats, beats: null, analysis: null };
+      }));
+  }
+  return statsCache.get(track.stats);
+}
+
+/**
+ * Playlist manifest 검증
+ * @returns {Array} tracks
+ */
+function validatePlaylist(data) {
+  if (!data || !Array.isArray(data.tracks) || data.tracks.length === 0) {
+    throw new Error('"tracks" must be a non-empty array');
+  }
+  return data.tracks.map((track, i) => {
+    if (!track || typeof track.src !== 'string') throw new Error(`track ${i}: "src" is required`);
+    return {
+      title: typeof track.title === 'string' ? track.title : track.src.split('/').pop().replace(/\.[^.]+$/, ''),
+      artist: typeof track.artist === 'string' ? track.artist : null,
+      src: track.src,
+      stats: typeof track.stats === 'string' ? track.stats : null
+    };
+  });
+}
+
+/**
+ * Playlist 로드 (없거나 잘못되면 city-drive.mp3 한 곡)
+ * @returns {Promise<Array>} tracks
+ */
+export function loadPlaylist(url = PLAYLIST_URL) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => {
+      playlist = validatePlaylist(data);
+      trackIndex = 0;
+      console.log(`Playlist: ${playlist.length} tracks`);
+      return playlist;
+    })
+    .catch(e => {
+      console.warn(`Playlist unavailable (${e.message}), playing ${DEFAULT_TRACK.src}`);
+      return playlist;
+    });
+}
+
+/**
+ * 곡 재생 체인 생성 (stats는 로드되는 대로 교체)
+ */
+function createDeck(track) {
+  const element = new Audio(track.src);
+  element.crossOrigin = 'anonymous';
+  // 한 곡뿐이면 반복, 여러 곡이면 끝나기 전에 다음 곡으로 crossfade
+  element.loop = playlist.length === 1;
+
+  const source = audioContext.createMediaElementSource(element);
+  const gain = audioContext.createGain();
+  source.connect(gain);
+  gain.connect(analyser);
+
+  const newDeck = { element, source, gain, track, stats: bandStats, beats: null, beatCursor: 0, analysis: null };
+  loadTrackStats(track).then(({ bands, beats, analysis }) => {
+    newDeck.stats = bands;
+    newDeck.beats = beats;
+    newDeck.analysis = analysis;
+  });
+  // 백그라운드 탭 등으로 crossfade 시점을 놓쳤을 때
+  element.addEventListener('ended', () => {
+    if (deck === newDeck && isPlaying) nextTrack();
+  });
+  return newDeck;
+}
+
+function releaseDeck(oldDeck) {
+  oldDeck.element.pause();
+  oldDeck.source.disconnect();
+  oldDeck.gain.disconnect();
+  oldDeck.element.removeAttribute('src');
+  oldDeck.element.load();
+}
+
+/**
+ * Crossfade 즉시 끝내기 (나가는 곡 정리, 현재 곡 최대 볼륨)
+ */
+function finishCrossfade() {
+  if (!fadingDeck) return;
+  releaseDeck(fadingDeck);
+  fadingDeck = null;
+  const now = audioContext.currentTime;
+  deck.gain.gain.cancelScheduledValues(now);
+  deck.gain.gain.setValueAtTime(1, now);
+}
+
+function notifyTrackChange() {
+  const track = getCurrentTrack();
+  trackListeners.forEach(listener => listener(track));
+}
+
+/**
+ * 곡 전환 (재생 중이면 CROSSFADE_TIME 동안 crossfade)
+ */
+function playTrack(index) {
+  if (!audioContext) return;
+  finishCrossfade();
+
+  trackIndex = (index + playlist.length) % playlist.length;
+  const now = audioContext.currentTime;
+  fadingDeck = deck;
+  deck = createDeck(playlist[trackIndex]);
+  fadeStart = now;
+
+  if (fadingDeck && isPlaying) {
+    const outGain = fadingDeck.gain.gain;
+    outGain.cancelScheduledValues(now);
+    outGain.setValueAtTime(outGain.value, now);
+    outGain.linearRampToValueAtTime(0, now + CROSSFADE_TIME);
+    deck.gain.gain.setValueAtTime(0, now);
+    deck.gain.gain.linearRampToValueAtTime(1, now + CROSSFADE_TIME);
+    deck.element.play().catch(e => {
+      console.error('Audio play failed:', e);
+    });
+  } else {
+    // 일시정지 중에는 바로 교체
+    finishCrossfade();
+  }
+
+  console.log(`Now playing: ${playlist[trackIndex].title}`);
+  notifyTrackChange();
+}
 
-    // 오디오 엘리먼트 생성
-    audioElement = new Audio('resource/sound/city-drive.mp3');
-    audioElement.loop = true;
-    audioElement.crossOrigin = 'anonymous';
+/**
+ * 곡 끝나기 전에 다음 곡 시작, crossfade 끝나면 정리 (매 프레임)
+ */
+function updatePlaylist() {
+  if (!deck) return;
+  if (fadingDeck && audioContext.currentTime - fadeStart >= CROSSFADE_TIME) {
+    finishCrossfade();
+  }
+  if (fadingDeck || playlist.length < 2) return;
+  const { duration, currentTime } = deck.element;
+  if (Number.isFinite(duration) && duration - currentTime <= CROSSFADE_TIME) {
+    nextTrack();
+  }
+}
 
-    // 오디오 소스 연결
-    audioSource = audioContext.createMediaElementSource(audioElement);
-    audioSource.connect(analyser);
-    analyser.connect(audioContext.destination);
+/**
+ * 정규화 기준 stats (crossfade 중에는 두 곡 사이 보간)
+ */
+function getActiveStats() {
+  if (!deck) return bandStats;
+  if (!fadingDeck) return deck.stats;
+  const t = Math.min(1, (audioContext.currentTime - fadeStart) / CROSSFADE_TIME);
+  const stats = {};
+  Object.keys(bandStats).forEach(band => {
+    const from = fadingDeck.stats[band];
+    const to = deck.stats[band];
+    stats[band] = { min: from.min + (to.min - from.min) * t, max: from.max + (to.max - from.max) * t };
+  });
+  return stats;
+}
 
+/**
+ * 오디오 시스템 초기화
+ */
+export function initAudio() {
+  if (audioContext) return;
+
+  try {
+    // 곡 재생 체인은 playlist를 읽은 뒤 preloadAudio/playAudio에서 생성
+    ensureContext();
     console.log('Audio system initialized');
-    console.log('Using pre-analyzed band statistics for city-drive.mp3');
   } catch (e) {
     console.error('Audio initialization failed:', e);
   }
@@ -91,46 +376,30 @@ export function initAudio() {
 
 /**
  * 오디오 프리로드 (로딩 화면용)
- * Returns a Promise that resolves when audio is ready to play
+ * Playlist와 첫 곡 stats를 읽고, 첫 곡이 재생 가능해지면 resolve
  */
 export function preloadAudio() {
-  return new Promise((resolve) => {
-    if (audioElement && audioElement.readyState >= 3) {
-      // Already loaded
-      resolve();
-      return;
-    }
+  ensureContext();
 
-    // Initialize audio context if needed
-    if (!audioContext) {
-      audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      analyser = audioContext.createAnalyser();
-      analyser.fftSize = 2048;
-      analyser.smoothingTimeConstant = 0.7;
-      frequencyData = new Uint8Array(analyser.frequencyBinCount);
-    }
+  return loadPlaylist().then(() => {
+    if (!deck) deck = createDeck(playlist[trackIndex]);
+    const element = deck.element;
 
-    // Create audio element if needed
-    if (!audioElement) {
-      audioElement = new Audio('resource/sound/city-drive.mp3');
-      audioElement.loop = true;
-      audioElement.crossOrigin = 'anonymous';
-    }
-
-    // Wait for canplaythrough event
-    audioElement.addEventListener('canplaythrough', () => {
-      // Connect audio source if not already connected
-      if (!audioSource) {
-        audioSource = audioContext.createMediaElementSource(audioElement);
-        audioSource.connect(analyser);
-        analyser.connect(audioContext.destination);
+    const ready = new Promise((resolve) => {
+      if (element.readyState >= 3) {
+        // Already loaded
+        resolve();
+        return;
       }
-      console.log('Audio preloaded and ready');
-      resolve();
-    }, { once: true });
+      // Wait for canplaythrough event
+      element.addEventListener('canplaythrough', resolve, { once: true });
+      // Start loading
+      element.load();
+    });
 
-    // Start loading
-    audioElement.load();
+    return Promise.all([ready, loadTrackStats(deck.track)]).then(() => {
+      console.log(`Audio preloaded and ready (${deck.track.title})`);
+    });
   });
 }
 
@@ -143,11 +412,13 @@ export function playAudio() {
   if (audioContext.state === 'suspended') {
     audioContext.resume();
   }
+  if (!deck) deck = createDeck(playlist[trackIndex]);
 
-  audioElement.play().catch(e => {
+  deck.element.play().catch(e => {
     console.error('Audio play failed:', e);
   });
   isPlaying = true;
+  notifyTrackChange();
 }
 
 /**
@@ -163,10 +434,13 @@ export function toggleAudio() {
   }
 
   if (isPlaying) {
-    audioElement.pause();
+    finishCrossfade();
+    deck.element.pause();
     isPlaying = false;
+    beatPulse = 0;
   } else {
-    audioElement.play().catch(e => {
+    if (!deck) deck = createDeck(playlist[trackIndex]);
+    deck.element.play().catch(e => {
       console.error('Audio play failed:', e);
     });
     isPlaying = true;
@@ -182,6 +456,46 @@ export function isAudioPlaying() {
   return isPlaying;
 }
 
+/**
+ * 다음 곡 (마지막 곡 다음은 첫 곡)
+ * @returns {Object|null} 현재 곡 (getCurrentTrack)
+ */
+export function nextTrack() {
+  playTrack(trackIndex + 1);
+  return getCurrentTrack();
+}
+
+/**
+ * 이전 곡
+ * @returns {Object|null} 현재 곡 (getCurrentTrack)
+ */
+export function previousTrack() {
+  playTrack(trackIndex - 1);
+  return getCurrentTrack();
+}
+
+/**
+ * 현재 곡
+ * @returns {{index: number, count: number, title: string, artist: string|null, src: string}|null}
+ */
+export function getCurrentTrack() {
+  if (!deck) return null;
+  const { title, artist, src } = deck.track;
+  return { index: trackIndex, count: playlist.length, title, artist, src };
+}
+
+export function getPlaylist() {
+  return playlist.map(track => ({ ...track }));
+}
+
+/**
+ * Subscribe to track changes (곡 제목 표시 등)
+ * @param {function(Object): void} listener - getCurrentTrack() 값을 받음
+ */
+export function onTrackChange(listener) {
+  trackListeners.push(listener);
+}
+
 /**
  * 주파수 대역별 에너지 계산 (RMS)
  */
@@ -198,10 +512,10 @@ function calculateBandEnergy(startBin, endBin) {
 }
 
 /**
- * 사전 분석된 통계 기반 정규화
+ * 사전 분석된 통계 기반 정규화 (현재 곡의 stats)
  */
-function normalizeWithStats(band, value) {
-  const stats = bandStats[band];
+function normalizeWithStats(band, value, activeStats) {
+  const stats = activeStats[band];
   const range = stats.max - stats.min;
 
   if (range <= 0) return 0.5;
@@ -220,12 +534,34 @@ function normalizeWithStats(band, value) {
   return prev * SMOOTHING + normalized * (1 - SMOOTHING);
 }
 
+/**
+ * Beat pulse (현재 곡 재생 위치 기준, stats에 beats가 없으면 0)
+ */
+function updateBeatPulse() {
+  const beats = deck && deck.beats;
+  if (!beats) {
+    beatPulse = 0;
+    return;
+  }
+
+  const time = deck.element.currentTime;
+  // 반복 재생 등으로 되돌아간 경우
+  if (deck.beatCursor > 0 && beats[deck.beatCursor - 1] > time) deck.beatCursor = 0;
+  while (deck.beatCursor < beats.length && beats[deck.beatCursor] <= time) deck.beatCursor++;
+
+  const last = beats[deck.beatCursor - 1];
+  beatPulse = last === undefined ? 0 : Math.max(0, 1 - (time - last) / BEAT_PULSE_TIME);
+}
+
 /**
  * 매 프레임 주파수 분석 업데이트
  */
 export function updateAudioAnalysis() {
   if (!analyser || !isPlaying || !frequencyData) return;
 
+  updatePlaylist();
+  // 현재 곡 stats와 같은 FFT 크기/대역으로 분석 (crossfade 중에는 들어오는 곡 기준)
+  applyAnalysis(deck ? deck.analysis : null);
   analyser.getByteFrequencyData(frequencyData);
 
   // 각 대역별 raw 값 계산
@@ -235,12 +571,15 @@ export function updateAudioAnalysis() {
   frequencyBands.highMid = calculateBandEnergy(bandRanges.highMid.start, bandRanges.highMid.end);
   frequencyBands.treble = calculateBandEnergy(bandRanges.treble.start, bandRanges.treble.end);
 
-  // 사전 분석된 통계 기반 정규화
-  normalizedBands.bass = normalizeWithStats('bass', frequencyBands.bass);
-  normalizedBands.lowMid = normalizeWithStats('lowMid', frequencyBands.lowMid);
-  normalizedBands.mid = normalizeWithStats('mid', frequencyBands.mid);
-  normalizedBands.highMid = normalizeWithStats('highMid', frequencyBands.highMid);
-  normalizedBands.treble = normalizeWithStats('treble', frequencyBands.treble);
+  // 사전 분석된 통계 기반 정규화 (crossfade 중에는 두 곡 사이)
+  const stats = getActiveStats();
+  normalizedBands.bass = normalizeWithStats('bass', frequencyBands.bass, stats);
+  normalizedBands.lowMid = normalizeWithStats('lowMid', frequencyBands.lowMid, stats);
+  normalizedBands.mid = normalizeWithStats('mid', frequencyBands.mid, stats);
+  normalizedBands.highMid = normalizeWithStats('highMid', frequencyBands.highMid, stats);
+  normalizedBands.treble = normalizeWithStats('treble', frequencyBands.treble, stats);
+
+  updateBeatPulse();
 }
 
 /**
@@ -270,6 +609,40 @@ export function getIntensityForPosition(x) {
   }
 }
 
+/**
+ * 발소리 (Walking Mode, city-walker.js onFootstep)
+ * 짧은 노이즈 버스트를 lowpass로 걸러 재생 - analyser를 거치지 않으므로 이퀄라이저에 영향 없음
+ * @param {number} intensity - 0~1
+ */
+export function playFootstep(intensity = 0.5) {
+  if (!audioContext || audioContext.state !== 'running') return;
+
+  const duration = 0.08;
+  const now = audioContext.currentTime;
+  const buffer = audioContext.createBuffer(1, Math.floor(audioContext.sampleRate * duration), audioContext.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / data.length);
+  }
+
+  const source = audioContext.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = 0.8 + Math.random() * 0.4;
+
+  const filter = audioContext.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.frequency.value = 500 + intensity * 700;
+
+  const gain = audioContext.createGain();
+  gain.gain.setValueAtTime(0.05 + intensity * 0.1, now);
+  gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(audioContext.destination);
+  source.start(now);
+}
+
 /**
  * 현재 주파수 대역 값들 반환 (디버그용)
  */
@@ -277,6 +650,7 @@ export function getFrequencyBands() {
   return {
     raw: { ...frequencyBands },
     normalized: { ...normalizedBands },
-    stats: bandStats
+    stats: getActiveStats(),
+    beat: beatPulse
   };
 }
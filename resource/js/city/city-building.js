@@ -8,10 +8,28 @@
 
 import * as THREE from 'three';
 import { colors, randomColor } from './city-colors.js';
+import { random, createRandom } from './city-random.js';
 
 // Texture loader for pre-generated textures
 const textureLoader = new THREE.TextureLoader();
 
+// Building sign texts (22 items) - must match generate-textures.js
+const buildingSignTexts = [
+  'Platform', 'Reservation', 'Font Cloud', 'Marketing System',
+  'Media Art', 'IOT', 'Shopping Mall', 'Community',
+  'CRM', 'LMS', 'ERP', 'Web Agency',
+  'EMS', 'CMS', 'Kiosk', 'Cloud Service',
+  'AI Lab', 'Mobile App', 'Windows App', 'MacOS App',
+  '3D Web', 'Web MIDI'
+];
+
+/**
+ * Picking metadata for a building sign (shared by all sign meshes of one building)
+ */
+function buildingSignPickData(textIdx) {
+  return { kind: 'building-sign', category: 'Solution', title: buildingSignTexts[textIdx] };
+}
+
 // Pre-generated building sign texture filenames (must match generate-textures.js output)
 const buildingSignTextureFiles = [
   'building-00-platform.png', 'building-01-reservation.png', 'building-02-font-cloud.png',
@@ -176,6 +194,7 @@ export function addBuildingSignTexts(sourceScene, targetScene = null) {
     // Load texture
     const texturePath = `resource/img/signs/${buildingSignTextureFiles[textIdx]}`;
     const texture = textureLoader.load(texturePath);
+    const pickData = buildingSignPickData(textIdx);
 
     // Sign configurations for 4 directions (world coordinates)
     const frontBackWidth = width * 0.95;
@@ -198,6 +217,7 @@ export function addBuildingSignTexts(sourceScene, targetScene = null) {
       const sign = new THREE.Mesh(signGeom, signMat);
       sign.position.set(...config.position);
       sign.rotation.set(...config.rotation);
+      sign.userData.pickable = pickData;
       addTo.add(sign);
     });
 
@@ -218,6 +238,7 @@ export function addBuildingSignTexts(sourceScene, targetScene = null) {
     const frontSign = new THREE.Mesh(frontSignGeom, frontSignMat);
     frontSign.position.set(buildingPos.x, buildingPos.y + entranceHeight + 1.5, buildingPos.z - depth / 2 - 0.15);
     frontSign.rotation.y = Math.PI;
+    frontSign.userData.pickable = pickData;
     addTo.add(frontSign);
 
     // Back entrance sign (world coordinates)
@@ -231,6 +252,7 @@ export function addBuildingSignTexts(sourceScene, targetScene = null) {
     const backSign = new THREE.Mesh(backSignGeom, backSignMat);
     backSign.position.set(buildingPos.x, buildingPos.y + backEntranceHeight + 1.5, buildingPos.z + depth / 2 + 0.15);
     backSign.rotation.y = 0;
+    backSign.userData.pickable = pickData;
     addTo.add(backSign);
 
     signCount++;
@@ -244,11 +266,13 @@ let signTextIndex = 0;
 // Shuffled text indices for maximum variety
 let shuffledTextIndices = [];
 let currentShuffledIndex = 0;
+// 간판 셔플은 독립 스트림 사용 (forGLB 여부에 따라 빌더 스트림 소비량이 달라지지 않도록)
+const signRandom = createRandom('building-signs');
 
 function shuffleArray(array) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(signRandom() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -266,7 +290,7 @@ function getNextTextIndex() {
 /**
  * Create a small entrance sign above the door (using pre-generated PNG texture)
  */
-function createEntranceSign(group, textIdx, entranceWidth, entranceHeight, depth, isFront) {
+function createEntranceSign(group, textIdx, entranceWidth, entranceHeight, depth, isFront, pickData) {
   // Sign dimensions - visible but smaller than main signs
   const signWidth = Math.max(entranceWidth * 1.5, 5);
   const signHeight = 2;
@@ -292,6 +316,7 @@ function createEntranceSign(group, textIdx, entranceWidth, entranceHeight, depth
 
   sign.position.set(0, signY, signZ);
   sign.rotation.y = rotationY;
+  sign.userData.pickable = pickData;
   group.add(sign);
 }
 
@@ -308,12 +333,13 @@ function createBuildingSign(group, width, height, depth, isMainTower = false, en
   // Use shuffled array to ensure nearby buildings have different texts
   const textIdx = getNextTextIndex();
   signTextIndex++;
+  const pickData = buildingSignPickData(textIdx);
 
   // Create entrance signs if config provided (same texture as main sign)
   if (entranceConfig) {
     const { frontWidth, frontHeight, backWidth, backHeight } = entranceConfig;
-    createEntranceSign(group, textIdx, frontWidth, frontHeight, depth, true);
-    createEntranceSign(group, textIdx, backWidth, backHeight, depth, false);
+    createEntranceSign(group, textIdx, frontWidth, frontHeight, depth, true, pickData);
+    createEntranceSign(group, textIdx, backWidth, backHeight, depth, false, pickData);
   }
 
   // Calculate window layout to find top window position
@@ -377,6 +403,7 @@ function createBuildingSign(group, width, height, depth, isMainTower = false, en
     const sign = new THREE.Mesh(signGeom, signMat);
     sign.position.set(...config.position);
     sign.rotation.set(...config.rotation);
+    sign.userData.pickable = pickData;
     group.add(sign);
   });
 }
@@ -601,7 +628,7 @@ export function createMainTower(scene, x, z, groundY, config = {}) {
   group.add(backEntrance);
 
   // Rooftop antenna (for tall buildings, 1/3 chance)
-  if (height > 30 && Math.random() < 0.33) {
+  if (height > 30 && random() < 0.33) {
     const antennaGeom = new THREE.CylinderGeometry(0.15, 0.2, 8, 6);
     const antennaMat = new THREE.MeshBasicMaterial({ color: 0x555565 });
     const antenna = new THREE.Mesh(antennaGeom, antennaMat);
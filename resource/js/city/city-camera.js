@@ -4,19 +4,32 @@
  *
  * Camera follows predefined keyframes based on scroll progress.
  * Supports smooth interpolation between positions and rotations.
+ *
+ * Tours are loaded from JSON (resource/tours/<name>.json, ?tour=<name>):
+ * {
+ *   "name": "full",
+ *   "keyframes": [
+ *     { "section": "intro", "pos": {"x": 0, "y": 1.6, "z": 0}, "yaw": 0, "pitch": 0,
+ *       "dwell": 10, "easing": "smootherStep" }
+ *   ]
+ * }
+ * - dwell (optional): 해당 시점에서 멈춰 있는 스크롤 길이 (구간 거리와 같은 단위)
+ * - easing (optional): 해당 시점에서 다음 시점으로 가는 구간의 이징 (기본 smootherStep)
+ * - time (optional): 시각 0~24 (h), 스크롤 중 시간대를 덮어씀 (city-time-of-day.js)
  */
 
 import * as THREE from 'three';
 
 // ============================================================
-// SCROLL KEYFRAMES (19 viewpoints)
+// SCROLL KEYFRAMES (built-in tour, 21 viewpoints)
 // ============================================================
 
 /**
- * Scroll keyframe data - positions and rotations for camera animation
+ * Built-in tour - used until a JSON tour is loaded, and as fallback if loading fails
  * yaw/pitch are in radians (converted from degrees in the plan)
+ * resource/tours/full.json과 동일한 데이터 (loadTour('full')이 다르면 경고)
  */
-export const scrollKeyframes = [
+const builtinKeyframes = [
   // 시작시점 (intro)
   { section: 'intro', pos: {x: 27.81, y: 1.60, z: -3.28}, yaw: -1.650, pitch: 0.440 },
   // 스킬 시점 (6개)
@@ -45,6 +58,131 @@ export const scrollKeyframes = [
   { section: 'final', pos: {x: -1.90, y: 11.58, z: 23.99}, yaw: -1.140, pitch: 0.290 }
 ];
 
+// 투어 JSON 경로와 기본 투어 이름
+const TOUR_PATH = 'resource/tours/';
+export const DEFAULT_TOUR = 'full';
+
+// ============================================================
+// EASING
+// ============================================================
+
+/**
+ * Segment easing functions (tour JSON의 easing 값)
+ */
+const easings = {
+  linear: (t) => t,
+  smoothStep: (t) => t * t * (3 - 2 * t),
+  smootherStep: (t) => smootherStep(t),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3)
+};
+
+export const EASING_NAMES = Object.keys(easings);
+
+// ============================================================
+// TOUR LOADING & VALIDATION
+// ============================================================
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate raw tour data and return a normalized tour
+ * @param {Object} data - Parsed tour JSON
+ * @param {string} source - Tour name or URL (for error messages)
+ * @returns {{name: string, keyframes: Array}} Normalized tour
+ * @throws {Error} If the tour is malformed
+ */
+export function validateTour(data, source = 'tour') {
+  const fail = (message) => {
+    throw new Error(`Invalid tour "${source}": ${message}`);
+  };
+
+  if (!data || typeof data !== 'object') fail('root must be an object');
+  if (!Array.isArray(data.keyframes)) fail('keyframes must be an array');
+  if (data.keyframes.length < 2) fail('keyframes needs at least 2 entries');
+
+  const keyframes = data.keyframes.map((kf, i) => {
+    const path = `keyframes[${i}]`;
+    if (!kf || typeof kf !== 'object') fail(`${path} must be an object`);
+    if (typeof kf.section !== 'string' || kf.section === '') fail(`${path}.section must be a non-empty string`);
+    if (!kf.pos || typeof kf.pos !== 'object') fail(`${path}.pos must be an object`);
+    for (const axis of ['x', 'y', 'z']) {
+      if (!isFiniteNumber(kf.pos[axis])) fail(`${path}.pos.${axis} must be a finite number`);
+    }
+    if (!isFiniteNumber(kf.yaw)) fail(`${path}.yaw must be a finite number`);
+    if (!isFiniteNumber(kf.pitch)) fail(`${path}.pitch must be a finite number`);
+    if (kf.dwell !== undefined && (!isFiniteNumber(kf.dwell) || kf.dwell < 0)) {
+      fail(`${path}.dwell must be a number >= 0`);
+    }
+    if (kf.easing !== undefined && !easings[kf.easing]) {
+      fail(`${path}.easing must be one of ${Object.keys(easings).join(', ')}`);
+    }
+    if (kf.time !== undefined && (!isFiniteNumber(kf.time) || kf.time < 0 || kf.time >= 24)) {
+      fail(`${path}.time must be a number in [0, 24)`);
+    }
+
+    const keyframe = {
+      section: kf.section,
+      pos: { x: kf.pos.x, y: kf.pos.y, z: kf.pos.z },
+      yaw: kf.yaw,
+      pitch: kf.pitch,
+      dwell: kf.dwell || 0,
+      easing: kf.easing || 'smootherStep'
+    };
+    if (kf.time !== undefined) keyframe.time = kf.time;
+    return keyframe;
+  });
+
+  // 전체 길이 0이면 scroll 진행률 정규화가 0으로 나누게 됨
+  if (!(getTourLength(keyframes) > 0)) fail('total tour length must be > 0');
+
+  return {
+    name: typeof data.name === 'string' ? data.name : source,
+    keyframes
+  };
+}
+
+/**
+ * Fetch and validate a tour JSON file
+ * @param {string} nameOrUrl - Tour name (resource/tours/<name>.json) or a .json URL
+ * @returns {Promise<{name: string, keyframes: Array}>}
+ */
+export async function loadTour(nameOrUrl) {
+  const url = nameOrUrl.endsWith('.json') ? nameOrUrl : `${TOUR_PATH}${nameOrUrl}.json`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Tour fetch failed: ${url} (${response.status})`);
+  }
+  const tour = validateTour(await response.json(), nameOrUrl);
+  if (nameOrUrl === DEFAULT_TOUR) checkBuiltinTour(tour);
+  return tour;
+}
+
+/**
+ * 내장 투어가 resource/tours/full.json과 같은지 확인 (한쪽만 수정된 경우 경고)
+ * @param {{keyframes: Array}} tour - Validated full tour
+ * @returns {boolean} true if identical
+ */
+function checkBuiltinTour(tour) {
+  const builtin = validateTour({ keyframes: builtinKeyframes }, 'built-in').keyframes;
+  const same = JSON.stringify(builtin) === JSON.stringify(tour.keyframes);
+  if (!same) {
+    console.warn(`Built-in tour differs from ${TOUR_PATH}${DEFAULT_TOUR}.json - update builtinKeyframes in city-camera.js`);
+  }
+  return same;
+}
+
+/**
+ * Read the tour name from the `?tour=` URL parameter
+ * @returns {string|null} Tour name, or null if absent
+ */
+export function getTourFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('tour');
+}
+
 // ============================================================
 // DISTANCE-BASED SCROLL WEIGHTING
 // ============================================================
@@ -85,63 +223,108 @@ function calculateSegmentDistance(from, to) {
 }
 
 /**
- * Build cumulative progress array based on distances
- * Returns array where cumulativeProgress[i] = progress at keyframe i (0 to 1)
+ * Total tour length (이동 거리 + dwell, buildSpans 정규화 기준)
+ */
+function getTourLength(keyframes) {
+  let total = 0;
+  for (let i = 0; i < keyframes.length; i++) {
+    total += keyframes[i].dwell;
+    if (i < keyframes.length - 1) total += calculateSegmentDistance(keyframes[i], keyframes[i + 1]);
+  }
+  return total;
+}
+
+/**
+ * Build scroll spans based on distances
+ * 이동 구간(i → i+1)과 dwell 구간(i → i, 정지)을 순서대로 나열
+ * Returns array of { from, to, start, end } where start/end are progress (0 to 1)
  */
-function buildCumulativeProgress() {
-  const distances = [];
+function buildSpans(keyframes) {
+  const spans = [];
   let totalDistance = 0;
 
-  // Calculate distances between consecutive keyframes
-  for (let i = 0; i < scrollKeyframes.length - 1; i++) {
-    const dist = calculateSegmentDistance(scrollKeyframes[i], scrollKeyframes[i + 1]);
-    distances.push(dist);
-    totalDistance += dist;
-  }
+  const pushSpan = (from, to, length) => {
+    spans.push({ from, to, start: totalDistance, end: totalDistance + length });
+    totalDistance += length;
+  };
 
-  // Build cumulative progress array
-  const cumulative = [0]; // First keyframe at progress 0
-  let accumulated = 0;
+  for (let i = 0; i < keyframes.length; i++) {
+    if (keyframes[i].dwell > 0) {
+      pushSpan(i, i, keyframes[i].dwell);
+    }
+    if (i < keyframes.length - 1) {
+      pushSpan(i, i + 1, calculateSegmentDistance(keyframes[i], keyframes[i + 1]));
+    }
+  }
 
-  for (let i = 0; i < distances.length; i++) {
-    accumulated += distances[i];
-    cumulative.push(accumulated / totalDistance);
+  // Normalize to 0-1
+  for (const span of spans) {
+    span.start /= totalDistance;
+    span.end /= totalDistance;
   }
 
-  return cumulative;
+  return spans;
+}
+
+// Active tour (JSON 로드 전에는 내장 투어)
+let activeTour = validateTour({ name: DEFAULT_TOUR, keyframes: builtinKeyframes }, 'built-in');
+export let scrollKeyframes = activeTour.keyframes;
+let scrollSpans = buildSpans(scrollKeyframes);
+
+/**
+ * Make a validated tour the active one
+ * @param {{name: string, keyframes: Array}} tour - Tour from loadTour/validateTour
+ */
+export function setActiveTour(tour) {
+  activeTour = tour;
+  scrollKeyframes = tour.keyframes;
+  scrollSpans = buildSpans(scrollKeyframes);
+  console.log(`Tour: ${tour.name} (${scrollKeyframes.length} keyframes)`);
+}
+
+/**
+ * Get the active tour
+ * @returns {{name: string, keyframes: Array}}
+ */
+export function getActiveTour() {
+  return activeTour;
 }
 
-// Pre-calculate cumulative progress
-const cumulativeProgress = buildCumulativeProgress();
+/**
+ * Get the scroll progress (0-1) at which a keyframe is reached
+ * @param {number} index - Keyframe index in the active tour
+ * @returns {number} Progress (dwell 구간이 있으면 그 시작점)
+ */
+export function getKeyframeProgress(index) {
+  const span = scrollSpans.find(s => s.from === index);
+  return span ? span.start : 1;
+}
 
 /**
  * Convert linear scroll progress (0-1) to weighted progress based on distances
- * Uses binary search to find the correct segment
+ * Dwell 구간에서는 from === to (카메라 정지)
  */
 export function getWeightedProgress(linearProgress) {
   const p = Math.max(0, Math.min(1, linearProgress));
 
-  // Find which segment we're in
-  let segmentIndex = 0;
-  for (let i = 0; i < cumulativeProgress.length - 1; i++) {
-    if (p >= cumulativeProgress[i] && p <= cumulativeProgress[i + 1]) {
-      segmentIndex = i;
+  // Find which span we're in
+  let span = scrollSpans[scrollSpans.length - 1];
+  for (let i = 0; i < scrollSpans.length; i++) {
+    if (p >= scrollSpans[i].start && p <= scrollSpans[i].end) {
+      span = scrollSpans[i];
       break;
     }
   }
 
-  // Calculate local progress within segment
-  const segmentStart = cumulativeProgress[segmentIndex];
-  const segmentEnd = cumulativeProgress[segmentIndex + 1];
-  const segmentLength = segmentEnd - segmentStart;
-
-  const localProgress = segmentLength > 0 ? (p - segmentStart) / segmentLength : 0;
+  // Calculate local progress within span
+  const spanLength = span.end - span.start;
+  const localProgress = spanLength > 0 ? (p - span.start) / spanLength : 0;
 
   return {
-    segment: segmentIndex,
+    segment: span.from,
     localProgress: Math.max(0, Math.min(1, localProgress)),
-    from: scrollKeyframes[segmentIndex],
-    to: scrollKeyframes[Math.min(segmentIndex + 1, scrollKeyframes.length - 1)]
+    from: scrollKeyframes[span.from],
+    to: scrollKeyframes[span.to]
   };
 }
 
@@ -192,8 +375,8 @@ export function updateCameraFromScroll(camera, cameraState, progress) {
   // Use distance-weighted progress for natural scroll speed
   const { localProgress, from, to } = getWeightedProgress(progress);
 
-  // Smooth easing function
-  const eased = smootherStep(localProgress);
+  // Per-segment easing (tour JSON)
+  const eased = easings[from.easing](localProgress);
 
   // Interpolate position
   const x = from.pos.x + (to.pos.x - from.pos.x) * eased;
@@ -229,12 +412,26 @@ export function updateCameraFromScroll(camera, cameraState, progress) {
 
 /**
  * Get current section from scroll progress
+ * updateCameraFromScroll과 같은 가중치 진행률 사용 (dwell 포함)
  */
 export function getSectionFromScroll(progress) {
-  const { from } = getScrollSegment(progress);
+  const { from } = getWeightedProgress(progress);
   return from.section;
 }
 
+/**
+ * Get tour time of day (h) from scroll progress
+ * 양 끝 keyframe의 time을 짧은 쪽으로 (자정 넘어가기 포함) 보간, 둘 다 없으면 null
+ */
+export function getTimeFromScroll(progress) {
+  const { from, to, localProgress } = getWeightedProgress(progress);
+  if (from.time === undefined && to.time === undefined) return null;
+  if (from.time === undefined) return to.time;
+  if (to.time === undefined) return from.time;
+  const delta = ((to.time - from.time) % 24 + 36) % 24 - 12;
+  return (from.time + delta * localProgress + 24) % 24;
+}
+
 /**
  * Smooth easing function
  */
@@ -269,6 +466,28 @@ function catmullRomVector(v0, v1, v2, v3, t) {
   );
 }
 
+/**
+ * Sample a Catmull-Rom path through tour keyframe positions (editor preview)
+ * @param {Array} keyframes - Tour keyframes
+ * @param {number} samplesPerSegment - Points per segment
+ * @returns {THREE.Vector3[]} Path points
+ */
+export function sampleTourPath(keyframes, samplesPerSegment = 16) {
+  const points = [];
+  const last = keyframes.length - 1;
+  const posAt = (i) => keyframes[Math.max(0, Math.min(last, i))].pos;
+
+  for (let i = 0; i < last; i++) {
+    for (let s = 0; s < samplesPerSegment; s++) {
+      points.push(catmullRomVector(posAt(i - 1), posAt(i), posAt(i + 1), posAt(i + 2), s / samplesPerSegment));
+    }
+  }
+  const end = posAt(last);
+  points.push(new THREE.Vector3(end.x, end.y, end.z));
+
+  return points;
+}
+
 /**
  * Overhead bird's eye camera keyframes
  * Camera orbits around the city from above, always looking at center
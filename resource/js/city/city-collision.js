@@ -0,0 +1,287 @@
+/**
+ * city-collision.js
+ * Hong Kong Citypop Night City - Obstacle Footprints from Scene Geometry
+ *
+ * 손으로 관리하던 obstacleZones 대신 실제 메시에서 충돌 벽을 추출:
+ * - walkable zone 근처 메시의 수직 면(벽, 기둥, 난간, 자판기 등)만 사용 → XZ 선분 + Y 범위
+ * - 바닥/경사로/계단 디딤판(수평 면)은 자동 제외, 낮은 턱(STEP_HEIGHT 이하)은 넘어감
+ * - Spatial hash (CELL_SIZE 격자)로 조회
+ *
+ * GLB 로드/동적 생성 모두 scene 완성 후 buildObstacleFootprints(scene, walkableZones) 호출
+ * 카메라(city-main.js)와 보행자(city-people.js)가 같은 데이터를 사용
+ */
+
+import * as THREE from 'three';
+
+// Spatial hash cell size (world units)
+const CELL_SIZE = 4;
+// |normal.y| 이하인 면만 벽으로 취급 (약 73° 이상 기울어진 면)
+const VERTICAL_NORMAL_MAX = 0.3;
+// 이 높이 이하의 턱은 넘어감 (계단 단차 0.2, 연석 등)
+const STEP_HEIGHT = 0.45;
+// 발 기준 몸 높이 (이보다 위의 간판/차양은 통과)
+const BODY_HEIGHT = 1.8;
+// Walkable zone 주변 여유 (이 범위 밖 메시는 건너뜀: 산, 숲 등)
+const ZONE_PADDING = 2;
+
+// Segments: { x1, z1, x2, z2, yMin, yMax, stamp }
+let segments = [];
+const cells = new Map();
+let queryStamp = 0;
+
+// ============================================
+// Build
+// ============================================
+
+function cellKey(cx, cz) {
+  return `${cx},${cz}`;
+}
+
+function insertSegment(seg) {
+  const cxMin = Math.floor(Math.min(seg.x1, seg.x2) / CELL_SIZE);
+  const cxMax = Math.floor(Math.max(seg.x1, seg.x2) / CELL_SIZE);
+  const czMin = Math.floor(Math.min(seg.z1, seg.z2) / CELL_SIZE);
+  const czMax = Math.floor(Math.max(seg.z1, seg.z2) / CELL_SIZE);
+  for (let cx = cxMin; cx <= cxMax; cx++) {
+    for (let cz = czMin; cz <= czMax; cz++) {
+      const key = cellKey(cx, cz);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(seg);
+    }
+  }
+}
+
+/**
+ * World AABB가 walkable zone(+padding)과 겹치는지
+ */
+function isNearWalkableZone(box, zones) {
+  return zones.some(zone =>
+    box.max.x >= zone.xMin - ZONE_PADDING && box.min.x <= zone.xMax + ZONE_PADDING &&
+    box.max.z >= zone.zMin - ZONE_PADDING && box.min.z <= zone.zMax + ZONE_PADDING
+  );
+}
+
+/**
+ * Extract vertical faces of a mesh as XZ segments
+ * 사각형 면의 두 삼각형은 같은 선분이 되므로 key로 병합
+ */
+function collectMeshSegments(mesh, merged) {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  if (!position) return;
+  const index = geometry.index;
+  const triCount = index ? index.count / 3 : position.count / 3;
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  for (let t = 0; t < triCount; t++) {
+    const i0 = index ? index.getX(t * 3) : t * 3;
+    const i1 = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+    const i2 = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+    a.fromBufferAttribute(position, i0).applyMatrix4(mesh.matrixWorld);
+    b.fromBufferAttribute(position, i1).applyMatrix4(mesh.matrixWorld);
+    c.fromBufferAttribute(position, i2).applyMatrix4(mesh.matrixWorld);
+
+    normal.crossVectors(ab.subVectors(b, a), ac.subVectors(c, a));
+    const length = normal.length();
+    if (length < 1e-6 || Math.abs(normal.y) / length > VERTICAL_NORMAL_MAX) continue;
+
+    // XZ 투영에서 가장 긴 변 = 벽 선분
+    const pts = [a, b, c];
+    let p = a;
+    let q = b;
+    let best = -1;
+    for (let i = 0; i < 3; i++) {
+      const u = pts[i];
+      const v = pts[(i + 1) % 3];
+      const d = (u.x - v.x) ** 2 + (u.z - v.z) ** 2;
+      if (d > best) { best = d; p = u; q = v; }
+    }
+    if (best < 1e-4) continue;
+
+    // 방향 무관하게 같은 key가 되도록 정렬
+    if (p.x > q.x || (p.x === q.x && p.z > q.z)) [p, q] = [q, p];
+    const key = `${p.x.toFixed(2)},${p.z.toFixed(2)},${q.x.toFixed(2)},${q.z.toFixed(2)}`;
+    const yMin = Math.min(a.y, b.y, c.y);
+    const yMax = Math.max(a.y, b.y, c.y);
+
+    const existing = merged.get(key);
+    if (existing && existing.yMin <= yMax + 0.01 && existing.yMax >= yMin - 0.01) {
+      existing.yMin = Math.min(existing.yMin, yMin);
+      existing.yMax = Math.max(existing.yMax, yMax);
+    } else if (!existing) {
+      merged.set(key, { x1: p.x, z1: p.z, x2: q.x, z2: q.z, yMin, yMax, stamp: 0 });
+    } else {
+      // 같은 선분의 떨어진 층 (e.g. 다른 높이의 난간) - 별도 key
+      merged.set(`${key}@${yMin.toFixed(2)}`, { x1: p.x, z1: p.z, x2: q.x, z2: q.z, yMin, yMax, stamp: 0 });
+    }
+  }
+}
+
+/**
+ * Derive obstacle footprints from the scene and build the spatial hash
+ * 차량/보행자/콘텐츠 간판보다 먼저 호출 (정적 지오메트리만 포함)
+ * @param {THREE.Object3D} root - Scene (GLB-loaded or dynamically built)
+ * @param {Array} zones - walkableZones (city-people.js)
+ * @returns {number} Segment count
+ */
+export function buildObstacleFootprints(root, zones) {
+  const startTime = performance.now();
+  segments = [];
+  cells.clear();
+
+  root.updateMatrixWorld(true);
+  const merged = new Map();
+  const box = new THREE.Box3();
+  let meshCount = 0;
+
+  root.traverseVisible(obj => {
+    if (!obj.isMesh || obj.isInstancedMesh || obj.isSkinnedMesh) return;
+    box.setFromObject(obj);
+    if (box.isEmpty() || !isNearWalkableZone(box, zones)) return;
+    collectMeshSegments(obj, merged);
+    meshCount++;
+  });
+
+  segments = [...merged.values()];
+  segments.forEach(insertSegment);
+
+  console.log(`Obstacle footprints: ${segments.length} segments from ${meshCount} meshes ` +
+    `(${cells.size} cells, ${(performance.now() - startTime).toFixed(0)}ms)`);
+  return segments.length;
+}
+
+// ============================================
+// Query
+// ============================================
+
+/**
+ * @returns {boolean} Footprints have been built
+ */
+export function hasObstacleFootprints() {
+  return segments.length > 0;
+}
+
+/**
+ * Squared distance from point to segment (XZ)
+ */
+function distanceSqToSegment(x, z, seg) {
+  const dx = seg.x2 - seg.x1;
+  const dz = seg.z2 - seg.z1;
+  const lengthSq = dx * dx + dz * dz;
+  let t = lengthSq > 0 ? ((x - seg.x1) * dx + (z - seg.z1) * dz) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const px = seg.x1 + t * dx - x;
+  const pz = seg.z1 + t * dz - z;
+  return px * px + pz * pz;
+}
+
+/**
+ * 몸 높이 범위와 겹치고 넘어갈 수 없는 면인지
+ * 짧은 면(≤ STEP_HEIGHT)이 발 근처에서 시작하면 계단/턱으로 보고 통과
+ */
+function blocksAt(seg, feetY) {
+  if (seg.yMax <= feetY + STEP_HEIGHT || seg.yMin >= feetY + BODY_HEIGHT) return false;
+  const climbable = seg.yMax - seg.yMin <= STEP_HEIGHT && seg.yMin <= feetY + STEP_HEIGHT;
+  return !climbable;
+}
+
+/**
+ * Check a circle (x, z, radius) at a given feet height against the footprints
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} feetY - Ground (feet) Y
+ * @param {number} margin - Body radius
+ * @returns {boolean} True if blocked
+ */
+export function collidesWithFootprints(x, z, feetY, margin) {
+  queryStamp++;
+  const marginSq = margin * margin;
+  const cxMin = Math.floor((x - margin) / CELL_SIZE);
+  const cxMax = Math.floor((x + margin) / CELL_SIZE);
+  const czMin = Math.floor((z - margin) / CELL_SIZE);
+  const czMax = Math.floor((z + margin) / CELL_SIZE);
+
+  for (let cx = cxMin; cx <= cxMax; cx++) {
+    for (let cz = czMin; cz <= czMax; cz++) {
+      const cell = cells.get(cellKey(cx, cz));
+      if (!cell) continue;
+      for (const seg of cell) {
+        if (seg.stamp === queryStamp) continue; // 여러 셀에 걸친 선분 중복 검사 방지
+        seg.stamp = queryStamp;
+        if (blocksAt(seg, feetY) && distanceSqToSegment(x, z, seg) < marginSq) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// ============================================
+// Debug
+// ============================================
+
+/**
+ * Line visualization of the derived footprints (visualizeWalkableZones와 비교용)
+ * 각 선분을 아래/위 가장자리 사각형으로 표시
+ * @returns {THREE.LineSegments}
+ */
+export function createFootprintDebugLines() {
+  const vertices = [];
+  segments.forEach(seg => {
+    const y0 = seg.yMin + 0.05;
+    const y1 = Math.min(seg.yMax, seg.yMin + BODY_HEIGHT);
+    vertices.push(
+      seg.x1, y0, seg.z1, seg.x2, y0, seg.z2,
+      seg.x1, y1, seg.z1, seg.x2, y1, seg.z2
+    );
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  const material = new THREE.LineBasicMaterial({ color: 0x00ffcc, depthTest: false, transparent: true });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.name = 'obstacle-footprints-debug';
+  lines.renderOrder = 999;
+  return lines;
+}
+
+/**
+ * Outline the legacy hand-written obstacleZones (magenta) for comparison
+ * @param {Array} zones - obstacleZones (city-people.js)
+ * @returns {THREE.LineSegments}
+ */
+export function createObstacleZoneDebugLines(zones) {
+  const vertices = [];
+  zones.forEach(obs => {
+    const y = (obs.y || 0) + 0.1;
+    if (obs.type === 'circle') {
+      const steps = 24;
+      for (let i = 0; i < steps; i++) {
+        const a0 = (i / steps) * Math.PI * 2;
+        const a1 = ((i + 1) / steps) * Math.PI * 2;
+        vertices.push(
+          obs.cx + Math.cos(a0) * obs.radius, y, obs.cz + Math.sin(a0) * obs.radius,
+          obs.cx + Math.cos(a1) * obs.radius, y, obs.cz + Math.sin(a1) * obs.radius
+        );
+      }
+    } else {
+      vertices.push(
+        obs.xMin, y, obs.zMin, obs.xMax, y, obs.zMin,
+        obs.xMax, y, obs.zMin, obs.xMax, y, obs.zMax,
+        obs.xMax, y, obs.zMax, obs.xMin, y, obs.zMax,
+        obs.xMin, y, obs.zMax, obs.xMin, y, obs.zMin
+      );
+    }
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  const material = new THREE.LineBasicMaterial({ color: 0xff00ff, depthTest: false, transparent: true });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.name = 'obstacle-zones-debug';
+  lines.renderOrder = 999;
+  return lines;
+}
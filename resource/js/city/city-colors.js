@@ -5,6 +5,8 @@
  * Shared color constants used across all city modules.
  */
 
+import { random } from './city-random.js';
+
 // ============================================
 // Color Palettes
 // ============================================
@@ -42,5 +44,5 @@ export const colors = {
  * @returns {number} Random color from the palette
  */
 export function randomColor(palette) {
-  return palette[Math.floor(Math.random() * palette.length)];
+  return palette[Math.floor(random() * palette.length)];
 }
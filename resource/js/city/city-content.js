@@ -7,9 +7,23 @@
  * - Shopping district (y=2)
  * - Main road area (y=0)
  * - High-rise building area (y=0)
+ *
+ * Section highlighting: 현재 스크롤 섹션(getSectionFromScroll)과 id가 같은 간판이
+ * 네온처럼 깜빡이며 켜지고, 나머지는 어두워짐 (낮 시간대에는 더 어둡게, setContentNeonLevel)
  */
 
 import * as THREE from 'three';
+import { getSectionFromScroll } from './city-camera.js';
+
+// Section highlight brightness levels
+const ACTIVE_BRIGHTNESS = 1.0;
+const IDLE_BRIGHTNESS = 0.6;   // 현재 섹션에 해당하는 간판이 없을 때
+const DIMMED_BRIGHTNESS = 0.2; // 다른 간판이 활성일 때
+const BRIGHTNESS_LERP = 4;     // per second
+const FLICKER_DURATION = 0.6;  // seconds
+
+// 시간대 네온 밝기 배율 (city-time-of-day.js, 활성 간판에는 적용 안 함)
+let neonLevel = 1;
 
 // Content data - positioned within the new layout
 const contentData = [
@@ -320,6 +334,7 @@ function createNeonSign(data) {
   });
 
   const mesh = new THREE.Mesh(geometry, material);
+  mesh.userData.isSignFace = true;
   group.add(mesh);
 
   // Glow effect per type
@@ -332,6 +347,7 @@ function createNeonSign(data) {
     });
     const glow = new THREE.Mesh(glowGeom, glowMat);
     glow.position.z = -0.1;
+    glow.userData = { isSignGlow: true, baseOpacity: glowMat.opacity };
     group.add(glow);
   } else if (type === 'wall-mural') {
     const glowGeom = new THREE.PlaneGeometry(meshWidth + 0.5, meshHeight + 0.5);
@@ -342,6 +358,7 @@ function createNeonSign(data) {
     });
     const glow = new THREE.Mesh(glowGeom, glowMat);
     glow.position.z = -0.05;
+    glow.userData = { isSignGlow: true, baseOpacity: glowMat.opacity };
     group.add(glow);
   }
 
@@ -355,7 +372,9 @@ function createNeonSign(data) {
     id: data.id,
     baseY: data.position.y,
     glowColor: data.glowColor,
-    type: type
+    type: type,
+    brightness: IDLE_BRIGHTNESS,
+    activatedAt: -Infinity
   };
 
   return group;
@@ -377,8 +396,65 @@ export function createAllContent(scene) {
 }
 
 /**
- * Update content (fixed - no animation)
+ * Neon flicker while a sign turns on (짧게 깜빡이다가 켜짐)
+ * @param {number} elapsed - Seconds since the sign became active
+ * @returns {number} Multiplier (0.15 or 1)
+ */
+function flickerLevel(elapsed) {
+  if (elapsed >= FLICKER_DURATION) return 1;
+  const settle = elapsed / FLICKER_DURATION;
+  return Math.sin(elapsed * 90) + settle * 2 - 0.6 > 0 ? 1 : 0.15;
+}
+
+/**
+ * Apply a brightness level to a sign's face and glow materials
+ */
+function applySignBrightness(sign, level) {
+  sign.children.forEach(child => {
+    if (child.userData.isSignFace) {
+      child.material.color.setScalar(level);
+    } else if (child.userData.isSignGlow) {
+      child.material.opacity = child.userData.baseOpacity * level;
+    }
+  });
+}
+
+/**
+ * Update content - highlight the sign for the current section
+ * Section → sign mapping uses contentData ids (section name === id)
+ * @param {{signs: THREE.Group[]}} content - Result of createAllContent
+ * @param {number} time - Elapsed time in seconds
+ * @param {THREE.Camera} camera - Camera (unused)
+ * @param {number} scrollProgress - Scroll progress (0-1)
  */
 export function updateContent(content, time, camera, scrollProgress) {
-  // Signs are fixed to buildings, no update needed
+  if (!content) return;
+
+  const section = getSectionFromScroll(scrollProgress);
+  const hasActiveSign = content.signs.some(sign => sign.userData.id === section);
+
+  content.signs.forEach(sign => {
+    const data = sign.userData;
+    const dt = data.lastTime === undefined ? 0 : Math.max(0, time - data.lastTime);
+    data.lastTime = time;
+
+    const isActive = data.id === section;
+    if (isActive && !data.active) {
+      data.activatedAt = time;
+    }
+    data.active = isActive;
+
+    const target = isActive ? ACTIVE_BRIGHTNESS : (hasActiveSign ? DIMMED_BRIGHTNESS : IDLE_BRIGHTNESS);
+    data.brightness += (target - data.brightness) * Math.min(1, dt * BRIGHTNESS_LERP);
+
+    const level = isActive ? data.brightness * flickerLevel(time - data.activatedAt) : data.brightness * neonLevel;
+    applySignBrightness(sign, level);
+  });
+}
+
+/**
+ * Neon brightness multiplier for inactive signs (time of day)
+ */
+export function setContentNeonLevel(level) {
+  neonLevel = level;
 }
@@ -0,0 +1,86 @@
+/**
+ * city-deeplink.js
+ * Hong Kong Citypop Night City - URL Hash Deep Links
+ *
+ * Hash formats:
+ * - #contact                     → 스크롤 모드, 해당 섹션의 첫 키프레임
+ * - #12                          → 스크롤 모드, 키프레임 인덱스
+ * - #walk=x,y,z,yaw,pitch        → 걷기 모드, 카메라 자세 (yaw/pitch in radians)
+ *
+ * 해시는 스크롤/걷기 중 history.replaceState로 갱신 (스로틀, 히스토리 누적 없음)
+ */
+
+import { scrollKeyframes } from './city-camera.js';
+
+// Hash update throttle (ms)
+const HASH_UPDATE_INTERVAL = 500;
+
+/**
+ * Parse a camera deep link from a URL hash
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {{type: 'keyframe', index: number}|{type: 'walk', pose: Object}|null}
+ */
+export function parseCameraHash(hash) {
+  const value = decodeURIComponent((hash || '').replace(/^#/, '')).trim();
+  if (!value) return null;
+
+  // Walking pose
+  if (value.startsWith('walk=')) {
+    const parts = value.slice(5).split(',').map(Number);
+    if (parts.length !== 5 || parts.some(n => !Number.isFinite(n))) return null;
+    const [x, y, z, yaw, pitch] = parts;
+    return { type: 'walk', pose: { x, y, z, yaw, pitch } };
+  }
+
+  // Keyframe index
+  if (/^\d+$/.test(value)) {
+    const index = parseInt(value, 10);
+    return index < scrollKeyframes.length ? { type: 'keyframe', index } : null;
+  }
+
+  // Section name → first keyframe of that section
+  const index = scrollKeyframes.findIndex(kf => kf.section === value.toLowerCase());
+  return index >= 0 ? { type: 'keyframe', index } : null;
+}
+
+/**
+ * Format a scroll-mode hash for a keyframe
+ * 섹션의 첫 키프레임이면 섹션 이름, 아니면 인덱스 (시작 지점은 해시 없음)
+ * @param {number} index - Keyframe index in the active tour
+ * @returns {string} Hash including '#', or '' for the start of the tour
+ */
+export function formatKeyframeHash(index) {
+  if (index <= 0) return '';
+  const section = scrollKeyframes[index].section;
+  const firstOfSection = scrollKeyframes.findIndex(kf => kf.section === section);
+  return firstOfSection === index ? `#${section}` : `#${index}`;
+}
+
+/**
+ * Format a walking-mode hash for a camera pose
+ * @param {THREE.Vector3} position - Camera position
+ * @param {number} yaw - Yaw in radians
+ * @param {number} pitch - Pitch in radians
+ * @returns {string} Hash including '#'
+ */
+export function formatWalkHash(position, yaw, pitch) {
+  return `#walk=${position.x.toFixed(2)},${position.y.toFixed(2)},${position.z.toFixed(2)},${yaw.toFixed(3)},${pitch.toFixed(3)}`;
+}
+
+/**
+ * Create a throttled hash writer (history.replaceState, keeps ?seed=/?tour= params)
+ * @returns {function(string, number): void} (hash, nowMs) => void
+ */
+export function createHashUpdater() {
+  let lastUpdate = -Infinity;
+  let lastHash = window.location.hash;
+
+  return (hash, now) => {
+    if (now - lastUpdate < HASH_UPDATE_INTERVAL) return;
+    lastUpdate = now;
+    if (hash === lastHash) return;
+    lastHash = hash;
+    const url = window.location.pathname + window.location.search + hash;
+    history.replaceState(history.state, '', url);
+  };
+}
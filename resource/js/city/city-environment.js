@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { random } from './city-random.js';
 
 // ============================================
 // Sloped Area Forest (behind sloped residential)
@@ -23,11 +24,11 @@ export function createSlopedAreaForest(scene) {
   const slopeEndY = 16;
 
   // Create trees
-  for (let x = 45; x < 135; x += 3.5 + Math.random() * 2.5) {
-    for (let z = 48; z < 92; z += 3.5 + Math.random() * 2.5) {
-      if (Math.random() > 0.12) {
-        const offsetX = (Math.random() - 0.5) * 2;
-        const offsetZ = (Math.random() - 0.5) * 2;
+  for (let x = 45; x < 135; x += 3.5 + random() * 2.5) {
+    for (let z = 48; z < 92; z += 3.5 + random() * 2.5) {
+      if (random() > 0.12) {
+        const offsetX = (random() - 0.5) * 2;
+        const offsetZ = (random() - 0.5) * 2;
         const treeX = x + offsetX;
         const treeZ = z + offsetZ;
 
@@ -43,7 +44,7 @@ export function createSlopedAreaForest(scene) {
         }
 
         // Tree trunk
-        const trunkHeight = 2.5 + Math.random() * 1.5;
+        const trunkHeight = 2.5 + random() * 1.5;
         const trunkGeom = new THREE.CylinderGeometry(0.25, 0.4, trunkHeight, 6);
         const trunkMat = new THREE.MeshBasicMaterial({ color: 0x3d2817 });
         const trunk = new THREE.Mesh(trunkGeom, trunkMat);
@@ -51,19 +52,19 @@ export function createSlopedAreaForest(scene) {
         scene.add(trunk);
 
         // Tree foliage
-        const foliageColor = treeColors[Math.floor(Math.random() * treeColors.length)];
+        const foliageColor = treeColors[Math.floor(random() * treeColors.length)];
         const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
 
         // Bottom foliage layer
-        const foliage1Geom = new THREE.ConeGeometry(2.5 + Math.random(), 4 + Math.random() * 1.5, 6);
+        const foliage1Geom = new THREE.ConeGeometry(2.5 + random(), 4 + random() * 1.5, 6);
         const foliage1 = new THREE.Mesh(foliage1Geom, foliageMat);
         foliage1.position.set(treeX, groundY + trunkHeight + 1.8, treeZ);
         scene.add(foliage1);
 
         // Top foliage layer
-        const foliage2Geom = new THREE.ConeGeometry(1.8 + Math.random() * 0.5, 3 + Math.random(), 6);
+        const foliage2Geom = new THREE.ConeGeometry(1.8 + random() * 0.5, 3 + random(), 6);
         const foliage2 = new THREE.Mesh(foliage2Geom, foliageMat);
-        foliage2.position.set(treeX, groundY + trunkHeight + 4.5 + Math.random() * 0.5, treeZ);
+        foliage2.position.set(treeX, groundY + trunkHeight + 4.5 + random() * 0.5, treeZ);
         scene.add(foliage2);
       }
     }
@@ -132,11 +133,11 @@ export function createSlopedAreaEdgeHills(scene) {
   createHill(138, 70, 16, 11, 16, 13);
 
   // === Far back edge hills (z = 85 ~ 100, behind forest) ===
-  for (let x = 50; x <= 140; x += 15 + Math.random() * 10) {
+  for (let x = 50; x <= 140; x += 15 + random() * 10) {
     const groundY = getGroundY(x);
-    const width = 8 + Math.random() * 6;
-    const height = 10 + Math.random() * 10;
-    createHill(x, 90 + Math.random() * 10, groundY, width, height, width * 1.2);
+    const width = 8 + random() * 6;
+    const height = 10 + random() * 10;
+    createHill(x, 90 + random() * 10, groundY, width, height, width * 1.2);
   }
 
   // === Side edge hills (transition from main residential to sloped area, x = 45 ~ 55) ===
@@ -150,10 +151,10 @@ export function createSlopedAreaEdgeHills(scene) {
   createHill(152, 85, 16, 14, 20, 16);
 
   // === Small rolling hills along the right edge of flat top area ===
-  for (let z = 30; z <= 75; z += 12 + Math.random() * 8) {
-    const width = 5 + Math.random() * 4;
-    const height = 6 + Math.random() * 6;
-    createHill(125 + Math.random() * 5, z, 16, width, height, width * 0.9);
+  for (let z = 30; z <= 75; z += 12 + random() * 8) {
+    const width = 5 + random() * 4;
+    const height = 6 + random() * 6;
+    createHill(125 + random() * 5, z, 16, width, height, width * 0.9);
   }
 }
 
@@ -291,8 +292,8 @@ export function createCurveWestForestAndMountains(scene) {
 
   // === Dense Forest Trees (between curve and mountains) ===
   // Area: x = -65 to -180, z = -95 to 5 (extended south to building boundary)
-  for (let x = -65; x > -180; x -= 4 + Math.random() * 3) {
-    for (let z = -95; z < 5; z += 4 + Math.random() * 3) {
+  for (let x = -65; x > -180; x -= 4 + random() * 3) {
+    for (let z = -95; z < 5; z += 4 + random() * 3) {
       // Skip area too close to south road (x = -60 to -50)
       if (x > -65 && x < -45 && z > -45 && z < -30) continue;
       // Skip area around building at x=-68, z=-80 (width 11, depth 9)
@@ -302,12 +303,12 @@ export function createCurveWestForestAndMountains(scene) {
       // Skip area around building at x=-35, z=-70
       if (x > -45 && x < -25 && z > -80 && z < -60) continue;
 
-      if (Math.random() > 0.12) {
-        const offsetX = (Math.random() - 0.5) * 3;
-        const offsetZ = (Math.random() - 0.5) * 3;
+      if (random() > 0.12) {
+        const offsetX = (random() - 0.5) * 3;
+        const offsetZ = (random() - 0.5) * 3;
 
         // Tree trunk
-        const trunkHeight = 3 + Math.random() * 2;
+        const trunkHeight = 3 + random() * 2;
         const trunkGeom = new THREE.CylinderGeometry(0.3, 0.5, trunkHeight, 6);
         const trunkMat = new THREE.MeshBasicMaterial({ color: 0x3d2817 });
         const trunk = new THREE.Mesh(trunkGeom, trunkMat);
@@ -315,19 +316,19 @@ export function createCurveWestForestAndMountains(scene) {
         scene.add(trunk);
 
         // Tree foliage
-        const foliageColor = treeColors[Math.floor(Math.random() * treeColors.length)];
+        const foliageColor = treeColors[Math.floor(random() * treeColors.length)];
         const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
 
         // Bottom foliage layer
-        const foliage1Geom = new THREE.ConeGeometry(2.5 + Math.random(), 4 + Math.random() * 2, 6);
+        const foliage1Geom = new THREE.ConeGeometry(2.5 + random(), 4 + random() * 2, 6);
         const foliage1 = new THREE.Mesh(foliage1Geom, foliageMat);
         foliage1.position.set(x + offsetX, groundY + trunkHeight + 2, z + offsetZ);
         scene.add(foliage1);
 
         // Top foliage layer
-        const foliage2Geom = new THREE.ConeGeometry(1.5 + Math.random(), 3 + Math.random(), 6);
+        const foliage2Geom = new THREE.ConeGeometry(1.5 + random(), 3 + random(), 6);
         const foliage2 = new THREE.Mesh(foliage2Geom, foliageMat);
-        foliage2.position.set(x + offsetX, groundY + trunkHeight + 4.5 + Math.random(), z + offsetZ);
+        foliage2.position.set(x + offsetX, groundY + trunkHeight + 4.5 + random(), z + offsetZ);
         scene.add(foliage2);
       }
     }
@@ -468,17 +469,17 @@ export function createHotelBackForestAndMountains(scene) {
   const treeColors = [0x1a3a2a, 0x2a4a3a, 0x1a4a2a, 0x2a3a2a, 0x1a5a3a];
 
   // 도로 양쪽에만 나무 배치 (z = -35 ~ -28, z = -12 ~ 10)
-  for (let x = 85; x < 130; x += 6 + Math.random() * 4) {
-    for (let z = -35; z < 10; z += 6 + Math.random() * 4) {
+  for (let x = 85; x < 130; x += 6 + random() * 4) {
+    for (let z = -35; z < 10; z += 6 + random() * 4) {
       // 도로 위는 스킵 (z = -28 to -12)
       if (z > -28 && z < -12) continue;
 
-      if (Math.random() > 0.3) { // 70%만 생성 (밀도 감소)
-        const offsetX = (Math.random() - 0.5) * 3;
-        const offsetZ = (Math.random() - 0.5) * 3;
+      if (random() > 0.3) { // 70%만 생성 (밀도 감소)
+        const offsetX = (random() - 0.5) * 3;
+        const offsetZ = (random() - 0.5) * 3;
 
         // Tree trunk
-        const trunkHeight = 3 + Math.random() * 2;
+        const trunkHeight = 3 + random() * 2;
         const trunkGeom = new THREE.CylinderGeometry(0.3, 0.5, trunkHeight, 6);
         const trunkMat = new THREE.MeshBasicMaterial({ color: 0x3d2817 });
         const trunk = new THREE.Mesh(trunkGeom, trunkMat);
@@ -486,19 +487,19 @@ export function createHotelBackForestAndMountains(scene) {
         scene.add(trunk);
 
         // Tree foliage
-        const foliageColor = treeColors[Math.floor(Math.random() * treeColors.length)];
+        const foliageColor = treeColors[Math.floor(random() * treeColors.length)];
         const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
 
         // Bottom foliage layer
-        const foliage1Geom = new THREE.ConeGeometry(3 + Math.random(), 5 + Math.random() * 2, 6);
+        const foliage1Geom = new THREE.ConeGeometry(3 + random(), 5 + random() * 2, 6);
         const foliage1 = new THREE.Mesh(foliage1Geom, foliageMat);
         foliage1.position.set(x + offsetX, groundY + trunkHeight + 2, z + offsetZ);
         scene.add(foliage1);
 
         // Top foliage layer
-        const foliage2Geom = new THREE.ConeGeometry(2 + Math.random(), 4 + Math.random(), 6);
+        const foliage2Geom = new THREE.ConeGeometry(2 + random(), 4 + random(), 6);
         const foliage2 = new THREE.Mesh(foliage2Geom, foliageMat);
-        foliage2.position.set(x + offsetX, groundY + trunkHeight + 5 + Math.random(), z + offsetZ);
+        foliage2.position.set(x + offsetX, groundY + trunkHeight + 5 + random(), z + offsetZ);
         scene.add(foliage2);
       }
     }
@@ -581,7 +582,7 @@ export function createHotelBackForestAndMountains(scene) {
 
   // Helper function to create a mountain
   function createMountain(x, z, width, height) {
-    const color = mountainColors[Math.floor(Math.random() * mountainColors.length)];
+    const color = mountainColors[Math.floor(random() * mountainColors.length)];
     const mountainMat = new THREE.MeshBasicMaterial({ color: color });
 
     const mountainGeom = new THREE.ConeGeometry(width / 2, height, 6);
@@ -17,6 +17,8 @@
 
 import * as THREE from 'three';
 import { colors } from './city-colors.js';
+import { random } from './city-random.js';
+import { registerPOI } from './city-poi.js';
 
 // Texture loader for pre-generated textures
 const textureLoader = new THREE.TextureLoader();
@@ -25,6 +27,10 @@ const textureLoader = new THREE.TextureLoader();
 const vendingFrontTexturePath = 'resource/img/signs/vending-front.png';
 const phoneFlyerTexturePath = 'resource/img/signs/phone-flyer.png';
 
+// Picking metadata (city-picking.js) - 자판기 문구와 전단지 모두 연락처 (generate-textures.js)
+const vendingMachinePickData = { kind: 'vending-machine', category: 'Contact', title: 'Vending Machine' };
+const phoneBoothPickData = { kind: 'phone-booth', category: 'Contact', title: 'Phone Booth' };
+
 // ════════════════════════════════════════════════════════════════════════════
 // Street Bench
 // ════════════════════════════════════════════════════════════════════════════
@@ -74,6 +80,9 @@ function createStreetBench(scene, x, z, groundY, rotation = 0) {
   group.position.set(x, groundY, z);
   group.rotation.y = rotation;
   scene.add(group);
+
+  // 보행자 앉는 자리 (2인)
+  registerPOI('bench', group, { slots: [[-0.45, 0.05], [0.45, 0.05]], approach: 0.9, seatY: 0.5 });
   return group;
 }
 
@@ -200,6 +209,9 @@ function createBusStop(scene, x, z, groundY, rotation = 0) {
   group.position.set(x, groundY, z);
   group.rotation.y = rotation;
   scene.add(group);
+
+  // 버스 기다리는 자리 (쉘터 안 벤치 3인)
+  registerPOI('bus-stop', group, { slots: [[-0.9, -0.6], [0, -0.6], [0.9, -0.6]], approach: 0.6, seatY: 0.54 });
   return group;
 }
 
@@ -315,12 +327,16 @@ function createVendingMachine(scene, x, z, groundY, rotation = 0, type = 'drink'
     frontPanel.renderOrder = 1;
     // Display window front is at z=0.355, place text just in front
     frontPanel.position.set(0, 1.45, 0.356);
+    frontPanel.userData.pickable = { ...vendingMachinePickData };
     group.add(frontPanel);
   }
 
   group.position.set(x, groundY, z);
   group.rotation.y = rotation;
   scene.add(group);
+
+  // 자판기 앞에 서서 구매
+  registerPOI('vending-machine', group, { slots: [[0, 1.0]], approach: 1.0 });
   return group;
 }
 
@@ -401,6 +417,7 @@ function createPhoneBooth(scene, x, z, groundY, rotation = 0, skipText = false)
     const flyer = new THREE.Mesh(flyerGeom, flyerMat);
     // Phone is at y=1.3, z=-0.35, place flyer above it
     flyer.position.set(0, 1.65, -0.34);
+    flyer.userData.pickable = { ...phoneBoothPickData };
     group.add(flyer);
   }
 
@@ -437,17 +454,17 @@ function createPlanter(scene, x, z, groundY) {
   // Plants (small bushes)
   const plantColors = [0x2a5a2a, 0x3a6a3a, 0x2a6a2a];
   for (let i = 0; i < 5; i++) {
-    const plantGeom = new THREE.SphereGeometry(0.2 + Math.random() * 0.15, 6, 5);
+    const plantGeom = new THREE.SphereGeometry(0.2 + random() * 0.15, 6, 5);
     const plantMat = new THREE.MeshBasicMaterial({
-      color: plantColors[Math.floor(Math.random() * plantColors.length)]
+      color: plantColors[Math.floor(random() * plantColors.length)]
     });
     const plant = new THREE.Mesh(plantGeom, plantMat);
     plant.position.set(
-      (Math.random() - 0.5) * 0.7,
-      0.55 + Math.random() * 0.2,
-      (Math.random() - 0.5) * 0.7
+      (random() - 0.5) * 0.7,
+      0.55 + random() * 0.2,
+      (random() - 0.5) * 0.7
     );
-    plant.scale.y = 0.8 + Math.random() * 0.4;
+    plant.scale.y = 0.8 + random() * 0.4;
     group.add(plant);
   }
 
@@ -456,13 +473,13 @@ function createPlanter(scene, x, z, groundY) {
   for (let i = 0; i < 8; i++) {
     const flowerGeom = new THREE.SphereGeometry(0.05, 4, 4);
     const flowerMat = new THREE.MeshBasicMaterial({
-      color: flowerColors[Math.floor(Math.random() * flowerColors.length)]
+      color: flowerColors[Math.floor(random() * flowerColors.length)]
     });
     const flower = new THREE.Mesh(flowerGeom, flowerMat);
     flower.position.set(
-      (Math.random() - 0.5) * 0.8,
-      0.7 + Math.random() * 0.3,
-      (Math.random() - 0.5) * 0.8
+      (random() - 0.5) * 0.8,
+      0.7 + random() * 0.3,
+      (random() - 0.5) * 0.8
     );
     group.add(flower);
   }
@@ -773,6 +790,7 @@ function addVendingMachineText(scene, x, z, groundY, rotation) {
 
   frontPanel.position.set(worldX, groundY + localY, worldZ);
   frontPanel.rotation.y = rotation;
+  frontPanel.userData.pickable = { ...vendingMachinePickData };
   scene.add(frontPanel);
 }
 
@@ -799,6 +817,7 @@ function addPhoneBoothFlyer(scene, x, z, groundY, rotation) {
 
   flyer.position.set(worldX, groundY + localY, worldZ);
   flyer.rotation.y = rotation;
+  flyer.userData.pickable = { ...phoneBoothPickData };
   scene.add(flyer);
 }
 
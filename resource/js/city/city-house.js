@@ -7,6 +7,7 @@
 
 import * as THREE from 'three';
 import { colors, randomColor } from './city-colors.js';
+import { random } from './city-random.js';
 
 // ============================================
 // House Styles
@@ -35,17 +36,17 @@ export function createHouse(scene, x, z, groundY, config = {}) {
 
   // Randomly select house style
   const styleOptions = Object.values(houseStyles);
-  const houseStyle = config.style || styleOptions[Math.floor(Math.random() * styleOptions.length)];
+  const houseStyle = config.style || styleOptions[Math.floor(random() * styleOptions.length)];
 
   // Decide if house has yard (2/3 have yard, 1/3 no yard)
-  const hasYard = config.hasYard !== undefined ? config.hasYard : Math.random() > 0.33;
+  const hasYard = config.hasYard !== undefined ? config.hasYard : random() > 0.33;
 
   // Decide if house has roof (2/3 have roof, 1/3 flat roof)
-  const hasRoof = config.hasRoof !== undefined ? config.hasRoof : Math.random() > 0.33;
+  const hasRoof = config.hasRoof !== undefined ? config.hasRoof : random() > 0.33;
 
   // Wall (hollow box) - darker colors matching building/roof tones (only if has yard)
   const wallColors = [0x2a2535, 0x252030, 0x2d2838, 0x28232d, 0x302a3a, 0x232028];
-  const wallColor = wallColors[Math.floor(Math.random() * wallColors.length)];
+  const wallColor = wallColors[Math.floor(random() * wallColors.length)];
   const wallMat = new THREE.MeshBasicMaterial({ color: wallColor });
 
   // Yard walls and gate (only if has yard)
@@ -108,7 +109,7 @@ export function createHouse(scene, x, z, groundY, config = {}) {
   const buildingWidth = hasYard ? wallWidth * 0.7 : wallWidth * 0.95;
   const buildingDepth = hasYard ? wallDepth * 0.5 : wallDepth * 0.9;
   const isTwoStory = houseStyle === houseStyles.TWO_STORY;
-  const buildingHeight = isTwoStory ? 5 + Math.random() * 1 : 3 + Math.random() * 1.5;
+  const buildingHeight = isTwoStory ? 5 + random() * 1 : 3 + random() * 1.5;
   const buildingColor = randomColor(colors.building);
 
   const buildingGeom = new THREE.BoxGeometry(buildingWidth, buildingHeight, buildingDepth);
@@ -123,11 +124,11 @@ export function createHouse(scene, x, z, groundY, config = {}) {
   if (hasRoof) {
     // Roof colors
     const roofColors = [0x1a1210, 0x151010, 0x1c1412, 0x18120e, 0x140f0c, 0x1e1614];
-    const roofColor = roofColors[Math.floor(Math.random() * roofColors.length)];
+    const roofColor = roofColors[Math.floor(random() * roofColors.length)];
     const roofMat = new THREE.MeshBasicMaterial({ color: roofColor });
 
     // Create proper gable roof (two sloped rectangles meeting at ridge)
-    const roofHeight = 1.2 + Math.random() * 0.5;
+    const roofHeight = 1.2 + random() * 0.5;
     const roofOverhang = 0.3;
     const roofThickness = 0.15;
 
@@ -186,12 +187,12 @@ export function createHouse(scene, x, z, groundY, config = {}) {
   }
 
   // Add balcony for two-story houses
-  if (isTwoStory && Math.random() > 0.4) {
+  if (isTwoStory && random() > 0.4) {
     const balconyWidth = 1.5;
     const balconyGeom = new THREE.BoxGeometry(balconyWidth, 0.1, 0.8);
     const balconyMat = new THREE.MeshBasicMaterial({ color: 0x404550 });
     const balcony = new THREE.Mesh(balconyGeom, balconyMat);
-    balcony.position.set(Math.random() > 0.5 ? -buildingWidth/3 : buildingWidth/3, buildingHeight * 0.55, buildingZ - buildingDepth/2 - 0.4);
+    balcony.position.set(random() > 0.5 ? -buildingWidth/3 : buildingWidth/3, buildingHeight * 0.55, buildingZ - buildingDepth/2 - 0.4);
     group.add(balcony);
 
     // Balcony railing
@@ -0,0 +1,245 @@
+/**
+ * city-input-settings.js
+ * Hong Kong Citypop Night City - Controls Settings Panel
+ *
+ * - 액션별 바인딩 목록 (× 제거, + 추가 → 다음 키/패드 버튼/스틱 입력 캡처)
+ * - 장치별 deadzone / sensitivity / invert Y
+ * - Reset: 기본 바인딩으로 복원
+ *
+ * Walking Mode의 "Controls" 버튼, 또는 브라우저 콘솔에서 toggleInputSettings()
+ */
+
+import {
+  ACTIONS,
+  DEVICES,
+  getBindings,
+  addBinding,
+  removeBinding,
+  getDeviceSettings,
+  setDeviceSetting,
+  resetBindings,
+  formatBinding,
+  captureBinding,
+  cancelCapture
+} from './city-input.js';
+
+// Slider ranges per setting
+const SETTING_RANGES = {
+  deadzone: { min: 0, max: 0.5, step: 0.01 },
+  sensitivity: { min: 0.2, max: 3, step: 0.1 }
+};
+
+/**
+ * Create the controls settings panel
+ * @returns {Object} Panel API ({ open, close, toggle, isOpen })
+ */
+export function createInputSettings() {
+  let open = false;
+  let capturingAction = null;
+
+  // ============================================
+  // Overlay DOM
+  // ============================================
+  const panel = document.createElement('div');
+  panel.id = 'input-settings';
+  panel.innerHTML = `
+    <style>
+      #input-settings {
+        display: none;
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        width: min(460px, calc(100vw - 20px));
+        max-height: calc(100vh - 40px);
+        overflow-y: auto;
+        padding: 12px;
+        background: rgba(10, 10, 21, 0.92);
+        border: 1px solid rgba(255, 102, 170, 0.6);
+        color: #fff;
+        font: 12px/1.4 monospace;
+        z-index: 2000;
+      }
+      #input-settings.visible { display: block; }
+      #input-settings h3 { margin: 8px 0 4px; font-size: 13px; color: #ff66aa; }
+      #input-settings button,
+      #input-settings input {
+        font: inherit;
+        color: #fff;
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        padding: 1px 4px;
+        cursor: pointer;
+      }
+      #input-settings .is-row { display: flex; gap: 6px; align-items: flex-start; padding: 2px 0; }
+      #input-settings .is-label { width: 110px; flex-shrink: 0; }
+      #input-settings .is-bindings { display: flex; flex-wrap: wrap; gap: 3px; }
+      #input-settings .is-chip { background: rgba(80, 208, 224, 0.2); border-color: rgba(80, 208, 224, 0.6); }
+      #input-settings .is-add.capturing { background: rgba(255, 102, 170, 0.5); }
+      #input-settings .is-setting { display: flex; gap: 6px; align-items: center; }
+      #input-settings .is-setting input[type="range"] { width: 120px; }
+      #input-settings .is-footer { display: flex; justify-content: space-between; margin-top: 10px; }
+    </style>
+    <h3>Bindings</h3>
+    <div class="is-actions"></div>
+    <h3>Devices</h3>
+    <div class="is-devices"></div>
+    <div class="is-footer">
+      <button data-action="reset">Reset to defaults</button>
+      <button data-action="close">Close</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const actionList = panel.querySelector('.is-actions');
+  const deviceList = panel.querySelector('.is-devices');
+
+  // 패널 조작이 Walking Mode 입력/단축키로 전달되지 않도록 차단
+  panel.addEventListener('keydown', (e) => e.stopPropagation());
+  panel.addEventListener('keyup', (e) => e.stopPropagation());
+
+  // ============================================
+  // Rendering
+  // ============================================
+
+  function renderActions() {
+    actionList.innerHTML = '';
+    ACTIONS.forEach(({ id, label }) => {
+      const row = document.createElement('div');
+      row.className = 'is-row';
+
+      const name = document.createElement('span');
+      name.className = 'is-label';
+      name.textContent = label;
+      row.appendChild(name);
+
+      const chips = document.createElement('span');
+      chips.className = 'is-bindings';
+      getBindings(id).forEach(binding => {
+        const chip = document.createElement('button');
+        chip.className = 'is-chip';
+        chip.title = 'Remove';
+        chip.textContent = `${formatBinding(binding)} ×`;
+        chip.addEventListener('click', () => {
+          removeBinding(id, binding);
+          renderActions();
+        });
+        chips.appendChild(chip);
+      });
+
+      const add = document.createElement('button');
+      add.className = 'is-add';
+      const capturing = capturingAction === id;
+      add.classList.toggle('capturing', capturing);
+      add.textContent = capturing ? 'Press key / button… (Esc)' : '+';
+      add.addEventListener('click', () => startCapture(id));
+      chips.appendChild(add);
+
+      row.appendChild(chips);
+      actionList.appendChild(row);
+    });
+  }
+
+  function renderDevices() {
+    deviceList.innerHTML = '';
+    DEVICES.forEach(device => {
+      const settings = getDeviceSettings(device);
+      const row = document.createElement('div');
+      row.className = 'is-row';
+
+      const name = document.createElement('span');
+      name.className = 'is-label';
+      name.textContent = device;
+      row.appendChild(name);
+
+      const controls = document.createElement('span');
+      Object.keys(settings).forEach(setting => {
+        const wrap = document.createElement('label');
+        wrap.className = 'is-setting';
+        const input = document.createElement('input');
+
+        if (typeof settings[setting] === 'boolean') {
+          input.type = 'checkbox';
+          input.checked = settings[setting];
+          input.addEventListener('change', () => setDeviceSetting(device, setting, input.checked));
+          wrap.append(input, 'Invert Y');
+        } else {
+          const range = SETTING_RANGES[setting];
+          const value = document.createElement('span');
+          input.type = 'range';
+          input.min = range.min;
+          input.max = range.max;
+          input.step = range.step;
+          input.value = settings[setting];
+          value.textContent = Number(settings[setting]).toFixed(2);
+          input.addEventListener('input', () => {
+            value.textContent = Number(input.value).toFixed(2);
+          });
+          input.addEventListener('change', () => setDeviceSetting(device, setting, parseFloat(input.value)));
+          wrap.append(setting, input, value);
+        }
+        controls.appendChild(wrap);
+      });
+
+      row.appendChild(controls);
+      deviceList.appendChild(row);
+    });
+  }
+
+  function render() {
+    renderActions();
+    renderDevices();
+  }
+
+  // ============================================
+  // Rebinding
+  // ============================================
+
+  function startCapture(id) {
+    capturingAction = id;
+    renderActions();
+    captureBinding((binding) => {
+      if (binding) addBinding(id, binding);
+      capturingAction = null;
+      renderActions();
+    });
+  }
+
+  panel.addEventListener('click', (e) => {
+    const action = e.target.dataset && e.target.dataset.action;
+    if (action === 'reset') {
+      cancelCapture();
+      resetBindings();
+      render();
+    } else if (action === 'close') {
+      closePanel();
+    }
+  });
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  function openPanel() {
+    if (open) return;
+    open = true;
+    render();
+    panel.classList.add('visible');
+    // 패널 조작을 위해 pointer lock 해제
+    if (document.pointerLockElement) document.exitPointerLock();
+  }
+
+  function closePanel() {
+    if (!open) return;
+    open = false;
+    cancelCapture();
+    panel.classList.remove('visible');
+  }
+
+  return {
+    open: openPanel,
+    close: closePanel,
+    toggle: () => (open ? closePanel() : openPanel()),
+    isOpen: () => open
+  };
+}
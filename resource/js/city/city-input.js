@@ -0,0 +1,486 @@
+/**
+ * city-input.js
+ * Hong Kong Citypop Night City - Input Mapping
+ *
+ * Raw devices (keyboard, gamepad, touch joysticks) → abstract actions
+ * - Axes: move (+forward), strafe (+right), turn (+left), look (+up)
+ * - Buttons: run, jump, crouch, interact
+ *
+ * Binding strings (localStorage에 저장, 설정 패널에서 재지정):
+ * - key:<KeyboardEvent.code>     e.g. key:KeyW, key:ArrowLeft
+ * - pad:b<index>                 gamepad button (standard mapping)
+ * - pad:a<index>+ / pad:a<index>- gamepad axis direction
+ * - touch:<l|r><x|y><+|->        virtual joystick direction
+ */
+
+// localStorage key
+const STORAGE_KEY = 'tarucy.inputBindings';
+
+/**
+ * Bindable actions (axis actions come in +/- pairs)
+ */
+export const ACTIONS = [
+  { id: 'moveForward', label: 'Move Forward', axis: 'move', sign: 1 },
+  { id: 'moveBackward', label: 'Move Backward', axis: 'move', sign: -1 },
+  { id: 'strafeLeft', label: 'Strafe Left', axis: 'strafe', sign: -1 },
+  { id: 'strafeRight', label: 'Strafe Right', axis: 'strafe', sign: 1 },
+  { id: 'turnLeft', label: 'Turn Left', axis: 'turn', sign: 1 },
+  { id: 'turnRight', label: 'Turn Right', axis: 'turn', sign: -1 },
+  { id: 'lookUp', label: 'Look Up', axis: 'look', sign: 1 },
+  { id: 'lookDown', label: 'Look Down', axis: 'look', sign: -1 },
+  { id: 'run', label: 'Run' },
+  { id: 'jump', label: 'Jump' },
+  { id: 'crouch', label: 'Crouch' },
+  { id: 'interact', label: 'Interact' }
+];
+
+const DEFAULT_BINDINGS = {
+  moveForward: ['key:KeyW', 'pad:a1-', 'pad:b12', 'touch:ly-'],
+  moveBackward: ['key:KeyS', 'pad:a1+', 'pad:b13', 'touch:ly+'],
+  strafeLeft: ['key:KeyQ', 'pad:b14'],
+  strafeRight: ['key:KeyE', 'pad:b15'],
+  turnLeft: ['key:KeyA', 'key:ArrowLeft', 'pad:a0-', 'pad:a2-', 'touch:lx-', 'touch:rx-'],
+  turnRight: ['key:KeyD', 'key:ArrowRight', 'pad:a0+', 'pad:a2+', 'touch:lx+', 'touch:rx+'],
+  lookUp: ['key:ArrowUp', 'pad:a3-', 'touch:ry-'],
+  lookDown: ['key:ArrowDown', 'pad:a3+', 'touch:ry+'],
+  run: ['key:ShiftLeft', 'key:ShiftRight', 'pad:b10'],
+  jump: ['key:Space', 'pad:b0'],
+  crouch: ['key:KeyC', 'pad:b1'],
+  interact: ['key:KeyF', 'pad:b2']
+};
+
+/**
+ * Per-device settings
+ * - deadzone: 아날로그 입력 무시 구간 (0-1, 나머지 구간은 0-1로 재매핑)
+ * - sensitivity: turn/look 배율
+ * - invertY: look 축 반전
+ */
+const DEFAULT_DEVICE_SETTINGS = {
+  keyboard: { sensitivity: 1 },
+  mouse: { sensitivity: 1, invertY: false },
+  gamepad: { deadzone: 0.15, sensitivity: 1, invertY: false },
+  touch: { deadzone: 0.2, sensitivity: 1, invertY: false }
+};
+
+export const DEVICES = Object.keys(DEFAULT_DEVICE_SETTINGS);
+
+// Standard gamepad button names
+const PAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D↑', 'D↓', 'D←', 'D→', 'Home'];
+const PAD_AXIS_NAMES = [['LS ←', 'LS →'], ['LS ↑', 'LS ↓'], ['RS ←', 'RS →'], ['RS ↑', 'RS ↓']];
+const KEY_NAMES = {
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift',
+  ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl',
+  AltLeft: 'L-Alt', AltRight: 'R-Alt'
+};
+
+// Module state
+let bindings = {};
+let deviceSettings = {};
+let isActive = () => true;
+let keyboardTurnAsStrafe = false;
+
+const pressedKeys = new Set();
+const touchSticks = { l: { x: 0, y: 0 }, r: { x: 0, y: 0 } };
+let prevPadButtons = [];
+// 버튼형 액션 눌림 (consumePress로 1회 소비)
+const pressEdges = new Set();
+
+// Rebinding capture callback (null = 일반 입력)
+let captureCallback = null;
+let captureFrameId = null;
+
+const changeListeners = new Set();
+
+// ============================================
+// Persistence
+// ============================================
+
+function cloneDefaults() {
+  return {
+    bindings: JSON.parse(JSON.stringify(DEFAULT_BINDINGS)),
+    devices: JSON.parse(JSON.stringify(DEFAULT_DEVICE_SETTINGS))
+  };
+}
+
+function loadSettings() {
+  const defaults = cloneDefaults();
+  bindings = defaults.bindings;
+  deviceSettings = defaults.devices;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return;
+    // 알려진 액션/장치만 병합 (버전이 바뀌어도 기본값 유지)
+    ACTIONS.forEach(({ id }) => {
+      if (Array.isArray(saved.bindings?.[id])) {
+        bindings[id] = saved.bindings[id].filter(b => typeof b === 'string');
+      }
+    });
+    DEVICES.forEach(device => {
+      Object.assign(deviceSettings[device], saved.devices?.[device]);
+    });
+  } catch (e) {
+    console.warn('Invalid saved input bindings, using defaults:', e);
+  }
+}
+
+function saveSettings() {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ bindings, devices: deviceSettings }));
+  changeListeners.forEach(listener => listener());
+}
+
+// ============================================
+// Raw device reading
+// ============================================
+
+/**
+ * Apply deadzone and remap the rest to 0-1
+ */
+function applyDeadzone(value, deadzone) {
+  const abs = Math.abs(value);
+  if (abs <= deadzone) return 0;
+  return Math.sign(value) * Math.min(1, (abs - deadzone) / (1 - deadzone));
+}
+
+/**
+ * First connected gamepad (or null)
+ */
+function getGamepad() {
+  if (!navigator.getGamepads) return null;
+  const pads = navigator.getGamepads();
+  for (let i = 0; i < pads.length; i++) {
+    if (pads[i] && pads[i].connected) return pads[i];
+  }
+  return null;
+}
+
+/**
+ * Read a single binding
+ * @returns {{device: string, value: number}|null} value 0-1
+ */
+function readBinding(binding, pad) {
+  const [device, code] = binding.split(':');
+
+  if (device === 'key') {
+    return { device: 'keyboard', value: pressedKeys.has(code) ? 1 : 0 };
+  }
+
+  if (device === 'pad') {
+    if (!pad) return null;
+    if (code[0] === 'b') {
+      const button = pad.buttons[parseInt(code.slice(1), 10)];
+      return { device: 'gamepad', value: button ? button.value || (button.pressed ? 1 : 0) : 0 };
+    }
+    const raw = pad.axes[parseInt(code.slice(1), 10)] || 0;
+    const value = applyDeadzone(raw, deviceSettings.gamepad.deadzone) * (code.endsWith('-') ? -1 : 1);
+    return { device: 'gamepad', value: Math.max(0, value) };
+  }
+
+  if (device === 'touch') {
+    const stick = touchSticks[code[0]];
+    if (!stick) return null;
+    const raw = code[1] === 'x' ? stick.x : stick.y;
+    const value = applyDeadzone(raw, deviceSettings.touch.deadzone) * (code.endsWith('-') ? -1 : 1);
+    return { device: 'touch', value: Math.max(0, value) };
+  }
+
+  return null;
+}
+
+/**
+ * Action value per device (max over its bindings)
+ * @returns {Object} { keyboard: 0-1, gamepad: 0-1, touch: 0-1 }
+ */
+function readAction(id, pad) {
+  const values = {};
+  (bindings[id] || []).forEach(binding => {
+    const result = readBinding(binding, pad);
+    if (!result) return;
+    values[result.device] = Math.max(values[result.device] || 0, result.value);
+  });
+  return values;
+}
+
+/**
+ * Track gamepad button press edges for button actions
+ */
+function updatePadEdges(pad) {
+  const buttons = pad ? pad.buttons.map(b => b.pressed) : [];
+  ACTIONS.forEach(({ id, axis }) => {
+    if (axis) return;
+    (bindings[id] || []).forEach(binding => {
+      const match = binding.match(/^pad:b(\d+)$/);
+      if (!match) return;
+      const index = parseInt(match[1], 10);
+      if (buttons[index] && !prevPadButtons[index]) pressEdges.add(id);
+    });
+  });
+  prevPadButtons = buttons;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Initialize input listeners
+ * @param {Object} options
+ * @param {function(): boolean} options.isActive - 입력을 받을지 여부 (e.g. Walking mode)
+ */
+export function initInput(options = {}) {
+  if (options.isActive) isActive = options.isActive;
+  loadSettings();
+
+  // Capture phase: 재지정 중에는 다른 단축키(M 등)로 전달하지 않음
+  window.addEventListener('keydown', (e) => {
+    if (captureCallback) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code === 'Escape') {
+        finishCapture(null);
+      } else {
+        finishCapture(`key:${e.code}`);
+      }
+      return;
+    }
+
+    // 텍스트 입력 중 (투어 편집기 등)에는 무시
+    if (!isActive() || e.target.closest?.('input, select, textarea')) return;
+    const binding = `key:${e.code}`;
+    const bound = ACTIONS.filter(({ id }) => bindings[id]?.includes(binding));
+    if (bound.length === 0) return;
+
+    pressedKeys.add(e.code);
+    e.preventDefault(); // 화살표 스크롤 방지
+    if (!e.repeat) bound.forEach(({ id, axis }) => { if (!axis) pressEdges.add(id); });
+  }, true);
+
+  window.addEventListener('keyup', (e) => {
+    pressedKeys.delete(e.code);
+  });
+
+  // 창 포커스를 잃으면 keyup이 오지 않으므로 전체 해제
+  window.addEventListener('blur', resetInput);
+
+  window.addEventListener('gamepadconnected', (e) => {
+    console.log('Gamepad connected:', e.gamepad.id);
+  });
+  window.addEventListener('gamepaddisconnected', (e) => {
+    console.log('Gamepad disconnected:', e.gamepad.id);
+  });
+}
+
+/**
+ * Release every held key/stick (mode change 등)
+ */
+export function resetInput() {
+  pressedKeys.clear();
+  pressEdges.clear();
+  touchSticks.l.x = touchSticks.l.y = 0;
+  touchSticks.r.x = touchSticks.r.y = 0;
+}
+
+/**
+ * Set raw virtual joystick values (deadzone는 여기서 적용)
+ * @param {'l'|'r'} stick - Left or right joystick
+ * @param {number} x - -1 (left) to 1 (right)
+ * @param {number} y - -1 (up) to 1 (down)
+ */
+export function setTouchStick(stick, x, y) {
+  touchSticks[stick].x = x;
+  touchSticks[stick].y = y;
+}
+
+/**
+ * Mouse look 조작 방식: 키보드 turn 바인딩을 strafe로 사용 (회전은 마우스)
+ * @param {boolean} value
+ */
+export function setKeyboardTurnAsStrafe(value) {
+  keyboardTurnAsStrafe = value;
+}
+
+/**
+ * Poll devices and return the current abstract input
+ * 장치별로 축 값을 계산한 뒤 절댓값이 가장 큰 장치를 사용
+ * @returns {{move: number, strafe: number, turn: number, look: number, run: boolean, jump: boolean, crouch: boolean, interact: boolean}}
+ */
+export function getInputState() {
+  const state = { move: 0, strafe: 0, turn: 0, look: 0, run: false, jump: false, crouch: false, interact: false };
+  if (!isActive()) return state;
+
+  const pad = getGamepad();
+  updatePadEdges(pad);
+
+  // axis → device → value
+  const axes = { move: {}, strafe: {}, turn: {}, look: {} };
+  ACTIONS.forEach(({ id, axis, sign }) => {
+    const values = readAction(id, pad);
+    if (!axis) {
+      state[id] = Object.values(values).some(v => v > 0.5);
+      return;
+    }
+    Object.entries(values).forEach(([device, value]) => {
+      axes[axis][device] = (axes[axis][device] || 0) + value * sign;
+    });
+  });
+
+  if (keyboardTurnAsStrafe && axes.turn.keyboard) {
+    axes.strafe.keyboard = (axes.strafe.keyboard || 0) - axes.turn.keyboard;
+    axes.turn.keyboard = 0;
+  }
+
+  Object.entries(axes).forEach(([axis, byDevice]) => {
+    Object.entries(byDevice).forEach(([device, raw]) => {
+      const settings = deviceSettings[device];
+      let value = Math.max(-1, Math.min(1, raw));
+      if (axis === 'turn' || axis === 'look') value *= settings.sensitivity;
+      if (axis === 'look' && settings.invertY) value = -value;
+      if (Math.abs(value) > Math.abs(state[axis])) state[axis] = value;
+    });
+  });
+
+  return state;
+}
+
+/**
+ * Consume a button action press (true once per press)
+ * @param {string} id - Action id (e.g. 'interact')
+ */
+export function consumePress(id) {
+  return pressEdges.delete(id);
+}
+
+// ============================================
+// Bindings & settings
+// ============================================
+
+export function getBindings(id) {
+  return [...(bindings[id] || [])];
+}
+
+export function addBinding(id, binding) {
+  if (!bindings[id] || bindings[id].includes(binding)) return;
+  bindings[id].push(binding);
+  saveSettings();
+}
+
+export function removeBinding(id, binding) {
+  if (!bindings[id]) return;
+  bindings[id] = bindings[id].filter(b => b !== binding);
+  saveSettings();
+}
+
+/**
+ * @param {string} device - 'keyboard' | 'mouse' | 'gamepad' | 'touch'
+ * @returns {Object} Live settings object (수정 후 setDeviceSetting 사용)
+ */
+export function getDeviceSettings(device) {
+  return deviceSettings[device];
+}
+
+export function setDeviceSetting(device, name, value) {
+  if (!deviceSettings[device] || !(name in deviceSettings[device])) return;
+  deviceSettings[device][name] = value;
+  saveSettings();
+}
+
+export function resetBindings() {
+  const defaults = cloneDefaults();
+  bindings = defaults.bindings;
+  deviceSettings = defaults.devices;
+  saveSettings();
+}
+
+/**
+ * Subscribe to binding/settings changes (hints 갱신 등)
+ * @param {function(): void} listener
+ */
+export function onInputSettingsChange(listener) {
+  changeListeners.add(listener);
+}
+
+/**
+ * Human-readable binding name
+ * @param {string} binding - e.g. 'key:KeyW', 'pad:a1-'
+ */
+export function formatBinding(binding) {
+  const [device, code] = binding.split(':');
+  if (device === 'key') {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    return code.replace(/^(Key|Digit|Numpad)/, '');
+  }
+  if (device === 'pad') {
+    const index = parseInt(code.slice(1), 10);
+    if (code[0] === 'b') return `Pad ${PAD_BUTTON_NAMES[index] || `B${index}`}`;
+    const names = PAD_AXIS_NAMES[index];
+    const negative = code.endsWith('-');
+    return `Pad ${names ? names[negative ? 0 : 1] : `Axis${index}${negative ? '-' : '+'}`}`;
+  }
+  if (device === 'touch') {
+    const arrows = { 'x-': '←', 'x+': '→', 'y-': '↑', 'y+': '↓' };
+    return `${code[0] === 'l' ? 'Left' : 'Right'} Stick ${arrows[code.slice(1)]}`;
+  }
+  return binding;
+}
+
+/**
+ * Keyboard keys bound to an action, joined for hints (e.g. 'A/←')
+ */
+export function getKeyLabel(id) {
+  return (bindings[id] || [])
+    .filter(b => b.startsWith('key:'))
+    .map(formatBinding)
+    .join('/') || '-';
+}
+
+// ============================================
+// Rebinding capture
+// ============================================
+
+function finishCapture(binding) {
+  const callback = captureCallback;
+  captureCallback = null;
+  if (captureFrameId !== null) {
+    cancelAnimationFrame(captureFrameId);
+    captureFrameId = null;
+  }
+  callback(binding);
+}
+
+/**
+ * Wait for the next key, gamepad button or gamepad axis (> 0.5)
+ * Esc cancels (callback receives null)
+ * @param {function(string|null): void} callback
+ */
+export function captureBinding(callback) {
+  if (captureCallback) finishCapture(null);
+  captureCallback = callback;
+
+  // 현재 눌려 있는 버튼/축은 무시 (떼었다 다시 눌러야 인식)
+  const initialPad = getGamepad();
+  const heldButtons = initialPad ? initialPad.buttons.map(b => b.pressed) : [];
+  const heldAxes = initialPad ? initialPad.axes.map(a => Math.abs(a) > 0.5) : [];
+
+  const poll = () => {
+    if (!captureCallback) return;
+    const pad = getGamepad();
+    if (pad) {
+      for (let i = 0; i < pad.buttons.length; i++) {
+        if (pad.buttons[i].pressed && !heldButtons[i]) return finishCapture(`pad:b${i}`);
+        if (!pad.buttons[i].pressed) heldButtons[i] = false;
+      }
+      for (let i = 0; i < pad.axes.length; i++) {
+        const value = pad.axes[i];
+        if (Math.abs(value) > 0.5 && !heldAxes[i]) return finishCapture(`pad:a${i}${value < 0 ? '-' : '+'}`);
+        if (Math.abs(value) <= 0.5) heldAxes[i] = false;
+      }
+    }
+    captureFrameId = requestAnimationFrame(poll);
+  };
+  captureFrameId = requestAnimationFrame(poll);
+}
+
+export function cancelCapture() {
+  if (captureCallback) finishCapture(null);
+}
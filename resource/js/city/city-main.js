@@ -2,11 +2,47 @@
  * city-main.js
  * Hong Kong Citypop Night City - Main Entry Point
  *
- * Camera Controls:
+ * Camera Controls (default bindings, rebindable via Controls panel / city-input.js):
  * - W/S: Move forward/backward (restricted to walkable zones)
  * - A/D, Arrow Left/Right: Rotate left/right
+ * - Q/E: Strafe left/right
+ * - Shift: Run
+ * - Space: Jump, C: Crouch (hold)
  * - Arrow Up/Down: Look up/down (pitch)
+ * - F: Interact (화면 중앙 간판/자판기 상세 패널)
+ * - Mouse Look (설정 토글): 클릭 → pointer lock, 마우스 = yaw/pitch, A/D = strafe
+ * - Gamepad: sticks = move/turn/look, D-pad = move/strafe, L3 = run, A = jump, B = crouch, X = interact
  * - Mobile: Dual analog joysticks (left=move/rotate, right=look/rotate)
+ *
+ * URL Parameters:
+ * - ?seed=<string>: City seed for dynamic generation (same seed = same generated city). A non-default seed
+ *   generates the city dynamically instead of loading city.glb. Without ?seed= the page still loads city.glb,
+ *   which was baked with Math.random() before seeding: the default city is NOT reproducible from DEFAULT_SEED
+ *   until city.glb is re-baked with exportSceneToGLB(DEFAULT_SEED)
+ * - ?tour=<name>: Scroll tour (resource/tours/<name>.json, default: full)
+ * - ?editor=1: Open the scroll tour editor (also toggleTourEditor() in console)
+ * - ?signals=<mode>: Crosswalk signal mode (timed | reactive, also setSignalMode() in console)
+ * - ?fx=<quality>: Post-processing (off | low | medium | high, iOS max low, also setPostFXQuality() in console)
+ * - ?quality=<tier>: Render quality (low | medium | high | ultra fixed, auto = adapt to frame time (default),
+ *   also setQualityTier() / toggleQualityHUD() in console). ?fx= overrides the tier's post-processing
+ * - ?time=<source>: Time of day (<hour> | dusk | night | lateNight | dawn fixed (default night), clock, local,
+ *   also setTimeOfDay() in console). Tour keyframes with "time" override it while scrolling
+ * - ?rain=<0-1>: Rain intensity (on | off, ?rain alone = on; also setRain() / toggleRain() in console)
+ * - ?viz=<preset>: Window equalizer mapping (classic | buildings | skyline | ripple | follow, also setVisualizerPreset() in console)
+ * - ?vizpanel=1: Open the equalizer mapping panel (also toggleVisualizerPanel() in console)
+ * - ?perf=1: Open the performance HUD (also togglePerfHUD(), recordPerfTrace(), exportPerfTrace() in console)
+ *
+ * URL Hash (deep links, updated while scrolling/walking):
+ * - #<section> or #<keyframe index>: Scroll tour position
+ * - #walk=x,y,z,yaw,pitch: Walking Mode pose
+ *
+ * Music:
+ * - resource/sound/playlist.json: tracks with per-track band stats (analyze-audio.js), crossfade between tracks
+ * - The mp3 files are deployed with the site, not committed: put them in resource/sound/ and run
+ *   node analyze-audio.js resource/sound/<track>.mp3 to write the <track>.stats.json listed in the playlist
+ * - Beat timestamps in the stats pulse lit windows (beatBoost in the ripple/follow presets)
+ * - node analyze-audio.js --help: analyse files/directories, write stats JSON (and --playlist)
+ * - Previous/next buttons after Explore (also previousTrack() / nextTrack() in console)
  */
 
 import * as THREE from 'three';
@@ -15,11 +51,66 @@ import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
 
+// Seeded random (deterministic dynamic generation, city.glb is a separate bake)
+import { DEFAULT_SEED, setSeed, getSeed, getSeedFromURL, reseed } from './city-random.js';
+
 // Scene, sky, camera, renderer
 import { createScene, createRenderer, createCamera, createLighting, handleResize } from './city-sky.js';
+import { initTimeOfDay, updateTimeOfDay, setTimeOfDay, getTimeOfDay, getTimeOfDayFromURL, getTimePhases, setTourTimeOverride, setFogFar } from './city-time-of-day.js';
+import { initWeather, updateWeather, setRainIntensity, toggleRain, getWeather, getRainFromURL } from './city-weather.js';
+import { initPostFX, renderPostFX, setPostFXQuality, getPostFXQuality, getPostFXQualities, getPostFXQualityFromURL, resizePostFX } from './city-postfx.js';
+
+// Adaptive quality (pixel ratio, population caps, window equalizer rate, fog, post-processing)
+import { createQualityManager, getQualityFromURL, qualityTiers } from './city-quality.js';
+
+// Performance HUD (frame time graph, renderer.info, session trace export)
+import { createPerfHUD } from './city-perf-hud.js';
 
 // Camera scroll animation
-import { scrollKeyframes, updateCameraFromScroll, getSectionFromScroll } from './city-camera.js';
+import {
+  scrollKeyframes,
+  updateCameraFromScroll,
+  getSectionFromScroll,
+  getTimeFromScroll,
+  getWeightedProgress,
+  getKeyframeProgress,
+  loadTour,
+  setActiveTour,
+  getTourFromURL,
+  DEFAULT_TOUR
+} from './city-camera.js';
+
+// Content neon signs (section highlighting)
+import { createAllContent, updateContent, setContentNeonLevel } from './city-content.js';
+
+// Raycast picking & detail panel
+import { initPicking, updatePicking, interactAtCenter } from './city-picking.js';
+
+// Walking Mode minimap
+import { createMinimap } from './city-minimap.js';
+
+// URL hash deep links (#contact, #12, #walk=x,y,z,yaw,pitch)
+import { parseCameraHash, formatKeyframeHash, formatWalkHash, createHashUpdater } from './city-deeplink.js';
+
+// Scroll tour authoring overlay (dev)
+import { createTourEditor } from './city-tour-editor.js';
+
+// Input mapping (keyboard, gamepad, touch → actions) and rebinding panel
+import {
+  initInput,
+  resetInput,
+  getInputState,
+  consumePress,
+  setTouchStick,
+  setKeyboardTurnAsStrafe,
+  getDeviceSettings,
+  getKeyLabel,
+  onInputSettingsChange
+} from './city-input.js';
+import { createInputSettings } from './city-input-settings.js';
+
+// Walking Mode first-person controller (eye height, jump, crouch, head-bob)
+import { createWalker } from './city-walker.js';
 
 // Ground and roads
 import { createGround } from './city-ground.js';
@@ -72,7 +163,17 @@ import { createZigzagStairs, createUtilitySystem } from './city-infrastructure.j
 import { createAllFurniture, createAllFurnitureBase, addFurnitureTexts, createVendingMachine, createPhoneBooth } from './city-furniture.js';
 
 // Vehicles
-import { initVehicles, updateVehicles, setPedestrianStopChecker } from './city-vehicles.js';
+import { initVehicles, updateVehicles, setStopLineChecker, setBusStopHandler, setMaxVehicles } from './city-vehicles.js';
+
+// Traffic lights at crosswalks (vehicles + pedestrians)
+import {
+  initTrafficLights,
+  updateTrafficLights,
+  getStopLineDistance,
+  setSignalMode,
+  getSignalMode,
+  getSignalModes
+} from './city-traffic-lights.js';
 
 // Pedestrians
 import {
@@ -84,18 +185,70 @@ import {
   obstacleZones,
   stairPaths,
   getZoneY,
-  shouldVehicleStop
+  crosswalks,
+  getCrosswalkStatus,
+  handleBusStop,
+  getBehaviourStats,
+  setMaxPedestrians
 } from './city-people.js';
 
+// Obstacle footprints derived from scene geometry (camera + pedestrian collision)
+import {
+  buildObstacleFootprints,
+  hasObstacleFootprints,
+  collidesWithFootprints,
+  createFootprintDebugLines,
+  createObstacleZoneDebugLines
+} from './city-collision.js';
+
+// Pedestrian navigation grid (debug view)
+import { createNavMeshDebugLines } from './city-navmesh.js';
+
 // Audio system for equalizer effect
 import {
   initAudio,
   preloadAudio,
   playAudio,
+  playFootstep,
   isAudioPlaying,
   updateAudioAnalysis,
-  getIntensityForPosition
+  getFrequencyBands,
+  nextTrack,
+  previousTrack,
+  onTrackChange
 } from './city-audio.js';
+import { createTrackSign } from './city-track-sign.js';
+
+// Window equalizer mapping (presets, live tuning panel)
+import {
+  setVisualizerWindows,
+  updateVisualizer,
+  getWindowFade,
+  getActiveBrightness,
+  getVisualizerParams,
+  setVisualizerPreset,
+  getVisualizerPresets,
+  getVisualizerState,
+  getVisualizerPresetFromURL
+} from './city-visualizer.js';
+import { createVisualizerPanel } from './city-visualizer-panel.js';
+
+// ============================================================
+// WALKING MODE CONTROL SETTINGS
+// ============================================================
+
+// 조작 방식 저장 키 ('tank' | 'mouselook')
+const CONTROL_SCHEME_KEY = 'tarucy.controlScheme';
+// Mouse look sensitivity (radians per pixel)
+const MOUSE_SENSITIVITY = 0.0022;
+// Shift 달리기 속도 배율
+const RUN_MULTIPLIER = 2;
+// Pitch limit (prevent flipping)
+const PITCH_LIMIT = Math.PI / 2 - 0.1;
+
+function clampPitch(pitch) {
+  return Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, pitch));
+}
 
 // ============================================================
 // CAMERA MOVEMENT VALIDATION (Zone-based like pedestrians)
@@ -144,9 +297,12 @@ function isPositionOnRoad(x, z) {
 
 /**
  * Check if camera position collides with an obstacle
+ * 씬에서 추출한 footprint 우선 (city-collision.js), 없으면 obstacleZones
  */
 function collidesWithObstacleAt(x, z, y, margin = 1.0) {
   const groundY = y - 1.6; // Convert eye level to ground level
+  if (hasObstacleFootprints()) return collidesWithFootprints(x, z, groundY, margin);
+
   for (const obs of obstacleZones) {
     if (obs.y !== undefined && Math.abs(groundY - obs.y) > 2) continue;
 
@@ -238,6 +394,37 @@ function validateCameraPosition(newX, newY, newZ, currentY) {
   return null;
 }
 
+/**
+ * Find the nearest valid camera position to a world (x, z) point (minimap teleport)
+ * 각 walkable zone 안으로 클램프한 후보를 가까운 순으로 검사, 장애물이면 주변을 탐색
+ * @returns {{x: number, y: number, z: number}|null} Eye-level position, or null
+ */
+function findNearestWalkablePoint(x, z) {
+  const margin = 0.5;
+  const candidates = walkableZones.map(zone => {
+    const cx = Math.max(zone.xMin + margin, Math.min(zone.xMax - margin, x));
+    const cz = Math.max(zone.zMin + margin, Math.min(zone.zMax - margin, z));
+    return { zone, x: cx, z: cz, dist: Math.hypot(cx - x, cz - z) };
+  }).sort((a, b) => a.dist - b.dist);
+
+  for (const c of candidates) {
+    // 장애물 회피: 후보 주변을 링 형태로 탐색
+    for (let radius = 0; radius <= 6; radius++) {
+      const steps = radius === 0 ? 1 : 8;
+      for (let i = 0; i < steps; i++) {
+        const angle = (i / steps) * Math.PI * 2;
+        const px = Math.max(c.zone.xMin, Math.min(c.zone.xMax, c.x + Math.cos(angle) * radius));
+        const pz = Math.max(c.zone.zMin, Math.min(c.zone.zMax, c.z + Math.sin(angle) * radius));
+        const eyeY = getZoneY(c.zone, px) + 1.6;
+        const validPos = validateCameraPosition(px, eyeY, pz, eyeY);
+        if (validPos) return validPos;
+      }
+    }
+  }
+
+  return null;
+}
+
 // iOS/모바일 감지
 const isIOSorMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
 const isIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
@@ -249,55 +436,38 @@ const GLB_PATH = 'https://pub-0c79382ed5a947839fede2eac510554d.r2.dev/city.glb';
 
 /**
  * Scene을 GLB 파일로 내보내기 (개발용)
- * 브라우저 콘솔에서 exportSceneToGLB() 호출
+ * 브라우저 콘솔에서 exportSceneToGLB() 또는 exportSceneToGLB('myseed') 호출
  * 남쪽 빌딩 제외 (카메라 동선에 없음, 메모리 최적화)
+ * @param {string|number} [seed] - City seed (생략 시 현재 시드 사용)
  */
-function exportSceneToGLB() {
+function exportSceneToGLB(seed) {
   console.log('Creating GLB export scene...');
 
-  // 창문 데이터 초기화 (GLB에는 창문 포함 안 함, InstancedMesh로 동적 생성)
-  clearWindowData();
+  // 시드 지정 시 내보내기 동안만 교체 (완료 후 원래 시드로 복구)
+  const previousSeed = getSeed();
+  const exportSeed = setSeed(seed ?? previousSeed);
+  console.log(`Export seed: ${exportSeed}`);
 
   // GLB 내보내기용 새 scene 생성 (캔버스 텍스처 제외)
   const exportScene = new THREE.Scene();
 
-  // 기본 구조물 생성 (forGLB=true로 텍스트 제외)
+  // 기본 구조물 생성
   createGround(exportScene);
   createRoads(exportScene);
   createCrosswalks(exportScene);
 
-  // 건물과 가구 생성 (텍스트 없이)
-  createResidentialDistrict(exportScene);
-  createSlopedResidentialArea(exportScene);
-  // forGLB=true: 빌딩 간판 제외 (외부 PNG 텍스처는 GLTFExporter와 호환되지 않음)
-  createLeftBuildings(exportScene, true);
-  createRightBuildings(exportScene, true);
-  createCenterBuildings(exportScene, true);
-  createSouthBuildings(exportScene, true);
-
-  // 상점가 (텍스트 없이)
-  createShoppingDistrictBase(exportScene);
-
-  // 환경
-  createForest(exportScene);
-  createHotelBackForestAndMountains(exportScene);
-  createSlopedAreaForest(exportScene);
-  createSlopedAreaEdgeHills(exportScene);
-  createLeftNorthHills(exportScene);
-  createCurveWestForestAndMountains(exportScene);
-  createZigzagStairs(exportScene);
-  createUtilitySystem(exportScene);
-  createVendorStalls(exportScene);
-  createParks(exportScene);
-  createPinkHotel(exportScene, 0, true); // skipText for GLB
-
-  // 가구 (텍스트 없이)
-  createAllFurnitureBase(exportScene);
+  // 건물, 상점가, 환경, 가구 (forGLB=true로 텍스트 제외, 창문 데이터 초기화 포함)
+  // 외부 PNG 텍스처는 GLTFExporter와 호환되지 않음
+  createAllBuildings(exportScene, true);
 
   // 나무와 가로등
+  reseed('trees');
   createAllTrees(exportScene);
+  reseed('lamps');
   createAllStreetLamps(exportScene);
 
+  setSeed(previousSeed);
+
   // 메시 수 확인
   let meshCount = 0;
   exportScene.traverse(obj => { if (obj.isMesh) meshCount++; });
@@ -396,12 +566,13 @@ function discoverWindowsFromGLB(scene) {
     obj.userData.originalColor = originalColor;
     obj.userData.isWindow = true;
 
-    // world 좌표 저장 (X: 주파수 대역, Y: 이퀄라이저 높이)
+    // world 좌표 저장 (이퀄라이저 mapping 입력, city-visualizer.js)
     const worldPos = new THREE.Vector3();
     obj.getWorldPosition(worldPos);
 
     obj.userData.worldX = worldPos.x;
     obj.userData.worldY = worldPos.y;
+    obj.userData.worldZ = worldPos.z;
 
     windowMeshes.push(obj);
     windowCount++;
@@ -441,138 +612,110 @@ function isWindowLikeColor(r, g, b) {
 }
 
 
-// X 구역별 Y 범위 (각 건물 열별 독립 이퀄라이저)
-const NUM_X_ZONES = 40; // X축을 40개 구역으로 나눔 (더 세밀한 이퀄라이저)
-const xZoneYRanges = []; // 각 구역의 {yMin, yMax}
-let globalXMin = Infinity;
-let globalXMax = -Infinity;
-
 /**
- * X 구역별 Y 범위 계산 (각 건물 열별 독립 이퀄라이저)
+ * 이퀄라이저 mapping에 창문 위치 전달 (city-visualizer.js)
+ * InstancedMesh 창문은 건물 중심 좌표를 건물 key로 사용
  */
-function calculateWindowYRange() {
-  // InstancedMesh 사용 시 (동적 생성 모드)
+function prepareVisualizerWindows() {
   if (windowInstancedMesh && windowInstancedMesh.userData.windowDataList) {
     const windowDataList = windowInstancedMesh.userData.windowDataList;
-
-    // 먼저 전체 X 범위 계산
-    for (const win of windowDataList) {
-      const x = win.x;
-      if (x < globalXMin) globalXMin = x;
-      if (x > globalXMax) globalXMax = x;
-    }
-
-    const xRange = globalXMax - globalXMin;
-    const zoneWidth = xRange / NUM_X_ZONES;
-
-    // 각 구역 초기화
-    for (let i = 0; i < NUM_X_ZONES; i++) {
-      xZoneYRanges[i] = { yMin: Infinity, yMax: -Infinity };
-    }
-
-    // 각 창문을 구역에 할당하고 Y 범위 계산
-    for (const win of windowDataList) {
-      const x = win.x;
-      const y = win.y;
-
-      // X 좌표로 구역 결정
-      let zoneIndex = Math.floor((x - globalXMin) / zoneWidth);
-      zoneIndex = Math.max(0, Math.min(NUM_X_ZONES - 1, zoneIndex));
-
-      // 구역별 Y 범위 업데이트
-      if (y < xZoneYRanges[zoneIndex].yMin) xZoneYRanges[zoneIndex].yMin = y;
-      if (y > xZoneYRanges[zoneIndex].yMax) xZoneYRanges[zoneIndex].yMax = y;
-    }
-
-    console.log(`InstancedMesh windows - X range: ${globalXMin.toFixed(1)} ~ ${globalXMax.toFixed(1)}, ${NUM_X_ZONES} zones`);
+    setVisualizerWindows(windowDataList.map(win => ({
+      x: win.x,
+      y: win.y,
+      z: win.z,
+      building: win.buildingX !== null ? `${win.buildingX},${win.buildingZ}` : null
+    })));
+    console.log(`InstancedMesh windows - ${windowDataList.length} mapped for equalizer`);
     return;
   }
 
   // GLB 로드 모드: windowMeshes 사용
-  // 먼저 전체 X 범위 계산
-  for (const mesh of windowMeshes) {
-    const x = mesh.userData.worldX || 0;
-    if (x < globalXMin) globalXMin = x;
-    if (x > globalXMax) globalXMax = x;
-  }
+  setVisualizerWindows(windowMeshes.map(mesh => ({
+    x: mesh.userData.worldX || 0,
+    y: mesh.userData.worldY || 0,
+    z: mesh.userData.worldZ || 0,
+    building: null
+  })));
+  console.log(`GLB windows - ${windowMeshes.length} mapped for equalizer`);
+}
 
-  const xRange = globalXMax - globalXMin;
-  const zoneWidth = xRange / NUM_X_ZONES;
 
-  // 각 구역 초기화
-  for (let i = 0; i < NUM_X_ZONES; i++) {
-    xZoneYRanges[i] = { yMin: Infinity, yMax: -Infinity };
-  }
+// 창문 이퀄라이저 갱신 간격 (초, city-quality.js 단계별 windowRate)
+let windowUpdateInterval = 0;
+let windowUpdateTimer = 0;
 
-  // 각 창문을 구역에 할당하고 Y 범위 계산
-  for (const mesh of windowMeshes) {
-    const x = mesh.userData.worldX || 0;
-    const y = mesh.userData.worldY || 0;
+function setWindowUpdateRate(rate) {
+  windowUpdateInterval = 1 / rate;
+}
 
-    // X 좌표로 구역 결정
-    let zoneIndex = Math.floor((x - globalXMin) / zoneWidth);
-    zoneIndex = Math.max(0, Math.min(NUM_X_ZONES - 1, zoneIndex));
+// 시간대별 켜진 창문 비율 (city-time-of-day.js), 꺼진 창문 밝기
+let windowLitFraction = 1;
+const WINDOW_UNLIT_BRIGHTNESS = 0.12;
 
-    // 해당 구역에 창문 인덱스 저장
-    mesh.userData.xZoneIndex = zoneIndex;
+/**
+ * 창문별 고정 순위 (0~1) - 비율이 줄면 순위가 높은 창문부터 꺼짐
+ */
+function isWindowLit(index) {
+  return (Math.imul(index, 2654435761) >>> 0) / 4294967296 < windowLitFraction;
+}
 
-    // 구역별 Y 범위 업데이트
-    if (y < xZoneYRanges[zoneIndex].yMin) xZoneYRanges[zoneIndex].yMin = y;
-    if (y > xZoneYRanges[zoneIndex].yMax) xZoneYRanges[zoneIndex].yMax = y;
+/**
+ * 켜진/꺼진 창문 색상 적용 (오디오 재생 중에는 이퀄라이저가 매 갱신마다 적용)
+ */
+function applyWindowLighting() {
+  if (windowInstancedMesh && windowInstancedMesh.userData.windowDataList) {
+    const windowDataList = windowInstancedMesh.userData.windowDataList;
+    const colorArray = windowInstancedMesh.instanceColor.array;
+    const tempColor = new THREE.Color();
+    for (let i = 0; i < windowDataList.length; i++) {
+      tempColor.setHex(windowDataList[i].color);
+      if (!isWindowLit(i)) tempColor.multiplyScalar(WINDOW_UNLIT_BRIGHTNESS);
+      colorArray[i * 3] = tempColor.r;
+      colorArray[i * 3 + 1] = tempColor.g;
+      colorArray[i * 3 + 2] = tempColor.b;
+    }
+    windowInstancedMesh.instanceColor.needsUpdate = true;
+    return;
   }
 
-  console.log(`GLB windows - X range: ${globalXMin.toFixed(1)} ~ ${globalXMax.toFixed(1)}, ${NUM_X_ZONES} zones`);
+  windowMeshes.forEach((mesh, i) => {
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    if (!material || !material.color || !mesh.userData.originalColor) return;
+    material.color.copy(mesh.userData.originalColor);
+    if (!isWindowLit(i)) material.color.multiplyScalar(WINDOW_UNLIT_BRIGHTNESS);
+  });
 }
 
-// 기본으로 켜져있는 아래층 비율 (0~1)
-const BASE_THRESHOLD = 0.15;
+function setWindowLitFraction(fraction) {
+  windowLitFraction = fraction;
+  if (!isAudioPlaying()) applyWindowLighting();
+}
 
 /**
  * InstancedMesh 창문의 밝기 업데이트 (이퀄라이저 효과)
  */
 function updateInstancedWindowBrightness() {
   if (!windowInstancedMesh || !windowInstancedMesh.userData.windowDataList) return;
-  if (!isAudioPlaying()) return;
 
   const windowDataList = windowInstancedMesh.userData.windowDataList;
   const colorArray = windowInstancedMesh.instanceColor.array;
+  const { inactiveBrightness } = getVisualizerParams();
   const tempColor = new THREE.Color();
 
   for (let i = 0; i < windowDataList.length; i++) {
-    const win = windowDataList[i];
-    const worldX = win.x;
-    const worldY = win.y;
-
-    // X 좌표로 구역 결정
-    const xRange = globalXMax - globalXMin;
-    const zoneWidth = xRange / NUM_X_ZONES;
-    let zoneIndex = Math.floor((worldX - globalXMin) / zoneWidth);
-    zoneIndex = Math.max(0, Math.min(NUM_X_ZONES - 1, zoneIndex));
-
-    // 해당 구역의 Y 범위
-    const zoneYRange = xZoneYRanges[zoneIndex];
-    if (!zoneYRange || zoneYRange.yMax <= zoneYRange.yMin) continue;
-
-    const yRange = zoneYRange.yMax - zoneYRange.yMin;
-    const normalizedY = (worldY - zoneYRange.yMin) / yRange;
-
-    // X 좌표로 주파수 대역별 intensity 계산
-    const intensity = getIntensityForPosition(worldX);
-
-    // 이퀄라이저 효과: 기본 threshold + intensity에 따라 추가
-    const threshold = BASE_THRESHOLD + intensity * (1 - BASE_THRESHOLD);
+    // mapping 그룹에 높이 차가 없으면 건드리지 않음
+    const fade = getWindowFade(i);
+    if (Number.isNaN(fade)) continue;
 
     // 원본 색상
-    tempColor.setHex(win.color);
+    tempColor.setHex(windowDataList[i].color);
 
-    if (normalizedY <= threshold) {
-      // 활성화: 원래 색상의 1.5배 밝기
-      const fadeIn = 1.0 - (normalizedY / Math.max(threshold, 0.01));
-      const brightness = 1.3 + fadeIn * 0.4;
-      tempColor.multiplyScalar(brightness);
+    if (fade >= 0) {
+      // 활성화: 원래 색상보다 밝게 (threshold 아래쪽일수록 더 밝음)
+      tempColor.multiplyScalar(getActiveBrightness(fade));
     } else {
-      // 비활성화: 0.4 밝기
-      tempColor.multiplyScalar(0.4);
+      // 비활성화: inactive 밝기 (시간대에 꺼진 창문은 더 어둡게)
+      tempColor.multiplyScalar(isWindowLit(i) ? inactiveBrightness : WINDOW_UNLIT_BRIGHTNESS);
     }
 
     // instanceColor 배열 업데이트
@@ -587,14 +730,17 @@ function updateInstancedWindowBrightness() {
 
 /**
  * 주파수 데이터에 따라 창문 밝기 업데이트 (이퀄라이저 효과)
- * - X 구역: 주파수 대역 결정 (서쪽=저음, 동쪽=고음)
- * - Y 좌표: 각 구역별 intensity에 따라 아래에서 위로 차오르는 효과
- * - 기본 상태: 아래층 15%는 항상 켜짐
- * - 활성화 시: 원래 밝은 창문 색상
+ * - 창문별 대역/차오르는 순서는 현재 mapping이 결정 (city-visualizer.js, 기본: 서쪽=저음, 동쪽=고음, X 구역별 아래→위)
+ * - 기본 상태: threshold (기본 15%) 아래는 항상 켜짐
+ * - 활성화 시: 원래 밝은 창문 색상 (곡 stats에 beats가 있으면 beat마다 더 밝게, preset의 beatBoost)
+ * @param {THREE.Camera} camera - 카메라를 따라가는 mapping용
  */
-function updateWindowBrightness() {
+function updateWindowBrightness(camera) {
   if (!isAudioPlaying()) return;
 
+  const { normalized, beat } = getFrequencyBands();
+  updateVisualizer(normalized, camera, beat);
+
   // InstancedMesh 사용 시 (동적 생성 모드)
   if (windowInstancedMesh) {
     updateInstancedWindowBrightness();
@@ -602,53 +748,33 @@ function updateWindowBrightness() {
   }
 
   // 개별 메시 사용 시 (GLB 로드 모드)
-  for (const mesh of windowMeshes) {
+  const { inactiveBrightness } = getVisualizerParams();
+  for (const [index, mesh] of windowMeshes.entries()) {
     if (!mesh.userData.originalColor) continue;
 
-    const worldX = mesh.userData.worldX || 0;
-    const worldY = mesh.userData.worldY || 0;
-    const zoneIndex = mesh.userData.xZoneIndex || 0;
-
-    // 해당 구역의 Y 범위
-    const zoneYRange = xZoneYRanges[zoneIndex];
-    if (!zoneYRange || zoneYRange.yMax <= zoneYRange.yMin) continue;
-
-    const yRange = zoneYRange.yMax - zoneYRange.yMin;
-
-    // 해당 구역 내에서 Y 좌표 정규화 (0~1)
-    const normalizedY = (worldY - zoneYRange.yMin) / yRange;
-
-    // X 좌표로 주파수 대역별 intensity 계산
-    const intensity = getIntensityForPosition(worldX);
-
-    // 이퀄라이저 효과: 기본 threshold + intensity에 따라 추가
-    // 아래층 15%는 항상 켜져 있음
-    const threshold = BASE_THRESHOLD + intensity * (1 - BASE_THRESHOLD);
+    const fade = getWindowFade(index);
+    if (Number.isNaN(fade)) continue;
 
     const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
     if (!material) continue;
 
     // 창문이 threshold 아래에 있으면 밝게 (이퀄라이저 활성)
-    if (normalizedY <= threshold) {
-      // 활성화: 원래 색상의 1.5배 밝기
-      const fadeIn = 1.0 - (normalizedY / Math.max(threshold, 0.01));
-      const brightness = 1.3 + fadeIn * 0.4; // 1.3 ~ 1.7배
-
+    if (fade >= 0) {
       if (material.color) {
         material.color.copy(mesh.userData.originalColor);
-        material.color.multiplyScalar(brightness);
+        material.color.multiplyScalar(getActiveBrightness(fade));
       }
 
       // MeshStandardMaterial인 경우 emissive로 glow 효과
       if (material.isMeshStandardMaterial) {
         material.emissive.copy(mesh.userData.originalColor);
-        material.emissiveIntensity = fadeIn * 0.5;
+        material.emissiveIntensity = fade * 0.5;
       }
     } else {
-      // 비활성화: 원래 창문 색상의 0.4 밝기
+      // 비활성화: 원래 창문 색상의 inactive 밝기
       if (material.color) {
         material.color.copy(mesh.userData.originalColor);
-        material.color.multiplyScalar(0.4);
+        material.color.multiplyScalar(isWindowLit(index) ? inactiveBrightness : WINDOW_UNLIT_BRIGHTNESS);
       }
 
       // emissive 약하게
@@ -792,22 +918,31 @@ function createAllBuildings(scene, forGLB = false) {
   // 창문 데이터 초기화
   clearWindowData();
 
+  // 단계마다 난수 스트림 재시작 (GLB 베이크와 동적 생성 결과를 일치시킴)
   // PC와 iOS 동일하게 전체 빌딩 생성
+  reseed('residential');
   buildings.push(...createResidentialDistrict(scene));
+  reseed('sloped-residential');
   buildings.push(...createSlopedResidentialArea(scene));
+  reseed('left-buildings');
   buildings.push(...createLeftBuildings(scene, forGLB));
+  reseed('right-buildings');
   buildings.push(...createRightBuildings(scene, forGLB));
+  reseed('center-buildings');
   buildings.push(...createCenterBuildings(scene, forGLB));
+  reseed('south-buildings');
   buildings.push(...createSouthBuildings(scene, forGLB));
   // removeOverlappingBuildings 제거 - 애초에 겹치지 않게 배치
 
   // 상점가 - GLB용은 텍스트 없이, 그 외는 텍스트 포함
+  reseed('shopping');
   if (forGLB) {
     createShoppingDistrictBase(scene);
   } else {
     createShoppingDistrict(scene);
   }
 
+  reseed('environment');
   createForest(scene);
   createHotelBackForestAndMountains(scene);
   createSlopedAreaForest(scene);
@@ -816,13 +951,16 @@ function createAllBuildings(scene, forGLB = false) {
   createCurveWestForestAndMountains(scene);
   createZigzagStairs(scene);
   createUtilitySystem(scene);
+  reseed('vendor-stalls');
   createVendorStalls(scene);
+  reseed('parks');
   createParks(scene);
 
   // 호텔 - GLB용은 텍스트 없이
   createPinkHotel(scene, 0, forGLB);
 
   // 가구류 - GLB용은 텍스트 없이, 그 외는 텍스트 포함
+  reseed('furniture');
   if (forGLB) {
     createAllFurnitureBase(scene);
   } else {
@@ -857,7 +995,24 @@ export async function initCity() {
   // Start loading animation
   startLoadingAnimation();
 
+  // 도시 시드 설정 (?seed= 파라미터, 없으면 기본 시드)
+  const seed = setSeed(getSeedFromURL());
+  console.log(`City seed: ${seed}`);
+  // city.glb는 시드 도입 전 Math.random()으로 베이크된 고정 도시 (기본 시드로도 재현되지 않음)
+  // → 다른 시드면 창문/간판/POI와 어긋나므로 동적 생성
+  const useGLB = USE_GLB && seed === DEFAULT_SEED;
+  if (USE_GLB && !useGLB) console.log('Custom seed: generating city dynamically (city.glb skipped)');
+
+  // 스크롤 투어 로드 (?tour= 파라미터, 실패 시 내장 투어 사용)
+  const tourName = getTourFromURL() || DEFAULT_TOUR;
+  try {
+    setActiveTour(await loadTour(tourName));
+  } catch (e) {
+    console.error('Tour load failed, using built-in tour:', e);
+  }
+
   // Create scene, renderer, camera
+  reseed('sky');
   const scene = createScene();
   const renderer = createRenderer(container);
   const camera = createCamera();
@@ -927,7 +1082,7 @@ export async function initCity() {
     checkAndShowExplore();
   });
 
-  if (USE_GLB) {
+  if (useGLB) {
     // GLB 파일에서 정적 scene 로드
     console.log('Loading city from GLB...');
     try {
@@ -962,7 +1117,9 @@ export async function initCity() {
       createCrosswalks(scene);
       const result = createAllBuildings(scene, false);
       windowInstancedMesh = result.windowInstancedMesh;
+      reseed('trees');
       createAllTrees(scene);
+      reseed('lamps');
       createAllStreetLamps(scene);
       glbLoaded = true;
       checkAndShowExplore();
@@ -974,7 +1131,9 @@ export async function initCity() {
     createCrosswalks(scene);
     const result = createAllBuildings(scene, false);
     windowInstancedMesh = result.windowInstancedMesh;
+    reseed('trees');
     createAllTrees(scene);
+    reseed('lamps');
     createAllStreetLamps(scene);
     glbLoaded = true;
     checkAndShowExplore();
@@ -985,14 +1144,17 @@ export async function initCity() {
   scene.traverse(obj => { if (obj.isMesh) meshCount++; });
   console.log(`Total meshes: ${meshCount}`);
 
+  // 충돌용 장애물 footprint 추출 (차량/보행자 추가 전, 정적 지오메트리만)
+  buildObstacleFootprints(scene, walkableZones);
+
   // 이퀄라이저 시스템 준비
   if (windowInstancedMesh) {
-    // InstancedMesh 사용 시: 창문 데이터에서 Y 범위 계산
-    calculateWindowYRange();
+    // InstancedMesh 사용 시: 창문 데이터를 mapping에 전달
+    prepareVisualizerWindows();
   } else {
     // 구 GLB 사용 시 (창문이 GLB에 포함된 경우): GLB에서 창문 발견
     discoverWindowsFromGLB(scene);
-    calculateWindowYRange();
+    prepareVisualizerWindows();
   }
 
   // GLB 내보내기 함수를 전역으로 노출 (개발용)
@@ -1005,6 +1167,30 @@ export async function initCity() {
   // 오디오 시스템 초기화 (already preloaded)
   initAudio();
 
+  // 곡 제목 lower-third (카메라에 붙은 네온 간판, 곡이 바뀔 때마다)
+  scene.add(camera);
+  const trackSign = createTrackSign(camera);
+  onTrackChange(track => trackSign.show(track));
+
+  // 이전/다음 곡 (음악 재생 시작 후 표시, 전역으로도 노출)
+  const trackControls = document.getElementById('track-controls');
+  document.getElementById('prev-track-btn')?.addEventListener('click', () => previousTrack());
+  document.getElementById('next-track-btn')?.addEventListener('click', () => nextTrack());
+  window.nextTrack = () => {
+    const track = nextTrack();
+    if (track) console.log(`Track ${track.index + 1}/${track.count}: ${track.title}`);
+  };
+  window.previousTrack = () => {
+    const track = previousTrack();
+    if (track) console.log(`Track ${track.index + 1}/${track.count}: ${track.title}`);
+  };
+
+  // 딥링크 (#walk=, #<section>)는 Explore 클릭 시 적용 (로딩 화면 뒤에서 걷기 모드가 시작되지 않도록)
+  // 그 전에는 해시를 갱신하지 않음 (progress 0 → 빈 해시로 링크가 지워짐)
+  const initialHash = window.location.hash;
+  const initialCameraLink = parseCameraHash(initialHash);
+  let hashSyncEnabled = false;
+
   // Set up explore button click handler
   const exploreBtn = document.getElementById('explore-btn');
   const scrollHint = document.getElementById('scroll-hint');
@@ -1014,36 +1200,174 @@ export async function initCity() {
       hideLoadingOverlay();
       // Start playing music
       playAudio();
-      // 스크롤 허용
+      if (trackControls) trackControls.classList.add('visible');
+      // 시작 시점 딥링크 적용, 이후 해시 변경은 hashchange로
+      if (initialCameraLink) applyCameraLink(initialCameraLink, initialHash);
+      hashSyncEnabled = true;
+      window.addEventListener('hashchange', () => applyCameraHash(window.location.hash));
+      // 스크롤 모드일 때만 스크롤 허용 (#walk= 딥링크로 걷기 모드에서 시작한 경우 제외)
+      if (currentMode !== CameraMode.SCROLL) return;
       document.body.style.overflow = '';
-      // 스크롤 안내 메시지 표시
-      if (scrollHint) {
+      // 스크롤 안내 메시지 표시 (딥링크로 중간부터 시작한 경우 제외)
+      if (scrollHint && scrollProgress < 0.01) {
         scrollHint.classList.add('visible');
       }
-    });
+    }, { once: true });
   }
 
   // 동적 객체 추가 (차량, 보행자)
   // 상점가, 자판기, 공중전화의 기본 지오메트리는 이제 GLB에 포함됨
   // 텍스트만 동적으로 추가됨 (addShopSignTexts, addFurnitureTexts)
 
+  // 신호등/정지선은 GLB에 없으므로 항상 동적 생성 (?signals=reactive 로 mode 선택)
+  initTrafficLights(scene, crosswalks, new URLSearchParams(window.location.search).get('signals') || 'timed');
   initVehicles(scene);
-  setPedestrianStopChecker(shouldVehicleStop);
+  setStopLineChecker(getStopLineDistance);
+  setBusStopHandler(handleBusStop);
   initPedestrians(scene);
 
+  // 섹션 콘텐츠 네온 간판 (현재 섹션 간판 강조)
+  const content = createAllContent(scene);
+
+  // 간판/자판기/공중전화 클릭 → 상세 패널 (userData.pickable)
+  initPicking(scene, camera);
+
   // Visualize walkable zones (debug) - disabled
   // visualizeWalkableZones(scene);
 
+  // 충돌 디버그: 추출한 footprint vs 기존 obstacleZones + walkable zone 시각화 비교 (전역으로 노출)
+  let collisionDebug = null;
+  window.toggleCollisionDebug = () => {
+    if (collisionDebug) {
+      collisionDebug.forEach(obj => scene.remove(obj));
+      collisionDebug = null;
+      console.log('Collision debug: off');
+      return;
+    }
+    const footprintLines = createFootprintDebugLines();
+    const legacyLines = createObstacleZoneDebugLines(obstacleZones);
+    scene.add(footprintLines, legacyLines);
+    collisionDebug = [footprintLines, legacyLines, ...visualizeWalkableZones(scene)];
+    console.log('Collision debug: on (cyan = derived footprints, magenta = legacy obstacleZones, red = walkable zones)');
+  };
+
+  // 보행자 navigation grid 시각화 (전역으로 노출, 켤 때마다 현재 edge 캐시 상태로 다시 생성)
+  let navMeshDebug = null;
+  window.toggleNavMeshDebug = () => {
+    if (navMeshDebug) {
+      scene.remove(navMeshDebug);
+      navMeshDebug = null;
+      console.log('NavMesh debug: off');
+      return;
+    }
+    navMeshDebug = createNavMeshDebugLines();
+    scene.add(navMeshDebug);
+    console.log('NavMesh debug: on (green = grid edges, red = blocked edges, yellow = crosswalk/stair/bridge links)');
+  };
+
+  // 보행자 행동 profile별 인원 / POI 사용 중 / 이동 중 (전역으로 노출)
+  window.logPedestrianBehaviours = () => console.table(getBehaviourStats());
+
+  // 신호 mode 전환 (전역으로 노출): setSignalMode('timed' | 'reactive')
+  window.setSignalMode = (mode) => {
+    if (!setSignalMode(mode)) {
+      console.log(`Unknown signal mode: ${mode} (${getSignalModes().join(', ')})`);
+      return;
+    }
+    console.log(`Signal mode: ${getSignalMode()}`);
+  };
+
   // Resize handler
   handleResize(camera, renderer);
 
-  // === Keyboard Camera Controls ===
-  const keys = {
-    w: false, s: false, a: false, d: false,
-    ArrowUp: false, ArrowDown: false,
-    ArrowLeft: false, ArrowRight: false
+  // Post-processing (selective bloom, grain, chromatic aberration) - 정적/동적 객체가 모두 추가된 뒤
+  initPostFX(renderer, scene, camera, getPostFXQualityFromURL() || 'high');
+
+  // 날씨 (비, 젖은 노면 반사, 우산, 차량 감속) - 시간대가 가로등/네온 색을 바꾸기 전에 광원 탐색
+  initWeather(scene, camera, getRainFromURL());
+
+  // 비 강도 (전역으로 노출, e.g. setRain(1), setRain(0.3), setRain('off'))
+  window.setRain = (value = 'on') => {
+    if (!setRainIntensity(value)) {
+      console.log(`Unknown rain intensity: ${value} (0~1, on, off)`);
+      return;
+    }
+    console.log(`Rain: ${getWeather().rain}`);
+  };
+  window.toggleRain = () => {
+    console.log(`Rain: ${toggleRain()}`);
+  };
+
+  // 시간대 (sky, fog, 창문, 가로등/네온) - bloom 대상 색상 탐색(initPostFX) 뒤, 품질 단계(fog 거리) 전
+  initTimeOfDay(scene, {
+    source: getTimeOfDayFromURL(),
+    onWindowsLit: setWindowLitFraction,
+    onNeonLevel: setContentNeonLevel
+  });
+
+  // 시간대 변경 (전역으로 노출, e.g. setTimeOfDay('dusk'), setTimeOfDay(2.5), setTimeOfDay('clock'))
+  window.setTimeOfDay = (value) => {
+    if (!setTimeOfDay(value)) {
+      console.log(`Unknown time of day: ${value} (hour, ${getTimePhases().join(', ')}, clock, local)`);
+      return;
+    }
+    const { hour, phase, mode } = getTimeOfDay();
+    console.log(`Time of day: ${hour.toFixed(2)}h ${phase} (${mode})`);
+  };
+
+  // 품질 단계 변경 (전역으로 노출, e.g. setPostFXQuality('medium'))
+  window.setPostFXQuality = (quality) => {
+    if (!setPostFXQuality(quality)) {
+      console.log(`Unknown post-processing quality: ${quality} (${getPostFXQualities().join(', ')})`);
+      return;
+    }
+    console.log(`Post-processing: ${getPostFXQuality()}`);
+  };
+
+  // 프레임 시간 기반 품질 조절 (?fx= 지정 시 post-processing은 URL 값 유지)
+  const fxFromURL = getPostFXQualityFromURL();
+  const quality = createQualityManager({
+    renderer,
+    tier: getQualityFromURL() || 'auto',
+    setMaxPedestrians,
+    setMaxVehicles,
+    setWindowUpdateRate,
+    setFogFar,
+    setPostFXQuality: fxFromURL ? null : setPostFXQuality,
+    onResize: resizePostFX
+  });
+
+  // 품질 단계 고정 (전역으로 노출, e.g. setQualityTier('medium'), setQualityTier('auto'))
+  window.setQualityTier = (tier) => {
+    if (!quality.setTier(tier)) {
+      console.log(`Unknown quality tier: ${tier} (${Object.keys(qualityTiers).join(', ')}, auto)`);
+      return;
+    }
+    console.log(`Quality tier: ${quality.getTier()} (${quality.isAuto() ? 'auto' : 'fixed'})`);
+  };
+  window.toggleQualityHUD = quality.toggleHUD;
+
+  // === Walking Mode Input (city-input.js) ===
+  initInput({ isActive: () => currentMode === CameraMode.WALKING });
+  const inputSettings = createInputSettings();
+  window.toggleInputSettings = inputSettings.toggle;
+
+  // 1인칭 수직 움직임 (ground follow, jump, crouch, head-bob + 발소리)
+  const walker = createWalker({ onFootstep: playFootstep });
+
+  // 눈높이 등 설정 변경 (전역으로 노출, e.g. setWalkerSetting('eyeHeight', 1.8))
+  window.setWalkerSetting = (name, value) => {
+    if (!(name in walker.settings)) {
+      console.warn(`Unknown walker setting: ${name}`, Object.keys(walker.settings));
+      return;
+    }
+    walker.settings[name] = value;
+    console.log(`Walker ${name}: ${value}`);
   };
 
+  // 데스크톱 조작 방식: 'tank' (A/D 회전, 기존) | 'mouselook' (pointer lock, A/D strafe)
+  let controlScheme = localStorage.getItem(CONTROL_SCHEME_KEY) === 'mouselook' ? 'mouselook' : 'tank';
+
   // 걷기 모드 zone 제한 (Walking 모드에서만 적용)
   let walkingModeZoneRestricted = true;
 
@@ -1056,56 +1380,125 @@ export async function initCity() {
     console.log(`Yaw: ${(yaw * 180 / Math.PI).toFixed(3)}, Pitch: ${(pitch * 180 / Math.PI).toFixed(3)}`);
   };
 
-  // 렌더러 정보 출력 함수 (전역으로 노출)
-  window.logRenderInfo = () => {
-    const info = renderer.info;
-    console.log('=== Render Info ===');
-    console.log(`Draw calls: ${info.render.calls}`);
-    console.log(`Triangles: ${info.render.triangles}`);
-    console.log(`Points: ${info.render.points}`);
-    console.log(`Lines: ${info.render.lines}`);
-    console.log(`Geometries: ${info.memory.geometries}`);
-    console.log(`Textures: ${info.memory.textures}`);
-  };
+  // 스크롤 투어 편집기 (전역으로 노출, 개발용)
+  const tourEditor = createTourEditor({ scene, camera, cameraState });
+  window.toggleTourEditor = tourEditor.toggle;
+  if (new URLSearchParams(window.location.search).has('editor')) {
+    tourEditor.open();
+  }
+
+  // 성능 HUD: FPS 그래프, renderer.info, 인구, 카메라/섹션, 오디오 대역 (전역으로 노출)
+  const perfHUD = createPerfHUD({
+    renderer,
+    getState: () => ({
+      mode: currentMode,
+      section: getSectionFromScroll(scrollProgress),
+      quality: `${quality.getTier()} (${quality.isAuto() ? 'auto' : 'fixed'})`
+    })
+  });
+  window.togglePerfHUD = perfHUD.toggle;
+  window.recordPerfTrace = perfHUD.startRecording;
+  window.exportPerfTrace = perfHUD.exportTrace;
+  if (new URLSearchParams(window.location.search).has('perf')) {
+    perfHUD.open();
+  }
 
-  // Joystick analog values (0 to 1 for proportional control)
-  const joystickState = {
-    moveY: 0,  // -1 (forward) to 1 (backward)
-    moveX: 0   // -1 (left) to 1 (right)
+  // 창문 이퀄라이저 mapping: preset 선택 + 실시간 조절 패널 (전역으로 노출, e.g. setVisualizerPreset('ripple'))
+  const vizPreset = getVisualizerPresetFromURL();
+  if (vizPreset && !setVisualizerPreset(vizPreset)) {
+    console.warn(`Unknown visualizer preset: ${vizPreset} (${getVisualizerPresets().join(', ')})`);
+  }
+  window.setVisualizerPreset = (name) => {
+    if (!setVisualizerPreset(name)) {
+      console.log(`Unknown visualizer preset: ${name} (${getVisualizerPresets().join(', ')})`);
+      return;
+    }
+    const { preset, mapping } = getVisualizerState();
+    console.log(`Visualizer: ${preset} (${mapping})`);
   };
+  const visualizerPanel = createVisualizerPanel();
+  window.toggleVisualizerPanel = visualizerPanel.toggle;
+  if (new URLSearchParams(window.location.search).has('vizpanel')) {
+    visualizerPanel.open();
+  }
 
-  // Right joystick for look/rotate
-  const rightJoystickState = {
-    lookY: 0,  // -1 (look up) to 1 (look down)
-    lookX: 0   // -1 (rotate left) to 1 (rotate right)
+  // ============================================================
+  // MOUSE LOOK (Pointer Lock, desktop Walking mode)
+  // ============================================================
+  const controlSchemeBtn = document.getElementById('control-scheme-btn');
+  const crosshair = document.getElementById('crosshair');
+
+  function isPointerLocked() {
+    return document.pointerLockElement === renderer.domElement;
+  }
+
+  function applyControlScheme() {
+    const mouselook = controlScheme === 'mouselook';
+    setKeyboardTurnAsStrafe(mouselook);
+    document.getElementById('control-hints')?.classList.toggle('mouselook', mouselook);
+    if (controlSchemeBtn) controlSchemeBtn.textContent = `Mouse Look: ${mouselook ? 'On' : 'Off'}`;
+    if (!mouselook && isPointerLocked()) document.exitPointerLock();
+  }
+
+  // 설정 토글 (localStorage에 저장)
+  window.setControlScheme = (scheme) => {
+    controlScheme = scheme === 'mouselook' ? 'mouselook' : 'tank';
+    localStorage.setItem(CONTROL_SCHEME_KEY, controlScheme);
+    applyControlScheme();
+    console.log(`Control scheme: ${controlScheme}`);
   };
 
-  // Key event handlers (only active in Walking mode)
-  window.addEventListener('keydown', (e) => {
-    // 키보드 컨트롤은 Walking 모드에서만 동작
-    if (currentMode !== CameraMode.WALKING) return;
+  if (controlSchemeBtn) {
+    controlSchemeBtn.addEventListener('click', () => {
+      window.setControlScheme(controlScheme === 'mouselook' ? 'tank' : 'mouselook');
+    });
+  }
+  applyControlScheme();
 
-    const key = e.key.toLowerCase();
+  // 캔버스 클릭 → pointer lock (Esc로 해제는 브라우저 기본 동작)
+  renderer.domElement.addEventListener('click', () => {
+    if (currentMode !== CameraMode.WALKING || controlScheme !== 'mouselook') return;
+    if (isPointerLocked() || !renderer.domElement.requestPointerLock) return;
+    renderer.domElement.requestPointerLock();
+  });
 
-    if (keys.hasOwnProperty(e.key)) {
-      keys[e.key] = true;
-      e.preventDefault();
-    }
-    // Also handle lowercase
-    if (keys.hasOwnProperty(key)) {
-      keys[key] = true;
-    }
+  document.addEventListener('pointerlockchange', () => {
+    if (crosshair) crosshair.classList.toggle('visible', isPointerLocked());
   });
 
-  window.addEventListener('keyup', (e) => {
-    const key = e.key.toLowerCase();
-    if (keys.hasOwnProperty(e.key)) {
-      keys[e.key] = false;
+  document.addEventListener('mousemove', (e) => {
+    if (!isPointerLocked() || currentMode !== CameraMode.WALKING) return;
+    const mouse = getDeviceSettings('mouse');
+    const sensitivity = MOUSE_SENSITIVITY * mouse.sensitivity;
+    cameraState.yaw -= e.movementX * sensitivity;
+    cameraState.pitch = clampPitch(cameraState.pitch - e.movementY * sensitivity * (mouse.invertY ? -1 : 1));
+  });
+
+  // 조작 안내 문구를 현재 키 바인딩으로 갱신
+  const hintTank = document.querySelector('#control-hints .hint-scheme-tank');
+  const hintMouselook = document.querySelector('#control-hints .hint-scheme-mouselook');
+
+  function updateControlHints() {
+    const move = `${getKeyLabel('moveForward')}/${getKeyLabel('moveBackward')}`;
+    const strafe = `${getKeyLabel('strafeLeft')}/${getKeyLabel('strafeRight')}`;
+    const turn = `${getKeyLabel('turnLeft')}, ${getKeyLabel('turnRight')}`;
+    const look = `${getKeyLabel('lookUp')}/${getKeyLabel('lookDown')}`;
+    const tail = `${getKeyLabel('run')} - Run | ${getKeyLabel('jump')} - Jump | ${getKeyLabel('crouch')} - Crouch | ${getKeyLabel('interact')} - Interact`;
+    if (hintTank) {
+      hintTank.textContent = `${move} - Move | ${strafe} - Strafe | ${turn} - Rotate | ${look} - Look | ${tail}`;
     }
-    if (keys.hasOwnProperty(key)) {
-      keys[key] = false;
+    if (hintMouselook) {
+      hintMouselook.textContent = `Click - Lock Mouse | Mouse - Look | ${move}, ${turn}, ${strafe} - Move | ${tail} | Esc - Unlock`;
     }
-  });
+  }
+
+  updateControlHints();
+  onInputSettingsChange(updateControlHints);
+
+  const inputSettingsBtn = document.getElementById('input-settings-btn');
+  if (inputSettingsBtn) {
+    inputSettingsBtn.addEventListener('click', () => inputSettings.toggle());
+  }
 
   // ============================================================
   // SCROLL EVENT HANDLER
@@ -1156,6 +1549,7 @@ export async function initCity() {
 
     currentMode = CameraMode.WALKING;
     lastScrollProgress = scrollProgress;
+    walker.reset(camera.position.y);
 
     // Hide Walking Mode button, show Exit button and control hints
     if (walkingModeBtn) walkingModeBtn.classList.remove('visible');
@@ -1171,6 +1565,8 @@ export async function initCity() {
       window.virtualControllerElement.classList.add('visible');
     }
 
+    minimap.setVisible(true);
+
     console.log('Entered Walking Mode');
   }
 
@@ -1189,12 +1585,10 @@ export async function initCity() {
     transitionState.startPitch = cameraState.pitch;
     transitionState.progress = 0;
 
-    // Reset all keys
-    Object.keys(keys).forEach(k => keys[k] = false);
-    joystickState.moveX = 0;
-    joystickState.moveY = 0;
-    rightJoystickState.lookX = 0;
-    rightJoystickState.lookY = 0;
+    // Reset all keys/sticks
+    resetInput();
+    if (isPointerLocked()) document.exitPointerLock();
+    inputSettings.close();
 
     // Hide Exit button, control hints, and mobile joysticks
     if (exitWalkingBtn) exitWalkingBtn.classList.remove('visible');
@@ -1208,12 +1602,29 @@ export async function initCity() {
       window.virtualControllerElement.classList.remove('visible');
     }
 
+    minimap.setVisible(false);
+
     // Return camera to last scroll position (will be animated)
     scrollProgress = lastScrollProgress;
 
     console.log('Transitioning back to Scroll Mode...');
   }
 
+  // ============================================================
+  // MINIMAP (Walking Mode)
+  // ============================================================
+  const minimap = createMinimap({
+    camera,
+    cameraState,
+    findTeleportTarget: findNearestWalkablePoint,
+    onTeleport: (pos) => {
+      if (currentMode !== CameraMode.WALKING) return;
+      camera.position.set(pos.x, pos.y, pos.z);
+      walker.reset(pos.y);
+      console.log(`Teleported to (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})`);
+    }
+  });
+
   // Button event listeners
   if (walkingModeBtn) {
     walkingModeBtn.addEventListener('click', enterWalkingMode);
@@ -1223,63 +1634,60 @@ export async function initCity() {
   }
 
   // ============================================================
-  // GAMEPAD SUPPORT
+  // URL HASH DEEP LINKS
   // ============================================================
-  let gamepadIndex = null;
-  let gamepadPollingId = null;
+  const updateHash = createHashUpdater();
 
-  function startGamepadPolling() {
-    if (gamepadPollingId !== null) return;
-    gamepadPollingId = setInterval(pollGamepad, 16); // ~60fps
+  /**
+   * Keyframe index closest to the current scroll position
+   */
+  function getNearestKeyframeIndex(progress) {
+    const { segment, localProgress, from, to } = getWeightedProgress(progress);
+    return (from !== to && localProgress > 0.5) ? segment + 1 : segment;
   }
 
-  function stopGamepadPolling() {
-    if (gamepadPollingId !== null) {
-      clearInterval(gamepadPollingId);
-      gamepadPollingId = null;
-    }
+  /**
+   * Restore camera mode/pose from a URL hash
+   */
+  function applyCameraHash(hash) {
+    const link = parseCameraHash(hash);
+    if (link) applyCameraLink(link, hash);
   }
 
-  function pollGamepad() {
-    // Only active in Walking mode
-    if (currentMode !== CameraMode.WALKING) return;
-
-    const gamepads = navigator.getGamepads();
-    if (!gamepads || gamepadIndex === null) return;
-
-    const gp = gamepads[gamepadIndex];
-    if (!gp) return;
-
-    const deadzone = 0.15;
-
-    // Left stick: Move/Rotate
-    const leftX = Math.abs(gp.axes[0]) > deadzone ? gp.axes[0] : 0;
-    const leftY = Math.abs(gp.axes[1]) > deadzone ? gp.axes[1] : 0;
-
-    joystickState.moveX = leftX;
-    joystickState.moveY = leftY;
-
-    // Right stick: Look
-    const rightX = Math.abs(gp.axes[2]) > deadzone ? gp.axes[2] : 0;
-    const rightY = Math.abs(gp.axes[3]) > deadzone ? gp.axes[3] : 0;
-
-    rightJoystickState.lookX = rightX;
-    rightJoystickState.lookY = rightY;
+  /**
+   * Restore camera mode/pose from a parsed deep link (parseCameraHash)
+   */
+  function applyCameraLink(link, hash) {
+    if (link.type === 'walk') {
+      const { x, y, z, yaw, pitch } = link.pose;
+      const validPos = validateCameraPosition(x, y, z, y);
+      if (!validPos) {
+        console.warn('Deep link pose is outside walkable zones:', link.pose);
+        return;
+      }
+      if (currentMode !== CameraMode.WALKING) {
+        enterWalkingMode();
+      }
+      camera.position.set(validPos.x, validPos.y, validPos.z);
+      walker.reset(validPos.y);
+      cameraState.yaw = yaw;
+      cameraState.pitch = clampPitch(pitch);
+    } else {
+      const progress = getKeyframeProgress(link.index);
+      lastScrollProgress = progress;
+      if (currentMode === CameraMode.WALKING) {
+        exitWalkingMode(); // scrollProgress = lastScrollProgress 로 전환
+      } else {
+        scrollProgress = progress;
+      }
+      const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+      window.scrollTo(0, progress * maxScroll);
+      if (progressBar) progressBar.style.width = (progress * 100) + '%';
+    }
+    console.log(`Restored camera from ${hash}`);
   }
 
-  window.addEventListener('gamepadconnected', (e) => {
-    console.log('Gamepad connected:', e.gamepad.id);
-    gamepadIndex = e.gamepad.index;
-    startGamepadPolling();
-  });
-
-  window.addEventListener('gamepaddisconnected', (e) => {
-    console.log('Gamepad disconnected:', e.gamepad.id);
-    if (e.gamepad.index === gamepadIndex) {
-      gamepadIndex = null;
-      stopGamepadPolling();
-    }
-  });
+  // Gamepad: city-input.js에서 매 프레임 폴링 (getInputState)
 
   // Check if mobile device
   const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
@@ -1389,35 +1797,13 @@ export async function initCity() {
       // Update knob position
       knob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
 
-      // Calculate normalized values (-1 to 1)
-      const normalizedX = dx / knobMaxDistance;
-      const normalizedY = dy / knobMaxDistance;
-
-      // Apply deadzone (0.2) and store analog values
-      const deadzone = 0.2;
-
-      // Forward/Backward (Y axis: up = forward, so negate)
-      if (Math.abs(normalizedY) > deadzone) {
-        // Remap from deadzone-1 to 0-1 range
-        const sign = normalizedY < 0 ? -1 : 1;
-        joystickState.moveY = sign * (Math.abs(normalizedY) - deadzone) / (1 - deadzone);
-      } else {
-        joystickState.moveY = 0;
-      }
-
-      // Rotate Left/Right (X axis)
-      if (Math.abs(normalizedX) > deadzone) {
-        const sign = normalizedX < 0 ? -1 : 1;
-        joystickState.moveX = sign * (Math.abs(normalizedX) - deadzone) / (1 - deadzone);
-      } else {
-        joystickState.moveX = 0;
-      }
+      // Normalized values (-1 to 1), deadzone은 city-input.js에서 적용
+      setTouchStick('l', dx / knobMaxDistance, dy / knobMaxDistance);
     }
 
     function resetJoystick() {
       knob.style.transform = 'translate(-50%, -50%)';
-      joystickState.moveX = 0;
-      joystickState.moveY = 0;
+      setTouchStick('l', 0, 0);
       joystickActive = false;
       joystickTouchId = null;
       joystick.classList.remove('active');
@@ -1459,34 +1845,13 @@ export async function initCity() {
       // Update knob position
       knobRight.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
 
-      // Calculate normalized values (-1 to 1)
-      const normalizedX = dx / knobMaxDistance;
-      const normalizedY = dy / knobMaxDistance;
-
-      // Apply deadzone (0.2) and store analog values
-      const deadzone = 0.2;
-
-      // Look Up/Down (Y axis)
-      if (Math.abs(normalizedY) > deadzone) {
-        const sign = normalizedY < 0 ? -1 : 1;
-        rightJoystickState.lookY = sign * (Math.abs(normalizedY) - deadzone) / (1 - deadzone);
-      } else {
-        rightJoystickState.lookY = 0;
-      }
-
-      // Rotate Left/Right (X axis)
-      if (Math.abs(normalizedX) > deadzone) {
-        const sign = normalizedX < 0 ? -1 : 1;
-        rightJoystickState.lookX = sign * (Math.abs(normalizedX) - deadzone) / (1 - deadzone);
-      } else {
-        rightJoystickState.lookX = 0;
-      }
+      // Normalized values (-1 to 1), deadzone은 city-input.js에서 적용
+      setTouchStick('r', dx / knobMaxDistance, dy / knobMaxDistance);
     }
 
     function resetRightJoystick() {
       knobRight.style.transform = 'translate(-50%, -50%)';
-      rightJoystickState.lookX = 0;
-      rightJoystickState.lookY = 0;
+      setTouchStick('r', 0, 0);
       rightJoystickActive = false;
       rightJoystickTouchId = null;
       joystickRight.classList.remove('active');
@@ -1598,77 +1963,75 @@ export async function initCity() {
     // Only process controls in Walking mode
     if (currentMode !== CameraMode.WALKING) return;
 
-    const baseSpeed = cameraState.speed * deltaTime * 60;
+    // Abstract actions (keyboard = 1.0, sticks = 0-1 proportional)
+    const input = getInputState();
+    const walkSpeed = cameraState.speed * deltaTime * 60;
+    const baseSpeed = walkSpeed * (input.run ? RUN_MULTIPLIER : 1) * walker.getSpeedMultiplier();
     const rotSpeed = cameraState.rotSpeed;
 
+    // Interact: 화면 중앙의 간판/자판기 상세 패널
+    if (consumePress('interact')) interactAtCenter();
+
     // Calculate forward vector based on yaw (horizontal movement only)
     const forward = new THREE.Vector3(
       -Math.sin(cameraState.yaw),
       0,
       -Math.cos(cameraState.yaw)
     );
+    // Right vector (strafe)
+    const right = new THREE.Vector3(
+      Math.cos(cameraState.yaw),
+      0,
+      -Math.sin(cameraState.yaw)
+    );
 
-    // Calculate movement input (keyboard = 1.0, joystick = 0-1 proportional)
-    let moveForward = 0;
-    let rotateAmount = 0;
-
-    // Keyboard input (full speed)
-    if (keys.w) moveForward = 1;
-    if (keys.s) moveForward = -1;
-    if (keys.a) rotateAmount = 1;
-    if (keys.d) rotateAmount = -1;
+    // Mouse look 방식에서는 키보드 turn이 strafe로 들어옴 (setKeyboardTurnAsStrafe)
+    const moveForward = input.move;
+    const moveRight = input.strafe;
+    const rotateAmount = input.turn;
 
-    // Joystick input (proportional, overrides keyboard if active)
-    if (joystickState.moveY !== 0) {
-      moveForward = -joystickState.moveY; // Negative because Y up = forward
-    }
-    if (joystickState.moveX !== 0) {
-      rotateAmount = -joystickState.moveX;
-    }
-
-    // Apply movement
-    const speed = baseSpeed * Math.abs(moveForward);
+    // Apply movement (forward + strafe, 대각선은 정규화)
     let newX = camera.position.x;
     let newZ = camera.position.z;
 
-    if (moveForward !== 0) {
-      const dir = moveForward > 0 ? 1 : -1;
-      newX += forward.x * speed * dir;
-      newZ += forward.z * speed * dir;
+    const moveLength = Math.hypot(moveForward, moveRight);
+    if (moveLength > 0) {
+      const scale = baseSpeed / Math.max(moveLength, 1);
+      newX += (forward.x * moveForward + right.x * moveRight) * scale;
+      newZ += (forward.z * moveForward + right.z * moveRight) * scale;
     }
 
     // 위치 이동 여부 추적
     let positionChanged = false;
+    const prevX = camera.position.x;
+    const prevZ = camera.position.z;
+
+    // Zone 검사는 서 있는 눈높이 기준 (점프/앉기/head-bob 제외), Y는 walker가 적용
+    const refY = walker.getReferenceY();
 
     // Validate and apply movement
     if (newX !== camera.position.x || newZ !== camera.position.z) {
       if (walkingModeZoneRestricted) {
         // Zone 제한 적용
-        const validPos = validateCameraPosition(newX, camera.position.y, newZ, camera.position.y);
+        const validPos = validateCameraPosition(newX, refY, newZ, refY);
         if (validPos) {
           camera.position.x = validPos.x;
           camera.position.z = validPos.z;
+          walker.setGround(validPos.y);
           positionChanged = true;
-          // Smoothly interpolate Y for slopes/stairs
-          const yDiff = validPos.y - camera.position.y;
-          if (Math.abs(yDiff) > 0.01) {
-            camera.position.y += yDiff * 0.3; // Smooth transition
-          } else {
-            camera.position.y = validPos.y;
-          }
         } else {
           // Try moving only in X or Z direction
-          const validX = validateCameraPosition(newX, camera.position.y, camera.position.z, camera.position.y);
-          const validZ = validateCameraPosition(camera.position.x, camera.position.y, newZ, camera.position.y);
+          const validX = validateCameraPosition(newX, refY, camera.position.z, refY);
+          const validZ = validateCameraPosition(camera.position.x, refY, newZ, refY);
 
           if (validX) {
             camera.position.x = validX.x;
-            camera.position.y += (validX.y - camera.position.y) * 0.3;
+            walker.setGround(validX.y);
             positionChanged = true;
           }
           if (validZ) {
             camera.position.z = validZ.z;
-            camera.position.y += (validZ.y - camera.position.y) * 0.3;
+            walker.setGround(validZ.y);
             positionChanged = true;
           }
         }
@@ -1680,46 +2043,27 @@ export async function initCity() {
       }
     }
 
+    // Vertical: ground follow, jump, crouch, head-bob (speedRatio 1 = 걷기 속도)
+    const moved = Math.hypot(camera.position.x - prevX, camera.position.z - prevZ);
+    camera.position.y = walker.update(deltaTime, {
+      speedRatio: walkSpeed > 0 ? moved / walkSpeed : 0,
+      jump: consumePress('jump'),
+      crouch: input.crouch
+    });
+
     // 회전 여부 추적
     let rotationChanged = false;
 
-    // Apply rotation from left joystick/keyboard A/D
+    // Apply rotation (turn: keyboard A/D/←/→, sticks)
     if (rotateAmount !== 0) {
       cameraState.yaw += rotSpeed * rotateAmount;
       rotationChanged = true;
     }
 
-    // Arrow Left/Right for rotation (keyboard)
-    if (keys.ArrowLeft) {
-      cameraState.yaw += rotSpeed;
-      rotationChanged = true;
-    }
-    if (keys.ArrowRight) {
-      cameraState.yaw -= rotSpeed;
-      rotationChanged = true;
-    }
-
-    // Right joystick X axis for rotation (proportional)
-    if (rightJoystickState.lookX !== 0) {
-      cameraState.yaw -= rotSpeed * rightJoystickState.lookX;
-      rotationChanged = true;
-    }
-
-    // Pitch (Arrow Up/Down) - Look up/down
-    let pitchAmount = 0;
-    if (keys.ArrowUp) pitchAmount = 1;
-    if (keys.ArrowDown) pitchAmount = -1;
-
-    // Right joystick Y axis for pitch (proportional)
-    if (rightJoystickState.lookY !== 0) {
-      pitchAmount = -rightJoystickState.lookY; // Negative because Y down = look down
-    }
-
+    // Pitch (look: keyboard ↑/↓, right stick)
+    const pitchAmount = input.look;
     if (pitchAmount !== 0) {
-      cameraState.pitch += rotSpeed * pitchAmount;
-      // Limit pitch to prevent flipping
-      if (cameraState.pitch > Math.PI / 2 - 0.1) cameraState.pitch = Math.PI / 2 - 0.1;
-      if (cameraState.pitch < -Math.PI / 2 + 0.1) cameraState.pitch = -Math.PI / 2 + 0.1;
+      cameraState.pitch = clampPitch(cameraState.pitch + rotSpeed * pitchAmount);
       rotationChanged = true;
     }
 
@@ -1752,7 +2096,10 @@ export async function initCity() {
     lastTime = currentTime;
 
     // Camera update based on mode
-    if (currentMode === CameraMode.SCROLL) {
+    if (tourEditor.isPreviewing()) {
+      // Tour editor timeline: slider drives the camera (walking resumes from here)
+      tourEditor.updatePreview();
+    } else if (currentMode === CameraMode.SCROLL) {
       // Scroll mode: update camera from scroll progress
       updateCameraFromScroll(camera, cameraState, scrollProgress);
     } else if (currentMode === CameraMode.TRANSITIONING) {
@@ -1798,19 +2145,48 @@ export async function initCity() {
         camera.lookAt(lookTarget);
       }
     } else {
-      // Walking mode: poll gamepad and update camera controls
-      pollGamepad();
+      // Walking mode: update camera controls (getInputState polls the gamepad)
       updateCameraControls(deltaTime);
     }
 
+    updateTrafficLights(deltaTime, getCrosswalkStatus);
     updateVehicles(scene, deltaTime);
     updatePedestrians(deltaTime, currentTime / 1000);
+    updateContent(content, currentTime / 1000, camera, scrollProgress);
+    updatePicking();
+    minimap.update(currentTime);
+
+    // URL 해시 갱신 (스로틀, history.replaceState) - Explore 전에는 딥링크 유지
+    if (hashSyncEnabled) {
+      if (currentMode === CameraMode.WALKING) {
+        updateHash(formatWalkHash(camera.position, cameraState.yaw, cameraState.pitch), currentTime);
+      } else if (currentMode === CameraMode.SCROLL) {
+        updateHash(formatKeyframeHash(getNearestKeyframeIndex(scrollProgress)), currentTime);
+      }
+    }
+
+    // 시간대: 스크롤 중에는 투어 keyframe time이 있으면 그 시각으로
+    setTourTimeOverride(currentMode === CameraMode.WALKING ? null : getTimeFromScroll(scrollProgress));
+    updateTimeOfDay(deltaTime);
 
-    // 오디오 분석 및 창문 이퀄라이저 업데이트
+    // 비 (빗줄기, 튀김, 젖은 노면, 우산/차량)
+    updateWeather(deltaTime);
+
+    // 곡 제목 lower-third
+    trackSign.update(deltaTime);
+
+    // 오디오 분석 및 창문 이퀄라이저 업데이트 (품질 단계별 갱신 빈도)
     updateAudioAnalysis();
-    updateWindowBrightness();
+    windowUpdateTimer += deltaTime;
+    if (windowUpdateTimer >= windowUpdateInterval) {
+      windowUpdateTimer = 0;
+      updateWindowBrightness(camera);
+    }
 
-    renderer.render(scene, camera);
+    renderPostFX(deltaTime);
+    perfHUD.update(currentTime);
+    visualizerPanel.update(currentTime);
+    quality.update(deltaTime);
   }
 
   animate(0);
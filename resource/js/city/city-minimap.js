@@ -0,0 +1,293 @@
+/**
+ * city-minimap.js
+ * Hong Kong Citypop Night City - Walking Mode Minimap
+ *
+ * 2D canvas overlay (top-left, Walking Mode only, M to collapse):
+ * - Static layer: walkableZones, roadZones, obstacleZones, stairPaths (city-people.js)
+ * - Live layer: pedestrians, vehicles, camera position + view cone
+ * - Click: 목표 지점 표시 → "Teleport" 버튼으로 가장 가까운 걸을 수 있는 지점으로 이동
+ *
+ * Map orientation: +X → right, -Z → up (yaw 0 = 화면 위쪽)
+ */
+
+import { walkableZones, roadZones, obstacleZones, stairPaths, getPedestrians } from './city-people.js';
+import { getVehicles } from './city-vehicles.js';
+
+// World bounds shown on the map
+const WORLD_BOUNDS = { xMin: -125, xMax: 300, zMin: -250, zMax: 32 };
+// Canvas size (CSS px)
+const MAP_WIDTH = 255;
+const MAP_HEIGHT = Math.round(MAP_WIDTH * (WORLD_BOUNDS.zMax - WORLD_BOUNDS.zMin) / (WORLD_BOUNDS.xMax - WORLD_BOUNDS.xMin));
+// Live layer redraw interval (ms)
+const REDRAW_INTERVAL = 100;
+// View cone length (world units)
+const CONE_LENGTH = 30;
+
+const mapColors = {
+  background: 'rgba(10, 10, 21, 0.85)',
+  walkable: 'rgba(80, 208, 224, 0.35)',
+  walkableUpper: 'rgba(144, 128, 80, 0.45)',
+  road: 'rgba(120, 120, 140, 0.55)',
+  obstacle: 'rgba(255, 102, 170, 0.45)',
+  stair: '#ffdd88',
+  pedestrian: '#ffffff',
+  vehicle: '#ffcc44',
+  camera: '#ff66aa',
+  cone: 'rgba(255, 102, 170, 0.3)',
+  target: '#50d0e0'
+};
+
+/**
+ * World (x, z) → map pixel
+ */
+function worldToMap(x, z) {
+  const scale = MAP_WIDTH / (WORLD_BOUNDS.xMax - WORLD_BOUNDS.xMin);
+  return {
+    x: (x - WORLD_BOUNDS.xMin) * scale,
+    y: (z - WORLD_BOUNDS.zMin) * scale
+  };
+}
+
+/**
+ * Map pixel → world (x, z)
+ */
+function mapToWorld(px, py) {
+  const scale = MAP_WIDTH / (WORLD_BOUNDS.xMax - WORLD_BOUNDS.xMin);
+  return {
+    x: px / scale + WORLD_BOUNDS.xMin,
+    z: py / scale + WORLD_BOUNDS.zMin
+  };
+}
+
+function fillZoneRect(ctx, zone) {
+  const a = worldToMap(zone.xMin, zone.zMin);
+  const b = worldToMap(zone.xMax, zone.zMax);
+  ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Draw static zones once into an offscreen canvas
+ */
+function drawStaticLayer(dpr) {
+  const canvas = document.createElement('canvas');
+  canvas.width = MAP_WIDTH * dpr;
+  canvas.height = MAP_HEIGHT * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+
+  ctx.fillStyle = mapColors.background;
+  ctx.fillRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+
+  ctx.fillStyle = mapColors.road;
+  roadZones.forEach(zone => fillZoneRect(ctx, zone));
+
+  walkableZones.forEach(zone => {
+    const upper = zone.y === 'sloped' || zone.y > 0;
+    ctx.fillStyle = upper ? mapColors.walkableUpper : mapColors.walkable;
+    fillZoneRect(ctx, zone);
+  });
+
+  ctx.fillStyle = mapColors.obstacle;
+  obstacleZones.forEach(obs => {
+    if (obs.type === 'circle') {
+      const c = worldToMap(obs.cx, obs.cz);
+      const r = worldToMap(obs.cx + obs.radius, obs.cz).x - c.x;
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      fillZoneRect(ctx, obs);
+    }
+  });
+
+  ctx.strokeStyle = mapColors.stair;
+  ctx.lineWidth = 2;
+  stairPaths.forEach(stair => {
+    const a = worldToMap(stair.xStart, stair.z);
+    const b = worldToMap(stair.xEnd, stair.z);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  });
+
+  return canvas;
+}
+
+/**
+ * Create the minimap overlay
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera - Camera (position, fov, aspect)
+ * @param {Object} options.cameraState - Camera state object with yaw
+ * @param {function(number, number): ({x: number, z: number}|null)} options.findTeleportTarget
+ *   - Nearest valid walkable point for a world (x, z), or null
+ * @param {function({x: number, y: number, z: number}): void} options.onTeleport - Teleport callback
+ * @returns {Object} Minimap API ({ setVisible, update })
+ */
+export function createMinimap({ camera, cameraState, findTeleportTarget, onTeleport }) {
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  let visible = false;
+  let collapsed = false;
+  let lastDraw = -Infinity;
+  let target = null; // { x, y, z } pending teleport target
+
+  const container = document.createElement('div');
+  container.id = 'minimap';
+  container.innerHTML = `
+    <style>
+      #minimap {
+        display: none;
+        position: fixed;
+        top: 20px;
+        left: 20px;
+        z-index: 1000;
+        border: 1px solid rgba(255, 102, 170, 0.6);
+        background: rgba(10, 10, 21, 0.6);
+      }
+      #minimap.visible { display: block; }
+      #minimap.collapsed canvas { display: none; }
+      #minimap canvas { display: block; cursor: crosshair; }
+      #minimap .mm-bar {
+        display: flex;
+        justify-content: space-between;
+        gap: 6px;
+        padding: 2px 6px;
+        font: 11px monospace;
+        color: #ccc;
+      }
+      #minimap .mm-teleport {
+        display: none;
+        font: inherit;
+        color: #fff;
+        background: rgba(80, 208, 224, 0.4);
+        border: 1px solid #50d0e0;
+        cursor: pointer;
+      }
+      #minimap .mm-teleport.visible { display: inline-block; }
+      @media (max-width: 768px) {
+        #minimap { top: 15px; left: 15px; transform: scale(0.7); transform-origin: top left; }
+      }
+    </style>
+    <canvas width="${MAP_WIDTH * dpr}" height="${MAP_HEIGHT * dpr}" style="width: ${MAP_WIDTH}px; height: ${MAP_HEIGHT}px;"></canvas>
+    <div class="mm-bar">
+      <span class="mm-label">MAP (M)</span>
+      <button class="mm-teleport">Teleport</button>
+    </div>
+  `;
+  document.body.appendChild(container);
+
+  const canvas = container.querySelector('canvas');
+  const ctx = canvas.getContext('2d');
+  const teleportBtn = container.querySelector('.mm-teleport');
+  const staticLayer = drawStaticLayer(dpr);
+
+  // ============================================
+  // Drawing
+  // ============================================
+
+  function draw() {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(staticLayer, 0, 0);
+    ctx.scale(dpr, dpr);
+
+    // Vehicles
+    ctx.fillStyle = mapColors.vehicle;
+    getVehicles().forEach(car => {
+      const p = worldToMap(car.position.x, car.position.z);
+      ctx.fillRect(p.x - 1.5, p.y - 1.5, 3, 3);
+    });
+
+    // Pedestrians
+    ctx.fillStyle = mapColors.pedestrian;
+    getPedestrians().forEach(person => {
+      const p = worldToMap(person.position.x, person.position.z);
+      ctx.fillRect(p.x - 0.75, p.y - 0.75, 1.5, 1.5);
+    });
+
+    // Teleport target
+    if (target) {
+      const p = worldToMap(target.x, target.z);
+      ctx.strokeStyle = mapColors.target;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // Camera view cone (horizontal FOV)
+    const cam = worldToMap(camera.position.x, camera.position.z);
+    const halfFov = Math.atan(Math.tan((camera.fov * Math.PI / 180) / 2) * camera.aspect);
+    const edge = (angle) => worldToMap(
+      camera.position.x - Math.sin(angle) * CONE_LENGTH,
+      camera.position.z - Math.cos(angle) * CONE_LENGTH
+    );
+    const left = edge(cameraState.yaw + halfFov);
+    const right = edge(cameraState.yaw - halfFov);
+    ctx.fillStyle = mapColors.cone;
+    ctx.beginPath();
+    ctx.moveTo(cam.x, cam.y);
+    ctx.lineTo(left.x, left.y);
+    ctx.lineTo(right.x, right.y);
+    ctx.closePath();
+    ctx.fill();
+
+    // Camera position
+    ctx.fillStyle = mapColors.camera;
+    ctx.beginPath();
+    ctx.arc(cam.x, cam.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // ============================================
+  // Input
+  // ============================================
+
+  canvas.addEventListener('click', (e) => {
+    const rect = canvas.getBoundingClientRect();
+    // CSS transform(모바일 축소) 고려
+    const px = (e.clientX - rect.left) * (MAP_WIDTH / rect.width);
+    const py = (e.clientY - rect.top) * (MAP_HEIGHT / rect.height);
+    const world = mapToWorld(px, py);
+
+    target = findTeleportTarget(world.x, world.z);
+    teleportBtn.classList.toggle('visible', !!target);
+    lastDraw = -Infinity;
+  });
+
+  teleportBtn.addEventListener('click', () => {
+    if (!target) return;
+    onTeleport(target);
+    target = null;
+    teleportBtn.classList.remove('visible');
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (!visible || e.key.toLowerCase() !== 'm') return;
+    collapsed = !collapsed;
+    container.classList.toggle('collapsed', collapsed);
+  });
+
+  return {
+    /**
+     * Show/hide the minimap (Walking Mode only)
+     */
+    setVisible(value) {
+      visible = value;
+      container.classList.toggle('visible', visible);
+      if (!visible) {
+        target = null;
+        teleportBtn.classList.remove('visible');
+      }
+    },
+
+    /**
+     * Redraw live layer (call from animate, throttled)
+     * @param {number} now - Current time in ms
+     */
+    update(now) {
+      if (!visible || collapsed || now - lastDraw < REDRAW_INTERVAL) return;
+      lastDraw = now;
+      draw();
+    }
+  };
+}
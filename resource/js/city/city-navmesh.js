@@ -0,0 +1,610 @@
+/**
+ * city-navmesh.js
+ * Hong Kong Citypop Night City - Pedestrian Navigation Grid & A*
+ *
+ * walkableZones 위에 격자 그래프를 만들어 보행자 경로 탐색:
+ * - Node: zone 안의 GRID_SIZE 셀 중심 (도로 제외, 장애물과 겹치면 제외), 층(level) 별로 분리
+ * - Edge: 8방향 인접 셀 (대각선은 코너 절단 금지), 벽 통과 여부는 탐색 중 lazy 검사 후 캐시
+ * - Link: 횡단보도 (crosswalk), 계단 (stairPaths), 격자로 이어지지 않는 direct connection
+ *
+ * findPath() 결과는 string-pulling으로 단순화한 waypoint 목록,
+ * link가 시작되는 waypoint에는 { link } 가 붙어 있어 보행자가 crossing/stairs 상태로 전환
+ */
+
+import * as THREE from 'three';
+
+// Grid cell size (world units)
+const GRID_SIZE = 2;
+// Node/edge clearance (보행자 collidesWithObstacle margin보다 작게: 좁은 인도 유지)
+const NODE_MARGIN = 0.4;
+const EDGE_MARGIN = 0.3;
+// 횡단보도 대기/신호 가중치 (같은 거리면 인도를 선호)
+const CROSSWALK_PENALTY = 8;
+// 계단은 평지보다 느림
+const STAIR_COST_FACTOR = 1.5;
+// direct connection으로 이을 최대 간격
+const BRIDGE_MAX_DISTANCE = 25;
+// String-pulling: 한 번에 건너뛸 최대 node 수
+const MAX_SMOOTH_SKIP = 12;
+// A* 확장 node 상한 (도달 불가 목적지에서 전체 탐색 방지)
+const MAX_EXPANSIONS = 20000;
+
+// 8 directions: 0-3 orthogonal, 4-7 diagonal
+const DIR_X = [1, -1, 0, 0, 1, 1, -1, -1];
+const DIR_Z = [0, 0, 1, -1, 1, -1, 1, -1];
+const DIR_OPPOSITE = [1, 0, 3, 2, 7, 6, 5, 4];
+
+// Edge cache states
+const EDGE_UNKNOWN = 0;
+const EDGE_OPEN = 1;
+const EDGE_BLOCKED = 2;
+
+// Graph (buildNavMesh에서 채움)
+let nodeX = null;
+let nodeY = null;
+let nodeZ = null;
+let nodeLevel = null;
+let nodeComponent = null;  // 연결 요소 id (도달 가능 여부)
+let componentZones = [];   // component → Set of zones
+let neighbors = null;      // Int32Array(n * 8), -1 = none
+let edgeState = null;      // Uint8Array(n * 8)
+let nodeCount = 0;
+const nodeIndex = new Map();   // cellKey → node
+const links = new Map();       // node → [{ to, cost, link }]
+let zoneList = [];
+let collides = null;
+
+// A* scratch (search stamp로 매 탐색 초기화 생략)
+let gScore = null;
+let cameFrom = null;
+let openStamp = null;
+let closedStamp = null;
+let searchStamp = 0;
+
+// ============================================
+// Build
+// ============================================
+
+function cellKey(ix, iz, level) {
+  return `${ix},${iz},${level}`;
+}
+
+/**
+ * Zone level: 0 = ground, 1 = upper residential (Y=10~16, sloped 포함)
+ */
+function zoneLevel(zone) {
+  return zone.y === 'sloped' || zone.y >= 5 ? 1 : 0;
+}
+
+function levelOfY(y) {
+  return y >= 5 ? 1 : 0;
+}
+
+function zoneYAt(zone, x) {
+  if (zone.y === 'sloped') {
+    const t = Math.max(0, Math.min(1, (x - zone.xMin) / (zone.xMax - zone.xMin)));
+    return zone.yStart + t * (zone.yEnd - zone.yStart);
+  }
+  return zone.y;
+}
+
+/**
+ * Node가 zone 사각형 안에 있는지 (겹치는 zone은 node를 공유)
+ */
+function isNodeInZone(n, zone) {
+  return nodeLevel[n] === zoneLevel(zone) &&
+    nodeX[n] >= zone.xMin && nodeX[n] <= zone.xMax &&
+    nodeZ[n] >= zone.zMin && nodeZ[n] <= zone.zMax;
+}
+
+/**
+ * Nearest node of a zone to a point (connection/stair 끝점 연결용)
+ */
+function nearestNodeInZone(zone, x, z) {
+  let best = -1;
+  let bestDist = Infinity;
+  if (!zone) return best;
+  for (let i = 0; i < nodeCount; i++) {
+    if (!isNodeInZone(i, zone)) continue;
+    const d = (nodeX[i] - x) ** 2 + (nodeZ[i] - z) ** 2;
+    if (d < bestDist) { bestDist = d; best = i; }
+  }
+  return best;
+}
+
+function addLink(a, b, cost, linkAB, linkBA) {
+  if (a < 0 || b < 0) return false;
+  if (!links.has(a)) links.set(a, []);
+  if (!links.has(b)) links.set(b, []);
+  links.get(a).push({ to: b, cost, link: linkAB });
+  links.get(b).push({ to: a, cost, link: linkBA });
+  return true;
+}
+
+/**
+ * 직선 구간이 도로/장애물 없이 걸을 수 있는지 (direct connection bridge 검사)
+ */
+function isClearLine(x1, z1, x2, z2, y, isOnRoad) {
+  const dist = Math.hypot(x2 - x1, z2 - z1);
+  const steps = Math.max(1, Math.ceil(dist / (GRID_SIZE * 0.5)));
+  for (let s = 0; s <= steps; s++) {
+    const t = s / steps;
+    const x = x1 + (x2 - x1) * t;
+    const z = z1 + (z2 - z1) * t;
+    if (isOnRoad(x, z, y) || collides(x, z, y, EDGE_MARGIN)) return false;
+  }
+  return true;
+}
+
+/**
+ * Label connected components (grid edges는 낙관적으로 열린 것으로 간주)
+ */
+function labelComponents() {
+  nodeComponent = new Int32Array(nodeCount).fill(-1);
+  let component = 0;
+  const stack = [];
+  for (let start = 0; start < nodeCount; start++) {
+    if (nodeComponent[start] !== -1) continue;
+    nodeComponent[start] = component;
+    stack.push(start);
+    while (stack.length > 0) {
+      const n = stack.pop();
+      for (let d = 0; d < 8; d++) {
+        const m = neighbors[n * 8 + d];
+        if (m >= 0 && nodeComponent[m] === -1) {
+          nodeComponent[m] = component;
+          stack.push(m);
+        }
+      }
+      const nodeLinks = links.get(n);
+      if (nodeLinks) {
+        nodeLinks.forEach(({ to }) => {
+          if (nodeComponent[to] === -1) {
+            nodeComponent[to] = component;
+            stack.push(to);
+          }
+        });
+      }
+    }
+    component++;
+  }
+
+  componentZones = Array.from({ length: component }, () => new Set());
+  for (let n = 0; n < nodeCount; n++) {
+    zoneList.forEach(zone => {
+      if (isNodeInZone(n, zone)) componentZones[nodeComponent[n]].add(zone);
+    });
+  }
+  return component;
+}
+
+/**
+ * Build the navigation grid
+ * 장애물 footprint (city-collision.js) 생성 후 호출
+ * @param {Object} options
+ * @param {Array} options.zones - walkableZones
+ * @param {Array} options.connections - zoneConnections
+ * @param {Array} options.stairs - stairPaths
+ * @param {function(number, number, number): boolean} options.isOnRoad - (x, z, y) → road
+ * @param {function(number, number, number, number): boolean} options.collidesWithObstacle - (x, z, y, margin)
+ * @returns {number} Node count
+ */
+export function buildNavMesh({ zones, connections, stairs, isOnRoad, collidesWithObstacle }) {
+  const startTime = performance.now();
+  zoneList = zones;
+  collides = collidesWithObstacle;
+  nodeIndex.clear();
+  links.clear();
+
+  // Nodes: zone 순서대로, 겹치는 셀은 먼저 등록된 zone의 Y 사용
+  const xs = [];
+  const ys = [];
+  const zs = [];
+  const levels = [];
+  const cells = [];
+
+  zones.forEach(zone => {
+    const level = zoneLevel(zone);
+    const ixMin = Math.ceil(zone.xMin / GRID_SIZE - 0.5);
+    const ixMax = Math.floor(zone.xMax / GRID_SIZE - 0.5);
+    const izMin = Math.ceil(zone.zMin / GRID_SIZE - 0.5);
+    const izMax = Math.floor(zone.zMax / GRID_SIZE - 0.5);
+    for (let ix = ixMin; ix <= ixMax; ix++) {
+      for (let iz = izMin; iz <= izMax; iz++) {
+        const key = cellKey(ix, iz, level);
+        if (nodeIndex.has(key)) continue;
+        const x = (ix + 0.5) * GRID_SIZE;
+        const z = (iz + 0.5) * GRID_SIZE;
+        const y = zoneYAt(zone, x);
+        if (isOnRoad(x, z, y) || collides(x, z, y, NODE_MARGIN)) continue;
+        nodeIndex.set(key, xs.length);
+        xs.push(x);
+        ys.push(y);
+        zs.push(z);
+        levels.push(level);
+        cells.push([ix, iz]);
+      }
+    }
+  });
+
+  nodeCount = xs.length;
+  nodeX = Float32Array.from(xs);
+  nodeY = Float32Array.from(ys);
+  nodeZ = Float32Array.from(zs);
+  nodeLevel = Uint8Array.from(levels);
+
+  // 8-neighborhood (같은 level만)
+  neighbors = new Int32Array(nodeCount * 8).fill(-1);
+  edgeState = new Uint8Array(nodeCount * 8);
+  for (let n = 0; n < nodeCount; n++) {
+    const [ix, iz] = cells[n];
+    for (let d = 0; d < 8; d++) {
+      const m = nodeIndex.get(cellKey(ix + DIR_X[d], iz + DIR_Z[d], nodeLevel[n]));
+      if (m === undefined) continue;
+      // 대각선: 양쪽 직교 셀이 모두 있어야 함 (벽 모서리 절단 방지)
+      if (d >= 4 && (!nodeIndex.has(cellKey(ix + DIR_X[d], iz, nodeLevel[n])) ||
+                     !nodeIndex.has(cellKey(ix, iz + DIR_Z[d], nodeLevel[n])))) continue;
+      neighbors[n * 8 + d] = m;
+    }
+  }
+
+  // Crosswalk links (차도를 건너는 유일한 경로)
+  let crosswalkCount = 0;
+  let bridgeCount = 0;
+  connections.forEach(conn => {
+    const fromZone = zones.find(z => z.id === conn.from);
+    const toZone = zones.find(z => z.id === conn.to);
+    if (!fromZone || !toZone) return;
+
+    if (conn.type === 'crosswalk') {
+      let a, b;
+      if (conn.xMin !== undefined) {
+        const x = (conn.xMin + conn.xMax) / 2;
+        a = nearestNodeInZone(fromZone, x, conn.zFrom);
+        b = nearestNodeInZone(toZone, x, conn.zTo);
+      } else {
+        const z = (conn.zMin + conn.zMax) / 2;
+        a = nearestNodeInZone(fromZone, conn.xFrom, z);
+        b = nearestNodeInZone(toZone, conn.xTo, z);
+      }
+      if (a < 0 || b < 0) return;
+      const cost = Math.hypot(nodeX[b] - nodeX[a], nodeZ[b] - nodeZ[a]) + CROSSWALK_PENALTY;
+      const link = { type: 'crosswalk', conn };
+      if (addLink(a, b, cost, link, link)) crosswalkCount++;
+      return;
+    }
+
+    // Direct: 격자로 이미 이어져 있으면 생략, 떨어진 zone만 bridge
+    const px = conn.xMin !== undefined ? (conn.xMin + conn.xMax) / 2 : conn.xFrom;
+    const pz = conn.z !== undefined ? conn.z : (conn.zMin + conn.zMax) / 2;
+    const a = nearestNodeInZone(fromZone, px, pz);
+    const b = nearestNodeInZone(toZone, px, pz);
+    if (a < 0 || b < 0 || a === b || nodeLevel[a] !== nodeLevel[b]) return;
+    const dist = Math.hypot(nodeX[b] - nodeX[a], nodeZ[b] - nodeZ[a]);
+    if (dist <= GRID_SIZE * Math.SQRT2 + 0.01 || dist > BRIDGE_MAX_DISTANCE) return;
+    if (!isClearLine(nodeX[a], nodeZ[a], nodeX[b], nodeZ[b], nodeY[a], isOnRoad)) return;
+    if (addLink(a, b, dist, null, null)) bridgeCount++;
+  });
+
+  // Stair links (Y=10 top ↔ Y=0 bottom)
+  const topZone = zones.find(z => z.id === 'stairsTopPlatform');
+  const bottomZone = zones.find(z => z.id === 'stairsBottomArea');
+  stairs.forEach(stair => {
+    const top = nearestNodeInZone(topZone, stair.xStart, stair.z + 1);
+    const bottom = nearestNodeInZone(bottomZone, stair.xEnd, stair.z - 1);
+    const length = Math.hypot(stair.xEnd - stair.xStart, stair.yTop - stair.yBottom);
+    addLink(top, bottom, length * STAIR_COST_FACTOR,
+      { type: 'stairs', stairId: stair.id, goingUp: false },
+      { type: 'stairs', stairId: stair.id, goingUp: true });
+  });
+
+  // A* scratch
+  gScore = new Float32Array(nodeCount);
+  cameFrom = new Int32Array(nodeCount);
+  openStamp = new Uint32Array(nodeCount);
+  closedStamp = new Uint32Array(nodeCount);
+  searchStamp = 0;
+
+  const componentCount = labelComponents();
+
+  console.log(`NavMesh: ${nodeCount} nodes, ${crosswalkCount} crosswalks, ${stairs.length} stairs, ` +
+    `${bridgeCount} bridges, ${componentCount} components (${(performance.now() - startTime).toFixed(0)}ms)`);
+  return nodeCount;
+}
+
+// ============================================
+// Query
+// ============================================
+
+/**
+ * @returns {boolean} Navigation grid has been built
+ */
+export function hasNavMesh() {
+  return nodeCount > 0;
+}
+
+/**
+ * Node at (or near) a world position on the matching level
+ * @returns {number} Node index, -1 if none within a few cells
+ */
+function findNode(x, y, z) {
+  const level = levelOfY(y);
+  const ix = Math.floor(x / GRID_SIZE);
+  const iz = Math.floor(z / GRID_SIZE);
+  const direct = nodeIndex.get(cellKey(ix, iz, level));
+  if (direct !== undefined) return direct;
+
+  // 장애물 옆 등 셀이 비어 있으면 주변 링 탐색
+  let best = -1;
+  let bestDist = Infinity;
+  for (let r = 1; r <= 3 && best < 0; r++) {
+    for (let dx = -r; dx <= r; dx++) {
+      for (let dz = -r; dz <= r; dz++) {
+        if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue;
+        const n = nodeIndex.get(cellKey(ix + dx, iz + dz, level));
+        if (n === undefined) continue;
+        const d = (nodeX[n] - x) ** 2 + (nodeZ[n] - z) ** 2;
+        if (d < bestDist) { bestDist = d; best = n; }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Grid edge 통과 여부 (첫 사용 시 벽 검사, 양방향 캐시)
+ */
+function isEdgeOpen(n, d) {
+  const state = edgeState[n * 8 + d];
+  if (state !== EDGE_UNKNOWN) return state === EDGE_OPEN;
+
+  const m = neighbors[n * 8 + d];
+  let open = true;
+  for (const t of [0.25, 0.5, 0.75]) {
+    const x = nodeX[n] + (nodeX[m] - nodeX[n]) * t;
+    const z = nodeZ[n] + (nodeZ[m] - nodeZ[n]) * t;
+    const y = nodeY[n] + (nodeY[m] - nodeY[n]) * t;
+    if (collides(x, z, y, EDGE_MARGIN)) { open = false; break; }
+  }
+  const value = open ? EDGE_OPEN : EDGE_BLOCKED;
+  edgeState[n * 8 + d] = value;
+  edgeState[m * 8 + DIR_OPPOSITE[d]] = value;
+  return open;
+}
+
+/**
+ * Octile distance heuristic
+ */
+function heuristic(a, b) {
+  const dx = Math.abs(nodeX[a] - nodeX[b]);
+  const dz = Math.abs(nodeZ[a] - nodeZ[b]);
+  return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+}
+
+/**
+ * A* over the grid + links
+ * @returns {Array<number>|null} Node indices from start to goal
+ */
+function searchNodes(start, goal) {
+  searchStamp++;
+  const stamp = searchStamp;
+  // Binary heap of [f, node]
+  const heap = [];
+  const push = (f, n) => {
+    heap.push([f, n]);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+        if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  const relax = (n, m, cost) => {
+    if (closedStamp[m] === stamp) return;
+    const g = gScore[n] + cost;
+    if (openStamp[m] === stamp && g >= gScore[m]) return;
+    openStamp[m] = stamp;
+    gScore[m] = g;
+    cameFrom[m] = n;
+    push(g + heuristic(m, goal), m);
+  };
+
+  gScore[start] = 0;
+  cameFrom[start] = -1;
+  openStamp[start] = stamp;
+  push(heuristic(start, goal), start);
+
+  let expansions = 0;
+  while (heap.length > 0) {
+    const [, n] = pop();
+    if (closedStamp[n] === stamp) continue; // stale heap entry
+    closedStamp[n] = stamp;
+
+    if (n === goal) {
+      const result = [];
+      for (let c = goal; c !== -1; c = cameFrom[c]) result.push(c);
+      return result.reverse();
+    }
+    if (++expansions > MAX_EXPANSIONS) return null;
+
+    for (let d = 0; d < 8; d++) {
+      const m = neighbors[n * 8 + d];
+      if (m < 0 || !isEdgeOpen(n, d)) continue;
+      relax(n, m, d < 4 ? GRID_SIZE : GRID_SIZE * Math.SQRT2);
+    }
+    const nodeLinks = links.get(n);
+    if (nodeLinks) nodeLinks.forEach(({ to, cost }) => relax(n, to, cost));
+  }
+  return null;
+}
+
+/**
+ * Link used when walking from node a to node b (null = 일반 보행)
+ */
+function linkBetween(a, b) {
+  const nodeLinks = links.get(a);
+  if (!nodeLinks) return null;
+  const entry = nodeLinks.find(l => l.to === b);
+  return entry ? entry.link : null;
+}
+
+/**
+ * 두 node 사이를 직선으로 걸을 수 있는지 (같은 level 셀 위 + 장애물 없음)
+ */
+function hasLineOfSight(a, b) {
+  if (nodeLevel[a] !== nodeLevel[b]) return false;
+  const dist = Math.hypot(nodeX[b] - nodeX[a], nodeZ[b] - nodeZ[a]);
+  const steps = Math.ceil(dist / (GRID_SIZE * 0.5));
+  for (let s = 1; s < steps; s++) {
+    const t = s / steps;
+    const x = nodeX[a] + (nodeX[b] - nodeX[a]) * t;
+    const z = nodeZ[a] + (nodeZ[b] - nodeZ[a]) * t;
+    const y = nodeY[a] + (nodeY[b] - nodeY[a]) * t;
+    const cell = nodeIndex.get(cellKey(Math.floor(x / GRID_SIZE), Math.floor(z / GRID_SIZE), nodeLevel[a]));
+    if (cell === undefined || collides(x, z, y, EDGE_MARGIN)) return false;
+  }
+  return true;
+}
+
+function toWaypoint(n, link = null) {
+  const point = { x: nodeX[n], y: nodeY[n], z: nodeZ[n] };
+  if (link) point.link = link;
+  return point;
+}
+
+/**
+ * Find a walking route between two world positions
+ * @param {{x: number, y: number, z: number}} from - Start (보행자 발 위치)
+ * @param {{x: number, y: number, z: number}} to - Destination
+ * @returns {Array<{x: number, y: number, z: number, link?: Object}>|null}
+ *   Waypoints (출발점 제외). link = { type: 'crosswalk', conn } | { type: 'stairs', stairId, goingUp }
+ */
+export function findPath(from, to) {
+  if (nodeCount === 0) return null;
+  const start = findNode(from.x, from.y, from.z);
+  const goal = findNode(to.x, to.y, to.z);
+  if (start < 0 || goal < 0 || nodeComponent[start] !== nodeComponent[goal]) return null;
+
+  const nodes = searchNodes(start, goal);
+  if (!nodes) return null;
+
+  // String-pulling: link 구간은 건너뛰지 않고, 그 외에는 보이는 가장 먼 node까지
+  const path = [];
+  let i = 0;
+  while (i < nodes.length - 1) {
+    const link = linkBetween(nodes[i], nodes[i + 1]);
+    if (link) {
+      path.push(toWaypoint(nodes[i], link));
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    while (j + 1 < nodes.length && j + 1 - i <= MAX_SMOOTH_SKIP &&
+           !linkBetween(nodes[j], nodes[j + 1]) && hasLineOfSight(nodes[i], nodes[j + 1])) {
+      j++;
+    }
+    // link 출발 node는 다음 반복에서 link와 함께 추가
+    if (j < nodes.length - 1 && linkBetween(nodes[j], nodes[j + 1])) {
+      i = j;
+      continue;
+    }
+    path.push(toWaypoint(nodes[j]));
+    i = j;
+  }
+
+  // 마지막 node 대신 실제 목적지 (마지막이 link면 도착 후 목적지로)
+  const last = path[path.length - 1];
+  if (last && !last.link) {
+    last.x = to.x;
+    last.y = to.y;
+    last.z = to.z;
+  } else {
+    path.push({ x: to.x, y: to.y, z: to.z });
+  }
+  return path;
+}
+
+/**
+ * Whether two world positions are connected on the grid
+ * @returns {boolean}
+ */
+export function isReachable(from, to) {
+  if (nodeCount === 0) return false;
+  const a = findNode(from.x, from.y, from.z);
+  const b = findNode(to.x, to.y, to.z);
+  return a >= 0 && b >= 0 && nodeComponent[a] === nodeComponent[b];
+}
+
+/**
+ * Zones reachable from a position (목적지 선택용)
+ * @returns {Array<Object>} Zones sharing the start node's component
+ */
+export function getReachableZones(x, y, z) {
+  if (nodeCount === 0) return [];
+  const start = findNode(x, y, z);
+  if (start < 0) return [];
+  return [...componentZones[nodeComponent[start]]];
+}
+
+// ============================================
+// Debug
+// ============================================
+
+/**
+ * Line visualization of the grid (green) and links (yellow)
+ * 검사된 edge 중 막힌 것은 빨강 (탐색이 진행될수록 늘어남)
+ * @returns {THREE.LineSegments}
+ */
+export function createNavMeshDebugLines() {
+  const vertices = [];
+  const colors = [];
+  const pushLine = (a, b, r, g, bl) => {
+    vertices.push(nodeX[a], nodeY[a] + 0.15, nodeZ[a], nodeX[b], nodeY[b] + 0.15, nodeZ[b]);
+    colors.push(r, g, bl, r, g, bl);
+  };
+
+  for (let n = 0; n < nodeCount; n++) {
+    // 각 edge는 한 번만 (d = 0, 2, 4, 5 방향)
+    for (const d of [0, 2, 4, 5]) {
+      const m = neighbors[n * 8 + d];
+      if (m < 0) continue;
+      if (edgeState[n * 8 + d] === EDGE_BLOCKED) pushLine(n, m, 1, 0.2, 0.2);
+      else pushLine(n, m, 0.2, 0.8, 0.3);
+    }
+  }
+  links.forEach((nodeLinks, n) => {
+    nodeLinks.forEach(({ to }) => {
+      if (n < to) pushLine(n, to, 1, 0.9, 0.2);
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  const material = new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true, opacity: 0.6 });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.name = 'navmesh-debug';
+  lines.renderOrder = 999;
+  return lines;
+}
@@ -9,6 +9,8 @@
 
 import * as THREE from 'three';
 import { createStreetLamp } from './city-streetlamp.js';
+import { random } from './city-random.js';
+import { registerPOI } from './city-poi.js';
 
 // ============================================
 // Parks (beside Shopping District)
@@ -19,7 +21,7 @@ import { createStreetLamp } from './city-streetlamp.js';
  */
 function createParkTree(scene, x, z, groundY) {
   const group = new THREE.Group();
-  const scale = 0.5 + Math.random() * 0.4;
+  const scale = 0.5 + random() * 0.4;
 
   // Trunk
   const trunkGeom = new THREE.CylinderGeometry(0.1 * scale, 0.15 * scale, 1.5 * scale, 6);
@@ -30,7 +32,7 @@ function createParkTree(scene, x, z, groundY) {
 
   // Foliage (round shape)
   const foliageColors = [0x2a4a40, 0x254540, 0x2a5545, 0x224538];
-  const foliageColor = foliageColors[Math.floor(Math.random() * foliageColors.length)];
+  const foliageColor = foliageColors[Math.floor(random() * foliageColors.length)];
   const foliageGeom = new THREE.SphereGeometry(1.2 * scale, 8, 6);
   const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
   const foliage = new THREE.Mesh(foliageGeom, foliageMat);
@@ -75,6 +77,9 @@ function createParkBench(scene, x, z, groundY, rotation = 0) {
   group.position.set(x, groundY, z);
   group.rotation.y = rotation;
   scene.add(group);
+
+  // 보행자 앉는 자리 (2인)
+  registerPOI('bench', group, { slots: [[-0.35, 0.05], [0.35, 0.05]], approach: 0.8, seatY: 0.5 });
   return group;
 }
 
@@ -101,14 +106,14 @@ function createFlowerBed(scene, x, z, groundY) {
   // Flowers (small colorful spheres)
   const flowerColors = [0xff6090, 0xffff50, 0xff50ff, 0x50ffff, 0xff9050];
   for (let i = 0; i < 8; i++) {
-    const flowerColor = flowerColors[Math.floor(Math.random() * flowerColors.length)];
+    const flowerColor = flowerColors[Math.floor(random() * flowerColors.length)];
     const flowerGeom = new THREE.SphereGeometry(0.12, 6, 4);
     const flowerMat = new THREE.MeshBasicMaterial({ color: flowerColor });
     const flower = new THREE.Mesh(flowerGeom, flowerMat);
     flower.position.set(
-      -0.6 + Math.random() * 1.2,
+      -0.6 + random() * 1.2,
       0.35,
-      -0.6 + Math.random() * 1.2
+      -0.6 + random() * 1.2
     );
     group.add(flower);
   }
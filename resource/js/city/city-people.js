@@ -4,24 +4,50 @@
  *
  * Features:
  * - Zone-based movement (2D rectangular areas)
- * - Waypoint navigation within zones
+ * - A* routes to destinations over a navigation grid (city-navmesh.js)
+ * - Behaviour profiles (commuter, shopper, resident, ...) visiting POIs (city-poi.js)
+ * - Boarding/alighting buses at bus stops (handleBusStop ← city-vehicles.js)
  * - Boundary clamping (never exit zone boundaries)
  * - Explicit connection points between zones
- * - Crosswalk-only road crossing
+ * - Crosswalk-only road crossing, waiting in a queue at the curb for the walk signal (city-traffic-lights.js)
  */
 
 import * as THREE from 'three';
+import { createRandom } from './city-random.js';
 import { getVehicles } from './city-vehicles.js';
+import { hasObstacleFootprints, collidesWithFootprints } from './city-collision.js';
+import { buildNavMesh, hasNavMesh, findPath, getReachableZones, isReachable } from './city-navmesh.js';
+import { reservePOISlot, releasePOISlot } from './city-poi.js';
+import { canPedestrianCross } from './city-traffic-lights.js';
 
 // iOS 감지
 const isIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
 
+// 보행자 전용 난수 스트림 (시드 고정, 빌더 스트림과 독립)
+const random = createRandom('pedestrians');
+
+// 걷기 애니메이션 기본 cadence (rad/s, 다리 주기 = sin(time * cadence))
+// Walking Mode head-bob/발소리도 같은 값을 사용 (city-walker.js)
+const WALK_CADENCE = 5;
+
 // Person colors (neon citypop style)
 const personColors = [
   0xff80a0, 0x80d0e0, 0xe080c0, 0x90e0e0, 0xd090e0,
   0xffaa80, 0x80ffaa, 0xaa80ff, 0xffff80, 0x80ffff
 ];
 
+// Umbrellas (비 올 때 city-weather.js가 setUmbrellasOpen으로 펼침)
+// 별도 난수 스트림 → 기존 보행자 색/속도 시퀀스는 그대로
+const umbrellaRandom = createRandom('umbrellas');
+const UMBRELLA_SHARE = 0.85;        // 우산을 가진 사람 비율
+const UMBRELLA_ARM_ANGLE = -1.0;    // 오른팔을 앞으로 들어 손잡이를 잡는 각도
+const umbrellaColors = [0x202030, 0xff80a0, 0x80d0e0, 0xe0e0f0, 0xd090e0, 0x50e0a0];
+const umbrellaCanopyGeom = new THREE.ConeGeometry(0.65, 0.3, 8, 1, true);
+const umbrellaShaftGeom = new THREE.CylinderGeometry(0.015, 0.015, 1.15, 4);
+const umbrellaShaftMaterial = new THREE.MeshBasicMaterial({ color: 0x202028 });
+const umbrellaMaterials = new Map(); // color → canopy material (공유)
+let umbrellasOpen = false;
+
 // ============================================================
 // WALKABLE ZONES - Rectangular areas where people can walk
 // ============================================================
@@ -152,6 +178,7 @@ const roadZones = [
 
 // ============================================================
 // OBSTACLE ZONES - Buildings, objects that pedestrians cannot walk through
+// Legacy fallback: 씬에서 추출한 footprint(city-collision.js)가 있으면 그쪽을 사용
 // ============================================================
 const obstacleZones = [
   // === Shopping District (Y=0) ===
@@ -689,14 +716,58 @@ const zonePopulationTargets = isIOS ? {
   flatTopPath: { min: 1, max: 2 },
 };
 
-const MAX_POPULATION = isIOS ? 25 : 175;
+// 보행자 상한 (city-quality.js가 setMaxPedestrians로 조절)
+let maxPopulation = isIOS ? 25 : 175;
+
+// 프레임당 A* 탐색 수 (목적지 선택이 한 프레임에 몰리지 않도록)
+const MAX_PATHS_PER_FRAME = 3;
+
+// ============================================================
+// BEHAVIOUR PROFILES
+// ============================================================
+// 보행자마다 profile 하나, activities를 순서대로 반복
+// - poi: 가장 가까운 빈 자리 예약 → 도착 후 앉거나 서서 dwell초 사용 (city-poi.js)
+// - zones: 해당 zone 중 한 곳으로 이동 후 dwell초 머묾
+// - wander: 기존처럼 주변 zone 아무 곳
+// 기존 state ('walking' | 'waiting' | 'crossing' | 'stairs') 위에서 activity가 목적지만 결정
+const behaviourProfiles = {
+  wanderer: { weight: 4, activities: [{ wander: true }] },
+  commuter: { weight: 2, activities: [{ poi: 'bus-stop', dwell: [20, 45] }, { wander: true }] },
+  shopper: {
+    weight: 2,
+    activities: [{ poi: 'stall', dwell: [4, 10] }, { poi: 'stall', dwell: [4, 10] }, { wander: true }]
+  },
+  resident: {
+    weight: 1.5,
+    activities: [{ zones: ['residentialPath', 'slopedPath', 'flatTopPath'], dwell: [5, 15] }, { wander: true }]
+  },
+  snacker: { weight: 1, activities: [{ poi: 'vending-machine', dwell: [3, 6] }, { wander: true }] },
+  benchSitter: { weight: 1.5, activities: [{ poi: 'bench', dwell: [15, 40] }, { wander: true }] },
+};
+
+// POI를 찾는 최대 거리 (먼 곳의 빈 자리 때문에 도시를 가로지르지 않도록)
+const POI_SEARCH_RADIUS = 80;
+// 사람 모델 엉덩이 높이 (createPedestrianMesh 다리 pivot)
+const HIP_HEIGHT = 0.6;
+
+// Crosswalk queue: 연석 앞 줄 (한 줄에 QUEUE_ROW_SIZE명, 뒤로 QUEUE_ROW_DEPTH 간격)
+const QUEUE_ROW_SIZE = 4;
+const QUEUE_SPACING = 0.9;
+const QUEUE_ROW_DEPTH = 0.8;
+const QUEUE_CURB_GAP = 0.4;
+// 횡단보도 띠(중심 ±2) 밖이나 연석에서 먼 곳이면 먼저 줄 자리로 이동
+const CROSSWALK_HALF_BAND = 2;
+const CURB_REACH = 1.5;
 
 // ============================================================
 // STATE
 // ============================================================
 let pedestrians = [];
 let crosswalkStates = {};
+// `${crosswalkId}:${side}` → waiting pedestrians in arrival order
+const crosswalkQueues = new Map();
 let sceneRef = null;
+let pathBudget = MAX_PATHS_PER_FRAME;
 
 // ============================================================
 // ZONE UTILITY FUNCTIONS
@@ -744,8 +815,11 @@ function isOnRoad(x, z, y) {
 
 /**
  * Check if position collides with an obstacle
+ * 씬 지오메트리에서 추출한 footprint가 있으면 사용 (city-collision.js), 없으면 obstacleZones
  */
 function collidesWithObstacle(x, z, y, margin = 0.5) {
+  if (hasObstacleFootprints()) return collidesWithFootprints(x, z, y, margin);
+
   if (y > 1) return false; // Only check at ground level
   for (const obs of obstacleZones) {
     if (obs.y !== undefined && Math.abs(y - obs.y) > 2) continue;
@@ -811,6 +885,9 @@ function clampToConnectedZones(person) {
     return;
   }
 
+  // 경로는 walkable 셀/connection 위로만 지나감 → 클램프 생략
+  if (data.path) return;
+
   // Not in any zone - clamp to current zone boundaries
   const zone = data.currentZone;
   const margin = 0.3;
@@ -845,8 +922,8 @@ function getRandomPointInZone(zone) {
   const maxAttempts = 10;
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const x = zone.xMin + margin + Math.random() * (zone.xMax - zone.xMin - margin * 2);
-    const z = zone.zMin + margin + Math.random() * (zone.zMax - zone.zMin - margin * 2);
+    const x = zone.xMin + margin + random() * (zone.xMax - zone.xMin - margin * 2);
+    const z = zone.zMin + margin + random() * (zone.zMax - zone.zMin - margin * 2);
 
     let y;
     if (zone.y === 'sloped') {
@@ -960,7 +1037,7 @@ function getRandomWaypointInConnectedZones(currentZone) {
   const connectedZones = getConnectedZones(currentZone.id);
 
   // Weight current zone more heavily (50%), other zones share remaining 50%
-  if (connectedZones.length <= 1 || Math.random() < 0.5) {
+  if (connectedZones.length <= 1 || random() < 0.5) {
     return getRandomPointInZone(currentZone);
   }
 
@@ -970,7 +1047,7 @@ function getRandomWaypointInConnectedZones(currentZone) {
     return getRandomPointInZone(currentZone);
   }
 
-  const randomZone = otherZones[Math.floor(Math.random() * otherZones.length)];
+  const randomZone = otherZones[Math.floor(random() * otherZones.length)];
   return getRandomPointInZone(randomZone);
 }
 
@@ -981,11 +1058,11 @@ function getRandomWaypointInConnectedZones(currentZone) {
 /**
  * Create a pedestrian mesh
  * Structure: [0]=head, [1]=body, [2]=leftLegPivot, [3]=rightLegPivot,
- *            [4]=leftArmPivot, [5]=rightArmPivot
+ *            [4]=leftArmPivot, [5]=rightArmPivot, [6]=umbrella
  */
 function createPedestrianMesh() {
   const group = new THREE.Group();
-  const color = personColors[Math.floor(Math.random() * personColors.length)];
+  const color = personColors[Math.floor(random() * personColors.length)];
   const mat = new THREE.MeshBasicMaterial({ color });
 
   // Head (2/3 size)
@@ -1040,9 +1117,45 @@ function createPedestrianMesh() {
   rightArmPivot.add(rightArm);
   group.add(rightArmPivot);
 
+  group.add(createUmbrella());
+
   return group;
 }
 
+/**
+ * Create an umbrella (손: 오른팔을 UMBRELLA_ARM_ANGLE로 든 위치, 캐노피는 머리 위)
+ * 우산이 없는 사람도 같은 자리에 빈 그룹을 둠 → children 인덱스 유지
+ */
+function createUmbrella() {
+  const umbrella = new THREE.Group();
+  const carried = umbrellaRandom() < UMBRELLA_SHARE;
+  const color = umbrellaColors[Math.floor(umbrellaRandom() * umbrellaColors.length)];
+  umbrella.userData = { isUmbrella: true, carried };
+  umbrella.visible = carried && umbrellasOpen;
+  if (!carried) return umbrella;
+
+  if (!umbrellaMaterials.has(color)) {
+    umbrellaMaterials.set(color, new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide }));
+  }
+
+  const shaft = new THREE.Mesh(umbrellaShaftGeom, umbrellaShaftMaterial);
+  shaft.position.set(0.35, 1.5, 0.42);
+  umbrella.add(shaft);
+
+  const canopy = new THREE.Mesh(umbrellaCanopyGeom, umbrellaMaterials.get(color));
+  canopy.position.set(0.35, 2.12, 0.42);
+  umbrella.add(canopy);
+
+  return umbrella;
+}
+
+/**
+ * Umbrella가 펼쳐져 있으면 오른팔은 들고 있음
+ */
+function holdsUmbrella(person) {
+  return !!person.children[6] && person.children[6].visible;
+}
+
 /**
  * Create a pedestrian in a specific zone
  */
@@ -1058,18 +1171,22 @@ function createPedestrian(scene, zoneId, position = null) {
 
   group.userData = {
     currentZone: zone,
-    speed: 1.5 + Math.random() * 1.0,
+    speed: 1.5 + random() * 1.0,
     state: 'walking',
     waypoint: null,
-    animOffset: Math.random() * Math.PI * 2,
-    animSpeed: 4 + Math.random() * 2,
+    animOffset: random() * Math.PI * 2,
+    animSpeed: WALK_CADENCE - 1 + random() * 2,
     crossingData: null,
     stairData: null,
     waitTime: 0,
   };
+  assignProfile(group);
 
   // Set initial waypoint (can be in connected zones)
-  group.userData.waypoint = getRandomWaypointInConnectedZones(zone);
+  // Navmesh가 있으면 첫 update에서 목적지 경로 탐색
+  group.userData.path = null;
+  group.userData.pathIndex = 0;
+  group.userData.waypoint = hasNavMesh() ? null : getRandomWaypointInConnectedZones(zone);
   updateRotation(group);
 
   scene.add(group);
@@ -1084,7 +1201,7 @@ function createStairPedestrian(scene, stairId, goingUp) {
   const stair = stairPaths.find(s => s.id === stairId);
   if (!stair) return null;
 
-  const progress = Math.random();
+  const progress = random();
   const x = stair.xStart + (stair.xEnd - stair.xStart) * progress;
   const y = stair.yTop + (stair.yBottom - stair.yTop) * progress;
 
@@ -1092,11 +1209,11 @@ function createStairPedestrian(scene, stairId, goingUp) {
 
   group.userData = {
     currentZone: null,
-    speed: 1.0 + Math.random() * 0.5,
+    speed: 1.0 + random() * 0.5,
     state: 'stairs',
     waypoint: null,
-    animOffset: Math.random() * Math.PI * 2,
-    animSpeed: 3 + Math.random() * 1,
+    animOffset: random() * Math.PI * 2,
+    animSpeed: 3 + random() * 1,
     crossingData: null,
     stairData: {
       stairId: stairId,
@@ -1104,7 +1221,10 @@ function createStairPedestrian(scene, stairId, goingUp) {
       progress: progress
     },
     waitTime: 0,
+    path: null,
+    pathIndex: 0,
   };
+  assignProfile(group);
 
   group.rotation.y = goingUp ? -Math.PI / 2 : Math.PI / 2;
 
@@ -1142,7 +1262,8 @@ function animateWalk(person, time) {
   const data = person.userData;
   const zone = data.currentZone;
 
-  if (data.state === 'waiting') {
+  // 줄 자리로 걸어가는 중에는 걷기 애니메이션
+  if (data.state === 'waiting' && !data.queueWalking) {
     return;
   }
 
@@ -1178,7 +1299,7 @@ function animateWalk(person, time) {
   // Left arm swings with right leg, right arm swings with left leg
   if (person.children[4] && person.children[5]) {
     person.children[4].rotation.x = Math.sin(t + Math.PI) * 0.4; // Opposite to left leg
-    person.children[5].rotation.x = Math.sin(t) * 0.4; // Opposite to right leg
+    person.children[5].rotation.x = holdsUmbrella(person) ? UMBRELLA_ARM_ANGLE : Math.sin(t) * 0.4; // Opposite to right leg
   }
 }
 
@@ -1219,6 +1340,7 @@ function getAvoidanceVector(person, allPedestrians) {
 
 /**
  * Check if there are vehicles on or near the crosswalk
+ * 횡단보도 위에 있거나, 다가오는 중인 차 (정지선에 멈추는/멈춘 차는 제외)
  */
 function isVehicleOnCrosswalk(crosswalkId, personX, personZ) {
   const vehicles = getVehicles();
@@ -1226,25 +1348,92 @@ function isVehicleOnCrosswalk(crosswalkId, personX, personZ) {
   if (!cw) return false;
 
   for (const vehicle of vehicles) {
-    if (!vehicle || !vehicle.mesh) continue;
-    const vx = vehicle.mesh.position.x;
-    const vz = vehicle.mesh.position.z;
+    if (!vehicle) continue;
+    const vd = vehicle.userData;
+    const vx = vehicle.position.x;
+    const vz = vehicle.position.z;
 
+    // 진행 방향으로 횡단보도까지 거리 (dirX/dirZ: city-vehicles.js)
+    const along = (cw.x - vx) * vd.dirX + (cw.z - vz) * vd.dirZ;
     if (cw.direction === 'vertical') {
-      // Main road crosswalk - check if vehicle is within crosswalk x range and near z
-      const inXRange = Math.abs(vx - cw.x) < (cw.width / 2 + 8); // Vehicle approaching
-      const inZRange = Math.abs(vz - cw.z) < (cw.length / 2 + 3);
-      if (inXRange && inZRange) return true;
+      // Main road crosswalk - vehicle on the main road, distance along x
+      if (Math.abs(vz - cw.z) >= cw.width / 2) continue;
+      if (Math.abs(vx - cw.x) < cw.length / 2 + 2.5) return true; // On crosswalk
     } else {
-      // South road crosswalk - check if vehicle is within crosswalk z range and near x
-      const inZRange = Math.abs(vz - cw.z) < (cw.length / 2 + 8); // Vehicle approaching
-      const inXRange = Math.abs(vx - cw.x) < (cw.width / 2 + 3);
-      if (inXRange && inZRange) return true;
+      // South road crosswalk - vehicle on the south road, distance along z
+      if (Math.abs(vx - cw.x) >= cw.length / 2) continue;
+      if (Math.abs(vz - cw.z) < cw.width / 2 + 2.5) return true; // On crosswalk
     }
+
+    // Approaching, still moving and not stopping at the stop line
+    if (along > 0 && along < 13 && vd.currentSpeed > 0.5 && vd.stopLineDistance === Infinity) return true;
   }
   return false;
 }
 
+/**
+ * Queue key / curb side of a crosswalk connection (출발하는 쪽 연석)
+ * @returns {{key: string, curb: number, away: number}} away: 연석에서 인도 안쪽 방향 (+1 / -1)
+ */
+function getQueueSide(conn, pos) {
+  if (conn.xMin !== undefined) {
+    const curb = Math.abs(pos.z - conn.zFrom) < Math.abs(pos.z - conn.zTo) ? conn.zFrom : conn.zTo;
+    return { key: `${conn.crosswalkId}:${curb}`, curb, away: Math.sign(curb - (conn.zFrom + conn.zTo) / 2) };
+  }
+  const curb = Math.abs(pos.x - conn.xFrom) < Math.abs(pos.x - conn.xTo) ? conn.xFrom : conn.xTo;
+  return { key: `${conn.crosswalkId}:${curb}`, curb, away: Math.sign(curb - (conn.xFrom + conn.xTo) / 2) };
+}
+
+/**
+ * Join the curb queue and wait for the walk signal
+ */
+function joinQueue(person, conn) {
+  const data = person.userData;
+  const side = getQueueSide(conn, person.position);
+  if (!crosswalkQueues.has(side.key)) crosswalkQueues.set(side.key, []);
+  const queue = crosswalkQueues.get(side.key);
+  if (!queue.includes(person)) queue.push(person);
+
+  data.state = 'waiting';
+  data.waitingConn = conn;
+  data.queueSide = side;
+  data.crossDelay = null;
+}
+
+function leaveQueue(person) {
+  const data = person.userData;
+  if (!data.queueSide) return;
+  const queue = crosswalkQueues.get(data.queueSide.key);
+  const index = queue ? queue.indexOf(person) : -1;
+  if (index >= 0) queue.splice(index, 1);
+  data.queueSide = null;
+}
+
+/**
+ * Queue spot: 횡단보도 폭 안에서 옆으로 QUEUE_ROW_SIZE명, 넘치면 뒷줄
+ */
+function getQueueSpot(conn, side, index) {
+  const lateral = ((index % QUEUE_ROW_SIZE) - (QUEUE_ROW_SIZE - 1) / 2) * QUEUE_SPACING;
+  const back = side.curb + side.away * (QUEUE_CURB_GAP + Math.floor(index / QUEUE_ROW_SIZE) * QUEUE_ROW_DEPTH);
+  if (conn.xMin !== undefined) {
+    return { x: (conn.xMin + conn.xMax) / 2 + lateral, z: back };
+  }
+  return { x: back, z: (conn.zMin + conn.zMax) / 2 + lateral };
+}
+
+/**
+ * At the curb inside the crosswalk band (그 자리에서 바로 건널 수 있는지)
+ */
+function isAtCrosswalkCurb(conn, pos) {
+  const side = getQueueSide(conn, pos);
+  if (conn.xMin !== undefined) {
+    return Math.abs(pos.x - (conn.xMin + conn.xMax) / 2) < CROSSWALK_HALF_BAND &&
+      Math.abs(pos.z - side.curb) < CURB_REACH;
+  }
+  return Math.abs(pos.z - (conn.zMin + conn.zMax) / 2) < CROSSWALK_HALF_BAND &&
+    Math.abs(pos.x - side.curb) < CURB_REACH;
+}
+
 /**
  * Start crossing a crosswalk
  */
@@ -1252,10 +1441,10 @@ function startCrossing(person, conn) {
   const data = person.userData;
   const pos = person.position;
 
-  // Check if vehicle is on crosswalk - if so, wait
-  if (isVehicleOnCrosswalk(conn.crosswalkId, pos.x, pos.z)) {
-    data.state = 'waiting';
-    data.waitingConn = conn;
+  // No walk signal, vehicle on crosswalk or off the crosswalk band - queue at the curb
+  if (!canPedestrianCross(conn.crosswalkId) || isVehicleOnCrosswalk(conn.crosswalkId, pos.x, pos.z) ||
+      !isAtCrosswalkCurb(conn, pos)) {
+    joinQueue(person, conn);
     return;
   }
 
@@ -1311,16 +1500,16 @@ function updateCrossing(person, deltaTime) {
     person.position.z = cd.endZ;
     data.state = 'walking';
 
-    // Assign to target zone
+    // Assign to target zone (경로를 따라 건넌 경우 다음 waypoint 유지)
     const targetZone = getZoneById(cd.targetZone);
     if (targetZone) {
       data.currentZone = targetZone;
-      data.waypoint = getRandomPointInZone(targetZone);
+      if (!data.path) data.waypoint = getRandomPointInZone(targetZone);
     }
 
     data.crossingData = null;
     // Add cooldown to prevent immediate re-crossing (10-20 seconds)
-    data.crossingCooldown = 10 + Math.random() * 10;
+    data.crossingCooldown = 10 + random() * 10;
     return;
   }
 
@@ -1329,22 +1518,50 @@ function updateCrossing(person, deltaTime) {
 }
 
 /**
- * Update waiting state (waiting for vehicles to pass)
+ * Update waiting state (queued at the curb for the walk signal)
  */
 function updateWaiting(person, deltaTime) {
   const data = person.userData;
+  const conn = data.waitingConn;
 
-  if (!data.waitingConn) {
+  if (!conn) {
     data.state = 'walking';
     return;
   }
 
-  // Check if vehicles have cleared the crosswalk
-  if (!isVehicleOnCrosswalk(data.waitingConn.crosswalkId, person.position.x, person.position.z)) {
-    // Safe to cross now
-    const conn = data.waitingConn;
-    data.waitingConn = null;
-    startCrossing(person, conn);
+  const pos = person.position;
+  const queue = crosswalkQueues.get(data.queueSide.key);
+  const spot = getQueueSpot(conn, data.queueSide, Math.max(0, queue.indexOf(person)));
+  const dx = spot.x - pos.x;
+  const dz = spot.z - pos.z;
+  const dist = Math.sqrt(dx * dx + dz * dz);
+
+  if (isAtCrosswalkCurb(conn, pos) && canPedestrianCross(conn.crosswalkId) &&
+      !isVehicleOnCrosswalk(conn.crosswalkId, pos.x, pos.z)) {
+    // 보행 신호: 한꺼번에 출발하지 않도록 조금씩 늦게
+    if (data.crossDelay === null) data.crossDelay = random() * 1.2;
+    data.crossDelay -= deltaTime;
+    if (data.crossDelay <= 0) {
+      leaveQueue(person);
+      data.waitingConn = null;
+      data.queueWalking = false;
+      startCrossing(person, conn);
+    }
+    return;
+  }
+  data.crossDelay = null;
+
+  // 줄 자리로 이동 (멀면 걷고, 앞 사람이 건너면 천천히 당김), 도착하면 도로 쪽을 봄
+  data.queueWalking = dist > 0.05;
+  if (data.queueWalking) {
+    const step = Math.min(dist, data.speed * (dist > 1 ? 1 : 0.6) * deltaTime);
+    pos.x += (dx / dist) * step;
+    pos.z += (dz / dist) * step;
+    person.rotation.y = Math.atan2(dx, dz);
+  } else {
+    person.rotation.y = conn.xMin !== undefined
+      ? Math.atan2(0, -data.queueSide.away)
+      : Math.atan2(-data.queueSide.away, 0);
   }
 }
 
@@ -1379,7 +1596,7 @@ function updateStairWalking(person, deltaTime) {
         // Position just past stair exit (stair is at z=17, exit to z=18)
         person.position.z = 18;
         // Waypoint toward residential area for natural movement
-        data.waypoint = { x: person.position.x, z: 22 };
+        if (!data.path) data.waypoint = { x: person.position.x, y: stair.yTop, z: 22 };
       }
       updateRotation(person);
     } else {
@@ -1391,7 +1608,7 @@ function updateStairWalking(person, deltaTime) {
       if (data.currentZone) {
         // Position just in front of stairs (stair is at z=17, exit to z=16)
         person.position.z = 16;
-        data.waypoint = getRandomPointInZone(data.currentZone);
+        if (!data.path) data.waypoint = getRandomPointInZone(data.currentZone);
       }
       updateRotation(person);
     }
@@ -1403,14 +1620,35 @@ function updateStairWalking(person, deltaTime) {
   person.position.y = stair.yTop + (stair.yBottom - stair.yTop) * sd.progress;
 }
 
+/**
+ * Step onto a stair (top → down: progress 0, bottom → up: progress 1)
+ */
+function startStairs(person, stair, goingUp) {
+  const data = person.userData;
+  data.state = 'stairs';
+  data.currentZone = null;
+  data.stairData = {
+    stairId: stair.id,
+    goingUp: goingUp,
+    progress: goingUp ? 1 : 0
+  };
+  // Move to actual stair position
+  person.position.x = goingUp ? stair.xEnd : stair.xStart;
+  person.position.z = stair.z;
+  // Face the direction of ascent/descent
+  const descendsToPositiveX = stair.xStart < stair.xEnd;
+  person.rotation.y = (goingUp !== descendsToPositiveX) ? Math.PI / 2 : -Math.PI / 2;
+}
+
 /**
  * Check if person should use stairs
  * Stairs connect residentialPath (Y=10) to stairsBottomArea (Y=0)
+ * 경로를 따르는 보행자는 path의 stairs link로만 이용
  */
 function checkForStairs(person) {
   const data = person.userData;
   if (data.state !== 'walking') return;
-  if (!data.currentZone) return;
+  if (!data.currentZone || data.path) return;
 
   const pos = person.position;
   const zoneId = data.currentZone.id;
@@ -1422,19 +1660,8 @@ function checkForStairs(person) {
     if (canGoDown) {
       // Check if near stairs entrance (x near xStart, z near stair.z)
       if (Math.abs(pos.x - stair.xStart) < 5 && Math.abs(pos.z - stair.z) < 5) {
-        if (Math.random() < 0.01) {
-          data.state = 'stairs';
-          data.currentZone = null;
-          data.stairData = {
-            stairId: stair.id,
-            goingUp: false,
-            progress: 0
-          };
-          // Move to actual stair position
-          person.position.x = stair.xStart;
-          person.position.z = stair.z;
-          // Face the direction of descent
-          person.rotation.y = stair.xStart < stair.xEnd ? Math.PI / 2 : -Math.PI / 2;
+        if (random() < 0.01) {
+          startStairs(person, stair, false);
           return;
         }
       }
@@ -1444,19 +1671,8 @@ function checkForStairs(person) {
     if (zoneId === 'stairsBottomArea' && Math.abs(pos.y - stair.yBottom) < 2) {
       // Check if near stairs entrance (x near xEnd, z near stair.z)
       if (Math.abs(pos.x - stair.xEnd) < 5 && Math.abs(pos.z - stair.z) < 5) {
-        if (Math.random() < 0.01) {
-          data.state = 'stairs';
-          data.currentZone = null;
-          data.stairData = {
-            stairId: stair.id,
-            goingUp: true,
-            progress: 1
-          };
-          // Move to actual stair position
-          person.position.x = stair.xEnd;
-          person.position.z = stair.z;
-          // Face the direction of ascent
-          person.rotation.y = stair.xStart < stair.xEnd ? -Math.PI / 2 : Math.PI / 2;
+        if (random() < 0.01) {
+          startStairs(person, stair, true);
           return;
         }
       }
@@ -1485,7 +1701,7 @@ function reachedWaypoint(person) {
  */
 function tryZoneTransition(person) {
   const data = person.userData;
-  if (!data.currentZone) return;
+  if (!data.currentZone || data.path) return;
 
   // Check crossing cooldown - don't cross if recently crossed
   if (data.crossingCooldown && data.crossingCooldown > 0) return;
@@ -1499,13 +1715,267 @@ function tryZoneTransition(person) {
     if (!isNearConnection(pos, conn)) continue;
 
     // Random chance to cross (5% per frame when near crosswalk)
-    if (Math.random() > 0.05) continue;
+    if (random() > 0.05) continue;
 
     startCrossing(person, conn);
     return;
   }
 }
 
+// ============================================================
+// PATH FOLLOWING (city-navmesh.js)
+// ============================================================
+
+/**
+ * Zones one step away (zoneConnections + stairs)
+ */
+function getNeighborZoneIds(zoneId) {
+  const ids = getConnectionsFrom(zoneId).map(c => (c.from === zoneId ? c.to : c.from));
+  if (zoneId === 'stairsBottomArea') ids.push('stairsTopPlatform');
+  if (zoneId === 'stairsTopPlatform') ids.push('stairsBottomArea');
+  return ids;
+}
+
+/**
+ * Pick a destination: 현재 zone 50%, 이웃 zone 30%, 도달 가능한 아무 zone 20%
+ */
+function pickDestination(person) {
+  const zone = person.userData.currentZone;
+  const roll = random();
+
+  if (roll >= 0.5 && roll < 0.8) {
+    const neighborIds = getNeighborZoneIds(zone.id);
+    const neighbor = getZoneById(neighborIds[Math.floor(random() * neighborIds.length)]);
+    if (neighbor) return getRandomPointInZone(neighbor);
+  } else if (roll >= 0.8) {
+    const pos = person.position;
+    const reachable = getReachableZones(pos.x, pos.y, pos.z);
+    if (reachable.length > 0) {
+      return getRandomPointInZone(reachable[Math.floor(random() * reachable.length)]);
+    }
+  }
+  return getRandomPointInZone(zone);
+}
+
+/**
+ * Plan a route to a new destination
+ * 탐색 budget이 없으면 다음 프레임으로 미룸, 경로가 없으면 현재 zone 안에서 배회
+ */
+function planPath(person) {
+  const data = person.userData;
+  data.path = null;
+  data.boardingStop = null; // 버스로 가던 경로를 잃으면 탑승 포기
+  data.waypoint = null;
+  if (pathBudget <= 0) return;
+  pathBudget--;
+
+  const path = findPath(person.position, chooseActivityDestination(person));
+  if (path && path.length > 0) {
+    data.path = path;
+    data.pathIndex = 0;
+    data.waypoint = path[0];
+  } else {
+    // 도달 불가: 이번 activity 포기
+    releaseReservation(person);
+    advanceActivity(person);
+    data.waypoint = getRandomPointInZone(data.currentZone);
+  }
+}
+
+/**
+ * Start a path link (crosswalk / stairs) at the current waypoint
+ */
+function startLink(person, link) {
+  if (link.type === 'crosswalk') {
+    startCrossing(person, link.conn);
+  } else if (link.type === 'stairs') {
+    const stair = stairPaths.find(s => s.id === link.stairId);
+    if (stair) startStairs(person, stair, link.goingUp);
+  }
+}
+
+/**
+ * Waypoint reached: 다음 path waypoint / link 시작 / 목적지 도착 후 새 경로
+ */
+function advancePath(person) {
+  const data = person.userData;
+  const current = data.path ? data.path[data.pathIndex] : null;
+
+  if (!current || data.waypoint !== current) {
+    planPath(person);
+    return;
+  }
+
+  if (current.link) {
+    data.pathIndex++;
+    data.waypoint = data.path[data.pathIndex] || null;
+    if (!data.waypoint) data.path = null;
+    startLink(person, current.link);
+    return;
+  }
+
+  if (data.pathIndex < data.path.length - 1) {
+    data.pathIndex++;
+    data.waypoint = data.path[data.pathIndex];
+    return;
+  }
+
+  // Destination reached
+  data.path = null;
+  data.waypoint = null;
+  if (data.boardingStop) {
+    // 버스 문 앞 도착 → 탑승 (updatePedestrians에서 제거)
+    data.boarded = true;
+    return;
+  }
+  arriveAtActivity(person);
+}
+
+// ============================================================
+// BEHAVIOUR (activity state machine)
+// ============================================================
+
+/**
+ * Pick a weighted behaviour profile
+ */
+function assignProfile(person) {
+  const entries = Object.entries(behaviourProfiles);
+  const total = entries.reduce((sum, [, profile]) => sum + profile.weight, 0);
+  let roll = random() * total;
+  let name = entries[0][0];
+  for (const [id, profile] of entries) {
+    roll -= profile.weight;
+    if (roll <= 0) { name = id; break; }
+  }
+  const data = person.userData;
+  data.profile = name;
+  data.activityIndex = Math.floor(random() * behaviourProfiles[name].activities.length);
+  data.reservation = null;   // { poi, slot } 예약한 자리
+  data.usingPOI = false;     // 자리에서 사용 중 (state = 'waiting')
+  data.lastPOI = null;       // 방금 사용한 POI (연속 방문 방지)
+}
+
+function getActivity(person) {
+  const data = person.userData;
+  return behaviourProfiles[data.profile].activities[data.activityIndex];
+}
+
+function advanceActivity(person) {
+  const data = person.userData;
+  data.activityIndex = (data.activityIndex + 1) % behaviourProfiles[data.profile].activities.length;
+}
+
+function releaseReservation(person) {
+  const data = person.userData;
+  if (data.reservation) releasePOISlot(data.reservation.slot, person);
+  data.reservation = null;
+}
+
+function randomDwell([min, max]) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Destination for the current activity
+ * 빈 자리가 없거나 도달할 수 없으면 다음 activity로 (모든 profile에 wander가 있어 항상 끝남)
+ */
+function chooseActivityDestination(person, attempts = 0) {
+  const data = person.userData;
+  const activity = getActivity(person);
+  const pos = person.position;
+
+  if (activity.poi) {
+    if (!data.reservation) {
+      data.reservation = reservePOISlot(activity.poi, pos, person, poi =>
+        poi !== data.lastPOI &&
+        (poi.x - pos.x) ** 2 + (poi.z - pos.z) ** 2 < POI_SEARCH_RADIUS ** 2 &&
+        isReachable(pos, poi));
+    }
+    if (data.reservation) {
+      const { poi, slot } = data.reservation;
+      return { x: slot.approachX, y: poi.y, z: slot.approachZ };
+    }
+  } else if (activity.zones) {
+    const zones = activity.zones.map(getZoneById).filter(zone => {
+      if (!zone) return false;
+      const cx = (zone.xMin + zone.xMax) / 2;
+      return isReachable(pos, { x: cx, y: getZoneY(zone, cx), z: (zone.zMin + zone.zMax) / 2 });
+    });
+    if (zones.length > 0) return getRandomPointInZone(zones[Math.floor(random() * zones.length)]);
+  } else {
+    return pickDestination(person);
+  }
+
+  advanceActivity(person);
+  if (attempts >= behaviourProfiles[data.profile].activities.length) return pickDestination(person);
+  return chooseActivityDestination(person, attempts + 1);
+}
+
+/**
+ * Seated pose: 다리를 앞으로 (hip pivot), 팔은 내림
+ */
+function setSeatedPose(person, seated) {
+  if (person.children[2] && person.children[3]) {
+    person.children[2].rotation.x = seated ? -Math.PI / 2 : 0;
+    person.children[3].rotation.x = seated ? -Math.PI / 2 : 0;
+  }
+  if (person.children[4] && person.children[5]) {
+    person.children[4].rotation.x = 0;
+    person.children[5].rotation.x = holdsUmbrella(person) ? UMBRELLA_ARM_ANGLE : 0;
+  }
+}
+
+/**
+ * Path destination reached: POI 사용 시작 / zone 체류 / wander 후 잠깐 대기
+ */
+function arriveAtActivity(person) {
+  const data = person.userData;
+  const activity = getActivity(person);
+
+  if (data.reservation) {
+    // 자리로 이동 (계단처럼 짧은 구간은 바로 배치)
+    const { poi, slot } = data.reservation;
+    person.position.x = slot.x;
+    person.position.z = slot.z;
+    if (slot.seatY !== null) {
+      person.position.y = poi.y + slot.seatY - HIP_HEIGHT;
+      setSeatedPose(person, true);
+    } else {
+      setSeatedPose(person, false);
+    }
+    person.rotation.y = slot.facing;
+    data.usingPOI = true;
+    data.state = 'waiting';
+    data.waitTime = randomDwell(activity.dwell);
+    return;
+  }
+
+  advanceActivity(person);
+  if (activity.dwell) {
+    data.state = 'waiting';
+    data.waitTime = randomDwell(activity.dwell);
+  } else if (random() < 0.5) {
+    data.state = 'waiting';
+    data.waitTime = 1 + random() * 4;
+  }
+}
+
+/**
+ * Done using a POI: 일어나서 자리 앞으로, 다음 activity
+ */
+function leavePOI(person) {
+  const data = person.userData;
+  const { poi, slot } = data.reservation;
+  person.position.x = slot.approachX;
+  person.position.z = slot.approachZ;
+  person.position.y = poi.y;
+  setSeatedPose(person, false);
+  data.lastPOI = poi;
+  data.usingPOI = false;
+  releaseReservation(person);
+  advanceActivity(person);
+}
+
 // ============================================================
 // MAIN UPDATE
 // ============================================================
@@ -1534,9 +2004,10 @@ function updatePedestrian(person, deltaTime, allPedestrians) {
       // Waiting for vehicles to clear crosswalk
       updateWaiting(person, deltaTime);
     } else {
-      // General waiting
+      // General waiting (POI 사용 포함)
       data.waitTime -= deltaTime;
       if (data.waitTime <= 0) {
+        if (data.usingPOI) leavePOI(person);
         data.state = 'walking';
       }
     }
@@ -1551,9 +2022,15 @@ function updatePedestrian(person, deltaTime, allPedestrians) {
   // No zone assigned
   if (!data.currentZone) return;
 
-  // Check if waypoint reached or doesn't exist - pick from connected zones
+  // Check if waypoint reached or doesn't exist
+  // Navmesh: 목적지까지 A* 경로, 없으면 connected zones에서 무작위 waypoint
   if (!data.waypoint || reachedWaypoint(person)) {
-    data.waypoint = getRandomWaypointInConnectedZones(data.currentZone);
+    if (hasNavMesh()) {
+      advancePath(person);
+      if (data.state !== 'walking' || !data.waypoint) return;
+    } else {
+      data.waypoint = getRandomWaypointInConnectedZones(data.currentZone);
+    }
   }
 
   // Get avoidance
@@ -1591,9 +2068,14 @@ function updatePedestrian(person, deltaTime, allPedestrians) {
         person.position.z = newZ;
       }
 
-      // After hitting obstacle multiple times, pick new waypoint
+      // After hitting obstacle multiple times, pick new waypoint (경로 중이면 재탐색)
       if (data.obstacleHitCount >= 5) {
-        data.waypoint = getRandomPointInZone(data.currentZone);
+        if (data.path) {
+          data.path = null;
+          data.waypoint = null;
+        } else {
+          data.waypoint = getRandomPointInZone(data.currentZone);
+        }
         data.obstacleHitCount = 0;
       }
     }
@@ -1618,6 +2100,78 @@ function updatePedestrian(person, deltaTime, allPedestrians) {
   checkForStairs(person);
 }
 
+// ============================================================
+// BUS STOPS (boarding / alighting)
+// ============================================================
+
+/**
+ * Curb point next to the bus door, on the bus stop's sidewalk zone
+ */
+function getBusDoorCurb(stop) {
+  const { poi } = stop;
+  const zone = findZoneAtPosition(poi.x, poi.y, poi.z);
+  if (!zone) return null;
+  const margin = 0.4;
+  const x = Math.min(Math.max(stop.doorX, zone.xMin + margin), zone.xMax - margin);
+  const z = Math.min(Math.max(stop.doorZ, zone.zMin + margin), zone.zMax - margin);
+  return { zone, x, y: getZoneY(zone, x), z };
+}
+
+/**
+ * Leave the shelter and walk to the bus door
+ */
+function startBoarding(person, stop, curb) {
+  const data = person.userData;
+  leavePOI(person);
+  data.state = 'walking';
+  data.waitTime = 0;
+
+  const path = findPath(person.position, curb);
+  if (!path || path.length === 0) return;
+  data.path = path;
+  data.pathIndex = 0;
+  data.waypoint = path[0];
+  data.boardingStop = stop;
+}
+
+/**
+ * Bus arrived at / departed from a stop (setBusStopHandler, city-vehicles.js)
+ * - arrive: 정류장에서 기다리던 사람은 버스 문으로 걸어가서 탑승, 0~2명 하차
+ * - depart: 아직 못 탄 사람은 탑승 포기
+ * @param {string} event - 'arrive' | 'depart'
+ * @param {{poi: Object, doorX: number, doorZ: number, dwell: number}} stop
+ */
+export function handleBusStop(event, stop) {
+  if (!sceneRef) return;
+
+  if (event === 'depart') {
+    pedestrians.forEach(person => {
+      const data = person.userData;
+      if (data.boardingStop !== stop) return;
+      data.boardingStop = null;
+      data.path = null;
+      data.waypoint = null;
+    });
+    return;
+  }
+
+  const curb = getBusDoorCurb(stop);
+  if (!curb) return;
+
+  pedestrians.forEach(person => {
+    const data = person.userData;
+    if (data.usingPOI && data.reservation && data.reservation.poi === stop.poi) {
+      startBoarding(person, stop, curb);
+    }
+  });
+
+  const alighting = Math.floor(random() * 3);
+  for (let i = 0; i < alighting && pedestrians.length < maxPopulation; i++) {
+    const person = createPedestrian(sceneRef, curb.zone.id, { x: curb.x, y: curb.y, z: curb.z });
+    if (person) pedestrians.push(person);
+  }
+}
+
 // ============================================================
 // CROSSWALK STATE (for vehicles)
 // ============================================================
@@ -1662,7 +2216,7 @@ function balanceZonePopulation(zoneId, config) {
   const count = countPedestriansInZone(zoneId);
 
   // Spawn if below minimum
-  if (count < config.min && pedestrians.length < MAX_POPULATION) {
+  if (count < config.min && pedestrians.length < maxPopulation) {
     const person = createPedestrian(sceneRef, zoneId);
     if (person) {
       pedestrians.push(person);
@@ -1670,9 +2224,11 @@ function balanceZonePopulation(zoneId, config) {
   }
 
   // Remove if above maximum
-  if (count > config.max && Math.random() < 0.3) {
+  if (count > config.max && random() < 0.3) {
     for (let i = pedestrians.length - 1; i >= 0; i--) {
       if (pedestrians[i].userData.currentZone && pedestrians[i].userData.currentZone.id === zoneId) {
+        releaseReservation(pedestrians[i]);
+        leaveQueue(pedestrians[i]);
         sceneRef.remove(pedestrians[i]);
         pedestrians.splice(i, 1);
         break;
@@ -1681,6 +2237,21 @@ function balanceZonePopulation(zoneId, config) {
   }
 }
 
+/**
+ * Remove one pedestrian over the population cap (프레임당 하나씩, 횡단/계단 중인 사람은 제외)
+ */
+function trimPopulation() {
+  for (let i = pedestrians.length - 1; i >= 0; i--) {
+    const data = pedestrians[i].userData;
+    if (data.state === 'crossing' || data.state === 'stairs') continue;
+    releaseReservation(pedestrians[i]);
+    leaveQueue(pedestrians[i]);
+    sceneRef.remove(pedestrians[i]);
+    pedestrians.splice(i, 1);
+    return;
+  }
+}
+
 // ============================================================
 // PUBLIC API
 // ============================================================
@@ -1692,9 +2263,18 @@ export function initPedestrians(scene) {
   pedestrians = [];
   sceneRef = scene;
 
+  // 보행자 경로용 navigation grid (장애물 footprint 생성 후)
+  buildNavMesh({
+    zones: walkableZones,
+    connections: zoneConnections,
+    stairs: stairPaths,
+    isOnRoad,
+    collidesWithObstacle
+  });
+
   // Spawn initial population based on targets
   for (const [zoneId, config] of Object.entries(zonePopulationTargets)) {
-    const count = config.min + Math.floor(Math.random() * (config.max - config.min));
+    const count = config.min + Math.floor(random() * (config.max - config.min));
     for (let i = 0; i < count; i++) {
       const person = createPedestrian(scene, zoneId);
       if (person) {
@@ -1705,8 +2285,8 @@ export function initPedestrians(scene) {
 
   // Add some stair walkers
   for (let i = 0; i < 2; i++) {
-    const p1 = createStairPedestrian(scene, 'leftStairs', Math.random() > 0.5);
-    const p2 = createStairPedestrian(scene, 'rightStairs', Math.random() > 0.5);
+    const p1 = createStairPedestrian(scene, 'leftStairs', random() > 0.5);
+    const p2 = createStairPedestrian(scene, 'rightStairs', random() > 0.5);
     if (p1) pedestrians.push(p1);
     if (p2) pedestrians.push(p2);
   }
@@ -1723,6 +2303,8 @@ export function initPedestrians(scene) {
  * Update all pedestrians
  */
 export function updatePedestrians(deltaTime, time) {
+  pathBudget = MAX_PATHS_PER_FRAME;
+
   // Update crosswalk states
   crosswalks.forEach(cw => {
     crosswalkStates[cw.id] = isPedestrianOnCrosswalk(cw);
@@ -1734,8 +2316,20 @@ export function updatePedestrians(deltaTime, time) {
     animateWalk(person, time);
   });
 
+  // Remove pedestrians who boarded a bus
+  for (let i = pedestrians.length - 1; i >= 0; i--) {
+    if (!pedestrians[i].userData.boarded) continue;
+    if (sceneRef) sceneRef.remove(pedestrians[i]);
+    pedestrians.splice(i, 1);
+  }
+
+  // 상한이 낮아졌으면 초과 인원을 천천히 제거
+  if (pedestrians.length > maxPopulation && sceneRef) {
+    trimPopulation();
+  }
+
   // Population balancing (1% chance per frame)
-  if (Math.random() < 0.01 && sceneRef) {
+  if (random() < 0.01 && sceneRef) {
     for (const [zoneId, config] of Object.entries(zonePopulationTargets)) {
       balanceZonePopulation(zoneId, config);
     }
@@ -1743,33 +2337,62 @@ export function updatePedestrians(deltaTime, time) {
 }
 
 /**
- * Check if vehicle should stop for pedestrians
+ * Crosswalk status for the signal controllers (updateTrafficLights)
+ * @param {Object} crosswalk - Entry of crosswalks
+ * @returns {{pedestriansOnCrosswalk: boolean, pedestriansWaiting: number, vehicleApproaching: boolean}}
  */
-export function shouldVehicleStop(vehicleX, vehicleZ, vehicleLane) {
-  if (pedestrians.length === 0) return false;
+export function getCrosswalkStatus(crosswalk) {
+  let pedestriansWaiting = 0;
+  crosswalkQueues.forEach((queue, key) => {
+    if (key.startsWith(`${crosswalk.id}:`)) pedestriansWaiting += queue.length;
+  });
+  return {
+    pedestriansOnCrosswalk: !!crosswalkStates[crosswalk.id],
+    pedestriansWaiting,
+    vehicleApproaching: isVehicleOnCrosswalk(crosswalk.id, crosswalk.x, crosswalk.z)
+  };
+}
 
-  for (const cw of crosswalks) {
-    let isApproaching = false;
-    let distanceToCrosswalk = Infinity;
+export function getPedestrians() { return pedestrians; }
 
-    if (cw.roadType === 'main') {
-      if (vehicleLane === 'mainWest' || vehicleLane === 'mainEast') {
-        distanceToCrosswalk = Math.abs(vehicleX - cw.x);
-        if (distanceToCrosswalk < 15 && distanceToCrosswalk > 2) isApproaching = true;
-      }
-    } else if (cw.roadType === 'south') {
-      if (vehicleLane === 'southUp' || vehicleLane === 'southDown') {
-        distanceToCrosswalk = Math.abs(vehicleZ - cw.z);
-        if (distanceToCrosswalk < 15 && distanceToCrosswalk > 2) isApproaching = true;
-      }
-    }
+/**
+ * Set pedestrian cap (줄어들면 updatePedestrians에서 프레임당 한 명씩 제거)
+ */
+export function setMaxPedestrians(count) {
+  maxPopulation = count;
+}
 
-    if (isApproaching && crosswalkStates[cw.id]) return true;
-  }
-  return false;
+/**
+ * Open/close umbrellas (우산을 가진 사람만, 이후 생성되는 보행자도 따름)
+ */
+export function setUmbrellasOpen(open) {
+  if (umbrellasOpen === open) return;
+  umbrellasOpen = open;
+  pedestrians.forEach(person => {
+    const umbrella = person.children[6];
+    if (!umbrella || !umbrella.userData.carried) return;
+    umbrella.visible = open;
+    // 서 있는 사람(animateWalk를 건너뜀)도 바로 팔을 맞춤
+    person.children[5].rotation.x = open ? UMBRELLA_ARM_ANGLE : 0;
+  });
 }
 
-export function getPedestrians() { return pedestrians; }
+/**
+ * Count pedestrians per profile and what they are doing (debug)
+ * @returns {Object} { [profile]: { total, using, travelling } }
+ */
+export function getBehaviourStats() {
+  const stats = {};
+  pedestrians.forEach(person => {
+    const data = person.userData;
+    if (!stats[data.profile]) stats[data.profile] = { total: 0, using: 0, travelling: 0 };
+    const entry = stats[data.profile];
+    entry.total++;
+    if (data.usingPOI) entry.using++;
+    else if (data.reservation) entry.travelling++;
+  });
+  return stats;
+}
 export function getCrosswalkStates() { return crosswalkStates; }
 
 /**
@@ -1913,5 +2536,6 @@ export {
   isOnRoad,
   collidesWithObstacle,
   findZoneAtPosition,
-  getZoneY
+  getZoneY,
+  WALK_CADENCE
 };
@@ -0,0 +1,346 @@
+/**
+ * city-perf-hud.js
+ * Hong Kong Citypop Night City - Performance HUD (개발용)
+ *
+ * On-screen overlay (top-right, togglePerfHUD() in console 또는 ?perf=1):
+ * - FPS / frame time graph (최근 FRAME_HISTORY 프레임, 16.7ms·33.3ms 기준선)
+ * - renderer.info: draw calls, triangles, geometries, textures (post-processing pass 포함 프레임 합계)
+ * - 보행자/차량 수, 카메라 mode, 현재 section, 품질 단계
+ * - 오디오 대역 레벨 (getFrequencyBands normalized)
+ * - Record → Export: 세션 trace JSON (빌드 간 비교용 summary + frame times + 주기 sample)
+ */
+
+import { getPedestrians } from './city-people.js';
+import { getVehicles } from './city-vehicles.js';
+import { getFrequencyBands } from './city-audio.js';
+
+// 그래프에 남기는 프레임 수
+const FRAME_HISTORY = 120;
+// Graph size (CSS px)
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 48;
+// 그래프 세로축 최대값 (ms)
+const GRAPH_MAX_MS = 50;
+// 텍스트/그래프 갱신 간격, 녹화 sample 간격 (ms)
+const REDRAW_INTERVAL = 250;
+const SAMPLE_INTERVAL = 250;
+const TRACE_VERSION = 1;
+
+const BAND_NAMES = ['bass', 'lowMid', 'mid', 'highMid', 'treble'];
+
+const graphColors = {
+  background: 'rgba(10, 10, 21, 0.85)',
+  good: '#50d0e0',
+  slow: '#ffcc44',
+  bad: '#ff66aa',
+  guide: 'rgba(255, 255, 255, 0.25)'
+};
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Trigger a file download (city-tour-editor.js downloadText와 같은 방식)
+ */
+function downloadText(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Frame time summary (trace 비교용)
+ */
+function summarize(frameTimes, samples) {
+  if (frameTimes.length === 0) return null;
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const total = frameTimes.reduce((sum, ms) => sum + ms, 0);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  const average = key => samples.length ? round(samples.reduce((sum, s) => sum + s[key], 0) / samples.length, 1) : 0;
+  return {
+    frames: frameTimes.length,
+    avgFps: round(frameTimes.length / (total / 1000), 1),
+    avgFrameMs: round(total / frameTimes.length, 2),
+    p50FrameMs: round(percentile(0.5), 2),
+    p95FrameMs: round(percentile(0.95), 2),
+    p99FrameMs: round(percentile(0.99), 2),
+    maxFrameMs: round(sorted[sorted.length - 1], 2),
+    avgDrawCalls: average('calls'),
+    avgTriangles: average('triangles')
+  };
+}
+
+/**
+ * Create the performance HUD
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - renderer.info 읽기 (autoReset은 HUD가 프레임 단위로 관리)
+ * @param {function(): {mode: string, section: string, quality: string}} options.getState - 카메라 mode, section, 품질 단계
+ * @returns {Object} HUD API ({ open, close, toggle, isOpen, update, startRecording, stopRecording, exportTrace })
+ */
+export function createPerfHUD({ renderer, getState }) {
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  let open = false;
+  let lastFrame = null;
+  let lastDraw = -Infinity;
+  const frameHistory = [];
+
+  // 한 프레임에 render()가 여러 번 (bloom composer 등) 불리므로 프레임 끝에서 직접 reset
+  renderer.info.autoReset = false;
+  let frameInfo = { calls: 0, triangles: 0, geometries: 0, textures: 0 };
+
+  // Recording
+  let recording = null; // { startedAt, lastSample, frameTimes, samples }
+  let lastTrace = null;
+
+  // ============================================
+  // Overlay DOM
+  // ============================================
+  const panel = document.createElement('div');
+  panel.id = 'perf-hud';
+  panel.innerHTML = `
+    <style>
+      #perf-hud {
+        display: none;
+        position: fixed;
+        top: 70px;
+        right: 20px;
+        z-index: 1000;
+        width: ${GRAPH_WIDTH}px;
+        padding: 6px;
+        font: 11px monospace;
+        color: #ccc;
+        border: 1px solid rgba(255, 102, 170, 0.6);
+        background: rgba(10, 10, 21, 0.75);
+      }
+      #perf-hud.open { display: block; }
+      #perf-hud canvas { display: block; margin-bottom: 4px; }
+      #perf-hud .ph-stats { white-space: pre; line-height: 1.4; }
+      #perf-hud .ph-bands { display: flex; gap: 3px; height: 24px; align-items: flex-end; margin: 4px 0; }
+      #perf-hud .ph-band { flex: 1; background: #50d0e0; min-height: 1px; }
+      #perf-hud .ph-bar { display: flex; gap: 4px; }
+      #perf-hud button {
+        flex: 1;
+        font: inherit;
+        color: #fff;
+        background: rgba(80, 208, 224, 0.25);
+        border: 1px solid #50d0e0;
+        cursor: pointer;
+      }
+      #perf-hud button.recording { background: rgba(255, 102, 170, 0.5); border-color: #ff66aa; }
+      #perf-hud button:disabled { opacity: 0.4; cursor: default; }
+      @media (max-width: 768px) {
+        #perf-hud { top: 60px; right: 15px; transform: scale(0.8); transform-origin: top right; }
+      }
+    </style>
+    <canvas width="${GRAPH_WIDTH * dpr}" height="${GRAPH_HEIGHT * dpr}" style="width: ${GRAPH_WIDTH}px; height: ${GRAPH_HEIGHT}px;"></canvas>
+    <div class="ph-stats"></div>
+    <div class="ph-bands">${BAND_NAMES.map(name => `<div class="ph-band" title="${name}"></div>`).join('')}</div>
+    <div class="ph-bar">
+      <button class="ph-record">Record</button>
+      <button class="ph-export" disabled>Export</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const canvas = panel.querySelector('canvas');
+  const ctx = canvas.getContext('2d');
+  const statsEl = panel.querySelector('.ph-stats');
+  const bandEls = [...panel.querySelectorAll('.ph-band')];
+  const recordBtn = panel.querySelector('.ph-record');
+  const exportBtn = panel.querySelector('.ph-export');
+
+  // ============================================
+  // Drawing
+  // ============================================
+
+  function drawGraph() {
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = graphColors.background;
+    ctx.fillRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+    const barWidth = GRAPH_WIDTH / FRAME_HISTORY;
+    const offset = FRAME_HISTORY - frameHistory.length;
+    frameHistory.forEach((ms, i) => {
+      const height = Math.min(ms, GRAPH_MAX_MS) / GRAPH_MAX_MS * GRAPH_HEIGHT;
+      ctx.fillStyle = ms > 33.4 ? graphColors.bad : ms > 16.8 ? graphColors.slow : graphColors.good;
+      ctx.fillRect((offset + i) * barWidth, GRAPH_HEIGHT - height, Math.max(barWidth - 0.5, 0.5), height);
+    });
+
+    // 60fps / 30fps 기준선
+    ctx.strokeStyle = graphColors.guide;
+    ctx.lineWidth = 1;
+    [1000 / 60, 1000 / 30].forEach(ms => {
+      const y = GRAPH_HEIGHT - ms / GRAPH_MAX_MS * GRAPH_HEIGHT;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(GRAPH_WIDTH, y);
+      ctx.stroke();
+    });
+  }
+
+  function drawStats() {
+    const total = frameHistory.reduce((sum, ms) => sum + ms, 0);
+    const average = frameHistory.length ? total / frameHistory.length : 0;
+    const worst = frameHistory.length ? Math.max(...frameHistory) : 0;
+    const state = getState();
+    const lines = [
+      `FPS ${average ? (1000 / average).toFixed(1) : '-'}  ${average.toFixed(1)}ms (max ${worst.toFixed(1)})`,
+      `Calls ${frameInfo.calls}  Tris ${frameInfo.triangles.toLocaleString()}`,
+      `Geo ${frameInfo.geometries}  Tex ${frameInfo.textures}`,
+      `Peds ${getPedestrians().length}  Cars ${getVehicles().length}`,
+      `Mode ${state.mode}  Section ${state.section}`,
+      `Quality ${state.quality}`
+    ];
+    if (recording) {
+      lines.push(`REC ${((performance.now() - recording.startedAt) / 1000).toFixed(0)}s  ${recording.frameTimes.length} frames`);
+    }
+    statsEl.textContent = lines.join('\n');
+
+    const { normalized } = getFrequencyBands();
+    BAND_NAMES.forEach((name, i) => {
+      bandEls[i].style.height = `${Math.round((normalized[name] || 0) * 100)}%`;
+    });
+  }
+
+  // ============================================
+  // Recording
+  // ============================================
+
+  function takeSample(now) {
+    const state = getState();
+    const { normalized } = getFrequencyBands();
+    const bands = {};
+    BAND_NAMES.forEach(name => { bands[name] = round(normalized[name] || 0, 3); });
+    recording.samples.push({
+      t: round((now - recording.startedAt) / 1000, 3),
+      frameMs: round(frameHistory[frameHistory.length - 1] || 0, 2),
+      calls: frameInfo.calls,
+      triangles: frameInfo.triangles,
+      geometries: frameInfo.geometries,
+      textures: frameInfo.textures,
+      pedestrians: getPedestrians().length,
+      vehicles: getVehicles().length,
+      mode: state.mode,
+      section: state.section,
+      quality: state.quality,
+      bands
+    });
+  }
+
+  function startRecording() {
+    recording = { startedAt: performance.now(), lastSample: -Infinity, frameTimes: [], samples: [] };
+    recordBtn.textContent = 'Stop';
+    recordBtn.classList.add('recording');
+    exportBtn.disabled = true;
+    console.log('Perf trace: recording');
+  }
+
+  /**
+   * Stop recording and keep the trace for export
+   * @returns {Object|null} Trace (녹화 중이 아니면 마지막 trace)
+   */
+  function stopRecording() {
+    if (!recording) return lastTrace;
+    const duration = (performance.now() - recording.startedAt) / 1000;
+    lastTrace = {
+      version: TRACE_VERSION,
+      recordedAt: new Date().toISOString(),
+      duration: round(duration, 2),
+      environment: {
+        userAgent: navigator.userAgent,
+        url: window.location.pathname + window.location.search,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        devicePixelRatio: window.devicePixelRatio || 1,
+        pixelRatio: renderer.getPixelRatio()
+      },
+      summary: summarize(recording.frameTimes, recording.samples),
+      frameTimes: recording.frameTimes.map(ms => round(ms, 2)),
+      samples: recording.samples
+    };
+    recording = null;
+    recordBtn.textContent = 'Record';
+    recordBtn.classList.remove('recording');
+    exportBtn.disabled = false;
+    console.log(`Perf trace: ${lastTrace.duration}s, ${lastTrace.frameTimes.length} frames`, lastTrace.summary);
+    return lastTrace;
+  }
+
+  /**
+   * Download the last trace as JSON (녹화 중이면 먼저 정지)
+   */
+  function exportTrace() {
+    const trace = stopRecording();
+    if (!trace) {
+      console.log('Perf trace: nothing recorded');
+      return null;
+    }
+    const stamp = trace.recordedAt.replace(/[:.]/g, '-');
+    downloadText(JSON.stringify(trace, null, 2) + '\n', `perf-trace-${stamp}.json`);
+    return trace;
+  }
+
+  recordBtn.addEventListener('click', () => {
+    if (recording) stopRecording();
+    else startRecording();
+  });
+  exportBtn.addEventListener('click', exportTrace);
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  function setOpen(value) {
+    open = value;
+    panel.classList.toggle('open', open);
+    lastDraw = -Infinity;
+  }
+
+  return {
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    toggle: () => { setOpen(!open); return open; },
+    isOpen: () => open,
+    startRecording,
+    stopRecording,
+    exportTrace,
+
+    /**
+     * Collect this frame's stats (call from animate after rendering)
+     * @param {number} now - requestAnimationFrame timestamp (ms)
+     */
+    update(now) {
+      const info = renderer.info;
+      frameInfo = {
+        calls: info.render.calls,
+        triangles: info.render.triangles,
+        geometries: info.memory.geometries,
+        textures: info.memory.textures
+      };
+      info.reset();
+
+      if (lastFrame !== null) {
+        const frameMs = now - lastFrame;
+        frameHistory.push(frameMs);
+        if (frameHistory.length > FRAME_HISTORY) frameHistory.shift();
+        if (recording) recording.frameTimes.push(frameMs);
+      }
+      lastFrame = now;
+
+      if (recording && now - recording.lastSample >= SAMPLE_INTERVAL) {
+        recording.lastSample = now;
+        takeSample(now);
+      }
+
+      if (!open || now - lastDraw < REDRAW_INTERVAL) return;
+      lastDraw = now;
+      drawGraph();
+      drawStats();
+    }
+  };
+}
@@ -0,0 +1,301 @@
+/**
+ * city-picking.js
+ * Hong Kong Citypop Night City - Object Picking & Detail Panel
+ *
+ * Raycast picking on objects tagged at creation time with userData.pickable:
+ * { kind: 'shop-sign' | 'building-sign' | 'vending-machine' | 'phone-booth', category, title }
+ *
+ * - Hover: highlight (같은 pickable 객체를 공유하는 메시 전체)
+ *   material 색상은 건드리지 않음 (시간대/비 효과가 바꾸고, 여러 간판이 공유) → 가산 overlay 메시
+ * - Click/tap: HTML detail panel
+ * - Pointer lock 중에는 화면 중앙 (crosshair)으로 picking
+ * - GLB 로드/동적 생성 모두 동작 (텍스트 메시는 항상 동적으로 추가됨)
+ */
+
+import * as THREE from 'three';
+
+// Hover highlight: 같은 geometry를 가산 블렌딩으로 한 번 더 그림
+const highlightMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffffff,
+  transparent: true,
+  opacity: 0.35,
+  blending: THREE.AdditiveBlending,
+  depthWrite: false,
+  polygonOffset: true,
+  polygonOffsetFactor: -1
+});
+// Max pick distance (멀리 있는 간판은 선택하지 않음)
+const PICK_DISTANCE = 80;
+
+// Contact info (index.html Contact section)
+const contactLinks = [
+  { label: 'GitHub: github.com/hada0127', href: 'https://github.com/hada0127' },
+  { label: 'Email: tarucy@gmail.com', href: 'mailto:tarucy@gmail.com' }
+];
+
+/**
+ * Detail panel content per kind
+ */
+const detailBuilders = {
+  'shop-sign': (data) => ({
+    category: data.category,
+    title: data.title,
+    body: `${data.title}로 작업한 프로젝트와 코드는 GitHub에서 볼 수 있습니다.`,
+    links: [contactLinks[0]]
+  }),
+  'building-sign': (data) => ({
+    category: data.category,
+    title: data.title,
+    body: `${data.title} 구축 문의는 아래 연락처로 보내주세요.`,
+    links: contactLinks
+  }),
+  'vending-machine': (data) => ({
+    category: data.category,
+    title: data.title,
+    body: '자판기에 적힌 연락처',
+    links: contactLinks
+  }),
+  'phone-booth': (data) => ({
+    category: data.category,
+    title: 'Contact',
+    body: '공중전화 전단지: 언제든 연락주세요.',
+    links: contactLinks
+  })
+};
+
+// Module state
+let sceneRef = null;
+let cameraRef = null;
+const raycaster = new THREE.Raycaster();
+raycaster.far = PICK_DISTANCE;
+const pointer = new THREE.Vector2();
+let pointerActive = false;
+
+// pickable data object → meshes that share it
+const pickGroups = new Map();
+let pickMeshes = [];
+let hovered = null;
+let highlightMeshes = [];
+
+let panel = null;
+
+// ============================================
+// Pickable registry
+// ============================================
+
+/**
+ * Collect meshes tagged with userData.pickable (call after the scene is built)
+ */
+export function refreshPickables() {
+  if (!sceneRef) return;
+  setHovered(null);
+  pickGroups.clear();
+  pickMeshes = [];
+
+  sceneRef.traverse(obj => {
+    if (!obj.isMesh || !obj.userData.pickable) return;
+    const data = obj.userData.pickable;
+    if (!pickGroups.has(data)) pickGroups.set(data, []);
+    pickGroups.get(data).push(obj);
+    pickMeshes.push(obj);
+  });
+
+  console.log(`Pickables: ${pickGroups.size} objects (${pickMeshes.length} meshes)`);
+}
+
+/**
+ * Highlight the meshes of a pickable (null = clear)
+ */
+function setHovered(data) {
+  if (data === hovered) return;
+
+  highlightMeshes.forEach(overlay => overlay.removeFromParent());
+  highlightMeshes = [];
+  hovered = data;
+  if (hovered && pickGroups.has(hovered)) {
+    highlightMeshes = pickGroups.get(hovered).map(mesh => {
+      const overlay = new THREE.Mesh(mesh.geometry, highlightMaterial);
+      overlay.userData.isPickHighlight = true;
+      mesh.add(overlay);
+      return overlay;
+    });
+  }
+
+  document.body.style.cursor = hovered ? 'pointer' : '';
+}
+
+/**
+ * Raycast from a screen position
+ * @param {THREE.Vector2} ndc - Normalized device coordinates (default: current pointer)
+ * @returns {Object|null} pickable data of the nearest hit
+ */
+function pickAtPointer(ndc = pointer) {
+  if (!cameraRef || pickMeshes.length === 0) return null;
+  raycaster.setFromCamera(ndc, cameraRef);
+  const hits = raycaster.intersectObjects(pickMeshes, false);
+  return hits.length > 0 ? hits[0].object.userData.pickable : null;
+}
+
+// ============================================
+// Detail panel
+// ============================================
+
+function createPanel() {
+  panel = document.createElement('div');
+  panel.id = 'pick-panel';
+  panel.innerHTML = `
+    <style>
+      #pick-panel {
+        display: none;
+        position: fixed;
+        left: 50%;
+        bottom: 40px;
+        transform: translateX(-50%);
+        width: min(360px, calc(100vw - 40px));
+        padding: 16px 20px;
+        background: rgba(10, 10, 21, 0.92);
+        border: 1px solid rgba(255, 102, 170, 0.7);
+        box-shadow: 0 0 20px rgba(255, 102, 170, 0.35);
+        color: #fff;
+        z-index: 1500;
+      }
+      #pick-panel.visible { display: block; }
+      #pick-panel .pp-category { font-size: 12px; color: #ff66aa; letter-spacing: 0.1em; }
+      #pick-panel .pp-title { font-size: 22px; margin: 4px 0 8px; }
+      #pick-panel .pp-body { font-size: 14px; color: #ccc; margin-bottom: 8px; }
+      #pick-panel a { display: block; color: #50d0e0; font-size: 14px; margin-top: 4px; }
+      #pick-panel .pp-close {
+        position: absolute;
+        top: 8px;
+        right: 10px;
+        background: none;
+        border: none;
+        color: #fff;
+        font-size: 18px;
+        cursor: pointer;
+      }
+    </style>
+    <button class="pp-close" aria-label="Close">×</button>
+    <div class="pp-category"></div>
+    <div class="pp-title"></div>
+    <div class="pp-body"></div>
+    <div class="pp-links"></div>
+  `;
+  document.body.appendChild(panel);
+  panel.querySelector('.pp-close').addEventListener('click', closeDetailPanel);
+}
+
+/**
+ * Open the detail panel for a pickable
+ * @param {Object} data - userData.pickable
+ */
+export function openDetailPanel(data) {
+  const builder = detailBuilders[data.kind];
+  if (!builder) return;
+  const detail = builder(data);
+
+  panel.querySelector('.pp-category').textContent = detail.category;
+  panel.querySelector('.pp-title').textContent = detail.title;
+  panel.querySelector('.pp-body').textContent = detail.body;
+
+  const links = panel.querySelector('.pp-links');
+  links.innerHTML = '';
+  detail.links.forEach(link => {
+    const a = document.createElement('a');
+    a.href = link.href;
+    a.textContent = link.label;
+    if (link.href.startsWith('http')) {
+      a.target = '_blank';
+      a.rel = 'noopener';
+    }
+    links.appendChild(a);
+  });
+
+  panel.classList.add('visible');
+}
+
+export function closeDetailPanel() {
+  if (panel) panel.classList.remove('visible');
+}
+
+// ============================================
+// Input
+// ============================================
+
+/**
+ * UI 요소 위의 포인터 이벤트는 무시 (버튼, 패널, 조이스틱 등)
+ */
+function isOverUI(target) {
+  return target instanceof Element &&
+    !!target.closest('button, a, input, select, #pick-panel, #tour-editor, #input-settings, #minimap, #virtual-controller, #loading-overlay');
+}
+
+/**
+ * Pointer lock (Walking mode mouse look) 중에는 화면 중앙 (crosshair) 기준
+ */
+function updatePointer(e) {
+  if (document.pointerLockElement) {
+    pointer.set(0, 0);
+    return;
+  }
+  pointer.x = (e.clientX / window.innerWidth) * 2 - 1;
+  pointer.y = -(e.clientY / window.innerHeight) * 2 + 1;
+}
+
+/**
+ * Initialize picking
+ * @param {THREE.Scene} scene - Scene containing pickable meshes
+ * @param {THREE.Camera} camera - Active camera
+ */
+export function initPicking(scene, camera) {
+  sceneRef = scene;
+  cameraRef = camera;
+  createPanel();
+  refreshPickables();
+
+  window.addEventListener('pointermove', (e) => {
+    if (e.pointerType === 'touch') return; // 터치는 hover 없음
+    pointerActive = !isOverUI(e.target);
+    updatePointer(e);
+  });
+
+  // 포인터가 창 밖으로 나가면 hover 해제
+  document.documentElement.addEventListener('mouseleave', () => {
+    pointerActive = false;
+  });
+
+  window.addEventListener('click', (e) => {
+    if (isOverUI(e.target)) return;
+    updatePointer(e);
+    const data = pickAtPointer();
+    if (data) {
+      openDetailPanel(data);
+    } else {
+      closeDetailPanel();
+    }
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeDetailPanel();
+  });
+}
+
+/**
+ * Interact action (키보드/게임패드): 화면 중앙의 객체 상세 패널 열기/닫기
+ */
+export function interactAtCenter() {
+  const data = pickAtPointer(new THREE.Vector2(0, 0));
+  if (data) {
+    openDetailPanel(data);
+  } else {
+    closeDetailPanel();
+  }
+}
+
+/**
+ * Update hover highlight (call from animate)
+ * 카메라가 스크롤/걷기로 움직이므로 포인터가 멈춰 있어도 매 프레임 검사
+ */
+export function updatePicking() {
+  setHovered(pointerActive ? pickAtPointer() : null);
+}
@@ -0,0 +1,104 @@
+/**
+ * city-poi.js
+ * Hong Kong Citypop Night City - Points of Interest
+ *
+ * 벤치/노점/자판기/버스정류장이 생성될 때 스스로 등록 → 보행자 행동 목적지 (city-people.js)
+ * - GLB 로드 시에도 dummyScene에서 createAllBuildings가 실행되므로 같은 POI가 등록됨
+ * - 같은 종류/위치는 한 번만 등록 (GLB export 등 중복 생성)
+ *
+ * POI: { type, x, y, z, rotation, slots: [{ x, z, approachX, approachZ, facing, seatY, occupant }] }
+ * - slot: 한 명이 사용하는 자리 (seatY가 있으면 앉음, 없으면 서서 사용)
+ * - approach: 보행자가 걸어서 도착하는 지점 (벤치/자판기 바로 앞, 충돌 margin 밖)
+ */
+
+// POI type → 보행자가 사용하는 방식
+// facingObject: 객체를 바라보고 섬 (자판기, 노점), 아니면 객체와 같은 방향 (앉기)
+const POI_DEFAULTS = {
+  'bench': { facingObject: false },
+  'bus-stop': { facingObject: false },
+  'stall': { facingObject: true },
+  'vending-machine': { facingObject: true }
+};
+
+const pois = [];
+const poiKeys = new Set();
+
+/**
+ * Register a point of interest
+ * @param {string} type - 'bench' | 'bus-stop' | 'stall' | 'vending-machine'
+ * @param {THREE.Object3D} object - Created group (world position/rotation.y 사용)
+ * @param {Object} options
+ * @param {Array<Array<number>>} options.slots - Local [x, z] of each user position
+ * @param {number} options.approach - Local z of the approach point (객체 앞)
+ * @param {number} [options.seatY] - Seat height (앉는 자리)
+ * @returns {Object} Registered POI
+ */
+export function registerPOI(type, object, { slots, approach, seatY = null }) {
+  const { x, y, z } = object.position;
+  const key = `${type}:${x.toFixed(1)},${z.toFixed(1)}`;
+  if (poiKeys.has(key)) return pois.find(p => p.key === key);
+
+  const rotation = object.rotation.y;
+  const sin = Math.sin(rotation);
+  const cos = Math.cos(rotation);
+  // Local (lx, lz) → world (object rotation.y 기준)
+  const toWorld = (lx, lz) => ({ x: x + lx * cos + lz * sin, z: z - lx * sin + lz * cos });
+  const facing = POI_DEFAULTS[type].facingObject ? rotation + Math.PI : rotation;
+
+  const poi = {
+    key,
+    type,
+    x, y, z,
+    rotation,
+    slots: slots.map(([lx, lz]) => {
+      const spot = toWorld(lx, lz);
+      const front = toWorld(lx, approach);
+      return { x: spot.x, z: spot.z, approachX: front.x, approachZ: front.z, facing, seatY, occupant: null };
+    })
+  };
+
+  poiKeys.add(key);
+  pois.push(poi);
+  return poi;
+}
+
+/**
+ * @param {string} type
+ * @returns {Array<Object>} Registered POIs of a type
+ */
+export function getPOIs(type) {
+  return pois.filter(p => p.type === type);
+}
+
+/**
+ * Reserve the nearest free slot of a type
+ * @param {string} type - POI type
+ * @param {{x: number, z: number}} from - 검색 기준 위치
+ * @param {Object} occupant - 자리를 잡는 보행자
+ * @param {function(Object): boolean} [isReachable] - POI 필터 (navmesh 도달 가능 여부 등)
+ * @returns {{poi: Object, slot: Object}|null}
+ */
+export function reservePOISlot(type, from, occupant, isReachable = null) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const poi of pois) {
+    if (poi.type !== type) continue;
+    const d = (poi.x - from.x) ** 2 + (poi.z - from.z) ** 2;
+    if (d >= bestDist) continue;
+    const slot = poi.slots.find(s => !s.occupant);
+    if (!slot || (isReachable && !isReachable(poi))) continue;
+    best = { poi, slot };
+    bestDist = d;
+  }
+  if (best) best.slot.occupant = occupant;
+  return best;
+}
+
+/**
+ * Release a reserved slot
+ * @param {Object} slot
+ * @param {Object} occupant - 예약한 보행자 (다른 사람이 잡은 자리는 무시)
+ */
+export function releasePOISlot(slot, occupant) {
+  if (slot && slot.occupant === occupant) slot.occupant = null;
+}
@@ -0,0 +1,290 @@
+/**
+ * city-postfx.js
+ * Hong Kong Citypop Night City - Post-processing (Bloom, Film Grain, Chromatic Aberration)
+ *
+ * Optional EffectComposer pipeline (?fx=off|low|medium|high, setPostFXQuality() in console)
+ * - Selective bloom: 창문, 간판, 가로등/신호등/차량 램프, 네온 콘텐츠만 번짐
+ *   bloom 대상이 아닌 mesh는 bloom 렌더 동안 검정(불투명) / 숨김(투명)으로 교체 → 가려짐 유지
+ * - Vaporwave pass: film grain + chromatic aberration (화면 가장자리로 갈수록 RGB 분리)
+ * - iOS는 IOS_MAX_QUALITY 이하로 자동 제한 (city-sky.js isIOS)
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { isIOS } from './city-sky.js';
+import { colors } from './city-colors.js';
+
+// Quality tiers (bloomScale: bloom 렌더 해상도 배율, grain/aberration 0이면 vaporwave pass 끔)
+const postFXQualities = {
+  off: null,
+  low: { bloomScale: 0.25, bloomStrength: 0.9, bloomRadius: 0.4, grain: 0, aberration: 0 },
+  medium: { bloomScale: 0.5, bloomStrength: 1.0, bloomRadius: 0.5, grain: 0.04, aberration: 0 },
+  high: { bloomScale: 1, bloomStrength: 1.1, bloomRadius: 0.6, grain: 0.05, aberration: 0.004 }
+};
+const QUALITY_ORDER = ['off', 'low', 'medium', 'high'];
+const IOS_MAX_QUALITY = 'low';
+
+// GLB에는 userData.bloom이 없는 구버전도 있으므로 색상으로도 찾음 (discoverWindowsFromGLB와 같은 방식)
+// 가로등 전구 색 (city-streetlamp.js lampColors, 흰색 제외) + 네온 팔레트
+const BLOOM_COLORS = new Set([0xffd0e0, 0xd0ffff, 0xffe0a0, ...Object.values(colors.neon)]);
+
+const darkMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, fog: false });
+const darkLineMaterial = new THREE.LineBasicMaterial({ color: 0x000000, fog: false });
+
+const MixShader = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null }
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = texture2D(baseTexture, vUv) + vec4(1.0) * texture2D(bloomTexture, vUv);
+    }
+  `
+};
+
+const VaporwaveShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    time: { value: 0 },
+    grain: { value: 0 },
+    aberration: { value: 0 }
+  },
+  vertexShader: MixShader.vertexShader,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float time;
+    uniform float grain;
+    uniform float aberration;
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      vec2 offset = (vUv - 0.5) * aberration;
+      vec4 color = texture2D(tDiffuse, vUv);
+      color.r = texture2D(tDiffuse, vUv + offset).r;
+      color.b = texture2D(tDiffuse, vUv - offset).b;
+      color.rgb += (hash(vUv + fract(time)) - 0.5) * grain;
+      gl_FragColor = color;
+    }
+  `
+};
+
+// Module state
+let context = null;          // { renderer, scene, camera }
+let currentQuality = 'off';
+let bloomComposer = null;
+let finalComposer = null;
+let bloomPass = null;
+let vaporwavePass = null;
+let elapsed = 0;
+const savedMaterials = new Map();
+const hiddenObjects = [];
+
+/**
+ * Get post-processing quality from URL (?fx=)
+ */
+export function getPostFXQualityFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('fx');
+}
+
+// ============================================
+// Selective bloom
+// ============================================
+
+function isBloomTarget(obj) {
+  const data = obj.userData;
+  return data.bloom || data.isWindowInstanced || data.isWindow ||
+    data.isSignFace || data.isSignGlow || data.pickable;
+}
+
+/**
+ * Mark static GLB meshes with lamp/neon colors as bloom targets (한 번만)
+ */
+function discoverBloomTargets(scene) {
+  let count = 0;
+  scene.traverse(obj => {
+    if (!obj.isMesh || obj.userData.bloom || !obj.material || !obj.material.color) return;
+    if (obj.material.transparent) return;
+    if (BLOOM_COLORS.has(obj.material.color.getHex())) {
+      obj.userData.bloom = true;
+      count++;
+    }
+  });
+  return count;
+}
+
+/**
+ * Bloom 렌더 전: 대상이 아닌 mesh를 검정으로 (투명/스프라이트는 숨김)
+ */
+function darkenNonBloom(scene) {
+  scene.traverse(obj => {
+    if (!obj.material || !obj.visible || isBloomTarget(obj)) return;
+    const material = Array.isArray(obj.material) ? obj.material[0] : obj.material;
+    if (material.transparent || obj.isSprite || obj.isPoints) {
+      obj.visible = false;
+      hiddenObjects.push(obj);
+    } else {
+      savedMaterials.set(obj, obj.material);
+      obj.material = obj.isLine ? darkLineMaterial : darkMaterial;
+    }
+  });
+}
+
+function restoreMaterials() {
+  savedMaterials.forEach((material, obj) => { obj.material = material; });
+  savedMaterials.clear();
+  hiddenObjects.forEach(obj => { obj.visible = true; });
+  hiddenObjects.length = 0;
+}
+
+// ============================================
+// Composers
+// ============================================
+
+function disposeComposers() {
+  if (bloomPass) bloomPass.dispose();
+  if (bloomComposer) bloomComposer.dispose();
+  if (finalComposer) finalComposer.dispose();
+  bloomComposer = null;
+  finalComposer = null;
+  bloomPass = null;
+  vaporwavePass = null;
+}
+
+function createComposers(settings) {
+  const { renderer, scene, camera } = context;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+
+  // 1) Bloom 대상만 렌더 → UnrealBloom (화면 출력 없이 텍스처로)
+  bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  bloomComposer.setPixelRatio(renderer.getPixelRatio() * settings.bloomScale);
+  bloomComposer.setSize(width, height);
+  bloomComposer.addPass(new RenderPass(scene, camera));
+  bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), settings.bloomStrength, settings.bloomRadius, 0);
+  bloomComposer.addPass(bloomPass);
+
+  // 2) 전체 장면 + bloom 합성 → tone mapping/sRGB → grain, aberration
+  finalComposer = new EffectComposer(renderer);
+  finalComposer.setPixelRatio(renderer.getPixelRatio());
+  finalComposer.setSize(width, height);
+  finalComposer.addPass(new RenderPass(scene, camera));
+
+  const mixPass = new ShaderPass(new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.clone(MixShader.uniforms),
+    vertexShader: MixShader.vertexShader,
+    fragmentShader: MixShader.fragmentShader
+  }), 'baseTexture');
+  mixPass.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+  mixPass.needsSwap = true;
+  finalComposer.addPass(mixPass);
+  finalComposer.addPass(new OutputPass());
+
+  vaporwavePass = new ShaderPass(VaporwaveShader);
+  vaporwavePass.uniforms.grain.value = settings.grain;
+  vaporwavePass.uniforms.aberration.value = settings.aberration;
+  vaporwavePass.enabled = settings.grain > 0 || settings.aberration > 0;
+  finalComposer.addPass(vaporwavePass);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Initialize post-processing (scene 로드 후 한 번)
+ * @param {string} [quality] - off | low | medium | high (iOS는 IOS_MAX_QUALITY까지)
+ * @returns {string} Applied quality
+ */
+export function initPostFX(renderer, scene, camera, quality = 'high') {
+  context = { renderer, scene, camera };
+  const discovered = discoverBloomTargets(scene);
+  console.log(`PostFX: ${discovered} lamp/neon meshes marked for bloom`);
+
+  window.addEventListener('resize', resizePostFX);
+  if (!setPostFXQuality(quality)) {
+    console.warn(`Unknown post-processing quality: ${quality}, using high`);
+    setPostFXQuality('high');
+  }
+  return currentQuality;
+}
+
+/**
+ * Switch quality tier (composer 재생성)
+ * @returns {boolean} false if unknown tier
+ */
+export function setPostFXQuality(quality) {
+  if (!context || !(quality in postFXQualities)) return false;
+
+  let applied = quality;
+  if (isIOS && QUALITY_ORDER.indexOf(applied) > QUALITY_ORDER.indexOf(IOS_MAX_QUALITY)) {
+    applied = IOS_MAX_QUALITY;
+  }
+
+  disposeComposers();
+  currentQuality = applied;
+  if (postFXQualities[applied]) createComposers(postFXQualities[applied]);
+  console.log(`PostFX quality: ${applied}${applied !== quality ? ` (requested ${quality}, iOS)` : ''}`);
+  return true;
+}
+
+export function getPostFXQuality() {
+  return currentQuality;
+}
+
+export function getPostFXQualities() {
+  return [...QUALITY_ORDER];
+}
+
+/**
+ * Resize composers (window resize, pixel ratio 변경 후)
+ */
+export function resizePostFX() {
+  if (!finalComposer) return;
+  const { renderer } = context;
+  const settings = postFXQualities[currentQuality];
+  bloomComposer.setPixelRatio(renderer.getPixelRatio() * settings.bloomScale);
+  bloomComposer.setSize(window.innerWidth, window.innerHeight);
+  finalComposer.setPixelRatio(renderer.getPixelRatio());
+  finalComposer.setSize(window.innerWidth, window.innerHeight);
+}
+
+/**
+ * Render one frame (off면 renderer.render 그대로)
+ */
+export function renderPostFX(deltaTime) {
+  const { renderer, scene, camera } = context;
+  if (!finalComposer) {
+    renderer.render(scene, camera);
+    return;
+  }
+
+  elapsed += deltaTime;
+
+  darkenNonBloom(scene);
+  bloomComposer.render(deltaTime);
+  restoreMaterials();
+
+  vaporwavePass.uniforms.time.value = elapsed;
+  finalComposer.render(deltaTime);
+}
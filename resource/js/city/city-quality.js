@@ -0,0 +1,197 @@
+/**
+ * city-quality.js
+ * Hong Kong Citypop Night City - Adaptive Quality Manager
+ *
+ * 프레임 시간을 측정해서 목표 FPS를 유지하도록 품질 단계를 올리고 내림
+ * - pixel ratio, 보행자/차량 상한, 창문 이퀄라이저 갱신 빈도, fog 거리, post-processing 단계
+ * - ?quality=low|medium|high|ultra: 단계 고정 (자동 조절 끔), auto (기본)
+ * - 디버그 HUD: 현재 단계, FPS, pixel ratio (toggleQualityHUD() in console)
+ */
+
+import { isIOS } from './city-sky.js';
+
+// Quality tiers (낮음 → 높음)
+// pixelRatio는 devicePixelRatio를 넘지 않음, windowRate: 창문 이퀄라이저 갱신 (Hz)
+export const qualityTiers = {
+  low: { pixelRatio: 0.75, pedestrians: 25, vehicles: 12, windowRate: 10, fogFar: 180, postFX: 'off' },
+  medium: { pixelRatio: 1, pedestrians: 80, vehicles: 24, windowRate: 20, fogFar: 240, postFX: 'low' },
+  high: { pixelRatio: 1.5, pedestrians: 175, vehicles: 40, windowRate: 30, fogFar: 300, postFX: 'medium' },
+  ultra: { pixelRatio: 2, pedestrians: 175, vehicles: 40, windowRate: 60, fogFar: 300, postFX: 'high' }
+};
+const TIER_ORDER = ['low', 'medium', 'high', 'ultra'];
+
+const TARGET_FPS = 55;
+const SAMPLE_WINDOW = 2;        // FPS 측정 구간 (초)
+const DOWNGRADE_RATIO = 0.85;   // 목표의 85% 미만이면 한 단계 내림
+const UPGRADE_RATIO = 0.95;     // 목표의 95% 이상이 STABLE_WINDOWS 구간 연속이면 한 단계 올림
+const STABLE_WINDOWS = 4;
+const UPGRADE_PROBATION = 6;    // 올린 뒤 이 시간 안에 다시 내리면 그 단계는 BLOCK_TIME 동안 시도 안 함
+const BLOCK_TIME = 60;
+
+/**
+ * Get quality tier override from URL (?quality=)
+ */
+export function getQualityFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('quality');
+}
+
+/**
+ * Create adaptive quality manager
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {string} [options.tier] - URL override (low | medium | high | ultra | auto)
+ * @param {function(number): void} options.setMaxPedestrians
+ * @param {function(number): void} options.setMaxVehicles
+ * @param {function(number): void} options.setWindowUpdateRate - Hz
+ * @param {function(number): void} options.setFogFar - 기본 fog 거리 (시간대 배율은 city-time-of-day.js)
+ * @param {function(string): void} [options.setPostFXQuality] - 없으면 post-processing은 건드리지 않음 (?fx= 지정 시)
+ * @param {function(): void} [options.onResize] - pixel ratio 변경 후 (post-processing render target 크기)
+ * @returns {Object} Quality manager API ({ update, setTier, getTier, isAuto, getFPS, toggleHUD })
+ */
+export function createQualityManager({
+  renderer,
+  tier,
+  setMaxPedestrians,
+  setMaxVehicles,
+  setWindowUpdateRate,
+  setFogFar,
+  setPostFXQuality,
+  onResize
+}) {
+  const pinned = tier in qualityTiers ? tier : null;
+  if (tier && !pinned && tier !== 'auto') {
+    console.warn(`Unknown quality tier: ${tier} (${TIER_ORDER.join(', ')}, auto)`);
+  }
+
+  let auto = !pinned;
+  let current = null;
+  let time = 0;
+  let windowTime = 0;
+  let windowFrames = 0;
+  let fps = 0;
+  let stableWindows = 0;
+  let lastUpgrade = -Infinity;
+  const blockedUntil = {}; // tier → time
+
+  // === Debug HUD ===
+  const hud = document.createElement('div');
+  hud.id = 'quality-hud';
+  hud.style.cssText = `
+    display: none;
+    position: fixed;
+    bottom: 20px;
+    left: 20px;
+    z-index: 1000;
+    padding: 4px 8px;
+    font: 11px monospace;
+    color: #ccc;
+    background: rgba(10, 10, 21, 0.6);
+    border: 1px solid rgba(80, 208, 224, 0.6);
+    pointer-events: none;
+  `;
+  document.body.appendChild(hud);
+
+  function updateHUD() {
+    if (hud.style.display === 'none') return;
+    const settings = qualityTiers[current];
+    hud.textContent = `Quality ${current} (${auto ? 'auto' : 'fixed'}) · ${fps.toFixed(0)} fps · ` +
+      `${renderer.getPixelRatio().toFixed(2)}x · fx ${setPostFXQuality ? settings.postFX : 'url'}`;
+  }
+
+  /**
+   * Apply a tier's settings
+   */
+  function applyTier(name) {
+    const settings = qualityTiers[name];
+    current = name;
+
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, settings.pixelRatio));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    if (onResize) onResize();
+
+    setMaxPedestrians(settings.pedestrians);
+    setMaxVehicles(settings.vehicles);
+    setWindowUpdateRate(settings.windowRate);
+    setFogFar(settings.fogFar);
+    if (setPostFXQuality) setPostFXQuality(settings.postFX);
+
+    console.log(`Quality: ${name}${auto ? ' (auto)' : ''}`);
+    updateHUD();
+  }
+
+  function step(direction) {
+    const index = TIER_ORDER.indexOf(current) + direction;
+    if (index < 0 || index >= TIER_ORDER.length) return false;
+    applyTier(TIER_ORDER[index]);
+    return true;
+  }
+
+  /**
+   * Measure frame time and adapt (animate에서 매 프레임)
+   */
+  function update(deltaTime) {
+    time += deltaTime;
+    windowTime += deltaTime;
+    windowFrames++;
+    if (windowTime < SAMPLE_WINDOW) return;
+
+    fps = windowFrames / windowTime;
+    windowTime = 0;
+    windowFrames = 0;
+    updateHUD();
+    if (!auto) return;
+
+    if (fps < TARGET_FPS * DOWNGRADE_RATIO) {
+      stableWindows = 0;
+      // 올리자마자 떨어졌으면 그 단계는 한동안 다시 시도하지 않음
+      if (time - lastUpgrade < UPGRADE_PROBATION) blockedUntil[current] = time + BLOCK_TIME;
+      step(-1);
+    } else if (fps >= TARGET_FPS * UPGRADE_RATIO) {
+      stableWindows++;
+      const next = TIER_ORDER[TIER_ORDER.indexOf(current) + 1];
+      if (stableWindows >= STABLE_WINDOWS && next && !(blockedUntil[next] > time)) {
+        stableWindows = 0;
+        lastUpgrade = time;
+        step(1);
+      }
+    } else {
+      stableWindows = 0;
+    }
+  }
+
+  /**
+   * Set tier manually ('auto' = 자동 조절 재개)
+   * @returns {boolean} false if unknown tier
+   */
+  function setTier(name) {
+    if (name === 'auto') {
+      auto = true;
+      stableWindows = 0;
+      updateHUD();
+      return true;
+    }
+    if (!(name in qualityTiers)) return false;
+    auto = false;
+    applyTier(name);
+    return true;
+  }
+
+  function toggleHUD() {
+    hud.style.display = hud.style.display === 'none' ? 'block' : 'none';
+    updateHUD();
+    return hud.style.display !== 'none';
+  }
+
+  // 시작 단계: URL 고정 > iOS low > high (이후 측정값으로 조절)
+  applyTier(pinned || (isIOS ? 'low' : 'high'));
+
+  return {
+    update,
+    setTier,
+    getTier: () => current,
+    isAuto: () => auto,
+    getFPS: () => fps,
+    toggleHUD
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * city-random.js
+ * Hong Kong Citypop Night City - Seeded Random
+ *
+ * Shared seedable PRNG used by every generator instead of Math.random().
+ * 같은 시드 = 같은 동적 생성 도시 (동적 생성, exportSceneToGLB, 창문/간판용 더미 scene)
+ * 배포된 city.glb는 시드 도입 전 Math.random()으로 베이크됨 → ?seed= 지정 시 city-main.js가 동적 생성
+ * 기본 시드 페이지는 그 city.glb를 그대로 로드하므로 기본 도시는 시드로 재현되지 않음
+ * (재현하려면 exportSceneToGLB(DEFAULT_SEED)로 다시 베이크해서 배포)
+ *
+ * - random(): 빌더용 공용 스트림. reseed(label)로 단계별 재시작
+ * - createRandom(label): 런타임 시뮬레이션(보행자, 차량)용 독립 스트림
+ */
+
+// 기본 시드 (?seed= 파라미터가 없을 때)
+export const DEFAULT_SEED = 'tarucy';
+
+let currentSeed = DEFAULT_SEED;
+let builderState = 0;
+
+// createRandom으로 만든 독립 스트림 (setSeed 시 함께 재시작)
+const streams = new Map();
+
+// ============================================
+// Internal helpers
+// ============================================
+
+/**
+ * Hash a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - Input string
+ * @returns {number} 32-bit hash
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Advance a mulberry32 state and return [nextState, value in [0, 1)]
+ * @param {number} state - Current 32-bit state
+ * @returns {number[]} [nextState, value]
+ */
+function mulberry32(state) {
+  const next = (state + 0x6d2b79f5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [next, ((t ^ (t >>> 14)) >>> 0) / 4294967296];
+}
+
+/**
+ * Derive the initial state for a labelled stream from the current seed
+ * @param {string} label - Stream label
+ * @returns {number} 32-bit state
+ */
+function stateFor(label) {
+  return hashString(`${currentSeed}:${label}`);
+}
+
+// ============================================
+// Seed control
+// ============================================
+
+/**
+ * Set the city seed and restart every stream
+ * @param {string|number} seed - Any string or number (empty → DEFAULT_SEED)
+ * @returns {string} Normalized seed
+ */
+export function setSeed(seed) {
+  currentSeed = (seed === undefined || seed === null || seed === '') ? DEFAULT_SEED : String(seed);
+  builderState = stateFor('');
+  streams.forEach((stream, label) => { stream.state = stateFor(label); });
+  return currentSeed;
+}
+
+/**
+ * Get the current city seed
+ * @returns {string}
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Read the seed from the `?seed=` URL parameter
+ * @returns {string|null} Seed string, or null if absent
+ */
+export function getSeedFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('seed');
+}
+
+/**
+ * Restart the shared builder stream for a build stage
+ * 단계마다 재시작하므로 앞 단계의 소비량이 달라도 (텍스트 유무 등) 뒤 단계 결과는 동일
+ * @param {string} label - Stage label (e.g. 'residential', 'trees')
+ */
+export function reseed(label) {
+  builderState = stateFor(label);
+}
+
+// ============================================
+// Random draws
+// ============================================
+
+/**
+ * Drop-in replacement for Math.random() (shared builder stream)
+ * @returns {number} Value in [0, 1)
+ */
+export function random() {
+  const [next, value] = mulberry32(builderState);
+  builderState = next;
+  return value;
+}
+
+/**
+ * Create an independent stream that does not disturb the builder stream
+ * @param {string} label - Unique stream label
+ * @returns {function(): number} Math.random-like function
+ */
+export function createRandom(label) {
+  let stream = streams.get(label);
+  if (!stream) {
+    stream = { state: stateFor(label) };
+    streams.set(label, stream);
+  }
+  return () => {
+    const [next, value] = mulberry32(stream.state);
+    stream.state = next;
+    return value;
+  };
+}
+
+// 초기 상태
+setSeed(DEFAULT_SEED);
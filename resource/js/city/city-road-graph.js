@@ -0,0 +1,260 @@
+/**
+ * city-road-graph.js
+ * Hong Kong Citypop Night City - Road Graph for Vehicles
+ *
+ * city-road.js roadDefinitions → 차로 segment 그래프
+ * - line: 도로 한쪽 차로 (id = lane id: mainWest, southUp ...)
+ * - arc / bezier: 교차로·커브 connector (차로 끝 → 다음 차로 시작, curved, turn: 'left' | 'right')
+ * - segment.next: 끝에서 이어지는 segment 목록 (여러 개면 weight 비율로 선택)
+ *
+ * 차량은 (segment, s = segment 시작점부터 거리)로 위치를 가지고
+ * segment.pointAt(s) → { x, z, dirX, dirZ } 로 좌표와 진행 방향을 얻음
+ */
+
+// Bezier 호 길이 테이블 샘플 수
+const BEZIER_SAMPLES = 24;
+// Bezier 제어점 거리 (양 끝 거리 대비, 90도 회전에서 원호에 가까움)
+const BEZIER_HANDLE = 0.4;
+
+// ============================================
+// Segments
+// ============================================
+
+/**
+ * Straight lane segment
+ */
+function createLineSegment(id, start, end, props = {}) {
+  const length = Math.hypot(end.x - start.x, end.z - start.z);
+  const dirX = (end.x - start.x) / length;
+  const dirZ = (end.z - start.z) / length;
+  return {
+    id,
+    kind: 'line',
+    curved: false,
+    start,
+    end,
+    length,
+    dirX,
+    dirZ,
+    next: [],
+    prev: [],
+    ...props,
+    pointAt(s) {
+      return { x: start.x + dirX * s, z: start.z + dirZ * s, dirX, dirZ };
+    }
+  };
+}
+
+/**
+ * Circular arc connector around center (start heading으로 회전 방향 결정)
+ */
+function createArcSegment(id, center, start, end, startDir) {
+  const radius = Math.hypot(start.x - center.x, start.z - center.z);
+  const startAngle = Math.atan2(start.z - center.z, start.x - center.x);
+  // 반시계(+1): 각도 증가 방향 접선 (-sin, cos)
+  const sweep = (-Math.sin(startAngle) * startDir.dirX + Math.cos(startAngle) * startDir.dirZ) >= 0 ? 1 : -1;
+  let delta = Math.atan2(end.z - center.z, end.x - center.x) - startAngle;
+  while (delta * sweep <= 0) delta += sweep * Math.PI * 2;
+  while (delta * sweep > Math.PI * 2) delta -= sweep * Math.PI * 2;
+
+  return {
+    id,
+    kind: 'arc',
+    curved: true,
+    start,
+    end,
+    center,
+    radius,
+    length: Math.abs(delta) * radius,
+    next: [],
+    prev: [],
+    pointAt(s) {
+      const angle = startAngle + sweep * s / radius;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return {
+        x: center.x + cos * radius,
+        z: center.z + sin * radius,
+        dirX: -sin * sweep,
+        dirZ: cos * sweep
+      };
+    }
+  };
+}
+
+/**
+ * Cubic Bezier connector (양 끝 차로 방향을 접선으로)
+ */
+function createBezierSegment(id, start, end, startDir, endDir) {
+  const handle = Math.hypot(end.x - start.x, end.z - start.z) * BEZIER_HANDLE;
+  const p1 = { x: start.x + startDir.dirX * handle, z: start.z + startDir.dirZ * handle };
+  const p2 = { x: end.x - endDir.dirX * handle, z: end.z - endDir.dirZ * handle };
+
+  const point = t => {
+    const u = 1 - t;
+    return {
+      x: u * u * u * start.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * end.x,
+      z: u * u * u * start.z + 3 * u * u * t * p1.z + 3 * u * t * t * p2.z + t * t * t * end.z
+    };
+  };
+  const tangent = t => {
+    const u = 1 - t;
+    const x = 3 * u * u * (p1.x - start.x) + 6 * u * t * (p2.x - p1.x) + 3 * t * t * (end.x - p2.x);
+    const z = 3 * u * u * (p1.z - start.z) + 6 * u * t * (p2.z - p1.z) + 3 * t * t * (end.z - p2.z);
+    const length = Math.hypot(x, z) || 1;
+    return { dirX: x / length, dirZ: z / length };
+  };
+
+  // 호 길이 테이블: s → t
+  const distances = [0];
+  let previous = start;
+  for (let i = 1; i <= BEZIER_SAMPLES; i++) {
+    const current = point(i / BEZIER_SAMPLES);
+    distances.push(distances[i - 1] + Math.hypot(current.x - previous.x, current.z - previous.z));
+    previous = current;
+  }
+  const length = distances[BEZIER_SAMPLES];
+
+  return {
+    id,
+    kind: 'bezier',
+    curved: true,
+    start,
+    end,
+    length,
+    next: [],
+    prev: [],
+    pointAt(s) {
+      const target = Math.max(0, Math.min(length, s));
+      let i = 1;
+      while (i < BEZIER_SAMPLES && distances[i] < target) i++;
+      const span = distances[i] - distances[i - 1] || 1;
+      const t = (i - 1 + (target - distances[i - 1]) / span) / BEZIER_SAMPLES;
+      return { ...point(t), ...tangent(t) };
+    }
+  };
+}
+
+/**
+ * Connector between the end of one lane and the start of another
+ * arc: 두 끝점이 center에서 같은 거리일 때만, 아니면 Bezier로 대체
+ */
+function createConnector(id, from, to, center) {
+  const startDir = from.pointAt(from.length);
+  const endDir = to.pointAt(0);
+  if (center) {
+    const startRadius = Math.hypot(from.end.x - center.x, from.end.z - center.z);
+    const endRadius = Math.hypot(to.start.x - center.x, to.start.z - center.z);
+    if (Math.abs(startRadius - endRadius) < 0.01) {
+      return createArcSegment(id, center, from.end, to.start, startDir);
+    }
+    console.warn(`Road graph: ${id} endpoints are not on one arc, using Bezier`);
+  }
+  return createBezierSegment(id, from.end, to.start, startDir, endDir);
+}
+
+/**
+ * Turn direction of a connector (진입 방향 기준 출구가 좌/우 어느 쪽인지, 방향지시등)
+ * @returns {string|null} 'left' | 'right' | null (직진)
+ */
+function getTurnDirection(from, to) {
+  const { dirX, dirZ } = from.pointAt(from.length);
+  // 우측 = (-dirZ, dirX)
+  const lateral = -(to.start.x - from.end.x) * dirZ + (to.start.z - from.end.z) * dirX;
+  if (Math.abs(lateral) < 1) return null;
+  return lateral > 0 ? 'right' : 'left';
+}
+
+// ============================================
+// Graph
+// ============================================
+
+/**
+ * Build lane/connector graph from road definitions (city-road.js roadDefinitions)
+ * @returns {{segments: Map, lanes: Array, entries: Array}}
+ *   lanes: 직선 차로 segment, entries: 차량이 들어오는 차로 (spawn > 0)
+ */
+export function buildRoadGraph(definitions) {
+  const segments = new Map();
+  const offset = definitions.laneOffset;
+
+  definitions.roads.forEach(road => {
+    const length = Math.hypot(road.to.x - road.from.x, road.to.z - road.from.z);
+    // 진행 방향 우측 = (-dirZ, dirX)
+    const rightX = -(road.to.z - road.from.z) / length * offset;
+    const rightZ = (road.to.x - road.from.x) / length * offset;
+    const { forward, backward } = road.lanes;
+
+    if (forward) {
+      const { id, ...props } = forward;
+      segments.set(id, createLineSegment(id,
+        { x: road.from.x + rightX, z: road.from.z + rightZ },
+        { x: road.to.x + rightX, z: road.to.z + rightZ },
+        { road: road.id, ...props }));
+    }
+    if (backward) {
+      const { id, ...props } = backward;
+      segments.set(id, createLineSegment(id,
+        { x: road.to.x - rightX, z: road.to.z - rightZ },
+        { x: road.from.x - rightX, z: road.from.z - rightZ },
+        { road: road.id, ...props }));
+    }
+  });
+
+  definitions.junctions.forEach(junction => {
+    junction.connections.forEach(connection => {
+      const from = segments.get(connection.from);
+      const to = segments.get(connection.to);
+      if (!from || !to) {
+        console.warn(`Road graph: unknown lane in ${junction.id} (${connection.from} → ${connection.to})`);
+        return;
+      }
+
+      const id = `${junction.id}:${connection.from}>${connection.to}`;
+      const connector = createConnector(id, from, to, connection.shape === 'arc' ? junction.center : null);
+      connector.junction = junction.id;
+      connector.turn = getTurnDirection(from, to);
+      connector.prev.push(from);
+      connector.next.push({ segment: to, weight: 1 });
+      from.next.push({ segment: connector, weight: connection.weight ?? 1 });
+      to.prev.push(connector);
+      segments.set(id, connector);
+    });
+  });
+
+  const lanes = [...segments.values()].filter(segment => segment.kind === 'line');
+  return {
+    segments,
+    lanes,
+    entries: lanes.filter(lane => lane.spawn > 0)
+  };
+}
+
+/**
+ * Pick the next segment at the end of a segment (weight 비율), null if dead end
+ * @param {Object} segment
+ * @param {Function} random - 0..1 난수 (city-random.js stream)
+ */
+export function chooseNextSegment(segment, random) {
+  if (segment.next.length === 0) return null;
+  const total = segment.next.reduce((sum, option) => sum + option.weight, 0);
+  let pick = random() * total;
+  for (const option of segment.next) {
+    pick -= option.weight;
+    if (pick < 0) return option.segment;
+  }
+  return segment.next[segment.next.length - 1].segment;
+}
+
+/**
+ * Project a point onto a lane segment
+ * @returns {{s: number, lateral: number}} lateral: 진행 방향 우측이 +
+ */
+export function projectOnLane(lane, x, z) {
+  const dx = x - lane.start.x;
+  const dz = z - lane.start.z;
+  return {
+    s: dx * lane.dirX + dz * lane.dirZ,
+    lateral: -dx * lane.dirZ + dz * lane.dirX
+  };
+}
@@ -10,6 +10,7 @@
  * - Sloped road extension
  * - Guardrails and retaining walls
  * - Crosswalks
+ * - roadDefinitions: 차량 도로 그래프 원본 (city-road-graph.js)
  */
 
 import * as THREE from 'three';
@@ -52,14 +53,68 @@ function createRoadHelper(scene, x, z, y, width, length, rotation = 0) {
   scene.add(rightEdge);
 }
 
+// ============================================
+// Road definitions (차량 도로 그래프 원본 → city-road-graph.js)
+// ============================================
+
+/**
+ * Drivable roads and junctions
+ * - roads: from → to 중심선, 양방향 2차로 (우측통행, 중심선에서 laneOffset)
+ *   forward: from → to 진행 차로, backward: 반대 방향 차로
+ *   lane id는 정지선(city-traffic-lights.js), 버스정류장 배정에도 그대로 쓰임
+ *   spawn: 도로 끝에서 차량이 들어오는 비율, initial: 시작 시 배치 대수
+ * - junctions: 차로 끝 → 다음 차로 시작 연결 (shape 'arc': center 기준 원호, 그 외 Bezier)
+ *   한 차로에서 나가는 연결이 여러 개면 weight 비율로 진행 방향 선택
+ */
+export const roadDefinitions = {
+  laneOffset: 3,
+  roads: [
+    {
+      id: 'main', // Tunnel → curve
+      from: { x: 300, z: -20 },
+      to: { x: -40, z: -20 },
+      width: 10,
+      lanes: {
+        forward: { id: 'mainWest', spawn: 0.6, initial: 4 },
+        backward: { id: 'mainEast' }
+      }
+    },
+    {
+      id: 'south', // Curve → south end
+      from: { x: -55, z: -35 },
+      to: { x: -55, z: -250 },
+      width: 10,
+      lanes: {
+        forward: { id: 'southDown' },
+        backward: { id: 'southUp', spawn: 0.4, initial: 2 }
+      }
+    }
+  ],
+  junctions: [
+    {
+      id: 'curve', // 90-degree turn between main road and south road
+      center: { x: -40, z: -35 },
+      radius: 15,
+      connections: [
+        { from: 'mainWest', to: 'southDown', shape: 'arc' },
+        { from: 'southUp', to: 'mainEast', shape: 'arc' }
+      ]
+    }
+  ]
+};
+
 /**
  * Create roads - Main road + Residential road + Shopping alley
  * Main road goes from east (tunnel) through hotel/shopping to playground, then turns south
  */
 export function createRoads(scene) {
+  const mainDef = roadDefinitions.roads.find(road => road.id === 'main');
+  const southDef = roadDefinitions.roads.find(road => road.id === 'south');
+  const curveDef = roadDefinitions.junctions.find(junction => junction.id === 'curve');
+
   const roadY = 0.03;
-  const roadZ = -20;
-  const roadWidth = 10;
+  const roadZ = mainDef.from.z;
+  const roadWidth = mainDef.width;
   const dashLength = 3;
   const dashGap = 2;
   const centerLineMat = new THREE.MeshBasicMaterial({ color: 0xffcc00 });
@@ -69,14 +124,14 @@ export function createRoads(scene) {
   const edgeMat = new THREE.MeshBasicMaterial({ color: 0xddaaaa });
 
   // === Curve parameters (defines where main road ends) ===
-  const turnCenterX = -40;      // Center of the curve (X) - east of south road
-  const turnCenterZ = -35;      // Center of the curve (Z) - south of main road
-  const turnRadius = 15;        // Radius of the curve
-  const turnRoadWidth = 10;     // Same as main road width
+  const turnCenterX = curveDef.center.x; // Center of the curve (X) - east of south road
+  const turnCenterZ = curveDef.center.z; // Center of the curve (Z) - south of main road
+  const turnRadius = curveDef.radius;    // Radius of the curve
+  const turnRoadWidth = southDef.width;  // Same as main road width
 
   // Main road ends where the curve begins (at north side of curve)
-  const mainRoadEndX = turnCenterX; // x = -40 (curve connects at this x)
-  const mainRoadStartX = 300;   // East end (toward tunnel)
+  const mainRoadEndX = mainDef.to.x;     // x = -40 (curve connects at this x)
+  const mainRoadStartX = mainDef.from.x; // East end (toward tunnel)
   const mainRoadLength = mainRoadStartX - mainRoadEndX; // 340
   const mainRoadCenterX = (mainRoadStartX + mainRoadEndX) / 2; // 130
 
@@ -272,9 +327,9 @@ export function createRoads(scene) {
 
   // === Straight road going south after the curve ===
   // Curve ends at angle π: x = turnCenterX - turnRadius, z = turnCenterZ
-  const southRoadX = turnCenterX - turnRadius; // = -55
-  const southRoadStartZ = turnCenterZ; // = -35
-  const southRoadEndZ = -250; // How far south the road goes
+  const southRoadX = southDef.from.x; // = turnCenterX - turnRadius = -55
+  const southRoadStartZ = southDef.from.z; // = turnCenterZ = -35
+  const southRoadEndZ = southDef.to.z; // How far south the road goes
   const southRoadLength = Math.abs(southRoadEndZ - southRoadStartZ);
 
   // South road surface
@@ -581,5 +636,6 @@ export function createRoads(scene) {
 export function createCrosswalks(scene) {
   const crosswalks = [];
   // Crosswalks are now created in createRoads function
+  // Signal heads and stop lines are dynamic (city-traffic-lights.js, also in GLB mode)
   return crosswalks;
 }
@@ -12,6 +12,8 @@
 
 import * as THREE from 'three';
 import { colors, randomColor } from './city-colors.js';
+import { random } from './city-random.js';
+import { registerPOI } from './city-poi.js';
 
 // Sign texts for shops (18 items total)
 const shopSignTexts = [
@@ -34,6 +36,13 @@ const shopSignTextureFiles = [
 // Texture loader for pre-generated textures
 const textureLoader = new THREE.TextureLoader();
 
+/**
+ * Picking metadata for a shop sign (city-picking.js)
+ */
+function shopSignPickData(signText) {
+  return { kind: 'shop-sign', category: 'Tech Stack', title: signText };
+}
+
 // ============================================
 // Shop Buildings
 // ============================================
@@ -47,7 +56,7 @@ export function createShopBuilding(scene, x, z, groundY, config = {}) {
 
   const width = config.width || 5;
   const depth = config.depth || 4;
-  const height = config.height || (4 + Math.random() * 3);
+  const height = config.height || (4 + random() * 3);
   const neonColor = config.neonColor || colors.neon.pink;
 
   // Building body
@@ -118,6 +127,7 @@ export function createShopBuilding(scene, x, z, groundY, config = {}) {
       : new THREE.MeshBasicMaterial({ color: neonColor });
     const signPanel = new THREE.Mesh(signPanelGeom, signPanelMat);
     signPanel.position.set(0, 4.0, -depth/2 - 0.62);
+    signPanel.userData.pickable = shopSignPickData(config.signText);
     group.add(signPanel);
   } else {
     // GLB export: solid color panel (text will be added dynamically later)
@@ -155,7 +165,7 @@ export function createShopBuilding(scene, x, z, groundY, config = {}) {
 export function createVerticalSign(scene, x, z, groundY) {
   const group = new THREE.Group();
   const neonColors = Object.values(colors.neon);
-  const color = neonColors[Math.floor(Math.random() * neonColors.length)];
+  const color = neonColors[Math.floor(random() * neonColors.length)];
 
   // Pole
   const poleGeom = new THREE.CylinderGeometry(0.08, 0.1, 6, 6);
@@ -210,7 +220,7 @@ export function createShoppingDistrictBase(scene) {
     const z = 13;
     const width = 4.8;
     const depth = 4;
-    const height = 5 + Math.random() * 2;
+    const height = 5 + random() * 2;
     const neonColor = neonPalette[i % neonPalette.length];
 
     const shop = createShopBuilding(scene, x, z, groundY, {
@@ -230,7 +240,7 @@ export function createShoppingDistrictBase(scene) {
     const z = 0;
     const width = 4.8;
     const depth = 3.5;
-    const height = 4 + Math.random() * 2;
+    const height = 4 + random() * 2;
     const neonColor = neonPalette[(i + 3) % neonPalette.length];
 
     const shop = createShopBuilding(scene, x, z, groundY, {
@@ -299,6 +309,7 @@ function addSignTextPanel(scene, x, z, groundY, width, depth, textureIndex) {
   signPanel.position.set(x, groundY + 4.0, z - depth/2 - 0.75);
   // 상점이 -Z 방향을 바라보므로 플레인도 -Z 방향으로 회전
   signPanel.rotation.y = Math.PI;
+  signPanel.userData.pickable = shopSignPickData(shopSignTexts[textureIndex]);
   scene.add(signPanel);
 }
 
@@ -319,7 +330,7 @@ export function createShoppingDistrict(scene) {
     const shop = createShopBuilding(scene, upperStartX + i * 5.2, 13, groundY, {
       width: 4.8,
       depth: 4,
-      height: 5 + Math.random() * 2,
+      height: 5 + random() * 2,
       neonColor: neonPalette[i % neonPalette.length],
       signText: shopSignTexts[i]
     });
@@ -332,7 +343,7 @@ export function createShoppingDistrict(scene) {
     const shop = createShopBuilding(scene, lowerStartX + i * 5.2, 0, groundY, {
       width: 4.8,
       depth: 3.5,
-      height: 4 + Math.random() * 2,
+      height: 4 + random() * 2,
       neonColor: neonPalette[(i + 3) % neonPalette.length],
       signText: shopSignTexts[9 + i]
     });
@@ -352,7 +363,7 @@ export function createShoppingDistrict(scene) {
 export function createVendorStall(scene, x, z, groundY) {
   const group = new THREE.Group();
   const neonColors = Object.values(colors.neon);
-  const stallColor = neonColors[Math.floor(Math.random() * neonColors.length)];
+  const stallColor = neonColors[Math.floor(random() * neonColors.length)];
 
   // Table
   const tableGeom = new THREE.BoxGeometry(1.8, 0.1, 1);
@@ -388,9 +399,9 @@ export function createVendorStall(scene, x, z, groundY) {
 
   // Products on table (small boxes)
   for (let i = 0; i < 3; i++) {
-    const prodGeom = new THREE.BoxGeometry(0.3 + Math.random() * 0.2, 0.2 + Math.random() * 0.15, 0.3);
+    const prodGeom = new THREE.BoxGeometry(0.3 + random() * 0.2, 0.2 + random() * 0.15, 0.3);
     const prodMat = new THREE.MeshBasicMaterial({
-      color: neonColors[Math.floor(Math.random() * neonColors.length)]
+      color: neonColors[Math.floor(random() * neonColors.length)]
     });
     const prod = new THREE.Mesh(prodGeom, prodMat);
     prod.position.set(-0.5 + i * 0.5, 0.95, 0);
@@ -399,6 +410,9 @@ export function createVendorStall(scene, x, z, groundY) {
 
   group.position.set(x, groundY, z);
   scene.add(group);
+
+  // 손님 자리: 골목 쪽 (+z) 테이블 앞
+  registerPOI('stall', group, { slots: [[0, 1.2]], approach: 1.2 });
   return group;
 }
 
@@ -427,7 +441,7 @@ export function createVendorStalls(scene) {
 export function createStandingSign(scene, x, z, rotation = 0) {
   const group = new THREE.Group();
   const neonColors = Object.values(colors.neon);
-  const color = neonColors[Math.floor(Math.random() * neonColors.length)];
+  const color = neonColors[Math.floor(random() * neonColors.length)];
 
   const poleGeom = new THREE.CylinderGeometry(0.15, 0.2, 3.5, 8);
   const poleMat = new THREE.MeshBasicMaterial({ color: 0x2a2a38 });
@@ -3,7 +3,7 @@
  * Hong Kong Citypop Night City - Sky, Scene, Renderer, Camera, Lighting
  *
  * Contains:
- * - Night sky texture generation
+ * - Sky gradient (repaintable, city-time-of-day.js) + star/moon layer
  * - Sky sphere creation
  * - Scene, renderer, camera setup
  * - Lighting configuration
@@ -12,37 +12,72 @@
  */
 
 import * as THREE from 'three';
+import { random } from './city-random.js';
+
+// iOS 감지 (품질 단계 제한에도 사용, city-postfx.js)
+export const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+
+// Sky gradient stop positions (0 = zenith, 0.5 = horizon, 1 = below)
+export const skyGradientStops = [0, 0.15, 0.25, 0.35, 0.42, 0.46, 0.48, 0.5, 0.52, 0.55, 0.6, 1];
+
+// Night sky colors per stop - darker at top, reddish/warm glow at horizon
+export const nightSkyColors = [
+  '#050508',  // Very dark at top (zenith)
+  '#08080f',
+  '#0a0a14',
+  '#0f0f1a',
+  '#151520',
+  '#1a1525',  // Transition to warm
+  '#251828',
+  '#352838',  // Horizon - reddish
+  '#453040',  // Below horizon - warm reddish
+  '#352838',
+  '#1a1525',
+  '#0a0a14'   // Below (mirror)
+];
+
+// 세로 gradient만 있으므로 작은 canvas로 충분 (시간대 변경 시 매번 다시 그림)
+const SKY_GRADIENT_HEIGHT = 512;
+
+// Sky state (setSkyColors / setStarsOpacity)
+let skyGradientCanvas = null;
+let skyGradientTexture = null;
+let starsMaterial = null;
 
-// iOS 감지
-const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+/**
+ * Paint the sky gradient (colors: skyGradientStops 순서의 CSS 색상)
+ */
+function paintSkyGradient(colorList) {
+  const ctx = skyGradientCanvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 0, skyGradientCanvas.height);
+  skyGradientStops.forEach((stop, i) => gradient.addColorStop(stop, colorList[i]));
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, skyGradientCanvas.width, skyGradientCanvas.height);
+}
 
 /**
- * Vaporwave/Cyberpunk night sky texture for sky sphere
+ * Sky gradient texture (sky sphere 바탕)
  */
-function createNightSkyTexture() {
+function createSkyGradientTexture() {
+  skyGradientCanvas = document.createElement('canvas');
+  skyGradientCanvas.width = 2;
+  skyGradientCanvas.height = SKY_GRADIENT_HEIGHT;
+  paintSkyGradient(nightSkyColors);
+
+  skyGradientTexture = new THREE.CanvasTexture(skyGradientCanvas);
+  skyGradientTexture.mapping = THREE.EquirectangularReflectionMapping;
+  return skyGradientTexture;
+}
+
+/**
+ * Vaporwave/Cyberpunk night sky stars + moon (투명 배경, gradient 위에 겹침)
+ */
+function createStarsTexture() {
   const canvas = document.createElement('canvas');
   canvas.width = isIOS ? 1024 : 2048;
   canvas.height = isIOS ? 512 : 1024;
   const ctx = canvas.getContext('2d');
 
-  // Gradient sky - darker at top, reddish/warm glow at horizon (0.5 = horizon)
-  const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-  gradient.addColorStop(0, '#050508');    // Very dark at top (zenith)
-  gradient.addColorStop(0.15, '#08080f');
-  gradient.addColorStop(0.25, '#0a0a14');
-  gradient.addColorStop(0.35, '#0f0f1a');
-  gradient.addColorStop(0.42, '#151520');
-  gradient.addColorStop(0.46, '#1a1525');  // Transition to warm
-  gradient.addColorStop(0.48, '#251828');
-  gradient.addColorStop(0.5, '#352838');   // Horizon - reddish
-  gradient.addColorStop(0.52, '#453040');  // Below horizon - warm reddish
-  gradient.addColorStop(0.55, '#352838');
-  gradient.addColorStop(0.6, '#1a1525');
-  gradient.addColorStop(1, '#0a0a14');     // Below (mirror)
-
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-
   // Moon (pink/salmon) - positioned behind hotel (+X direction)
   const moonX = canvas.width * 0.513; // Behind hotel direction (1050/2048)
   const moonY = canvas.height * 0.371; // Upper sky (380/1024)
@@ -72,10 +107,10 @@ function createNightSkyTexture() {
   // Stars - many tiny stars spread across upper sky
   const starCount = 4500;
   for (let i = 0; i < starCount; i++) {
-    const x = Math.random() * canvas.width;
-    const y = Math.random() * canvas.height * 0.635; // Upper portion of sky (650/1024)
-    const size = Math.random() * 0.4 + 0.1; // Very tiny stars (0.1 ~ 0.5)
-    const brightness = 0.1 + Math.random() * 0.4;
+    const x = random() * canvas.width;
+    const y = random() * canvas.height * 0.635; // Upper portion of sky (650/1024)
+    const size = random() * 0.4 + 0.1; // Very tiny stars (0.1 ~ 0.5)
+    const brightness = 0.1 + random() * 0.4;
     ctx.fillStyle = `rgba(255, 255, 255, ${brightness})`;
     ctx.beginPath();
     ctx.arc(x, y, size, 0, Math.PI * 2);
@@ -89,13 +124,13 @@ function createNightSkyTexture() {
 
 /**
  * Create sky sphere that surrounds the scene
+ * gradient sphere + 안쪽의 투명 stars sphere (밤하늘 밝기에 따라 별 opacity 조절)
  */
 function createSkySphere(scene) {
   const skyGeometry = new THREE.SphereGeometry(1000, 64, 64);
-  const skyTexture = createNightSkyTexture();
 
   const skyMaterial = new THREE.MeshBasicMaterial({
-    map: skyTexture,
+    map: createSkyGradientTexture(),
     side: THREE.BackSide, // Render inside of sphere
     fog: false, // Sky should not be affected by fog
     depthWrite: false
@@ -105,9 +140,37 @@ function createSkySphere(scene) {
   skySphere.renderOrder = -1; // Render first (behind everything)
   scene.add(skySphere);
 
+  starsMaterial = new THREE.MeshBasicMaterial({
+    map: createStarsTexture(),
+    side: THREE.BackSide,
+    fog: false,
+    transparent: true,
+    depthWrite: false
+  });
+  const stars = new THREE.Mesh(new THREE.SphereGeometry(990, 64, 64), starsMaterial);
+  stars.renderOrder = -1;
+  scene.add(stars);
+
   return skySphere;
 }
 
+/**
+ * Repaint the sky gradient (city-time-of-day.js)
+ * @param {string[]} colorList - CSS colors, one per skyGradientStops entry
+ */
+export function setSkyColors(colorList) {
+  if (!skyGradientCanvas) return;
+  paintSkyGradient(colorList);
+  skyGradientTexture.needsUpdate = true;
+}
+
+/**
+ * Stars/moon layer opacity (0 = 별 안 보임, 1 = 밤)
+ */
+export function setStarsOpacity(opacity) {
+  if (starsMaterial) starsMaterial.opacity = opacity;
+}
+
 /**
  * Create distant silhouette panels around the city
  * North: Triangle panels (mountains)
@@ -132,28 +195,28 @@ function createDistantSilhouettes(scene) {
     const isNorth = z > 0;
 
     // Random height variation
-    const baseHeight = 30 + Math.random() * 50;
-    const width = 30 + Math.random() * 20;
+    const baseHeight = 30 + random() * 50;
+    const width = 30 + random() * 20;
 
     let mesh;
 
     if (isNorth) {
       // Mountain shape - triangle with narrower base
       const shape = new THREE.Shape();
-      const height = baseHeight + Math.random() * 40;
-      const baseWidth = height * (0.6 + Math.random() * 0.4); // Base proportional to height
+      const height = baseHeight + random() * 40;
+      const baseWidth = height * (0.6 + random() * 0.4); // Base proportional to height
       const halfBase = baseWidth / 2;
 
       shape.moveTo(-halfBase, 0);
       shape.lineTo(halfBase, 0);
-      shape.lineTo((Math.random() - 0.5) * baseWidth * 0.15, height);
+      shape.lineTo((random() - 0.5) * baseWidth * 0.15, height);
       shape.closePath();
 
       const geometry = new THREE.ShapeGeometry(shape);
       mesh = new THREE.Mesh(geometry, silhouetteMat);
     } else {
       // Rectangle (building)
-      const height = baseHeight + Math.random() * 30;
+      const height = baseHeight + random() * 30;
       const geometry = new THREE.PlaneGeometry(width, height);
       mesh = new THREE.Mesh(geometry, silhouetteMat);
       mesh.position.y = height / 2;
@@ -182,26 +245,26 @@ function createDistantSilhouettes(scene) {
     const z = Math.sin(angle) * radius2;
 
     const isNorth = z > 0;
-    const baseHeight = 50 + Math.random() * 80;
-    const width = 40 + Math.random() * 30;
+    const baseHeight = 50 + random() * 80;
+    const width = 40 + random() * 30;
 
     let mesh;
 
     if (isNorth) {
       const shape = new THREE.Shape();
-      const height = baseHeight + Math.random() * 60;
-      const baseWidth = height * (0.5 + Math.random() * 0.4);
+      const height = baseHeight + random() * 60;
+      const baseWidth = height * (0.5 + random() * 0.4);
       const halfBase = baseWidth / 2;
 
       shape.moveTo(-halfBase, 0);
       shape.lineTo(halfBase, 0);
-      shape.lineTo((Math.random() - 0.5) * baseWidth * 0.15, height);
+      shape.lineTo((random() - 0.5) * baseWidth * 0.15, height);
       shape.closePath();
 
       const geometry = new THREE.ShapeGeometry(shape);
       mesh = new THREE.Mesh(geometry, silhouetteMat);
     } else {
-      const height = baseHeight + Math.random() * 50;
+      const height = baseHeight + random() * 50;
       const geometry = new THREE.PlaneGeometry(width, height);
       mesh = new THREE.Mesh(geometry, silhouetteMat);
       mesh.position.y = height / 2;
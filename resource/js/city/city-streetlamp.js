@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { random } from './city-random.js';
 
 /**
  * Create a street lamp
@@ -7,7 +8,7 @@ import * as THREE from 'three';
 function createStreetLamp(scene, x, z, groundY, rotation = 0) {
   const group = new THREE.Group();
   const lampColors = [0xffd0e0, 0xd0ffff, 0xffe0a0, 0xffffff];
-  const lampColor = lampColors[Math.floor(Math.random() * lampColors.length)];
+  const lampColor = lampColors[Math.floor(random() * lampColors.length)];
 
   // Pole (taller)
   const poleHeight = 6;
@@ -35,6 +36,8 @@ function createStreetLamp(scene, x, z, groundY, rotation = 0) {
   const lampMat = new THREE.MeshBasicMaterial({ color: lampColor });
   const lamp = new THREE.Mesh(lampGeom, lampMat);
   lamp.position.set(1.3, poleHeight - 0.35, 0);
+  lamp.userData.bloom = true; // 선택적 bloom 대상 (city-postfx.js, GLB extras로 보존)
+  lamp.userData.lampBulb = true; // 해질녘에 켜짐 (city-time-of-day.js)
   group.add(lamp);
 
   // Lamp glow (larger, more visible)
@@ -47,6 +50,7 @@ function createStreetLamp(scene, x, z, groundY, rotation = 0) {
   });
   const glow = new THREE.Mesh(glowGeom, glowMat);
   glow.position.set(1.3, poleHeight - 0.35, 0);
+  glow.userData.lampGlow = true;
   group.add(glow);
 
   // Ground light pool effect (further from pole) - warm yellow
@@ -60,6 +64,7 @@ function createStreetLamp(scene, x, z, groundY, rotation = 0) {
   const pool = new THREE.Mesh(poolGeom, poolMat);
   pool.rotation.x = -Math.PI / 2;
   pool.position.set(6, 0.02, 0);
+  pool.userData.lampPool = true;
   group.add(pool);
 
   group.position.set(x, groundY, z);
@@ -74,7 +79,7 @@ function createStreetLamp(scene, x, z, groundY, rotation = 0) {
 function createTStreetLamp(scene, x, z, groundY, rotation = 0) {
   const group = new THREE.Group();
   const lampColors = [0xffd0e0, 0xd0ffff, 0xffe0a0, 0xffffff];
-  const lampColor = lampColors[Math.floor(Math.random() * lampColors.length)];
+  const lampColor = lampColors[Math.floor(random() * lampColors.length)];
 
   // Pole (taller)
   const poleHeight = 6.5;
@@ -117,12 +122,15 @@ function createTStreetLamp(scene, x, z, groundY, rotation = 0) {
     const lampGeom = new THREE.SphereGeometry(0.25, 8, 6);
     const lamp = new THREE.Mesh(lampGeom, lampMat);
     lamp.position.set(side * 1.5, poleHeight - 0.35, 0);
+    lamp.userData.bloom = true;
+    lamp.userData.lampBulb = true;
     group.add(lamp);
 
     // Lamp glow
     const glowGeom = new THREE.SphereGeometry(0.7, 8, 6);
     const glow = new THREE.Mesh(glowGeom, glowMat);
     glow.position.set(side * 1.5, poleHeight - 0.35, 0);
+    glow.userData.lampGlow = true;
     group.add(glow);
 
     // Ground light pool effect
@@ -130,6 +138,7 @@ function createTStreetLamp(scene, x, z, groundY, rotation = 0) {
     const pool = new THREE.Mesh(poolGeom, poolMat);
     pool.rotation.x = -Math.PI / 2;
     pool.position.set(side * 4, 0.02, 0);
+    pool.userData.lampPool = true;
     group.add(pool);
   });
 
@@ -0,0 +1,327 @@
+/**
+ * city-time-of-day.js
+ * Hong Kong Citypop Night City - Time of Day (dusk → night → late night → dawn)
+ *
+ * 시각(0~24h)으로 keyframe 사이를 보간:
+ * - Sky gradient 다시 그리기 (city-sky.js setSkyColors) + 별/달 opacity
+ * - scene.fog 색상/거리 (거리는 품질 단계의 기본값 × keyframe 배율)
+ * - 켜진 창문 비율 (onWindowsLit → city-main 창문 색상)
+ * - 가로등/네온: 해질녘에 켜지고 새벽에 꺼짐 (LAMP_SCHEDULE, NEON_SCHEDULE)
+ *
+ * 시각 소스 (?time=, setTimeOfDay() in console):
+ * - 고정: <hour> 또는 phase 이름 (dusk | night | lateNight | dawn), 기본 night
+ * - clock: CLOCK_RATE로 흐르는 시계 (dusk부터 시작)
+ * - local: 사용자 로컬 시각
+ * - Scroll tour override: 투어 keyframe의 time (city-camera.js getTimeFromScroll)이 있으면 우선
+ */
+
+import * as THREE from 'three';
+import { setSkyColors, setStarsOpacity, nightSkyColors } from './city-sky.js';
+import { colors } from './city-colors.js';
+
+// Phase keyframes (hour 순서, 24h에서 순환)
+// sky: city-sky.js skyGradientStops 순서, fogRange: 품질 단계 fog 거리 배율
+// windows: 켜진 창문 비율, stars: 별/달 layer opacity
+const timeKeyframes = [
+  {
+    hour: 1.5, phase: 'lateNight',
+    sky: ['#030305', '#050509', '#07070e', '#0a0a13', '#0e0e18', '#12101c', '#1a121e', '#241c28', '#2e2230', '#241c28', '#12101c', '#07070e'],
+    fog: 0x06060c, fogRange: 0.9, windows: 0.3, stars: 1
+  },
+  {
+    hour: 6, phase: 'dawn',
+    sky: ['#0e1428', '#121a32', '#18203c', '#202a4a', '#2e3658', '#4a4870', '#6a5a80', '#a07890', '#c89098', '#8a6a84', '#2a2a48', '#0e1428'],
+    fog: 0x262a40, fogRange: 0.8, windows: 0.15, stars: 0.3
+  },
+  {
+    hour: 18, phase: 'dusk',
+    sky: ['#141230', '#1a1838', '#221c44', '#2e2250', '#44285a', '#5a3060', '#7a3c62', '#b85a62', '#d87a64', '#a04a5a', '#3a2440', '#141230'],
+    fog: 0x2a1c34, fogRange: 1.2, windows: 0.6, stars: 0.35
+  },
+  {
+    hour: 21, phase: 'night',
+    sky: nightSkyColors,
+    fog: 0x0a0a15, fogRange: 1, windows: 1, stars: 1
+  }
+];
+const PHASES = timeKeyframes.map(kf => kf.phase);
+
+// 켜지는/꺼지는 시각 (h), FADE 동안 서서히
+const LAMP_SCHEDULE = { on: 18.5, off: 6 };
+const NEON_SCHEDULE = { on: 18, off: 5.5 };
+const SWITCH_FADE = 0.25;
+// 꺼진 상태의 밝기 (전구는 갓 색에 가깝게, 네온은 어두운 관)
+const LAMP_OFF_COLOR = new THREE.Color(0x353545);
+const NEON_OFF_LEVEL = 0.35;
+
+// clock mode: 1시간 / 60초 (하루 24분), 시작 시각
+const CLOCK_RATE = 1 / 60;
+const CLOCK_START = 17.5;
+// Sky/fog 갱신 최소 변화량 (h) - gradient texture 재업로드 줄이기
+const REPAINT_STEP = 0.02;
+const FOG_NEAR_RATIO = 1 / 3;
+
+// GLB에 userData 태그가 없는 경우 색상으로 찾음 (city-streetlamp.js, city-colors.js neon)
+const LAMP_BULB_COLORS = new Set([0xffd0e0, 0xd0ffff, 0xffe0a0]);
+const LAMP_GLOW_COLORS = new Set([0xffd0e0, 0xd0ffff, 0xffe0a0, 0xffffff]);
+const LAMP_POOL_COLOR = 0xffcc44;
+const NEON_COLORS = new Set(Object.values(colors.neon));
+
+// Module state
+let sceneRef = null;
+let mode = 'fixed';          // 'fixed' | 'clock' | 'local'
+let hour = 21;
+let tourHour = null;          // scroll tour override
+let baseFogFar = 300;
+let lastApplied = null;       // { hour, fogFar }
+let callbacks = {};
+const lampBulbs = new Map();  // material → base color
+const lampLights = new Map(); // material → base opacity (glow, pool)
+const neonMaterials = new Map(); // material → base color
+let lampLevel = -1;
+let neonLevel = -1;
+let windowsLit = -1;
+
+/**
+ * Get time-of-day source from URL (?time=)
+ */
+export function getTimeOfDayFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('time');
+}
+
+// ============================================
+// Keyframe interpolation
+// ============================================
+
+function wrapHour(value) {
+  return ((value % 24) + 24) % 24;
+}
+
+function lerpCSSColor(a, b, t) {
+  return '#' + new THREE.Color(a).lerp(new THREE.Color(b), t).getHexString();
+}
+
+/**
+ * Interpolated settings at an hour (양 옆 keyframe, 24h 순환)
+ */
+function sampleKeyframes(h) {
+  let next = timeKeyframes.findIndex(kf => kf.hour > h);
+  if (next === -1) next = 0;
+  const prev = (next - 1 + timeKeyframes.length) % timeKeyframes.length;
+  const a = timeKeyframes[prev];
+  const b = timeKeyframes[next];
+  const span = wrapHour(b.hour - a.hour) || 24;
+  const t = wrapHour(h - a.hour) / span;
+
+  return {
+    phase: t < 0.5 ? a.phase : b.phase,
+    sky: a.sky.map((color, i) => lerpCSSColor(color, b.sky[i], t)),
+    fog: new THREE.Color(a.fog).lerp(new THREE.Color(b.fog), t),
+    fogRange: a.fogRange + (b.fogRange - a.fogRange) * t,
+    windows: a.windows + (b.windows - a.windows) * t,
+    stars: a.stars + (b.stars - a.stars) * t
+  };
+}
+
+/**
+ * On/off level (0~1) for a schedule, SWITCH_FADE 동안 선형 전환
+ */
+function scheduleLevel(h, schedule) {
+  const sinceOn = wrapHour(h - schedule.on);
+  const onDuration = wrapHour(schedule.off - schedule.on);
+  if (sinceOn < onDuration) return Math.min(1, sinceOn / SWITCH_FADE);
+  const sinceOff = sinceOn - onDuration;
+  return Math.max(0, 1 - sinceOff / SWITCH_FADE);
+}
+
+// ============================================
+// Lamps / neon
+// ============================================
+
+/**
+ * Collect lamp bulb/glow/pool and neon materials (한 번, GLB + 동적 객체 추가 후)
+ */
+function discoverLights(scene) {
+  scene.traverse(obj => {
+    if (!obj.isMesh || !obj.material || Array.isArray(obj.material) || !obj.material.color) return;
+    // 텍스처가 있는 mesh (간판 텍스트 등)는 색상이 흰색이어도 조명이 아님
+    if (obj.material.map) return;
+    const material = obj.material;
+    const hex = material.color.getHex();
+    const data = obj.userData;
+
+    if (data.lampBulb || (!material.transparent && LAMP_BULB_COLORS.has(hex))) {
+      lampBulbs.set(material, material.color.clone());
+    } else if (data.lampGlow || data.lampPool ||
+      (material.transparent && (LAMP_GLOW_COLORS.has(hex) || hex === LAMP_POOL_COLOR) && !data.isSignGlow)) {
+      lampLights.set(material, material.opacity);
+    } else if (!material.transparent && NEON_COLORS.has(hex)) {
+      neonMaterials.set(material, material.color.clone());
+    }
+  });
+}
+
+function applyLampLevel(level) {
+  lampBulbs.forEach((base, material) => {
+    material.color.copy(LAMP_OFF_COLOR).lerp(base, level);
+  });
+  lampLights.forEach((opacity, material) => {
+    material.opacity = opacity * level;
+    material.visible = level > 0;
+  });
+}
+
+function applyNeonLevel(level) {
+  const brightness = NEON_OFF_LEVEL + (1 - NEON_OFF_LEVEL) * level;
+  neonMaterials.forEach((base, material) => {
+    material.color.copy(base).multiplyScalar(brightness);
+  });
+  if (callbacks.onNeonLevel) callbacks.onNeonLevel(brightness);
+}
+
+// ============================================
+// Apply
+// ============================================
+
+function applyTime(h) {
+  const settings = sampleKeyframes(h);
+
+  setSkyColors(settings.sky);
+  setStarsOpacity(settings.stars);
+
+  if (sceneRef.fog) {
+    sceneRef.fog.color.copy(settings.fog);
+    sceneRef.fog.far = baseFogFar * settings.fogRange;
+    sceneRef.fog.near = sceneRef.fog.far * FOG_NEAR_RATIO;
+  }
+
+  const lit = Math.round(settings.windows * 100) / 100;
+  if (lit !== windowsLit) {
+    windowsLit = lit;
+    if (callbacks.onWindowsLit) callbacks.onWindowsLit(lit);
+  }
+
+  const lamps = scheduleLevel(h, LAMP_SCHEDULE);
+  if (lamps !== lampLevel) {
+    lampLevel = lamps;
+    applyLampLevel(lamps);
+  }
+  const neon = scheduleLevel(h, NEON_SCHEDULE);
+  if (neon !== neonLevel) {
+    neonLevel = neon;
+    applyNeonLevel(neon);
+  }
+
+  lastApplied = { hour: h, fogFar: baseFogFar };
+}
+
+function getEffectiveHour() {
+  return tourHour !== null ? tourHour : hour;
+}
+
+/**
+ * Parse a time source (hour, phase name, 'clock', 'local')
+ * @returns {boolean} false if invalid
+ */
+function applySource(value) {
+  if (value === 'clock') {
+    mode = 'clock';
+    hour = CLOCK_START;
+    return true;
+  }
+  if (value === 'local') {
+    mode = 'local';
+    return true;
+  }
+  const keyframe = timeKeyframes.find(kf => kf.phase === value);
+  const parsed = keyframe ? keyframe.hour : parseFloat(value);
+  if (!Number.isFinite(parsed)) return false;
+  mode = 'fixed';
+  hour = wrapHour(parsed);
+  return true;
+}
+
+function getLocalHour() {
+  const now = new Date();
+  return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Initialize time of day (정적/동적 객체가 모두 추가된 뒤)
+ * @param {THREE.Scene} scene
+ * @param {Object} options
+ * @param {string} [options.source] - ?time= 값 (없으면 night 고정)
+ * @param {function(number): void} [options.onWindowsLit] - 켜진 창문 비율 (0~1)
+ * @param {function(number): void} [options.onNeonLevel] - 네온 밝기 배율 (NEON_OFF_LEVEL~1)
+ */
+export function initTimeOfDay(scene, { source, onWindowsLit, onNeonLevel } = {}) {
+  sceneRef = scene;
+  callbacks = { onWindowsLit, onNeonLevel };
+  if (scene.fog) baseFogFar = scene.fog.far;
+
+  discoverLights(scene);
+  console.log(`Time of day: ${lampBulbs.size} lamp bulbs, ${lampLights.size} lamp glows, ${neonMaterials.size} neon materials`);
+
+  if (source && !applySource(source)) {
+    console.warn(`Unknown time of day: ${source} (hour, ${PHASES.join(', ')}, clock, local)`);
+  }
+  if (mode === 'local') hour = getLocalHour();
+  applyTime(getEffectiveHour());
+}
+
+/**
+ * Change the time source (전역 setTimeOfDay)
+ * @returns {boolean} false if invalid
+ */
+export function setTimeOfDay(value) {
+  if (!sceneRef || !applySource(String(value))) return false;
+  if (mode === 'local') hour = getLocalHour();
+  applyTime(getEffectiveHour());
+  return true;
+}
+
+/**
+ * Scroll tour time override (null = 해제)
+ */
+export function setTourTimeOverride(value) {
+  tourHour = value === null ? null : wrapHour(value);
+}
+
+/**
+ * Base fog distance from the quality tier (city-quality.js)
+ */
+export function setFogFar(far) {
+  baseFogFar = far;
+  if (sceneRef) applyTime(getEffectiveHour());
+}
+
+/**
+ * Advance clock / follow local time and apply when changed (animate에서 매 프레임)
+ */
+export function updateTimeOfDay(deltaTime) {
+  if (!sceneRef) return;
+  if (mode === 'clock') hour = wrapHour(hour + deltaTime * CLOCK_RATE);
+  else if (mode === 'local') hour = getLocalHour();
+
+  const h = getEffectiveHour();
+  const moved = Math.abs(wrapHour(h - lastApplied.hour + 12) - 12);
+  if (moved >= REPAINT_STEP || lastApplied.fogFar !== baseFogFar) applyTime(h);
+}
+
+/**
+ * Current time of day
+ * @returns {{hour: number, phase: string, mode: string, tourOverride: boolean}}
+ */
+export function getTimeOfDay() {
+  const h = getEffectiveHour();
+  return { hour: h, phase: sampleKeyframes(h).phase, mode, tourOverride: tourHour !== null };
+}
+
+export function getTimePhases() {
+  return [...PHASES];
+}
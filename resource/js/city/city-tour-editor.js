@@ -0,0 +1,430 @@
+/**
+ * city-tour-editor.js
+ * Hong Kong Citypop Night City - Scroll Tour Authoring Overlay (개발용)
+ *
+ * - Capture: 현재 카메라 시점(Walking Mode)을 키프레임으로 추가
+ * - Insert/reorder/delete keyframes, edit section/dwell/easing/time
+ * - Timeline slider: updateCameraFromScroll로 투어 미리보기
+ * - Catmull-Rom path preview line + keyframe markers in the scene
+ * - Export: tour JSON (resource/tours/) 또는 city-camera.js용 JS 배열
+ *
+ * 브라우저 콘솔에서 toggleTourEditor() 호출, 또는 ?editor=1
+ */
+
+import * as THREE from 'three';
+import {
+  updateCameraFromScroll,
+  validateTour,
+  setActiveTour,
+  getActiveTour,
+  getKeyframeProgress,
+  sampleTourPath,
+  EASING_NAMES
+} from './city-camera.js';
+
+// Path preview colors
+const PATH_COLOR = 0x50d0e0;
+const MARKER_COLOR = 0xffffff;
+const SELECTED_MARKER_COLOR = 0xff66aa;
+
+/**
+ * Round to fixed decimals (export formatting)
+ */
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Format keyframes as tour JSON (one keyframe per line, same layout as resource/tours/*.json)
+ * @param {string} name - Tour name
+ * @param {Array} keyframes - Tour keyframes
+ * @returns {string} JSON text
+ */
+function formatTourJSON(name, keyframes) {
+  const lines = keyframes.map(kf => {
+    const entry = {
+      section: kf.section,
+      pos: { x: round(kf.pos.x, 2), y: round(kf.pos.y, 2), z: round(kf.pos.z, 2) },
+      yaw: round(kf.yaw, 3),
+      pitch: round(kf.pitch, 3)
+    };
+    if (kf.dwell > 0) entry.dwell = kf.dwell;
+    if (kf.easing && kf.easing !== 'smootherStep') entry.easing = kf.easing;
+    if (kf.time !== undefined) entry.time = kf.time;
+    return '    ' + JSON.stringify(entry).replace(/,"/g, ', "').replace(/":/g, '": ');
+  });
+  return `{\n  "name": ${JSON.stringify(name)},\n  "keyframes": [\n${lines.join(',\n')}\n  ]\n}\n`;
+}
+
+/**
+ * Format keyframes as a JS array literal (city-camera.js builtinKeyframes layout)
+ * @param {Array} keyframes - Tour keyframes
+ * @returns {string} JS source
+ */
+function formatTourJS(keyframes) {
+  const lines = keyframes.map(kf => {
+    const extras = [];
+    if (kf.dwell > 0) extras.push(`dwell: ${kf.dwell}`);
+    if (kf.easing && kf.easing !== 'smootherStep') extras.push(`easing: '${kf.easing}'`);
+    if (kf.time !== undefined) extras.push(`time: ${kf.time}`);
+    const tail = extras.length ? `, ${extras.join(', ')}` : '';
+    // section은 사용자 입력 (따옴표, 백슬래시 escape)
+    return `  { section: ${JSON.stringify(kf.section)}, pos: {x: ${kf.pos.x.toFixed(2)}, y: ${kf.pos.y.toFixed(2)}, z: ${kf.pos.z.toFixed(2)}}, ` +
+      `yaw: ${kf.yaw.toFixed(3)}, pitch: ${kf.pitch.toFixed(3)}${tail} }`;
+  });
+  return `const builtinKeyframes = [\n${lines.join(',\n')}\n];\n`;
+}
+
+/**
+ * Trigger a file download (exportSceneToGLB와 같은 방식)
+ */
+function downloadText(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Create the tour editor overlay
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene - Scene for the path preview
+ * @param {THREE.Camera} options.camera - Camera to capture from / preview with
+ * @param {Object} options.cameraState - Camera state object with yaw/pitch
+ * @returns {Object} Editor API ({ open, close, toggle, isOpen, isPreviewing, updatePreview })
+ */
+export function createTourEditor({ scene, camera, cameraState }) {
+  let open = false;
+  let previewing = false;
+  let previewProgress = 0;
+  let selectedIndex = 0;
+  let tourName = getActiveTour().name;
+  let keyframes = [];
+
+  // 3D path preview
+  const previewGroup = new THREE.Group();
+  previewGroup.name = 'tour-editor-preview';
+  const pathMaterial = new THREE.LineBasicMaterial({ color: PATH_COLOR, depthTest: false, transparent: true });
+  const markerGeometry = new THREE.SphereGeometry(0.35, 8, 6);
+  let pathLine = null;
+  const markers = [];
+
+  // ============================================
+  // Overlay DOM
+  // ============================================
+  const panel = document.createElement('div');
+  panel.id = 'tour-editor';
+  panel.innerHTML = `
+    <style>
+      #tour-editor {
+        display: none;
+        position: fixed;
+        top: 10px;
+        right: 10px;
+        width: 360px;
+        max-height: calc(100vh - 20px);
+        overflow-y: auto;
+        padding: 10px;
+        background: rgba(10, 10, 21, 0.9);
+        border: 1px solid rgba(255, 102, 170, 0.6);
+        color: #fff;
+        font: 12px/1.4 monospace;
+        z-index: 2000;
+      }
+      #tour-editor.visible { display: block; }
+      #tour-editor button,
+      #tour-editor input,
+      #tour-editor select {
+        font: inherit;
+        color: #fff;
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        padding: 2px 4px;
+      }
+      #tour-editor button { cursor: pointer; }
+      #tour-editor .te-row-buttons { display: flex; flex-wrap: wrap; gap: 4px; margin: 6px 0; }
+      #tour-editor .te-slider { width: 100%; }
+      #tour-editor .te-list { margin-top: 6px; }
+      #tour-editor .te-item { display: flex; gap: 4px; align-items: center; padding: 2px; cursor: pointer; }
+      #tour-editor .te-item.selected { background: rgba(255, 102, 170, 0.35); }
+      #tour-editor .te-item .te-index { width: 22px; text-align: right; }
+      #tour-editor .te-item .te-section { width: 80px; }
+      #tour-editor .te-item .te-dwell { width: 44px; }
+      #tour-editor .te-item .te-time { width: 44px; }
+    </style>
+    <div>
+      Tour <input type="text" class="te-name" size="12">
+      <span class="te-status"></span>
+    </div>
+    <div class="te-row-buttons">
+      <button data-action="capture">Capture</button>
+      <button data-action="up">↑</button>
+      <button data-action="down">↓</button>
+      <button data-action="delete">Delete</button>
+      <button data-action="walk">Stop preview</button>
+    </div>
+    <input type="range" class="te-slider" min="0" max="1" step="0.0005" value="0">
+    <div class="te-row-buttons">
+      <button data-action="export-json">Export JSON</button>
+      <button data-action="export-js">Export JS</button>
+      <button data-action="close">Close</button>
+    </div>
+    <div class="te-list"></div>
+  `;
+  document.body.appendChild(panel);
+
+  const nameInput = panel.querySelector('.te-name');
+  const statusLabel = panel.querySelector('.te-status');
+  const slider = panel.querySelector('.te-slider');
+  const list = panel.querySelector('.te-list');
+
+  // 편집 중 입력이 Walking Mode 키 입력으로 전달되지 않도록 차단
+  panel.addEventListener('keydown', (e) => e.stopPropagation());
+  panel.addEventListener('keyup', (e) => e.stopPropagation());
+
+  // ============================================
+  // Tour state
+  // ============================================
+
+  /**
+   * Validate the working copy and make it the active tour
+   */
+  function applyEdits() {
+    try {
+      setActiveTour(validateTour({ name: tourName, keyframes }, tourName));
+      statusLabel.textContent = `${keyframes.length} keyframes`;
+    } catch (e) {
+      // 키프레임 2개 미만 등 - 활성 투어는 그대로 유지
+      statusLabel.textContent = e.message;
+    }
+    rebuildPath();
+    renderList();
+  }
+
+  function rebuildPath() {
+    if (pathLine) {
+      previewGroup.remove(pathLine);
+      pathLine.geometry.dispose();
+      pathLine = null;
+    }
+    markers.forEach(marker => {
+      previewGroup.remove(marker);
+      marker.material.dispose();
+    });
+    markers.length = 0;
+
+    if (keyframes.length >= 2) {
+      const geometry = new THREE.BufferGeometry().setFromPoints(sampleTourPath(keyframes));
+      pathLine = new THREE.Line(geometry, pathMaterial);
+      pathLine.renderOrder = 999;
+      previewGroup.add(pathLine);
+    }
+
+    keyframes.forEach((kf, i) => {
+      const material = new THREE.MeshBasicMaterial({
+        color: i === selectedIndex ? SELECTED_MARKER_COLOR : MARKER_COLOR,
+        depthTest: false,
+        transparent: true
+      });
+      const marker = new THREE.Mesh(markerGeometry, material);
+      marker.position.set(kf.pos.x, kf.pos.y, kf.pos.z);
+      marker.renderOrder = 1000;
+      previewGroup.add(marker);
+      markers.push(marker);
+    });
+  }
+
+  function renderList() {
+    list.innerHTML = '';
+    keyframes.forEach((kf, i) => {
+      const item = document.createElement('div');
+      item.className = 'te-item' + (i === selectedIndex ? ' selected' : '');
+
+      const easingOptions = EASING_NAMES
+        .map(name => `<option value="${name}"${name === kf.easing ? ' selected' : ''}>${name}</option>`)
+        .join('');
+      item.innerHTML = `
+        <span class="te-index">${i}</span>
+        <input type="text" class="te-section">
+        <input type="number" class="te-dwell" min="0" step="1" value="${kf.dwell || 0}" title="dwell">
+        <select class="te-easing">${easingOptions}</select>
+        <input type="number" class="te-time" min="0" max="23.99" step="0.5" value="${kf.time ?? ''}" placeholder="time" title="time of day (h)">
+      `;
+
+      item.querySelector('.te-section').value = kf.section;
+
+      // 입력 필드 클릭은 선택으로 처리하지 않음 (목록 재생성 시 포커스 유실 방지)
+      item.addEventListener('click', (e) => {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+        selectKeyframe(i);
+      });
+      item.querySelector('.te-section').addEventListener('change', (e) => {
+        kf.section = e.target.value.trim() || kf.section;
+        applyEdits();
+      });
+      item.querySelector('.te-dwell').addEventListener('change', (e) => {
+        kf.dwell = Math.max(0, parseFloat(e.target.value) || 0);
+        applyEdits();
+      });
+      item.querySelector('.te-easing').addEventListener('change', (e) => {
+        kf.easing = e.target.value;
+        applyEdits();
+      });
+      // 비우면 time 없음 (시간대 override 안 함)
+      item.querySelector('.te-time').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (Number.isFinite(value)) kf.time = Math.max(0, Math.min(23.99, value));
+        else delete kf.time;
+        applyEdits();
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Select a keyframe and jump the preview to it
+   */
+  function selectKeyframe(index) {
+    if (index === selectedIndex && previewing) return;
+    selectedIndex = index;
+    rebuildPath();
+    renderList();
+    startPreview(getKeyframeProgress(index));
+  }
+
+  function startPreview(progress) {
+    previewing = true;
+    previewProgress = progress;
+    slider.value = String(progress);
+  }
+
+  // ============================================
+  // Actions
+  // ============================================
+
+  /**
+   * Capture the current camera pose after the selected keyframe
+   */
+  function captureKeyframe() {
+    const section = keyframes[selectedIndex] ? keyframes[selectedIndex].section : 'intro';
+    const kf = {
+      section,
+      pos: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+      yaw: cameraState.yaw,
+      pitch: cameraState.pitch,
+      dwell: 0,
+      easing: 'smootherStep'
+    };
+    const insertAt = keyframes.length === 0 ? 0 : selectedIndex + 1;
+    keyframes.splice(insertAt, 0, kf);
+    selectedIndex = insertAt;
+    previewing = false;
+    applyEdits();
+  }
+
+  function moveKeyframe(direction) {
+    const target = selectedIndex + direction;
+    if (target < 0 || target >= keyframes.length) return;
+    [keyframes[selectedIndex], keyframes[target]] = [keyframes[target], keyframes[selectedIndex]];
+    selectedIndex = target;
+    applyEdits();
+  }
+
+  function deleteKeyframe() {
+    if (keyframes.length === 0) return;
+    keyframes.splice(selectedIndex, 1);
+    selectedIndex = Math.max(0, Math.min(selectedIndex, keyframes.length - 1));
+    applyEdits();
+  }
+
+  function exportJSON() {
+    const text = formatTourJSON(tourName, keyframes);
+    console.log(text);
+    downloadText(text, `${tourName}.json`);
+  }
+
+  function exportJS() {
+    const text = formatTourJS(keyframes);
+    console.log(text);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(text).then(
+        () => console.log('Tour JS copied to clipboard'),
+        () => {}
+      );
+    }
+  }
+
+  panel.addEventListener('click', (e) => {
+    const action = e.target.dataset && e.target.dataset.action;
+    if (!action) return;
+    if (action === 'capture') captureKeyframe();
+    else if (action === 'up') moveKeyframe(-1);
+    else if (action === 'down') moveKeyframe(1);
+    else if (action === 'delete') deleteKeyframe();
+    else if (action === 'walk') previewing = false;
+    else if (action === 'export-json') exportJSON();
+    else if (action === 'export-js') exportJS();
+    else if (action === 'close') closeEditor();
+  });
+
+  slider.addEventListener('input', () => {
+    startPreview(parseFloat(slider.value));
+  });
+
+  nameInput.addEventListener('change', () => {
+    tourName = nameInput.value.trim() || tourName;
+    nameInput.value = tourName;
+    applyEdits();
+  });
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  function openEditor() {
+    if (open) return;
+    open = true;
+
+    // 활성 투어의 복사본을 편집
+    const tour = getActiveTour();
+    tourName = tour.name;
+    keyframes = tour.keyframes.map(kf => ({ ...kf, pos: { ...kf.pos } }));
+    selectedIndex = 0;
+    nameInput.value = tourName;
+
+    scene.add(previewGroup);
+    panel.classList.add('visible');
+    applyEdits();
+    console.log('Tour editor opened');
+  }
+
+  function closeEditor() {
+    if (!open) return;
+    open = false;
+    previewing = false;
+    scene.remove(previewGroup);
+    panel.classList.remove('visible');
+    // 편집한 투어는 활성 상태로 유지 (스크롤로 바로 확인 가능)
+    console.log('Tour editor closed');
+  }
+
+  return {
+    open: openEditor,
+    close: closeEditor,
+    toggle: () => (open ? closeEditor() : openEditor()),
+    isOpen: () => open,
+    isPreviewing: () => open && previewing,
+
+    /**
+     * Drive the camera from the timeline slider (call from animate)
+     */
+    updatePreview() {
+      updateCameraFromScroll(camera, cameraState, previewProgress);
+    }
+  };
+}
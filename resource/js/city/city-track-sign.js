@@ -0,0 +1,156 @@
+/**
+ * city-track-sign.js
+ * Hong Kong Citypop Night City - Now Playing Lower-Third
+ *
+ * 곡이 바뀌면 화면 왼쪽 아래에 네온 간판 스타일로 곡 제목/아티스트 표시 (city-audio.js onTrackChange)
+ * - 카메라에 붙은 plane: 씬 안에서 렌더되므로 bloom 대상, fog/깊이는 무시
+ * - 왼쪽에서 미끄러져 들어와 HOLD_TIME 동안 표시 후 사라짐
+ */
+
+import * as THREE from 'three';
+
+const CANVAS_WIDTH = 1024;
+const CANVAS_HEIGHT = 192;
+// 카메라 앞 거리, 화면 높이 대비 간판 높이, 화면 가장자리 여백 (화면 높이 비율)
+const SIGN_DISTANCE = 2;
+const SIGN_HEIGHT_RATIO = 0.12;
+const SIGN_MARGIN_RATIO = 0.06;
+// 애니메이션 (초)
+const SLIDE_TIME = 0.5;
+const HOLD_TIME = 5;
+const FADE_TIME = 1;
+
+const signColors = {
+  panel: 'rgba(10, 10, 21, 0.75)',
+  border: '#ff66aa',
+  label: '#50d0e0',
+  title: '#ffe0f0',
+  titleGlow: '#ff66aa',
+  artist: '#d0ffff'
+};
+
+function fitFont(ctx, text, weight, size, maxWidth) {
+  let fontSize = size;
+  ctx.font = `${weight} ${fontSize}px Arial, sans-serif`;
+  while (fontSize > 16 && ctx.measureText(text).width > maxWidth) {
+    fontSize -= 2;
+    ctx.font = `${weight} ${fontSize}px Arial, sans-serif`;
+  }
+}
+
+/**
+ * Create the now playing sign
+ * @param {THREE.Camera} camera - 간판을 붙일 카메라 (scene에 추가되어 있어야 렌더됨)
+ * @returns {Object} Sign API ({ show, update })
+ */
+export function createTrackSign(camera) {
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = CANVAS_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const texture = new THREE.CanvasTexture(canvas);
+
+  const material = new THREE.MeshBasicMaterial({
+    map: texture,
+    transparent: true,
+    opacity: 0,
+    depthTest: false,
+    depthWrite: false,
+    fog: false
+  });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(CANVAS_WIDTH / CANVAS_HEIGHT, 1), material);
+  mesh.renderOrder = 999;
+  mesh.frustumCulled = false;
+  mesh.visible = false;
+  mesh.userData.bloom = true;
+  mesh.userData.isTrackSign = true;
+  camera.add(mesh);
+
+  let age = Infinity;
+
+  function draw(track) {
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    ctx.fillStyle = signColors.panel;
+    ctx.fillRect(8, 8, CANVAS_WIDTH - 16, CANVAS_HEIGHT - 16);
+    ctx.strokeStyle = signColors.border;
+    ctx.lineWidth = 4;
+    ctx.shadowColor = signColors.border;
+    ctx.shadowBlur = 16;
+    ctx.strokeRect(8, 8, CANVAS_WIDTH - 16, CANVAS_HEIGHT - 16);
+
+    ctx.textBaseline = 'alphabetic';
+    ctx.textAlign = 'left';
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = signColors.label;
+    ctx.fillStyle = signColors.label;
+    ctx.font = 'bold 26px Arial, sans-serif';
+    const counter = track.count > 1 ? `  ${track.index + 1}/${track.count}` : '';
+    ctx.fillText(`♪ NOW PLAYING${counter}`, 36, 52);
+
+    ctx.shadowColor = signColors.titleGlow;
+    ctx.shadowBlur = 20;
+    ctx.fillStyle = signColors.title;
+    fitFont(ctx, track.title, 'bold', 64, CANVAS_WIDTH - 72);
+    ctx.fillText(track.title, 36, track.artist ? 120 : 140);
+
+    if (track.artist) {
+      ctx.shadowBlur = 6;
+      ctx.shadowColor = signColors.artist;
+      ctx.fillStyle = signColors.artist;
+      fitFont(ctx, track.artist, 'normal', 32, CANVAS_WIDTH - 72);
+      ctx.fillText(track.artist, 36, 164);
+    }
+    ctx.shadowBlur = 0;
+
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * 화면 왼쪽 아래에 맞춤 (fov/aspect가 바뀔 수 있으므로 매 프레임)
+   * @param {number} slide - 0 (화면 밖 왼쪽) ~ 1 (제자리)
+   */
+  function place(slide) {
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * SIGN_DISTANCE;
+    const halfWidth = halfHeight * camera.aspect;
+    const height = halfHeight * 2 * SIGN_HEIGHT_RATIO;
+    const width = height * CANVAS_WIDTH / CANVAS_HEIGHT;
+    const margin = halfHeight * 2 * SIGN_MARGIN_RATIO;
+
+    const restX = -halfWidth + margin + width / 2;
+    const hiddenX = -halfWidth - width / 2;
+    mesh.scale.set(height, height, 1);
+    mesh.position.set(hiddenX + (restX - hiddenX) * slide, -halfHeight + margin + height / 2, -SIGN_DISTANCE);
+  }
+
+  /**
+   * Show a track (city-audio.js getCurrentTrack 형식)
+   */
+  function show(track) {
+    if (!track) return;
+    draw(track);
+    age = 0;
+    mesh.visible = true;
+  }
+
+  /**
+   * Animate (animate에서 매 프레임)
+   */
+  function update(deltaTime) {
+    if (!mesh.visible) return;
+    age += deltaTime;
+
+    if (age >= SLIDE_TIME + HOLD_TIME + FADE_TIME) {
+      mesh.visible = false;
+      return;
+    }
+
+    const slideT = Math.min(1, age / SLIDE_TIME);
+    const slide = 1 - Math.pow(1 - slideT, 3); // ease-out
+    const fadeT = Math.max(0, age - SLIDE_TIME - HOLD_TIME) / FADE_TIME;
+    material.opacity = Math.min(slideT * 2, 1) * (1 - fadeT);
+    place(slide);
+  }
+
+  return { show, update };
+}
@@ -0,0 +1,382 @@
+/**
+ * city-traffic-lights.js
+ * Hong Kong Citypop Night City - Signalised Crosswalks
+ *
+ * 횡단보도(crosswalks, city-people.js)마다 신호 controller 하나:
+ * - vehicle: 'green' | 'yellow' | 'red' → 차량은 정지선에서 멈춤 (city-vehicles.js stop line checker)
+ * - pedestrian: 'walk' | 'flash' | 'dont-walk' → 보행자는 'walk'일 때만 출발, 그 전엔 줄을 섬
+ *
+ * Controller는 mode별 factory로 교체 가능 (registerSignalMode / setSignalMode):
+ * - timed: 고정 주기 (횡단보도마다 offset)
+ * - reactive: 기존 동작 (보행자가 건너는 중이면 차량 정지, 다가오는 차가 없으면 보행)
+ *
+ * 신호등/정지선 메시는 GLB에 없으므로 항상 동적 생성
+ */
+
+import * as THREE from 'three';
+
+// 정지선: 횡단보도 띠(±2) 바깥쪽 거리
+const STOP_LINE_OFFSET = 3.5;
+// 횡단보도 띠 절반 두께 (city-road.js stripe length 4)
+const CROSSWALK_HALF = 2;
+// 이 거리보다 멀면 정지선 무시
+const STOP_LOOKAHEAD = 20;
+// 황색 신호에 이 거리 안이면 그대로 통과 (제동 거리 부족, 급정거 방지)
+const YELLOW_COMMIT_DISTANCE = 10;
+// 보행 신호 점멸 주기 (Hz)
+const FLASH_RATE = 2;
+
+// 차로별 진행 축/방향 (lane id: city-road.js roadDefinitions 차로와 일치)
+const laneApproaches = {
+  main: [
+    { lane: 'mainEast', axis: 'x', direction: 1, side: 1 },    // 우측 = +z (북쪽 인도)
+    { lane: 'mainWest', axis: 'x', direction: -1, side: -1 }   // 우측 = -z (남쪽 인도)
+  ],
+  south: [
+    { lane: 'southUp', axis: 'z', direction: 1, side: -1 },    // 우측 = -x (서쪽 인도)
+    { lane: 'southDown', axis: 'z', direction: -1, side: 1 }   // 우측 = +x (동쪽 인도)
+  ]
+};
+
+// Road geometry (city-road.js): main z=-20, south x=-55, width 10
+const ROAD_HALF_WIDTH = 5;
+
+// Lamp colors (lit / unlit)
+const LAMP_COLORS = {
+  red: 0xff2020,
+  yellow: 0xffbb00,
+  green: 0x20ff70,
+  walk: 0x40ffff,
+  dontWalk: 0xff4020,
+  off: 0x1a1a1a
+};
+
+// Timed cycle (초): flash + all-red ≥ 가장 느린 보행자가 12 units를 건너는 시간
+const TIMED_PHASES = [
+  { vehicle: 'green', pedestrian: 'dont-walk', duration: 18 },
+  { vehicle: 'yellow', pedestrian: 'dont-walk', duration: 3 },
+  { vehicle: 'red', pedestrian: 'dont-walk', duration: 1.5 },
+  { vehicle: 'red', pedestrian: 'walk', duration: 8 },
+  { vehicle: 'red', pedestrian: 'flash', duration: 6 },
+  { vehicle: 'red', pedestrian: 'dont-walk', duration: 2 }
+];
+const TIMED_CYCLE = TIMED_PHASES.reduce((sum, phase) => sum + phase.duration, 0);
+// 횡단보도 간 주기 offset (동시에 모두 바뀌지 않도록)
+const TIMED_OFFSET = 7;
+
+// ============================================
+// Controllers
+// ============================================
+
+/**
+ * Timed: fixed cycle
+ */
+function createTimedController(crosswalk, index) {
+  let time = (index * TIMED_OFFSET) % TIMED_CYCLE;
+  const controller = { vehicle: 'green', pedestrian: 'dont-walk' };
+
+  controller.update = (deltaTime) => {
+    time = (time + deltaTime) % TIMED_CYCLE;
+    let t = time;
+    for (const phase of TIMED_PHASES) {
+      if (t < phase.duration) {
+        controller.vehicle = phase.vehicle;
+        controller.pedestrian = phase.pedestrian;
+        break;
+      }
+      t -= phase.duration;
+    }
+  };
+  controller.update(0);
+  return controller;
+}
+
+/**
+ * Reactive: 보행자가 건너는 중이면 차량 정지, 다가오는 차가 없으면 보행 허용
+ */
+function createReactiveController() {
+  const controller = { vehicle: 'green', pedestrian: 'walk' };
+
+  controller.update = (deltaTime, status) => {
+    controller.vehicle = status.pedestriansOnCrosswalk ? 'red' : 'green';
+    controller.pedestrian = status.pedestriansOnCrosswalk || !status.vehicleApproaching ? 'walk' : 'dont-walk';
+  };
+  return controller;
+}
+
+// mode name → factory(crosswalk, index) → { vehicle, pedestrian, update(deltaTime, status) }
+const signalModes = {
+  timed: createTimedController,
+  reactive: createReactiveController
+};
+
+// Module state
+let crosswalkList = [];
+let currentMode = 'timed';
+const controllers = new Map();   // crosswalk id → controller
+const occupied = new Map();      // crosswalk id → pedestrians on crosswalk (안전: 항상 정지)
+const stopLines = [];            // { crosswalkId, lane, axis, direction, position }
+const signalHeads = [];          // { crosswalkId, kind: 'vehicle' | 'pedestrian', lamps }
+let flashTime = 0;
+
+// ============================================
+// Signal head meshes
+// ============================================
+
+function createLamp(group, y, z = 0.13) {
+  const lamp = new THREE.Mesh(
+    new THREE.CircleGeometry(0.11, 12),
+    new THREE.MeshBasicMaterial({ color: LAMP_COLORS.off })
+  );
+  lamp.position.set(0, y, z);
+  lamp.userData.bloom = true; // 선택적 bloom 대상 (city-postfx.js)
+  group.add(lamp);
+  return lamp;
+}
+
+/**
+ * Vehicle signal head (pole + 3 lamps), lamps face local +z
+ */
+function createVehicleHead(scene, x, z, facing) {
+  const group = new THREE.Group();
+  const metalMat = new THREE.MeshBasicMaterial({ color: 0x303038 });
+
+  const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 3.6, 6), metalMat);
+  pole.position.y = 1.8;
+  group.add(pole);
+
+  const housing = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.95, 0.25), metalMat);
+  housing.position.y = 3.55;
+  group.add(housing);
+
+  const lamps = {
+    red: createLamp(group, 3.85),
+    yellow: createLamp(group, 3.55),
+    green: createLamp(group, 3.25)
+  };
+
+  group.position.set(x, 0, z);
+  group.rotation.y = facing;
+  scene.add(group);
+  return lamps;
+}
+
+/**
+ * Pedestrian signal head (pole + walk / don't walk lamps)
+ */
+function createPedestrianHead(scene, x, z, facing) {
+  const group = new THREE.Group();
+  const metalMat = new THREE.MeshBasicMaterial({ color: 0x303038 });
+
+  const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 2.6, 6), metalMat);
+  pole.position.y = 1.3;
+  group.add(pole);
+
+  const housing = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.6, 0.22), metalMat);
+  housing.position.y = 2.5;
+  group.add(housing);
+
+  const lamps = {
+    dontWalk: createLamp(group, 2.65, 0.12),
+    walk: createLamp(group, 2.35, 0.12)
+  };
+
+  group.position.set(x, 0, z);
+  group.rotation.y = facing;
+  scene.add(group);
+  return lamps;
+}
+
+/**
+ * Stop line marking (white bar across the approaching half of the road)
+ */
+function createStopLine(scene, axis, position, side, crosswalk) {
+  const length = ROAD_HALF_WIDTH - 0.4;
+  const geometry = axis === 'x'
+    ? new THREE.PlaneGeometry(0.4, length)
+    : new THREE.PlaneGeometry(length, 0.4);
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0xeeeeee }));
+  mesh.rotation.x = -Math.PI / 2;
+  if (axis === 'x') {
+    mesh.position.set(position, 0.05, crosswalk.z + side * length / 2);
+  } else {
+    mesh.position.set(crosswalk.x + side * length / 2, 0.05, position);
+  }
+  scene.add(mesh);
+}
+
+/**
+ * Build stop lines + signal heads for one crosswalk
+ */
+function createCrosswalkSignals(scene, crosswalk) {
+  const approaches = laneApproaches[crosswalk.roadType] || [];
+  const center = approaches.length > 0 && approaches[0].axis === 'x' ? crosswalk.x : crosswalk.z;
+
+  approaches.forEach(({ lane, axis, direction, side }) => {
+    const position = center - direction * STOP_LINE_OFFSET;
+    stopLines.push({ crosswalkId: crosswalk.id, lane, axis, direction, position });
+    createStopLine(scene, axis, position, side, crosswalk);
+
+    // 차량 신호: 진행 방향 우측 인도, 정지선 옆, 다가오는 차를 바라봄
+    const curb = ROAD_HALF_WIDTH + 0.4;
+    const facing = axis === 'x'
+      ? (direction > 0 ? -Math.PI / 2 : Math.PI / 2)
+      : (direction > 0 ? Math.PI : 0);
+    const lamps = axis === 'x'
+      ? createVehicleHead(scene, position, crosswalk.z + side * curb, facing)
+      : createVehicleHead(scene, crosswalk.x + side * curb, position, facing);
+    signalHeads.push({ crosswalkId: crosswalk.id, kind: 'vehicle', lamps });
+
+    // 보행 신호: 같은 쪽 인도의 횡단보도 반대편 모서리, 건너편을 바라봄
+    const pedOffset = CROSSWALK_HALF + 0.6;
+    const pedFacing = axis === 'x'
+      ? (side > 0 ? Math.PI : 0)
+      : (side > 0 ? -Math.PI / 2 : Math.PI / 2);
+    const pedLamps = axis === 'x'
+      ? createPedestrianHead(scene, center + direction * pedOffset, crosswalk.z + side * curb, pedFacing)
+      : createPedestrianHead(scene, crosswalk.x + side * curb, center + direction * pedOffset, pedFacing);
+    signalHeads.push({ crosswalkId: crosswalk.id, kind: 'pedestrian', lamps: pedLamps });
+  });
+}
+
+function setLamp(lamp, on, color) {
+  lamp.material.color.setHex(on ? color : LAMP_COLORS.off);
+}
+
+/**
+ * Reflect controller state on the signal head lamps
+ */
+function updateSignalHeads() {
+  const flashOn = Math.floor(flashTime * FLASH_RATE * 2) % 2 === 0;
+  signalHeads.forEach(({ crosswalkId, kind, lamps }) => {
+    const controller = controllers.get(crosswalkId);
+    if (!controller) return;
+    if (kind === 'vehicle') {
+      setLamp(lamps.red, controller.vehicle === 'red', LAMP_COLORS.red);
+      setLamp(lamps.yellow, controller.vehicle === 'yellow', LAMP_COLORS.yellow);
+      setLamp(lamps.green, controller.vehicle === 'green', LAMP_COLORS.green);
+    } else {
+      const walkOn = controller.pedestrian === 'walk' || (controller.pedestrian === 'flash' && flashOn);
+      setLamp(lamps.walk, walkOn, LAMP_COLORS.walk);
+      setLamp(lamps.dontWalk, controller.pedestrian === 'dont-walk', LAMP_COLORS.dontWalk);
+    }
+  });
+}
+
+// ============================================
+// Public API
+// ============================================
+
+function createControllers() {
+  controllers.clear();
+  crosswalkList.forEach((crosswalk, index) => {
+    controllers.set(crosswalk.id, signalModes[currentMode](crosswalk, index));
+  });
+  updateSignalHeads();
+}
+
+/**
+ * Create signal heads/stop lines and a controller per crosswalk
+ * @param {THREE.Scene} scene
+ * @param {Array} crosswalks - crosswalks (city-people.js)
+ * @param {string} [mode] - Signal mode name ('timed' | 'reactive' | registered)
+ */
+export function initTrafficLights(scene, crosswalks, mode = currentMode) {
+  crosswalkList = crosswalks;
+  stopLines.length = 0;
+  signalHeads.length = 0;
+  crosswalks.forEach(crosswalk => createCrosswalkSignals(scene, crosswalk));
+  currentMode = signalModes[mode] ? mode : 'timed';
+  createControllers();
+  console.log(`Traffic lights: ${crosswalks.length} crosswalks, ${stopLines.length} stop lines (${currentMode})`);
+}
+
+/**
+ * Register a custom signal mode
+ * @param {string} name
+ * @param {function(Object, number): Object} factory - (crosswalk, index) → { vehicle, pedestrian, update(deltaTime, status) }
+ */
+export function registerSignalMode(name, factory) {
+  signalModes[name] = factory;
+}
+
+/**
+ * Switch every crosswalk to a signal mode (controllers are recreated)
+ * @param {string} name
+ * @returns {boolean} False if the mode is unknown
+ */
+export function setSignalMode(name) {
+  if (!signalModes[name]) return false;
+  currentMode = name;
+  createControllers();
+  return true;
+}
+
+export function getSignalMode() {
+  return currentMode;
+}
+
+export function getSignalModes() {
+  return Object.keys(signalModes);
+}
+
+/**
+ * Advance all controllers
+ * @param {number} deltaTime
+ * @param {function(Object): Object} getStatus - crosswalk → { pedestriansOnCrosswalk, pedestriansWaiting, vehicleApproaching }
+ */
+export function updateTrafficLights(deltaTime, getStatus) {
+  flashTime += deltaTime;
+  crosswalkList.forEach(crosswalk => {
+    const controller = controllers.get(crosswalk.id);
+    if (!controller) return;
+    const status = getStatus(crosswalk);
+    occupied.set(crosswalk.id, status.pedestriansOnCrosswalk);
+    controller.update(deltaTime, status);
+  });
+  updateSignalHeads();
+}
+
+/**
+ * @param {string} crosswalkId
+ * @returns {boolean} Walk signal is on (flash/dont-walk이면 새로 출발하지 않음)
+ */
+export function canPedestrianCross(crosswalkId) {
+  const controller = controllers.get(crosswalkId);
+  return !controller || controller.pedestrian === 'walk';
+}
+
+/**
+ * @param {string} crosswalkId
+ * @returns {{vehicle: string, pedestrian: string}|null}
+ */
+export function getSignalState(crosswalkId) {
+  const controller = controllers.get(crosswalkId);
+  return controller ? { vehicle: controller.vehicle, pedestrian: controller.pedestrian } : null;
+}
+
+/**
+ * Distance from a vehicle to the nearest stop line ahead that it must stop at
+ * (setStopLineChecker에 연결, 신호와 무관하게 보행자가 건너는 중이면 정지)
+ * @param {number} x - Vehicle X
+ * @param {number} z - Vehicle Z
+ * @param {string} lane - Lane name (mainEast, mainWest, southUp, southDown)
+ * @returns {number} Distance along the lane, Infinity if free to go
+ */
+export function getStopLineDistance(x, z, lane) {
+  let nearest = Infinity;
+  for (const line of stopLines) {
+    if (line.lane !== lane) continue;
+    const distance = (line.position - (line.axis === 'x' ? x : z)) * line.direction;
+    if (distance < 0 || distance > STOP_LOOKAHEAD || distance >= nearest) continue;
+
+    const controller = controllers.get(line.crosswalkId);
+    const signal = controller ? controller.vehicle : 'green';
+    if (!occupied.get(line.crosswalkId)) {
+      if (signal === 'green') continue;
+      if (signal === 'yellow' && distance < YELLOW_COMMIT_DISTANCE) continue;
+    }
+    nearest = distance;
+  }
+  return nearest;
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { random } from './city-random.js';
 
 // ============================================
 // Forest behind Residential District
@@ -9,8 +10,8 @@ import * as THREE from 'three';
  */
 function createForestTree(scene, x, z, groundY) {
   const group = new THREE.Group();
-  const scale = 1.0 + Math.random() * 1.5;
-  const treeType = Math.floor(Math.random() * 3);
+  const scale = 1.0 + random() * 1.5;
+  const treeType = Math.floor(random() * 3);
 
   // Trunk
   const trunkHeight = 3 * scale;
@@ -22,7 +23,7 @@ function createForestTree(scene, x, z, groundY) {
 
   // Foliage colors (dark forest greens with slight variation)
   const foliageColors = [0x2a4050, 0x254545, 0x2a5045, 0x224040, 0x1f3838];
-  const foliageColor = foliageColors[Math.floor(Math.random() * foliageColors.length)];
+  const foliageColor = foliageColors[Math.floor(random() * foliageColors.length)];
   const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
 
   if (treeType === 0) {
@@ -67,14 +68,14 @@ function createForest(scene) {
   const forestMaxX = 65;
 
   // Dense tree placement
-  for (let z = forestMinZ; z < forestMaxZ; z += 3 + Math.random() * 2) {
-    for (let x = forestMinX; x < forestMaxX; x += 3 + Math.random() * 2) {
+  for (let z = forestMinZ; z < forestMaxZ; z += 3 + random() * 2) {
+    for (let x = forestMinX; x < forestMaxX; x += 3 + random() * 2) {
       // Add some randomness to position
-      const offsetX = (Math.random() - 0.5) * 2;
-      const offsetZ = (Math.random() - 0.5) * 2;
+      const offsetX = (random() - 0.5) * 2;
+      const offsetZ = (random() - 0.5) * 2;
 
       // Skip some spots for natural look
-      if (Math.random() > 0.15) {
+      if (random() > 0.15) {
         trees.push(createForestTree(scene, x + offsetX, z + offsetZ, groundY));
       }
     }
@@ -92,8 +93,8 @@ function createForest(scene) {
  */
 function createTree(scene, x, z, groundY) {
   const group = new THREE.Group();
-  const scale = 1.0 + Math.random() * 0.5; // Taller base scale
-  const treeType = Math.floor(Math.random() * 3); // 3 types: single cone, layered, round
+  const scale = 1.0 + random() * 0.5; // Taller base scale
+  const treeType = Math.floor(random() * 3); // 3 types: single cone, layered, round
 
   // Trunk (taller)
   const trunkHeight = 3 * scale;
@@ -105,7 +106,7 @@ function createTree(scene, x, z, groundY) {
 
   // 3 foliage colors (dark green, teal, olive)
   const foliageColors = [0x1a4035, 0x2a4555, 0x354530];
-  const foliageColor = foliageColors[Math.floor(Math.random() * foliageColors.length)];
+  const foliageColor = foliageColors[Math.floor(random() * foliageColors.length)];
   const foliageMat = new THREE.MeshBasicMaterial({ color: foliageColor });
 
   if (treeType === 0) {
@@ -3,15 +3,29 @@
  * Hong Kong Citypop Night City - Vehicle System
  *
  * Right-hand traffic (우측 통행)
- * - Main road: z=-20 (z=-15 to z=-25), x=-40 to x=300
- * - South road: x=-55 (x=-60 to x=-50), z=-35 to z=-250
- * - Curve: center (-40, -35), radius 15
+ * - Roads/junctions: city-road.js roadDefinitions → city-road-graph.js segment 그래프
+ * - 차량은 route (현재 segment + 앞으로 갈 segment)를 따라 이동, 차로 끝에서 다음 segment 선택
+ *
+ * Vehicle types (sedan, suv, bus, truck, van) have their own speed/acceleration/braking profile
+ * - 경로상의 앞 차 / 정지선 / 커브 진입까지의 거리로 목표 속도 계산 → 가속·감속 한계 안에서 따라감
+ * - 제동등 (감속/정지), 방향지시등 (회전 connector 앞), 도로 위 헤드라이트 light cone
+ * - 버스는 차로 쪽 버스정류장(city-poi.js 'bus-stop')에 정차 → 보행자 승하차 (setBusStopHandler)
  */
 
 import * as THREE from 'three';
+import { createRandom } from './city-random.js';
+import { getPOIs } from './city-poi.js';
+import { roadDefinitions } from './city-road.js';
+import { buildRoadGraph, chooseNextSegment, projectOnLane } from './city-road-graph.js';
+
+// 차량 전용 난수 스트림 (시드 고정, 빌더 스트림과 독립)
+const random = createRandom('vehicles');
 
-// Callback for pedestrian stop check (set by city-main.js to avoid circular dependency)
-let pedestrianStopChecker = null;
+// Callback for stop line distance (set by city-main.js to avoid circular dependency)
+// (x, z, lane) → distance to the stop line ahead the car must stop at, Infinity if free (city-traffic-lights.js)
+let stopLineChecker = null;
+// Callback for bus arrival/departure at bus stops (set by city-main.js)
+let busStopHandler = null;
 
 // Vehicle advertisement texts (solutions + skills)
 const vehicleTexts = [
@@ -82,11 +96,20 @@ function createVehicleTextTexture(text, width, height) {
 }
 
 /**
- * Set the pedestrian stop checker callback
+ * Set the stop line checker callback
  * Called from city-main.js after both modules are loaded
  */
-export function setPedestrianStopChecker(fn) {
-  pedestrianStopChecker = fn;
+export function setStopLineChecker(fn) {
+  stopLineChecker = fn;
+}
+
+/**
+ * Set the bus stop handler callback
+ * fn('arrive' | 'depart', stop) - stop: { poi, doorX, doorZ, dwell }
+ * Called from city-main.js (city-people.js 승하차)
+ */
+export function setBusStopHandler(fn) {
+  busStopHandler = fn;
 }
 
 // Realistic car colors
@@ -129,69 +152,72 @@ const vanColors = [
   0x228b22   // Forest green
 ];
 
-// Road configuration
-const roadConfig = {
-  mainRoad: {
-    z: -20,
-    width: 10,
-    xMin: -40,
-    xMax: 300
-  },
-  southRoad: {
-    x: -55,
-    width: 10,
-    zMin: -250,
-    zMax: -35
-  },
-  curve: {
-    centerX: -40,
-    centerZ: -35,
-    radius: 15
-  }
-};
-
-// Lane configuration (right-hand traffic / 우측통행)
-// Main road at z=-20: south side (z=-17) for eastbound, north side (z=-23) for westbound
-const lanes = {
-  // Main road lanes (curve exit to tunnel)
-  mainEast: { z: -17, xMin: -40, xMax: 280, direction: 1 },   // Going east (+x), south lane (right side)
-  mainWest: { z: -23, xMin: -40, xMax: 280, direction: -1 },  // Going west (-x), north lane (right side)
-  // South road lanes
-  southDown: { x: -52, zMin: -240, zMax: -35, direction: -1 }, // Going south (-z), east lane (right side)
-  southUp: { x: -58, zMin: -240, zMax: -35, direction: 1 }     // Going north (+z), west lane (right side)
-};
-
-// Curve configurations - positions must match lane positions exactly to avoid teleportation
-// Road curve center: (-40, -35)
-
-// mainWest → southDown: LEFT turn (counterclockwise)
-// mainWest at z=-23 enters curve at x=-40
-const curveWestToSouth = {
-  centerX: -40,
-  centerZ: -35,
-  radius: 12,                // z=-23 = centerZ + radius = -35 + 12 ✓
-  startAngle: Math.PI / 2,   // Entry: cos(π/2)=0, sin(π/2)=1 → (-40, -23)
-  endAngle: Math.PI,         // Exit: cos(π)=-1, sin(π)=0 → (-52, -35)
-  triggerX: -40              // Trigger exactly at curve entry x
-};
-
-// southUp → mainEast: RIGHT turn (clockwise)
-// southUp at x=-58 enters curve at z=-35
-const curveSouthToEast = {
-  centerX: -40,
-  centerZ: -35,
-  radius: 18,                // x=-58 = centerX - radius = -40 - 18 ✓
-  startAngle: Math.PI,       // Entry: cos(π)=-1, sin(π)=0 → (-58, -35)
-  endAngle: Math.PI / 2,     // Exit: cos(π/2)=0, sin(π/2)=1 → (-40, -17)
-  triggerZ: -35              // Trigger exactly at curve entry z
-};
+// Road graph (city-road-graph.js), initVehicles에서 로드
+let roadGraph = null;
+// 경로를 미리 정해 두는 거리 (앞 차, 정지선, 커브 감속을 보는 범위)
+const ROUTE_LOOKAHEAD = 60;
 
 // Active vehicles
 let vehicles = [];
 let lastSpawnTime = 0;
 const spawnInterval = 2.5; // Spawn new car every 2.5 seconds
-const maxVehicles = 40;
-const vehicleSpeed = 9; // Fixed speed for all vehicles (reduced for realism)
+let maxVehicles = 40; // city-quality.js가 setMaxVehicles로 조절
+
+// 비 (city-weather.js가 setVehicleRainIntensity로 0~1 전달)
+// 최대일 때 순항/커브 속도를 RAIN_SLOWDOWN만큼 낮추고 앞 차 간격은 두 배로 (와이퍼 속도 주행)
+let rainIntensity = 0;
+const RAIN_SLOWDOWN = 0.3;
+
+// Speed profiles per vehicle type (units/s, units/s²)
+// length: 차체 길이 (앞 차와의 간격, 정지선 위치 계산)
+const vehicleProfiles = {
+  sedan: { maxSpeed: 10, acceleration: 3.5, braking: 6, curveSpeed: 7, length: 4.5 },
+  suv: { maxSpeed: 9.5, acceleration: 3, braking: 5.5, curveSpeed: 6.5, length: 5 },
+  van: { maxSpeed: 8.5, acceleration: 2.5, braking: 5, curveSpeed: 6, length: 5.5 },
+  truck: { maxSpeed: 7.5, acceleration: 1.8, braking: 4, curveSpeed: 5, length: 8.5 },
+  bus: { maxSpeed: 7, acceleration: 1.5, braking: 3.5, curveSpeed: 5, length: 10 }
+};
+// 같은 종류 안에서의 최고 속도 편차 (±)
+const SPEED_VARIATION = 0.08;
+// 앞 차 범퍼와의 최소 간격
+const MIN_GAP = 2;
+// 정지선 앞 범퍼 여유
+const STOP_LINE_MARGIN = 0.5;
+// 목표 속도가 갑자기 낮아질 때 (신호 변경 등) 허용하는 급제동 배율
+const HARD_BRAKING = 2;
+
+// Bus stops: 버스가 정류장 앞 차로에서 연석 쪽으로 붙어 정차
+const BUS_DWELL = [6, 10];
+const BUS_PULL_IN = 0.6;       // 연석 쪽으로 붙는 거리
+const BUS_PULL_RANGE = 18;     // 정류장 전후 이 거리에서 붙었다 빠짐
+const BUS_STOP_LOOKAHEAD = 40;
+const BUS_DOOR_OFFSET = 3.5;   // 버스 중심 → 앞문 (진행 방향)
+let busStops = [];
+
+// Vehicle lights (MeshBasicMaterial 색으로 밝기 표현)
+const VEHICLE_LIGHT_COLORS = {
+  head: 0xffffcc,
+  tail: 0xa02020,         // 미등
+  brake: 0xff3838,        // 제동등
+  indicatorOff: 0x5a3a10,
+  indicatorOn: 0xffaa00
+};
+const BRAKE_DECELERATION = 0.5; // 이 이상 감속 (units/s²) 또는 정지 중이면 제동등
+const BRAKE_HOLD = 0.4;         // 감속이 잠깐 끊겨도 제동등이 깜빡이지 않게 유지하는 시간
+const INDICATOR_DISTANCE = 30;  // 회전 connector 이 거리 전부터 방향지시등
+const INDICATOR_RATE = 1.5;     // 점멸 주기 (Hz)
+let blinkTime = 0;
+
+// Fake light cones on the road (가로등 light pool과 같은 방식, 전 차량 공유)
+// CircleGeometry 부채꼴: -x 회전 후 로컬 -y → 차량 앞쪽 (+z)
+const headlightConeGeom = new THREE.CircleGeometry(10, 12, -Math.PI / 2 - 0.35, 0.7);
+const headlightConeMat = new THREE.MeshBasicMaterial({
+  color: 0xffeeaa,
+  transparent: true,
+  opacity: 0.1,
+  depthWrite: false
+});
+const brakeGlowGeom = new THREE.CircleGeometry(1.4, 12);
 
 /**
  * Create sedan car
@@ -240,25 +266,11 @@ function createSedanCar(color) {
   rearWindow.rotation.y = Math.PI;
   group.add(rearWindow);
 
-  // Headlights
-  const lightMat = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-  const headlightGeom = new THREE.BoxGeometry(0.4, 0.3, 0.1);
-  const headlightL = new THREE.Mesh(headlightGeom, lightMat);
-  headlightL.position.set(-0.7, 0.5, 2.26);
-  group.add(headlightL);
-  const headlightR = new THREE.Mesh(headlightGeom, lightMat);
-  headlightR.position.set(0.7, 0.5, 2.26);
-  group.add(headlightR);
-
-  // Taillights
-  const tailMat = new THREE.MeshBasicMaterial({ color: 0xff3030 });
-  const taillightGeom = new THREE.BoxGeometry(0.4, 0.25, 0.1);
-  const taillightL = new THREE.Mesh(taillightGeom, tailMat);
-  taillightL.position.set(-0.7, 0.5, -2.26);
-  group.add(taillightL);
-  const taillightR = new THREE.Mesh(taillightGeom, tailMat);
-  taillightR.position.set(0.7, 0.5, -2.26);
-  group.add(taillightR);
+  // Head/tail lights, indicators, light cone (addVehicleLights)
+  addVehicleLights(group, {
+    front: { x: 0.7, y: 0.5, z: 2.26, width: 0.4, height: 0.3 },
+    rear: { x: 0.7, y: 0.5, z: -2.26, width: 0.4, height: 0.25 }
+  });
 
   addWheels(group, 0.35, 0.9, 1.3);
 
@@ -328,23 +340,11 @@ function createSUVCar(color) {
   rearWindow.rotation.y = Math.PI;
   group.add(rearWindow);
 
-  const lightMat = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-  const headlightGeom = new THREE.BoxGeometry(0.5, 0.4, 0.1);
-  const headlightL = new THREE.Mesh(headlightGeom, lightMat);
-  headlightL.position.set(-0.8, 0.7, 2.51);
-  group.add(headlightL);
-  const headlightR = new THREE.Mesh(headlightGeom, lightMat);
-  headlightR.position.set(0.8, 0.7, 2.51);
-  group.add(headlightR);
-
-  const tailMat = new THREE.MeshBasicMaterial({ color: 0xff3030 });
-  const taillightGeom = new THREE.BoxGeometry(0.5, 0.3, 0.1);
-  const taillightL = new THREE.Mesh(taillightGeom, tailMat);
-  taillightL.position.set(-0.8, 0.7, -2.51);
-  group.add(taillightL);
-  const taillightR = new THREE.Mesh(taillightGeom, tailMat);
-  taillightR.position.set(0.8, 0.7, -2.51);
-  group.add(taillightR);
+  // Head/tail lights, indicators, light cone (addVehicleLights)
+  addVehicleLights(group, {
+    front: { x: 0.8, y: 0.7, z: 2.51, width: 0.5, height: 0.4 },
+    rear: { x: 0.8, y: 0.7, z: -2.51, width: 0.5, height: 0.3 }
+  });
 
   addWheels(group, 0.45, 1.0, 1.6);
 
@@ -406,25 +406,11 @@ function createBus(color) {
   frontWindow.position.set(0, 2.4, 5.01);
   group.add(frontWindow);
 
-  // Headlights
-  const lightMat = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-  const headlightGeom = new THREE.BoxGeometry(0.5, 0.4, 0.1);
-  const headlightL = new THREE.Mesh(headlightGeom, lightMat);
-  headlightL.position.set(-1.0, 1.0, 5.01);
-  group.add(headlightL);
-  const headlightR = new THREE.Mesh(headlightGeom, lightMat);
-  headlightR.position.set(1.0, 1.0, 5.01);
-  group.add(headlightR);
-
-  // Taillights
-  const tailMat = new THREE.MeshBasicMaterial({ color: 0xff3030 });
-  const taillightGeom = new THREE.BoxGeometry(0.6, 0.4, 0.1);
-  const taillightL = new THREE.Mesh(taillightGeom, tailMat);
-  taillightL.position.set(-1.0, 1.0, -5.01);
-  group.add(taillightL);
-  const taillightR = new THREE.Mesh(taillightGeom, tailMat);
-  taillightR.position.set(1.0, 1.0, -5.01);
-  group.add(taillightR);
+  // Head/tail lights, indicators, light cone (addVehicleLights)
+  addVehicleLights(group, {
+    front: { x: 1.0, y: 1.0, z: 5.01, width: 0.5, height: 0.4 },
+    rear: { x: 1.0, y: 1.0, z: -5.01, width: 0.6, height: 0.4 }
+  });
 
   addWheels(group, 0.55, 1.2, 3.5);
 
@@ -495,25 +481,11 @@ function createTruck(color) {
   sideWindowR.rotation.y = -Math.PI / 2;
   group.add(sideWindowR);
 
-  // Headlights
-  const lightMat = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-  const headlightGeom = new THREE.BoxGeometry(0.5, 0.4, 0.1);
-  const headlightL = new THREE.Mesh(headlightGeom, lightMat);
-  headlightL.position.set(-0.8, 0.8, 4.26);
-  group.add(headlightL);
-  const headlightR = new THREE.Mesh(headlightGeom, lightMat);
-  headlightR.position.set(0.8, 0.8, 4.26);
-  group.add(headlightR);
-
-  // Taillights
-  const tailMat = new THREE.MeshBasicMaterial({ color: 0xff3030 });
-  const taillightGeom = new THREE.BoxGeometry(0.5, 0.4, 0.1);
-  const taillightL = new THREE.Mesh(taillightGeom, tailMat);
-  taillightL.position.set(-1.0, 1.0, -4.01);
-  group.add(taillightL);
-  const taillightR = new THREE.Mesh(taillightGeom, tailMat);
-  taillightR.position.set(1.0, 1.0, -4.01);
-  group.add(taillightR);
+  // Head/tail lights, indicators, light cone (addVehicleLights)
+  addVehicleLights(group, {
+    front: { x: 0.8, y: 0.8, z: 4.26, width: 0.5, height: 0.4 },
+    rear: { x: 1.0, y: 1.0, z: -4.01, width: 0.5, height: 0.4 }
+  });
 
   addWheels(group, 0.5, 1.1, 3.0);
   // Add extra rear wheels for truck
@@ -589,25 +561,11 @@ function createDeliveryVan(color) {
   sideWindowR.rotation.y = -Math.PI / 2;
   group.add(sideWindowR);
 
-  // Headlights
-  const lightMat = new THREE.MeshBasicMaterial({ color: 0xffffcc });
-  const headlightGeom = new THREE.BoxGeometry(0.4, 0.4, 0.1);
-  const headlightL = new THREE.Mesh(headlightGeom, lightMat);
-  headlightL.position.set(-0.7, 0.8, 2.76);
-  group.add(headlightL);
-  const headlightR = new THREE.Mesh(headlightGeom, lightMat);
-  headlightR.position.set(0.7, 0.8, 2.76);
-  group.add(headlightR);
-
-  // Taillights
-  const tailMat = new THREE.MeshBasicMaterial({ color: 0xff3030 });
-  const taillightGeom = new THREE.BoxGeometry(0.4, 0.3, 0.1);
-  const taillightL = new THREE.Mesh(taillightGeom, tailMat);
-  taillightL.position.set(-0.7, 0.8, -2.76);
-  group.add(taillightL);
-  const taillightR = new THREE.Mesh(taillightGeom, tailMat);
-  taillightR.position.set(0.7, 0.8, -2.76);
-  group.add(taillightR);
+  // Head/tail lights, indicators, light cone (addVehicleLights)
+  addVehicleLights(group, {
+    front: { x: 0.7, y: 0.8, z: 2.76, width: 0.4, height: 0.4 },
+    rear: { x: 0.7, y: 0.8, z: -2.76, width: 0.4, height: 0.3 }
+  });
 
   addWheels(group, 0.4, 0.95, 1.8);
 
@@ -656,40 +614,142 @@ function addWheels(group, radius, xOffset, zOffset) {
   });
 }
 
+/**
+ * Add head/tail lights, indicators and fake light pools (모든 차종 공통)
+ * front/rear: 좌우 대칭 램프 { x: 중심에서 거리, y, z, width, height }
+ * 방향지시등은 각 램프 바로 위 (로컬 +x = 차량 왼쪽)
+ * → group.userData.lights (updateVehicleLights에서 제동/방향지시 반영)
+ */
+function addVehicleLights(group, { front, rear }) {
+  const headMat = new THREE.MeshBasicMaterial({ color: VEHICLE_LIGHT_COLORS.head });
+  const tailMat = new THREE.MeshBasicMaterial({ color: VEHICLE_LIGHT_COLORS.tail });
+  const indicatorMats = {
+    left: new THREE.MeshBasicMaterial({ color: VEHICLE_LIGHT_COLORS.indicatorOff }),
+    right: new THREE.MeshBasicMaterial({ color: VEHICLE_LIGHT_COLORS.indicatorOff })
+  };
+
+  const headlightGeom = new THREE.BoxGeometry(front.width, front.height, 0.1);
+  const taillightGeom = new THREE.BoxGeometry(rear.width, rear.height, 0.1);
+  const indicatorGeom = new THREE.BoxGeometry(0.3, 0.12, 0.12);
+
+  [1, -1].forEach(side => {
+    const indicatorMat = side > 0 ? indicatorMats.left : indicatorMats.right;
+
+    const headlight = new THREE.Mesh(headlightGeom, headMat);
+    headlight.position.set(side * front.x, front.y, front.z);
+    const frontIndicator = new THREE.Mesh(indicatorGeom, indicatorMat);
+    frontIndicator.position.set(side * front.x, front.y + front.height / 2 + 0.09, front.z);
+
+    const taillight = new THREE.Mesh(taillightGeom, tailMat);
+    taillight.position.set(side * rear.x, rear.y, rear.z);
+    const rearIndicator = new THREE.Mesh(indicatorGeom, indicatorMat);
+    rearIndicator.position.set(side * rear.x, rear.y + rear.height / 2 + 0.09, rear.z);
+
+    // 램프는 선택적 bloom 대상 (city-postfx.js)
+    [headlight, frontIndicator, taillight, rearIndicator].forEach(lamp => {
+      lamp.userData.bloom = true;
+      group.add(lamp);
+    });
+  });
+
+  // Headlight cone on the road
+  const cone = new THREE.Mesh(headlightConeGeom, headlightConeMat);
+  cone.rotation.x = -Math.PI / 2;
+  cone.position.set(0, 0.06, front.z);
+  group.add(cone);
+
+  // Red glow behind (제동 시 밝아짐)
+  const brakeGlowMat = new THREE.MeshBasicMaterial({
+    color: 0xff2020,
+    transparent: true,
+    opacity: 0.05,
+    depthWrite: false
+  });
+  const brakeGlow = new THREE.Mesh(brakeGlowGeom, brakeGlowMat);
+  brakeGlow.rotation.x = -Math.PI / 2;
+  brakeGlow.position.set(0, 0.06, rear.z - 0.8);
+  group.add(brakeGlow);
+
+  group.userData.lights = { tailMat, brakeGlowMat, indicatorMats };
+}
+
+/**
+ * Apply brake/indicator state to the light materials
+ * @param {boolean} braking
+ * @param {string|null} indicator - 'left' | 'right' | null
+ */
+function updateVehicleLights(car, braking, indicator) {
+  const lights = car.userData.lights;
+  if (!lights) return;
+
+  lights.tailMat.color.setHex(braking ? VEHICLE_LIGHT_COLORS.brake : VEHICLE_LIGHT_COLORS.tail);
+  lights.brakeGlowMat.opacity = braking ? 0.2 : 0.05;
+
+  const blinkOn = Math.floor(blinkTime * INDICATOR_RATE * 2) % 2 === 0;
+  ['left', 'right'].forEach(side => {
+    const on = blinkOn && indicator === side;
+    lights.indicatorMats[side].color.setHex(on ? VEHICLE_LIGHT_COLORS.indicatorOn : VEHICLE_LIGHT_COLORS.indicatorOff);
+  });
+}
+
+function tagVehicleType(group, vehicleType) {
+  group.userData.vehicleType = vehicleType;
+  return group;
+}
+
+/**
+ * Vehicle state (userData) on a lane segment
+ * speed: 이 차의 최고 속도 (type profile ± 편차), currentSpeed: 현재 속도
+ * route: [현재 segment, 다음 segment...], s: 현재 segment 시작점부터 거리, offset: 우측 횡 이동
+ */
+function createVehicleData(vehicleType, lane, s = 0) {
+  const speed = vehicleProfiles[vehicleType].maxSpeed * (1 - SPEED_VARIATION + random() * SPEED_VARIATION * 2);
+  return {
+    vehicleType,
+    lane: lane.id,
+    route: [lane],
+    s,
+    offset: 0,
+    speed,
+    currentSpeed: speed,
+    state: 'straight'
+  };
+}
+
 /**
  * Create a random vehicle
  * Distribution: Sedan 30%, SUV 30%, Bus 10%, Truck 15%, Delivery Van 15%
  */
 function createRandomCar() {
-  const rand = Math.random() * 100;
+  const rand = random() * 100;
 
   if (rand < 30) {
     // Sedan (30%)
-    const color = carColors[Math.floor(Math.random() * carColors.length)];
-    return createSedanCar(color);
+    const color = carColors[Math.floor(random() * carColors.length)];
+    return tagVehicleType(createSedanCar(color), 'sedan');
   } else if (rand < 60) {
     // SUV (30%)
-    const color = carColors[Math.floor(Math.random() * carColors.length)];
-    return createSUVCar(color);
+    const color = carColors[Math.floor(random() * carColors.length)];
+    return tagVehicleType(createSUVCar(color), 'suv');
   } else if (rand < 70) {
     // Bus (10%)
-    const color = busColors[Math.floor(Math.random() * busColors.length)];
-    return createBus(color);
+    const color = busColors[Math.floor(random() * busColors.length)];
+    return tagVehicleType(createBus(color), 'bus');
   } else if (rand < 85) {
     // Truck (15%)
-    const color = truckColors[Math.floor(Math.random() * truckColors.length)];
-    return createTruck(color);
+    const color = truckColors[Math.floor(random() * truckColors.length)];
+    return tagVehicleType(createTruck(color), 'truck');
   } else {
     // Delivery Van (15%)
-    const color = vanColors[Math.floor(Math.random() * vanColors.length)];
-    return createDeliveryVan(color);
+    const color = vanColors[Math.floor(random() * vanColors.length)];
+    return tagVehicleType(createDeliveryVan(color), 'van');
   }
 }
 
 /**
  * Check if spawn position is clear
  */
-function isSpawnClear(x, z, laneName) {
+function isSpawnClear(x, z) {
   const minSpawnDistance = 25; // Minimum distance between spawned vehicles
   for (const car of vehicles) {
     // Check all cars, not just same lane
@@ -705,33 +765,20 @@ function isSpawnClear(x, z, laneName) {
 }
 
 /**
- * Spawn a vehicle on main road (only mainWest spawns directly)
+ * Spawn a vehicle on a lane segment (entry lane 시작점, 초기 배치는 차로 중간)
  */
-function spawnMainRoadVehicle(scene, goingEast) {
-  // Only spawn mainWest cars - mainEast cars come from curve
-  if (goingEast) return null;
-
-  const lane = lanes.mainWest;
-
-  // Start position at tunnel end (far east)
-  const startX = lane.xMax + 10; // x = 290
-
-  // Check if spawn position is clear
-  if (!isSpawnClear(startX, lane.z, 'mainWest')) {
+function spawnVehicle(scene, lane, s = 0) {
+  const point = lane.pointAt(s);
+  if (!isSpawnClear(point.x, point.z)) {
     return null;
   }
 
   const car = createRandomCar();
-  car.position.set(startX, 0, lane.z);
-  car.rotation.y = -Math.PI / 2; // Facing -x (west)
-
-  car.userData = {
-    type: 'mainRoad',
-    lane: 'mainWest',
-    speed: vehicleSpeed,
-    direction: lane.direction,
-    state: 'straight'
-  };
+  const { vehicleType, lights } = car.userData;
+  car.userData = createVehicleData(vehicleType, lane, s);
+  car.userData.lights = lights;
+  extendRoute(car.userData);
+  placeVehicle(car);
 
   scene.add(car);
   vehicles.push(car);
@@ -739,281 +786,332 @@ function spawnMainRoadVehicle(scene, goingEast) {
 }
 
 /**
- * Spawn a vehicle on south road (only southUp spawns directly)
+ * Extend the route up to ROUTE_LOOKAHEAD ahead (교차로 진행 방향을 미리 선택)
  */
-function spawnSouthRoadVehicle(scene, goingSouth) {
-  // Only spawn southUp cars - southDown cars come from curve
-  if (goingSouth) return null;
-
-  const lane = lanes.southUp;
-
-  // Start position at far south end
-  const startZ = lane.zMin - 10; // z = -250
-
-  // Check if spawn position is clear
-  if (!isSpawnClear(lane.x, startZ, 'southUp')) {
-    return null;
+function extendRoute(data) {
+  let ahead = -data.s;
+  data.route.forEach(segment => { ahead += segment.length; });
+  while (ahead < ROUTE_LOOKAHEAD) {
+    const next = chooseNextSegment(data.route[data.route.length - 1], random);
+    if (!next) break;
+    data.route.push(next);
+    ahead += next.length;
   }
+}
 
-  const car = createRandomCar();
-  car.position.set(lane.x, 0, startZ);
-  car.rotation.y = 0; // Facing +z (north)
-
-  car.userData = {
-    type: 'southRoad',
-    lane: 'southUp',
-    speed: vehicleSpeed,
-    direction: lane.direction,
-    state: 'straight'
-  };
+/**
+ * Place vehicle at its route position (+ 우측 offset), facing the segment direction
+ */
+function placeVehicle(car) {
+  const data = car.userData;
+  const segment = data.route[0];
+  const point = segment.pointAt(data.s);
+  // 우측 = (-dirZ, dirX)
+  car.position.x = point.x - point.dirZ * data.offset;
+  car.position.z = point.z + point.dirX * data.offset;
+  car.rotation.y = Math.atan2(point.dirX, point.dirZ);
+
+  data.lane = segment.id;
+  data.state = segment.curved ? 'curving' : 'straight';
+  // 진행 방향 (보행자 횡단 판단용, city-people.js)
+  data.dirX = point.dirX;
+  data.dirZ = point.dirZ;
+}
 
-  scene.add(car);
-  vehicles.push(car);
-  return car;
+function vehicleLength(data) {
+  return vehicleProfiles[data.vehicleType].length;
 }
 
 /**
- * Check distance to car ahead (only for straight roads, not during curves)
- * Returns: distance to car ahead, or Infinity if no car ahead
+ * Gap to the car ahead along the route
+ * 같은 segment의 앞 차 + 경로 앞쪽 segment (커브, 다음 차로)에 있는 차
+ * Returns: gap between bumpers, or Infinity if no car ahead
  */
 function getDistanceToCarAhead(car, allVehicles) {
   const data = car.userData;
-
-  // No collision detection during curves - let cars flow through
-  if (data.state === 'curving') {
-    return Infinity;
-  }
-
   let minAheadDistance = Infinity;
 
   for (const other of allVehicles) {
     if (other === car) continue;
+    const otherData = other.userData;
+
+    // segment 시작점까지의 경로 거리 (현재 segment는 -s)
+    let segmentStart = -data.s;
+    for (const segment of data.route) {
+      if (segment === otherData.route[0]) {
+        const ahead = segmentStart + otherData.s;
+        const gap = ahead - (vehicleLength(data) + vehicleLength(otherData)) / 2;
+        if (ahead > 0 && gap < minAheadDistance) {
+          minAheadDistance = gap;
+        }
+        break;
+      }
+      segmentStart += segment.length;
+    }
+  }
+  return minAheadDistance;
+}
 
-    // Skip cars that are curving
-    if (other.userData.state === 'curving') continue;
+/**
+ * Distance (car center) to the stop line ahead along the route
+ * 앞쪽 차로는 시작점 뒤로 경로 거리만큼 펼친 위치에서 조회 → 커브 중에도 출구 직후 정지선을 봄
+ */
+function getStopLineAhead(car) {
+  if (!stopLineChecker) return Infinity;
+  const data = car.userData;
+  let segmentStart = -data.s;
+  let nearest = Infinity;
+  for (const segment of data.route) {
+    if (segment.kind === 'line') {
+      const x = segment.start.x - segment.dirX * segmentStart;
+      const z = segment.start.z - segment.dirZ * segmentStart;
+      nearest = Math.min(nearest, stopLineChecker(x, z, segment.id));
+    }
+    segmentStart += segment.length;
+  }
+  return nearest;
+}
 
-    // Only check cars in the same lane
-    if (other.userData.lane !== data.lane) continue;
+/**
+ * Room before the stop line (front bumper), Infinity if none or unable to stop
+ * stopLineDistance: 차 중심 → 정지선 (stopLineChecker)
+ */
+function getStopLineRoom(data, stopLineDistance) {
+  const room = stopLineDistance - vehicleLength(data) / 2 - STOP_LINE_MARGIN;
+  // 급제동으로도 정지선 앞에 못 서는 차 (황색에 진입한 차 등)는 그대로 통과
+  const brakingDistance = data.currentSpeed ** 2 / (2 * vehicleProfiles[data.vehicleType].braking * HARD_BRAKING);
+  return room < brakingDistance - 0.5 ? Infinity : room;
+}
 
-    const dx = other.position.x - car.position.x;
-    const dz = other.position.z - car.position.z;
+/**
+ * Accelerate/brake toward the target speed
+ * 목표 속도 = min(최고 속도, 진입 속도, 정지할 수 있는 속도 √(2·braking·room))
+ * @param {Object} data - Vehicle userData
+ * @param {number} deltaTime
+ * @param {number} room - Distance the front bumper may still travel (앞 차 간격, 정지선, 정류장)
+ * @param {number} [entrySpeed] - Speed limit ahead (커브 진입)
+ * @returns {number} Travel this frame (room을 넘지 않음)
+ */
+function updateSpeed(data, deltaTime, room, entrySpeed = Infinity) {
+  const profile = vehicleProfiles[data.vehicleType];
+  const target = Math.min(data.speed, entrySpeed, Math.sqrt(2 * profile.braking * Math.max(0, room)));
 
-    if (data.type === 'mainRoad') {
-      // Check if other car is ahead in x direction
-      const ahead = dx * data.direction;
-      if (ahead > 0 && ahead < minAheadDistance) {
-        minAheadDistance = ahead;
-      }
-    } else if (data.type === 'southRoad') {
-      // Check if other car is ahead in z direction
-      const ahead = dz * data.direction;
-      if (ahead > 0 && ahead < minAheadDistance) {
-        minAheadDistance = ahead;
-      }
-    }
+  if (target > data.currentSpeed) {
+    data.currentSpeed = Math.min(target, data.currentSpeed + profile.acceleration * deltaTime);
+  } else {
+    data.currentSpeed = Math.max(target, data.currentSpeed - profile.braking * HARD_BRAKING * deltaTime);
   }
-  return minAheadDistance;
+
+  const travel = Math.min(data.currentSpeed * deltaTime, Math.max(0, room));
+  if (deltaTime > 0) data.currentSpeed = Math.min(data.currentSpeed, travel / deltaTime);
+  return travel;
 }
 
 /**
- * Update vehicle position with curve handling
+ * Speed limit for curves on the route (커브 진입 전에 curveSpeed까지 감속)
  */
-function updateVehicle(car, deltaTime, allVehicles) {
+function getCurveEntrySpeed(car) {
   const data = car.userData;
+  const profile = vehicleProfiles[data.vehicleType];
+  let segmentStart = -data.s;
+  let limit = Infinity;
+  for (const segment of data.route) {
+    if (segment.curved) {
+      limit = Math.min(limit, Math.sqrt(profile.curveSpeed ** 2 + 2 * profile.braking * Math.max(0, segmentStart)));
+    }
+    segmentStart += segment.length;
+  }
+  return limit;
+}
 
-  // Initialize state if not set
-  if (!data.state) {
-    data.state = 'straight';
+/**
+ * Turn direction of the next turning connector within INDICATOR_DISTANCE (방향지시등)
+ * @returns {string|null} 'left' | 'right' | null
+ */
+function getTurnAhead(car) {
+  const data = car.userData;
+  let segmentStart = -data.s;
+  for (const segment of data.route) {
+    if (segmentStart > INDICATOR_DISTANCE) break;
+    if (segment.turn) return segment.turn;
+    segmentStart += segment.length;
   }
+  return null;
+}
 
-  // Handle curving state (no collision detection during curves)
-  if (data.state === 'curving') {
-    // Full speed during curves
-    const currentSpeed = data.speed;
-    const angularSpeed = (currentSpeed / data.curveRadius) * deltaTime;
+/**
+ * Brake light state (감속 중이거나 정지, BRAKE_HOLD 동안 유지)
+ */
+function updateBraking(data, previousSpeed, deltaTime) {
+  const deceleration = deltaTime > 0 ? (previousSpeed - data.currentSpeed) / deltaTime : 0;
+  if (deceleration > BRAKE_DECELERATION || data.currentSpeed < 0.3) {
+    data.brakeTime = BRAKE_HOLD;
+  } else {
+    data.brakeTime = Math.max(0, (data.brakeTime || 0) - deltaTime);
+  }
+  return data.brakeTime > 0;
+}
 
-    if (data.curveTarget === 'southDown') {
-      // Counterclockwise turn: angle increases from π/2 to π
-      data.curveAngle += angularSpeed;
+// ============================================
+// Bus stops
+// ============================================
 
-      // Clamp angle to end
-      if (data.curveAngle >= curveWestToSouth.endAngle) {
-        data.curveAngle = curveWestToSouth.endAngle;
+/**
+ * Bus stops from registered POIs (city-poi.js)
+ * 정류장이 진행 방향 오른쪽(연석 쪽)에 있는 가장 가까운 차로에 배정
+ */
+function setupBusStops() {
+  busStops = [];
+  getPOIs('bus-stop').forEach(poi => {
+    let best = null;
+    let bestOffset = 8; // 차로에서 이 거리 안의 정류장만
+    roadGraph.lanes.forEach(lane => {
+      const { s, lateral } = projectOnLane(lane, poi.x, poi.z);
+      if (s < 0 || s > lane.length) return;
+      if (lateral > 0 && lateral < bestOffset) {
+        bestOffset = lateral;
+        best = { poi, lane, position: s };
       }
+    });
+    if (best) busStops.push(best);
+  });
+}
 
-      // Update position along curve
-      car.position.x = curveWestToSouth.centerX + Math.cos(data.curveAngle) * data.curveRadius;
-      car.position.z = curveWestToSouth.centerZ + Math.sin(data.curveAngle) * data.curveRadius;
-
-      // Update rotation (tangent to curve)
-      car.rotation.y = -data.curveAngle;
-
-      // Check if curve is complete
-      if (data.curveAngle >= curveWestToSouth.endAngle) {
-        // Transition to south road - position is already at exit point
-        data.state = 'straight';
-        data.type = 'southRoad';
-        data.lane = 'southDown';
-        data.direction = -1;
-        car.rotation.y = Math.PI; // Facing -z (south)
-      }
-    } else if (data.curveTarget === 'mainEast') {
-      // Clockwise turn: angle decreases from π to π/2
-      data.curveAngle -= angularSpeed;
+/**
+ * Nearest bus stop on the bus's current lane (distance along the lane, negative = behind)
+ */
+function getNearestBusStop(car, maxBehind) {
+  const data = car.userData;
+  let nearest = null;
+  for (const stop of busStops) {
+    if (stop.lane !== data.route[0]) continue;
+    const distance = stop.position - data.s;
+    if (distance < -maxBehind || distance > BUS_STOP_LOOKAHEAD) continue;
+    if (!nearest || Math.abs(distance) < Math.abs(nearest.distance)) nearest = { stop, distance };
+  }
+  return nearest;
+}
 
-      // Clamp angle to end
-      if (data.curveAngle <= curveSouthToEast.endAngle) {
-        data.curveAngle = curveSouthToEast.endAngle;
-      }
+/**
+ * Bus pulls toward the curb around a stop (정류장 전후 BUS_PULL_RANGE)
+ */
+function applyBusPullIn(car) {
+  const data = car.userData;
+  const nearest = getNearestBusStop(car, BUS_PULL_RANGE);
+  data.offset = nearest ? BUS_PULL_IN * Math.max(0, 1 - Math.abs(nearest.distance) / BUS_PULL_RANGE) : 0;
+}
 
-      // Update position along curve
-      car.position.x = curveSouthToEast.centerX + Math.cos(data.curveAngle) * data.curveRadius;
-      car.position.z = curveSouthToEast.centerZ + Math.sin(data.curveAngle) * data.curveRadius;
-
-      // Update rotation (tangent to curve)
-      car.rotation.y = -data.curveAngle + Math.PI;
-
-      // Check if curve is complete
-      if (data.curveAngle <= curveSouthToEast.endAngle) {
-        // Transition to main road - position is already at exit point
-        data.state = 'straight';
-        data.type = 'mainRoad';
-        data.lane = 'mainEast';
-        data.direction = 1;
-        car.rotation.y = Math.PI / 2; // Facing +x (east)
-      }
-    }
+/**
+ * Bus reached the stop: 정차, 승하차 알림
+ */
+function startDwelling(car, stop) {
+  const data = car.userData;
+  const dwell = BUS_DWELL[0] + random() * (BUS_DWELL[1] - BUS_DWELL[0]);
+  const door = stop.lane.pointAt(Math.min(stop.lane.length, stop.position + BUS_DOOR_OFFSET));
+  const side = BUS_PULL_IN + 1.4;
+
+  data.state = 'dwelling';
+  data.dwellTime = dwell;
+  data.currentSpeed = 0;
+  data.busStop = {
+    poi: stop.poi,
+    stop,
+    dwell,
+    doorX: door.x - door.dirZ * side,
+    doorZ: door.z + door.dirX * side
+  };
+  if (busStopHandler) busStopHandler('arrive', data.busStop);
+}
+
+// ============================================
+// Update
+// ============================================
+
+/**
+ * Update vehicle position along its route
+ * @returns {boolean} true when the car left the graph (remove)
+ */
+function updateVehicle(car, deltaTime, allVehicles) {
+  const data = car.userData;
 
+  // Bus dwelling at a stop
+  if (data.state === 'dwelling') {
+    data.dwellTime -= deltaTime;
+    if (data.dwellTime <= 0) {
+      data.state = 'straight';
+      data.lastStop = data.busStop.stop;
+      if (busStopHandler) busStopHandler('depart', data.busStop);
+      data.busStop = null;
+    }
+    // 정차 중: 제동등 + 출발 방향(왼쪽) 지시등
+    updateVehicleLights(car, true, 'left');
     return false; // Keep
   }
 
-  // Straight movement - check distance to car ahead
-  const distanceAhead = getDistanceToCarAhead(car, allVehicles);
-  const stopDistance = 8;      // Complete stop distance
-  const slowDistance = 15;     // Start slowing down distance
-
-  // Check for pedestrians on crosswalks
-  const shouldStopForPedestrian = pedestrianStopChecker ? pedestrianStopChecker(car.position.x, car.position.z, data.lane) : false;
-
-  let currentSpeed = data.speed;
-  if (shouldStopForPedestrian) {
-    // Stop for pedestrians crossing
-    currentSpeed = 0;
-  } else if (distanceAhead < stopDistance) {
-    // Too close - complete stop
-    currentSpeed = 0;
-  } else if (distanceAhead < slowDistance) {
-    // Gradually slow down based on distance
-    const ratio = (distanceAhead - stopDistance) / (slowDistance - stopDistance);
-    currentSpeed = data.speed * ratio;
+  // Gap to car ahead, stop line (signals), bus stop, curve ahead - all along the route
+  const stopLineDistance = getStopLineAhead(car);
+  const stopRoom = getStopLineRoom(data, stopLineDistance);
+  let room = Math.min(getDistanceToCarAhead(car, allVehicles) - MIN_GAP * (1 + rainIntensity), stopRoom);
+
+  const nextStop = data.vehicleType === 'bus' ? getNearestBusStop(car, 0) : null;
+  if (nextStop && nextStop.stop !== data.lastStop) {
+    room = Math.min(room, nextStop.distance);
   }
-  const speed = currentSpeed * deltaTime;
-
-  if (data.type === 'mainRoad') {
-    // Move first
-    car.position.x += speed * data.direction;
-
-    // Check if mainWest car should start curving (after moving)
-    if (data.lane === 'mainWest' && car.position.x <= curveWestToSouth.triggerX) {
-      // Start curve at current position (no teleport)
-      data.state = 'curving';
-      data.curveRadius = curveWestToSouth.radius;
-      data.curveAngle = curveWestToSouth.startAngle;
-      data.curveTarget = 'southDown';
-      // Position is already close to entry, just ensure it's on the curve
-      car.position.x = curveWestToSouth.centerX + Math.cos(data.curveAngle) * data.curveRadius;
-      return false;
-    }
 
-    const lane = lanes[data.lane];
-    // Check if out of bounds
-    if (data.direction > 0 && car.position.x > lane.xMax + 20) {
-      return true; // Remove
-    }
-    if (data.direction < 0 && car.position.x < lane.xMin - 30) {
-      return true; // Remove
-    }
-  } else if (data.type === 'southRoad') {
-    // Move first
-    car.position.z += speed * data.direction;
-
-    // Check if southUp car should start curving (after moving)
-    if (data.lane === 'southUp' && car.position.z >= curveSouthToEast.triggerZ) {
-      // Start curve at current position (no teleport)
-      data.state = 'curving';
-      data.curveRadius = curveSouthToEast.radius;
-      data.curveAngle = curveSouthToEast.startAngle;
-      data.curveTarget = 'mainEast';
-      // Position is already close to entry, just ensure it's on the curve
-      car.position.z = curveSouthToEast.centerZ + Math.sin(data.curveAngle) * data.curveRadius;
-      return false;
-    }
+  const previousSpeed = data.currentSpeed;
+  const rainFactor = 1 - RAIN_SLOWDOWN * rainIntensity;
+  const travel = updateSpeed(data, deltaTime, room, Math.min(data.speed, getCurveEntrySpeed(car)) * rainFactor);
+  // 보행자 횡단 판단용 (city-people.js)
+  data.stopLineDistance = stopRoom === Infinity ? Infinity : stopLineDistance;
+
+  // 제동등, 방향지시등 (회전 connector 앞 / 버스는 정류장 진입 시 오른쪽)
+  const pullingIn = nextStop && nextStop.stop !== data.lastStop && nextStop.distance < BUS_PULL_RANGE;
+  updateVehicleLights(car, updateBraking(data, previousSpeed, deltaTime), pullingIn ? 'right' : getTurnAhead(car));
+
+  if (nextStop && nextStop.stop !== data.lastStop && nextStop.distance - travel < 0.3) {
+    // 정류장 도착: 정차 위치에 맞춤
+    data.s = nextStop.stop.position;
+    applyBusPullIn(car);
+    placeVehicle(car);
+    startDwelling(car, nextStop.stop);
+    return false;
+  }
 
-    const lane = lanes[data.lane];
-    // Check if out of bounds
-    if (data.direction > 0 && car.position.z > lane.zMax + 30) {
-      return true; // Remove
-    }
-    if (data.direction < 0 && car.position.z < lane.zMin - 20) {
-      return true; // Remove
+  // Move along the route - segment 끝을 넘으면 다음 segment로 (남은 거리 이어서)
+  data.s += travel;
+  while (data.s >= data.route[0].length) {
+    if (data.route.length === 1) {
+      return true; // End of the graph - Remove
     }
+    data.s -= data.route[0].length;
+    data.route.shift();
   }
+  extendRoute(data);
+
+  if (data.vehicleType === 'bus') applyBusPullIn(car);
+  placeVehicle(car);
 
   return false; // Keep
 }
 
 /**
  * Initialize vehicle system
+ * @param {Object} scene
+ * @param {Object} [graph] - Road graph (city-road-graph.js buildRoadGraph), 기본값 city-road.js roadDefinitions
  */
-export function initVehicles(scene) {
+export function initVehicles(scene, graph = buildRoadGraph(roadDefinitions)) {
   vehicles = [];
   lastSpawnTime = 0;
-
-  // Spawn initial vehicles on main road (only mainWest - mainEast cars come from curve)
-  for (let i = 0; i < 4; i++) {
-    const car = createRandomCar();
-    const lane = lanes.mainWest;
-
-    // Spread along the road (well away from curve at x=-40)
-    // x from 20 to 220 (at least 60 units from curve trigger)
-    const x = 20 + Math.random() * 200;
-    car.position.set(x, 0, lane.z);
-    car.rotation.y = -Math.PI / 2; // Facing -x (west)
-
-    car.userData = {
-      type: 'mainRoad',
-      lane: 'mainWest',
-      speed: vehicleSpeed,
-      direction: lane.direction,
-      state: 'straight'
-    };
-
-    scene.add(car);
-    vehicles.push(car);
-  }
-
-  // Initial south road vehicles (only southUp - southDown cars come from curve)
-  for (let i = 0; i < 2; i++) {
-    const car = createRandomCar();
-    const lane = lanes.southUp;
-
-    // Spread along the south road (well away from curve at z=-35)
-    // z from -240 to -80 (at least 45 units from curve trigger)
-    const z = -240 + Math.random() * 160;
-    car.position.set(lane.x, 0, z);
-    car.rotation.y = 0; // Facing +z (north)
-
-    car.userData = {
-      type: 'southRoad',
-      lane: 'southUp',
-      speed: vehicleSpeed,
-      direction: lane.direction,
-      state: 'straight'
-    };
-
-    scene.add(car);
-    vehicles.push(car);
-  }
+  blinkTime = 0;
+  roadGraph = graph;
+  setupBusStops();
+
+  // Initial vehicles spread along entry lanes (lane.initial, 다음 교차로/커브에서 떨어진 위치)
+  roadGraph.entries.forEach(lane => {
+    for (let i = 0; i < (lane.initial || 0); i++) {
+      spawnVehicle(scene, lane, 10 + random() * Math.max(0, lane.length - 70));
+    }
+  });
 
   return vehicles;
 }
@@ -1022,6 +1120,8 @@ export function initVehicles(scene) {
  * Update all vehicles
  */
 export function updateVehicles(scene, deltaTime) {
+  blinkTime += deltaTime;
+
   // Update existing vehicles
   const toRemove = [];
   vehicles.forEach((car, index) => {
@@ -1042,17 +1142,11 @@ export function updateVehicles(scene, deltaTime) {
   if (lastSpawnTime >= spawnInterval && vehicles.length < maxVehicles) {
     lastSpawnTime = 0;
 
-    // Randomly choose road and direction
-    // Traffic flow: mainWest → southDown (via curve), southUp → mainEast (via curve)
-    // Only spawn at entry points: mainWest (tunnel) and southUp (south end)
-    const roadChoice = Math.random();
-    if (roadChoice < 0.6) {
-      // Main road west - spawn at tunnel, turn onto southDown via curve
-      spawnMainRoadVehicle(scene, false);
-    } else {
-      // South road up - spawn at south, turn onto mainEast via curve
-      spawnSouthRoadVehicle(scene, false);
-    }
+    // Only spawn at entry lanes (mainWest at tunnel, southUp at south end), lane.spawn 비율
+    const entries = roadGraph.entries;
+    let pick = random() * entries.reduce((sum, lane) => sum + lane.spawn, 0);
+    const lane = entries.find(entry => (pick -= entry.spawn) < 0) || entries[entries.length - 1];
+    if (lane) spawnVehicle(scene, lane);
   }
 }
 
@@ -1063,4 +1157,23 @@ export function getVehicles() {
   return vehicles;
 }
 
-export { lanes, roadConfig };
+/**
+ * Set vehicle cap (초과분은 제거하지 않고 도로 끝으로 빠져나갈 때까지 스폰만 멈춤)
+ */
+export function setMaxVehicles(count) {
+  maxVehicles = count;
+}
+
+/**
+ * Set rain intensity for driving (0 = dry, 1 = heavy rain)
+ */
+export function setVehicleRainIntensity(intensity) {
+  rainIntensity = Math.max(0, Math.min(1, intensity));
+}
+
+/**
+ * Get the loaded road graph
+ */
+export function getRoadGraph() {
+  return roadGraph;
+}
@@ -0,0 +1,204 @@
+/**
+ * city-visualizer-panel.js
+ * Hong Kong Citypop Night City - Visualizer Mapping Panel (개발용)
+ *
+ * 창문 이퀄라이저 mapping을 실시간으로 조절하는 overlay (toggleVisualizerPanel() in console 또는 ?vizpanel=1):
+ * - Preset / mapping 선택
+ * - threshold, gain, 켜짐/꺼짐 밝기 배율, beat 반응
+ * - 대역별 가중치 (옆에 현재 대역 레벨)
+ * - Log: 현재 파라미터를 JSON으로 콘솔에 출력 (preset으로 옮기기용)
+ */
+
+import {
+  BAND_NAMES,
+  setVisualizerPreset,
+  setVisualizerMapping,
+  setVisualizerParams,
+  getVisualizerParams,
+  getVisualizerState,
+  getVisualizerPresets,
+  getVisualizerMappings,
+  onVisualizerChange
+} from './city-visualizer.js';
+import { getFrequencyBands } from './city-audio.js';
+
+// 슬라이더: [key, label, min, max, step]
+const SLIDERS = [
+  ['threshold', 'Threshold', 0, 1, 0.01],
+  ['gain', 'Gain', 0, 3, 0.05],
+  ['activeBrightness', 'Active', 0.5, 3, 0.05],
+  ['activeBoost', 'Boost', 0, 1.5, 0.05],
+  ['inactiveBrightness', 'Inactive', 0, 1, 0.01],
+  ['beatBoost', 'Beat', 0, 1.5, 0.05]
+];
+const WEIGHT_RANGE = [0, 2, 0.05];
+// 대역 레벨 표시 갱신 간격 (ms)
+const METER_INTERVAL = 100;
+
+function sliderRow(className, label, key, [min, max, step]) {
+  return `
+    <label class="vp-row">
+      <span class="vp-label">${label}</span>
+      <input type="range" class="${className}" data-key="${key}" min="${min}" max="${max}" step="${step}">
+      <span class="vp-value"></span>
+    </label>
+  `;
+}
+
+/**
+ * Create the visualizer mapping panel
+ * @returns {Object} Panel API ({ open, close, toggle, isOpen, update })
+ */
+export function createVisualizerPanel() {
+  let open = false;
+  let lastMeter = -Infinity;
+
+  const panel = document.createElement('div');
+  panel.id = 'visualizer-panel';
+  panel.innerHTML = `
+    <style>
+      #visualizer-panel {
+        display: none;
+        position: fixed;
+        bottom: 50px;
+        left: 20px;
+        z-index: 1000;
+        width: 240px;
+        padding: 6px;
+        font: 11px monospace;
+        color: #ccc;
+        border: 1px solid rgba(80, 208, 224, 0.6);
+        background: rgba(10, 10, 21, 0.8);
+      }
+      #visualizer-panel.open { display: block; }
+      #visualizer-panel select {
+        width: 100%;
+        margin-bottom: 4px;
+        font: inherit;
+        color: #fff;
+        background: rgba(10, 10, 21, 0.9);
+        border: 1px solid #50d0e0;
+      }
+      #visualizer-panel .vp-row { display: flex; align-items: center; gap: 4px; height: 18px; }
+      #visualizer-panel .vp-label { width: 56px; }
+      #visualizer-panel input[type="range"] { flex: 1; min-width: 0; }
+      #visualizer-panel .vp-value { width: 32px; text-align: right; }
+      #visualizer-panel .vp-meter { width: 24px; height: 6px; background: rgba(255, 255, 255, 0.1); }
+      #visualizer-panel .vp-meter div { height: 100%; width: 0; background: #ff66aa; }
+      #visualizer-panel .vp-title { margin: 4px 0 2px; color: #50d0e0; }
+      #visualizer-panel .vp-bar { display: flex; gap: 4px; margin-top: 4px; }
+      #visualizer-panel button {
+        flex: 1;
+        font: inherit;
+        color: #fff;
+        background: rgba(80, 208, 224, 0.25);
+        border: 1px solid #50d0e0;
+        cursor: pointer;
+      }
+      @media (max-width: 768px) {
+        #visualizer-panel { bottom: 40px; left: 15px; transform: scale(0.8); transform-origin: bottom left; }
+      }
+    </style>
+    <select class="vp-preset">${getVisualizerPresets().map(name => `<option value="${name}">${name}</option>`).join('')}</select>
+    <select class="vp-mapping"></select>
+    ${SLIDERS.map(([key, label, ...range]) => sliderRow('vp-param', label, key, range)).join('')}
+    <div class="vp-title">Band weights</div>
+    ${BAND_NAMES.map(name => sliderRow('vp-weight', name, name, WEIGHT_RANGE)
+      .replace('</label>', `<div class="vp-meter" data-band="${name}"><div></div></div></label>`)).join('')}
+    <div class="vp-bar">
+      <button class="vp-reset">Reset</button>
+      <button class="vp-log">Log</button>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const presetSelect = panel.querySelector('.vp-preset');
+  const mappingSelect = panel.querySelector('.vp-mapping');
+  const paramInputs = [...panel.querySelectorAll('.vp-param')];
+  const weightInputs = [...panel.querySelectorAll('.vp-weight')];
+  const meters = [...panel.querySelectorAll('.vp-meter div')];
+
+  function showValue(input) {
+    input.parentElement.querySelector('.vp-value').textContent = Number(input.value).toFixed(2);
+  }
+
+  /**
+   * 현재 preset/mapping/파라미터를 입력에 반영
+   */
+  function sync() {
+    const { preset, mapping } = getVisualizerState();
+    const params = getVisualizerParams();
+
+    // registerVisualizerMapping으로 추가된 mapping 반영
+    const mappings = getVisualizerMappings();
+    if (mappingSelect.options.length !== mappings.length) {
+      mappingSelect.innerHTML = mappings
+        .map(({ name, label }) => `<option value="${name}" title="${label}">${name}</option>`).join('');
+    }
+    presetSelect.value = preset;
+    mappingSelect.value = mapping;
+    paramInputs.forEach(input => {
+      input.value = params[input.dataset.key];
+      showValue(input);
+    });
+    weightInputs.forEach(input => {
+      input.value = params.weights[input.dataset.key];
+      showValue(input);
+    });
+  }
+
+  // ============================================
+  // Events
+  // ============================================
+
+  presetSelect.addEventListener('change', () => setVisualizerPreset(presetSelect.value));
+  mappingSelect.addEventListener('change', () => setVisualizerMapping(mappingSelect.value));
+
+  paramInputs.forEach(input => {
+    input.addEventListener('input', () => setVisualizerParams({ [input.dataset.key]: Number(input.value) }));
+  });
+  weightInputs.forEach(input => {
+    input.addEventListener('input', () => setVisualizerParams({ weights: { [input.dataset.key]: Number(input.value) } }));
+  });
+
+  panel.querySelector('.vp-reset').addEventListener('click', () => setVisualizerPreset(getVisualizerState().preset));
+  panel.querySelector('.vp-log').addEventListener('click', () => {
+    const { mapping } = getVisualizerState();
+    console.log(JSON.stringify({ mapping, ...getVisualizerParams() }, null, 2));
+  });
+
+  onVisualizerChange(() => {
+    if (open) sync();
+  });
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Band level meters (animate에서 매 프레임, 열려 있을 때만)
+   */
+  function update(now) {
+    if (!open || now - lastMeter < METER_INTERVAL) return;
+    lastMeter = now;
+    const { normalized } = getFrequencyBands();
+    BAND_NAMES.forEach((name, i) => {
+      meters[i].style.width = `${Math.round((normalized[name] || 0) * 100)}%`;
+    });
+  }
+
+  function setOpen(value) {
+    open = value;
+    panel.classList.toggle('open', open);
+    lastMeter = -Infinity;
+    if (open) sync();
+  }
+
+  return {
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    toggle: () => { setOpen(!open); return open; },
+    isOpen: () => open,
+    update
+  };
+}
@@ -0,0 +1,348 @@
+/**
+ * city-visualizer.js
+ * Hong Kong Citypop Night City - Window Equalizer Mapping
+ *
+ * 창문마다 두 값을 정하는 "mapping"으로 이퀄라이저 모양을 바꿈:
+ * - band: 0~1 주파수 위치 (0.2 이하 bass, 0.2 간격으로 lowMid, mid, highMid, treble까지 보간)
+ * - fill: 0~1 차오르는 순서 (threshold 아래면 켜짐, 0에 가까울수록 밝음)
+ * 내장 mapping: x-bands (기본, 서쪽=저음 동쪽=고음), building, height, radial, camera
+ * - registerVisualizerMapping()으로 추가 가능
+ * - Preset = mapping + 파라미터 (?viz=, setVisualizerPreset() in console)
+ * - 파라미터 (threshold, 밝기 배율, beat 반응, 대역 가중치)는 city-visualizer-panel.js에서 실시간 조절
+ */
+
+export const BAND_NAMES = ['bass', 'lowMid', 'mid', 'highMid', 'treble'];
+
+// 기본 파라미터 (기존 이퀄라이저 값)
+// threshold: 항상 켜져 있는 아래쪽 비율, active: 켜진 창문 밝기 + fade에 따라 activeBoost까지
+// inactive: 꺼진 창문 밝기 (시간대에 꺼진 창문은 city-main.js에서 더 어둡게)
+// beatBoost: beat 순간 켜진 창문에 더할 밝기 (곡 stats에 beats가 있을 때, 기본 0 = 기존 이퀄라이저)
+const DEFAULT_PARAMS = {
+  threshold: 0.15,
+  gain: 1,
+  activeBrightness: 1.3,
+  activeBoost: 0.4,
+  inactiveBrightness: 0.4,
+  beatBoost: 0,
+  weights: { bass: 1, lowMid: 1, mid: 1, highMid: 1, treble: 1 }
+};
+
+// x-bands: X축 구역 수 (각 구역 안에서 아래→위), 구역 폭 100 = 대역 전체의 절반
+const NUM_X_ZONES = 40;
+const X_BAND_SPAN = 100;
+// building 정보가 없는 창문 (GLB)은 이 격자 칸을 한 건물로 봄
+const BUILDING_CELL = 12;
+// camera: 이 거리에서 treble
+const CAMERA_RANGE = 150;
+
+// Built-in mappings
+// map(windows, band, fill, context): band/fill Float32Array 채우기
+// context: { camera, params, cache (mapping별, 창문 목록이 바뀌면 초기화) }
+// dynamic: true면 매 갱신마다 다시 계산 (카메라 따라가기 등)
+const mappings = {
+  'x-bands': {
+    label: 'X bands (west = bass, east = treble)',
+    map(windows, band, fill) {
+      let xMin = Infinity;
+      let xMax = -Infinity;
+      windows.forEach(win => {
+        xMin = Math.min(xMin, win.x);
+        xMax = Math.max(xMax, win.x);
+      });
+      const zoneWidth = (xMax - xMin) / NUM_X_ZONES;
+      windows.forEach((win, i) => {
+        band[i] = (Math.max(-1, Math.min(1, win.x / X_BAND_SPAN)) + 1) / 2;
+      });
+      fillWithinGroups(windows, fill, win =>
+        Math.max(0, Math.min(NUM_X_ZONES - 1, Math.floor((win.x - xMin) / zoneWidth))));
+    }
+  },
+  building: {
+    label: 'Per building (random band each)',
+    map(windows, band, fill) {
+      windows.forEach((win, i) => {
+        band[i] = hashUnit(getBuildingKey(win));
+      });
+      fillWithinGroups(windows, fill, getBuildingKey);
+    }
+  },
+  height: {
+    label: 'Height bands (low floors = bass)',
+    map(windows, band, fill) {
+      let yMin = Infinity;
+      let yMax = -Infinity;
+      windows.forEach(win => {
+        yMin = Math.min(yMin, win.y);
+        yMax = Math.max(yMax, win.y);
+      });
+      const range = Math.max(yMax - yMin, 0.01);
+      windows.forEach((win, i) => {
+        band[i] = (win.y - yMin) / range;
+        // 같은 층 안에서는 흩어져서 켜짐
+        fill[i] = rankOf(i);
+      });
+    }
+  },
+  radial: {
+    label: 'Radial from center (inner = bass)',
+    map(windows, band, fill, { params }) {
+      const center = params.center || getCentroid(windows);
+      let maxDistance = 0.01;
+      windows.forEach(win => {
+        maxDistance = Math.max(maxDistance, Math.hypot(win.x - center.x, win.z - center.z));
+      });
+      windows.forEach((win, i) => {
+        band[i] = Math.hypot(win.x - center.x, win.z - center.z) / maxDistance;
+      });
+      fillWithinGroups(windows, fill, getBuildingKey);
+    }
+  },
+  camera: {
+    label: 'Follow camera (near = bass)',
+    dynamic: true,
+    map(windows, band, fill, { camera, cache }) {
+      if (!cache.fill) {
+        cache.fill = new Float32Array(windows.length);
+        fillWithinGroups(windows, cache.fill, getBuildingKey);
+      }
+      fill.set(cache.fill);
+      const { x, y, z } = camera ? camera.position : { x: 0, y: 0, z: 0 };
+      windows.forEach((win, i) => {
+        band[i] = Math.min(1, Math.hypot(win.x - x, win.y - y, win.z - z) / CAMERA_RANGE);
+      });
+    }
+  }
+};
+
+// Presets: mapping + DEFAULT_PARAMS 위에 덮어쓸 값
+const presets = {
+  classic: { mapping: 'x-bands' },
+  buildings: { mapping: 'building', threshold: 0.1 },
+  skyline: { mapping: 'height', threshold: 0.05, activeBoost: 0.6 },
+  ripple: { mapping: 'radial', threshold: 0.1, beatBoost: 0.5, weights: { bass: 1.2, lowMid: 1.1, mid: 1, highMid: 0.9, treble: 0.9 } },
+  follow: { mapping: 'camera', threshold: 0.1, gain: 1.2, beatBoost: 0.3 }
+};
+
+// Module state
+let windows = [];               // [{ x, y, z, building }]
+let band = new Float32Array(0);
+let fill = new Float32Array(0);
+let fades = new Float32Array(0);
+let currentPreset = 'classic';
+let currentMapping = 'x-bands';
+let params = cloneParams(DEFAULT_PARAMS);
+let cache = {};
+let needsRemap = true;
+let beatLevel = 0;
+const listeners = [];
+
+function cloneParams(source) {
+  return { ...source, weights: { ...source.weights } };
+}
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Get preset from URL (?viz=)
+ */
+export function getVisualizerPresetFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('viz');
+}
+
+// ============================================
+// Mapping helpers
+// ============================================
+
+/**
+ * 창문 index별 고정 순위 (0~1, 골고루 흩어짐)
+ */
+function rankOf(index) {
+  return (Math.imul(index + 1, 2246822519) >>> 0) / 4294967296;
+}
+
+function hashUnit(key) {
+  let hash = 2166136261;
+  const text = String(key);
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return (hash >>> 0) / 4294967295;
+}
+
+function getBuildingKey(win) {
+  if (win.building !== null && win.building !== undefined) return win.building;
+  return `${Math.round(win.x / BUILDING_CELL)},${Math.round(win.z / BUILDING_CELL)}`;
+}
+
+function getCentroid(list) {
+  const sum = list.reduce((acc, win) => ({ x: acc.x + win.x, z: acc.z + win.z }), { x: 0, z: 0 });
+  return { x: sum.x / Math.max(1, list.length), z: sum.z / Math.max(1, list.length) };
+}
+
+/**
+ * Fill = 같은 그룹 안에서 정규화한 높이 (아래 0 → 위 1)
+ * 높이 차가 없는 그룹은 NaN (이퀄라이저가 색을 건드리지 않음)
+ * @param {Array} list - 창문 목록
+ * @param {Float32Array} out - fill 배열
+ * @param {function(Object): *} groupOf - 창문 → 그룹 key
+ */
+export function fillWithinGroups(list, out, groupOf) {
+  const ranges = new Map();
+  const keys = list.map(win => {
+    const key = groupOf(win);
+    const range = ranges.get(key) || { yMin: Infinity, yMax: -Infinity };
+    range.yMin = Math.min(range.yMin, win.y);
+    range.yMax = Math.max(range.yMax, win.y);
+    ranges.set(key, range);
+    return key;
+  });
+  list.forEach((win, i) => {
+    const range = ranges.get(keys[i]);
+    out[i] = range.yMax > range.yMin ? (win.y - range.yMin) / (range.yMax - range.yMin) : NaN;
+  });
+}
+
+/**
+ * Band 위치 (0~1) → intensity (city-audio.js getIntensityForPosition과 같은 구간)
+ */
+function sampleBands(position, values) {
+  const p = Math.max(0, Math.min(1, position));
+  if (p < 0.2) return values[0];
+  const scaled = (p - 0.2) / 0.2;
+  const k = Math.min(3, Math.floor(scaled));
+  const t = scaled - k;
+  return values[k] * (1 - t) + values[k + 1] * t;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Set the windows to map (창문 생성/발견 후 한 번)
+ * @param {Array<{x: number, y: number, z: number, building: *}>} list - building: 건물 key (없으면 null)
+ */
+export function setVisualizerWindows(list) {
+  windows = list;
+  band = new Float32Array(list.length);
+  fill = new Float32Array(list.length);
+  fades = new Float32Array(list.length);
+  cache = {};
+  needsRemap = true;
+}
+
+/**
+ * Register a custom mapping
+ * @param {string} name
+ * @param {{label: string, dynamic: boolean, map: function}} mapping - 내장 mapping과 같은 형식
+ */
+export function registerVisualizerMapping(name, mapping) {
+  mappings[name] = mapping;
+  notify();
+}
+
+/**
+ * Switch the mapping only (파라미터 유지)
+ * @returns {boolean} false if unknown mapping
+ */
+export function setVisualizerMapping(name) {
+  if (!(name in mappings)) return false;
+  currentMapping = name;
+  cache = {};
+  needsRemap = true;
+  notify();
+  return true;
+}
+
+/**
+ * Apply a preset (mapping + 파라미터)
+ * @returns {boolean} false if unknown preset
+ */
+export function setVisualizerPreset(name) {
+  const preset = presets[name];
+  if (!preset) return false;
+  const { mapping, weights, ...overrides } = preset;
+  params = { ...cloneParams(DEFAULT_PARAMS), ...overrides, weights: { ...DEFAULT_PARAMS.weights, ...weights } };
+  currentPreset = name;
+  setVisualizerMapping(mapping);
+  return true;
+}
+
+/**
+ * Change parameters (weights는 대역별로 합침)
+ * @param {Object} changes - e.g. { threshold: 0.2 }, { weights: { bass: 1.5 } }
+ */
+export function setVisualizerParams(changes) {
+  const { weights, ...rest } = changes;
+  params = { ...params, ...rest, weights: { ...params.weights, ...weights } };
+  // radial center 등 mapping 입력이 바뀌었을 수 있음
+  if ('center' in changes) needsRemap = true;
+  notify();
+}
+
+export function getVisualizerParams() {
+  return cloneParams(params);
+}
+
+export function getVisualizerState() {
+  return { preset: currentPreset, mapping: currentMapping, windows: windows.length };
+}
+
+export function getVisualizerPresets() {
+  return Object.keys(presets);
+}
+
+export function getVisualizerMappings() {
+  return Object.entries(mappings).map(([name, mapping]) => ({ name, label: mapping.label }));
+}
+
+/**
+ * Subscribe to preset/mapping/parameter changes (디버그 패널 동기화)
+ */
+export function onVisualizerChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Recompute per-window fades (창문 이퀄라이저 갱신마다)
+ * @param {Object} bands - 정규화된 대역 값 (getFrequencyBands().normalized)
+ * @param {THREE.Camera} [camera] - dynamic mapping용
+ * @param {number} [beat] - beat pulse 0~1 (getFrequencyBands().beat)
+ */
+export function updateVisualizer(bands, camera, beat = 0) {
+  beatLevel = beat;
+  const mapping = mappings[currentMapping];
+  if (needsRemap || mapping.dynamic) {
+    mapping.map(windows, band, fill, { camera, params, cache });
+    needsRemap = false;
+  }
+
+  const values = BAND_NAMES.map(name =>
+    Math.max(0, Math.min(1, (bands[name] || 0) * params.weights[name] * params.gain)));
+  const base = params.threshold;
+
+  for (let i = 0; i < windows.length; i++) {
+    const threshold = base + sampleBands(band[i], values) * (1 - base);
+    const position = fill[i];
+    if (Number.isNaN(position)) fades[i] = NaN;
+    else fades[i] = position <= threshold ? 1 - position / Math.max(threshold, 0.01) : -1;
+  }
+}
+
+/**
+ * Window fade after updateVisualizer
+ * @returns {number} 0~1 켜짐 (1 = 가장 밝음), -1 꺼짐, NaN 이퀄라이저 대상 아님
+ */
+export function getWindowFade(index) {
+  return fades[index];
+}
+
+/**
+ * Brightness multiplier for a lit (fade >= 0) window
+ */
+export function getActiveBrightness(fade) {
+  return params.activeBrightness + fade * params.activeBoost + beatLevel * params.beatBoost;
+}
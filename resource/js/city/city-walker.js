@@ -0,0 +1,171 @@
+/**
+ * city-walker.js
+ * Hong Kong Citypop Night City - Walking Mode First-Person Controller
+ *
+ * 수평 이동/zone 검사는 city-main.js (validateCameraPosition), 여기서는 수직 움직임만:
+ * - Ground follow: 오르막은 빠르게 step-up, 낙차가 크면 중력으로 낙하 후 착지
+ * - Jump (gravity), crouch (낮은 눈높이 + 감속)
+ * - Head-bob: 보행자 animateWalk와 같은 cadence, 발이 닿을 때마다 onFootstep
+ *
+ * Heights are relative to the ground (feet) Y.
+ * validateCameraPosition은 서 있는 눈높이(STANDING_EYE_HEIGHT) 기준 좌표를 사용
+ */
+
+import { WALK_CADENCE } from './city-people.js';
+
+// validateCameraPosition / getStairY가 가정하는 눈높이
+export const STANDING_EYE_HEIGHT = 1.6;
+
+const DEFAULT_SETTINGS = {
+  eyeHeight: STANDING_EYE_HEIGHT,
+  crouchEyeHeight: 1.0,
+  crouchSpeed: 0.5,     // 앉은 상태 이동 속도 배율
+  jumpSpeed: 5.0,       // Initial vertical velocity (units/s)
+  gravity: 14.0,        // units/s²
+  bobAmount: 0.06,      // Head-bob height at walking speed
+  bobEnabled: true
+};
+
+// 이 이상 아래로 떨어지면 step-down 대신 낙하
+const STEP_DOWN_LIMIT = 0.4;
+// Step-up / step-down follow rate (1/s)
+const GROUND_FOLLOW_RATE = 18;
+// Crouch transition rate (1/s)
+const CROUCH_RATE = 10;
+// 착지 시 머리 눌림 (낙하 속도 비례, 최대값)
+const LANDING_DIP_MAX = 0.25;
+
+/**
+ * Create a first-person controller
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Overrides for DEFAULT_SETTINGS
+ * @param {function(number): void} [options.onFootstep] - Called per footstep with intensity (0-1)
+ * @returns {Object} Controller API
+ */
+export function createWalker({ settings = {}, onFootstep = null } = {}) {
+  const config = { ...DEFAULT_SETTINGS, ...settings };
+
+  let groundY = 0;        // Target ground (from zone validation)
+  let feetY = 0;          // Actual feet Y
+  let velocityY = 0;
+  let grounded = true;
+  let crouchAmount = 0;   // 0 = standing, 1 = crouched
+  let bobPhase = 0;
+  let bobWeight = 0;      // Smoothed speed ratio
+  let landingDip = 0;
+
+  /**
+   * Current eye height above feet (crouch blend)
+   */
+  function getEyeHeight() {
+    return config.eyeHeight + (config.crouchEyeHeight - config.eyeHeight) * crouchAmount;
+  }
+
+  return {
+    settings: config,
+
+    /**
+     * Snap to a standing eye-level Y (enter walking mode, teleport, deep link)
+     * @param {number} eyeY - Eye-level Y (validateCameraPosition 기준)
+     */
+    reset(eyeY) {
+      groundY = feetY = eyeY - STANDING_EYE_HEIGHT;
+      velocityY = 0;
+      grounded = true;
+      bobPhase = 0;
+      bobWeight = 0;
+      landingDip = 0;
+    },
+
+    /**
+     * Set the target ground from a validated position
+     * @param {number} eyeY - validPos.y (standing eye level)
+     */
+    setGround(eyeY) {
+      groundY = eyeY - STANDING_EYE_HEIGHT;
+    },
+
+    /**
+     * Standing eye-level Y on the current ground (validateCameraPosition 입력용)
+     * 점프/앉기/head-bob과 무관하게 zone 검사가 일정하도록 ground 기준
+     */
+    getReferenceY() {
+      return groundY + STANDING_EYE_HEIGHT;
+    },
+
+    /**
+     * Movement speed multiplier (crouch)
+     */
+    getSpeedMultiplier() {
+      return 1 + (config.crouchSpeed - 1) * crouchAmount;
+    },
+
+    isGrounded: () => grounded,
+    isCrouching: () => crouchAmount > 0.5,
+
+    /**
+     * Advance the controller
+     * @param {number} deltaTime - Seconds
+     * @param {Object} input
+     * @param {number} input.speedRatio - Horizontal speed / walking speed (0 = idle, 2 = running)
+     * @param {boolean} input.jump - Jump pressed this frame
+     * @param {boolean} input.crouch - Crouch held
+     * @returns {number} Camera eye Y
+     */
+    update(deltaTime, { speedRatio = 0, jump = false, crouch = false }) {
+      const dt = Math.min(deltaTime, 0.1);
+
+      // Crouch (앉은 채로는 점프 불가)
+      const crouchTarget = crouch && grounded ? 1 : 0;
+      crouchAmount += (crouchTarget - crouchAmount) * Math.min(1, CROUCH_RATE * dt);
+
+      if (grounded && jump && crouchAmount < 0.5) {
+        velocityY = config.jumpSpeed;
+        grounded = false;
+      }
+
+      if (grounded) {
+        if (feetY - groundY > STEP_DOWN_LIMIT) {
+          // Ledge: fall with gravity
+          grounded = false;
+          velocityY = 0;
+        } else {
+          // Step up/down (stairs, slopes)
+          feetY += (groundY - feetY) * Math.min(1, GROUND_FOLLOW_RATE * dt);
+        }
+      }
+
+      if (!grounded) {
+        velocityY -= config.gravity * dt;
+        feetY += velocityY * dt;
+        if (feetY <= groundY && velocityY <= 0) {
+          // Land on the current zone Y
+          landingDip = Math.min(LANDING_DIP_MAX, -velocityY * 0.03);
+          if (onFootstep) onFootstep(Math.min(1, 0.5 + landingDip * 2));
+          feetY = groundY;
+          velocityY = 0;
+          grounded = true;
+        }
+      }
+
+      // Head-bob: 보행자 다리 주기 (sin(t), t = time * cadence)와 동일, 발 착지 = phase가 π 배수를 지날 때
+      const moving = grounded && speedRatio > 0.01;
+      bobWeight += ((moving ? Math.min(speedRatio, 2) : 0) - bobWeight) * Math.min(1, 8 * dt);
+      let bob = 0;
+      if (moving) {
+        const prevStep = Math.floor(bobPhase / Math.PI);
+        bobPhase += dt * WALK_CADENCE * speedRatio;
+        if (Math.floor(bobPhase / Math.PI) !== prevStep && onFootstep) {
+          onFootstep(Math.min(1, 0.3 + 0.3 * speedRatio) * (1 - 0.5 * crouchAmount));
+        }
+      }
+      if (config.bobEnabled) {
+        bob = Math.abs(Math.sin(bobPhase)) * config.bobAmount * bobWeight * (1 - 0.5 * crouchAmount);
+      }
+
+      landingDip += (0 - landingDip) * Math.min(1, 10 * dt);
+
+      return feetY + getEyeHeight() + bob - landingDip;
+    }
+  };
+}
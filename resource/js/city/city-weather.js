@@ -0,0 +1,493 @@
+/**
+ * city-weather.js
+ * Hong Kong Citypop Night City - Weather (Rain)
+ *
+ * 비 강도 0~1 (?rain=, setRain()/toggleRain() in console), 바뀌면 INTENSITY_RATE로 서서히 따라감
+ * - 빗줄기: 카메라를 따라다니는 InstancedMesh (카메라 주변 상자 안에서 순환)
+ * - 젖은 노면: city-road.js/city-ground.js 노면 색을 어둡게
+ *   + 가로등/네온/간판의 가짜 반사 (광원 아래에서 카메라 쪽으로 늘어나는 additive streak)
+ * - 물웅덩이 튀김: 카메라 주변 도로/보도 zone 위에서 퍼지는 링
+ * - 보행자 우산 (city-people.js), 차량 감속 (city-vehicles.js)
+ * - 노면은 비가 그친 뒤 DRY_TIME 동안 천천히 마름
+ */
+
+import * as THREE from 'three';
+import { isIOS } from './city-sky.js';
+import { colors } from './city-colors.js';
+import { createRandom } from './city-random.js';
+import { roadZones, walkableZones, getZoneY, setUmbrellasOpen } from './city-people.js';
+import { setVehicleRainIntensity } from './city-vehicles.js';
+
+// 빗방울 난수 스트림 (보행자/차량 시퀀스에 영향 없음)
+const random = createRandom('weather');
+
+// ?rain, ?rain=on 일 때 강도
+const DEFAULT_INTENSITY = 0.7;
+// 강도 변화 속도 (/s), 젖는/마르는 시간 (s)
+const INTENSITY_RATE = 0.25;
+const WET_TIME = 20;
+const DRY_TIME = 90;
+// 이 강도를 넘으면 우산을 폄
+const UMBRELLA_THRESHOLD = 0.1;
+
+// Rain drops (강도 1에서 MAX_DROPS개)
+const MAX_DROPS = isIOS ? 1500 : 5000;
+const RAIN_RADIUS = 35;         // 카메라 중심 수평 반경
+const RAIN_ABOVE = 20;          // 카메라 위/아래 높이
+const RAIN_BELOW = 12;
+const FALL_SPEED = 26;
+const WIND = { x: 2.5, z: 1 };  // 빗줄기 기울기
+const DROP_LENGTH = 0.8;
+const RAIN_COLOR = 0x9aa8c8;
+const RAIN_OPACITY = 0.35;
+
+// Splashes (강도 1에서 초당 SPLASH_RATE개)
+const MAX_SPLASHES = isIOS ? 60 : 160;
+const SPLASH_RATE = 220;
+const SPLASH_RADIUS = 18;
+const SPLASH_LIFE = 0.35;
+const SPLASH_GROWTH = 3;
+const SPLASH_COLOR = new THREE.Color(0x8090b0);
+
+// Wet surfaces: 노면/보도/공원 색 (city-road.js, city-ground.js), 강도 1에서 WET_DARKEN만큼 어둡게
+const WET_SURFACE_COLORS = new Set([0x252530, 0x1a1a22, 0x3a3a4a, 0x40404f, 0x454555, 0x4a4a5a, 0x2a3a2a]);
+const WET_DARKEN = 0.35;
+
+// Fake reflections
+// 광원: 가로등 전구 (city-streetlamp.js), 네온 (city-colors.js), 간판 면 (city-content.js)
+const LAMP_BULB_COLORS = new Set([0xffd0e0, 0xd0ffff, 0xffe0a0]);
+const NEON_COLORS = new Set(Object.values(colors.neon));
+const MAX_REFLECTIONS = 200;
+const REFLECTION_CELL = 4;          // 같은 칸의 광원은 하나만
+const REFLECTION_MAX_DROP = 20;     // 광원과 바닥의 최대 높이 차
+const REFLECTION_MAX_SIZE = 12;     // 이보다 큰 mesh는 합쳐진 mesh로 보고 건너뜀
+const REFLECTION_LENGTH = 7;
+const REFLECTION_LEVELS = { lamp: 0.9, neon: 1.4, sign: 0.35 };
+
+// Module state
+let sceneRef = null;
+let cameraRef = null;
+let targetIntensity = 0;
+let intensity = 0;
+let wetness = 0;
+let appliedWetness = 0;
+let rainMesh = null;
+let splashMesh = null;
+let reflectionMesh = null;
+let drops = null;               // Float32Array [x, y, z] × MAX_DROPS
+let splashes = [];              // { x, y, z, age }
+let splashCursor = 0;
+let splashAccumulator = 0;
+const wetMaterials = new Map(); // material → base color
+const reflections = [];         // { material, level, x, y, z, width }
+
+const dummy = new THREE.Object3D();
+const tempColor = new THREE.Color();
+
+/**
+ * Get rain setting from URL (?rain=<0-1> | on | off, ?rain 단독 = on)
+ */
+export function getRainFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.has('rain') ? params.get('rain') : null;
+}
+
+/**
+ * Parse an intensity value
+ * @returns {number|null} 0~1, null if invalid
+ */
+function parseIntensity(value) {
+  if (value === '' || value === 'on' || value === true) return DEFAULT_INTENSITY;
+  if (value === 'off' || value === false) return 0;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : null;
+}
+
+function approach(value, target, maxStep) {
+  return value + Math.max(-maxStep, Math.min(maxStep, target - value));
+}
+
+/**
+ * Wrap a coordinate into [center - half, center + half)
+ */
+function wrapAround(value, center, half) {
+  const size = half * 2;
+  return center - half + ((((value - center + half) % size) + size) % size);
+}
+
+/**
+ * Highest road/walkable zone surface at (x, z) not above maxY
+ * @returns {number|null}
+ */
+function getSurfaceY(x, z, maxY) {
+  let best = null;
+  const consider = (zone, y) => {
+    if (x < zone.xMin || x > zone.xMax || z < zone.zMin || z > zone.zMax) return;
+    if (y <= maxY + 0.5 && (best === null || y > best)) best = y;
+  };
+  roadZones.forEach(zone => consider(zone, 0));
+  walkableZones.forEach(zone => consider(zone, getZoneY(zone, x)));
+  return best;
+}
+
+// ============================================
+// Rain drops
+// ============================================
+
+function createRain(scene) {
+  const geometry = new THREE.BoxGeometry(0.02, DROP_LENGTH, 0.02);
+  // 낙하 방향으로 기울임
+  geometry.rotateZ(Math.atan2(WIND.x, FALL_SPEED));
+  geometry.rotateX(-Math.atan2(WIND.z, FALL_SPEED));
+
+  const material = new THREE.MeshBasicMaterial({
+    color: RAIN_COLOR,
+    transparent: true,
+    opacity: RAIN_OPACITY,
+    depthWrite: false
+  });
+
+  rainMesh = new THREE.InstancedMesh(geometry, material, MAX_DROPS);
+  rainMesh.frustumCulled = false; // 인스턴스가 카메라를 따라다님
+  rainMesh.count = 0;
+  rainMesh.visible = false;
+  rainMesh.userData.isRain = true;
+
+  drops = new Float32Array(MAX_DROPS * 3);
+  for (let i = 0; i < MAX_DROPS; i++) {
+    drops[i * 3] = (random() * 2 - 1) * RAIN_RADIUS;
+    drops[i * 3 + 1] = (random() * 2 - 1) * RAIN_ABOVE;
+    drops[i * 3 + 2] = (random() * 2 - 1) * RAIN_RADIUS;
+    rainMesh.setMatrixAt(i, dummy.matrix);
+  }
+  scene.add(rainMesh);
+}
+
+function updateRain(deltaTime) {
+  const count = Math.round(MAX_DROPS * intensity);
+  rainMesh.count = count;
+  rainMesh.visible = count > 0;
+  if (count === 0) return;
+
+  const { x: cx, y: cy, z: cz } = cameraRef.position;
+  const centerY = cy + (RAIN_ABOVE - RAIN_BELOW) / 2;
+  const halfHeight = (RAIN_ABOVE + RAIN_BELOW) / 2;
+  const matrices = rainMesh.instanceMatrix.array;
+
+  for (let i = 0; i < count; i++) {
+    const p = i * 3;
+    drops[p] = wrapAround(drops[p] + WIND.x * deltaTime, cx, RAIN_RADIUS);
+    drops[p + 1] = wrapAround(drops[p + 1] - FALL_SPEED * deltaTime, centerY, halfHeight);
+    drops[p + 2] = wrapAround(drops[p + 2] + WIND.z * deltaTime, cz, RAIN_RADIUS);
+    // translation만 갱신 (회전/크기는 geometry에 있음)
+    const m = i * 16;
+    matrices[m + 12] = drops[p];
+    matrices[m + 13] = drops[p + 1];
+    matrices[m + 14] = drops[p + 2];
+  }
+  rainMesh.instanceMatrix.needsUpdate = true;
+}
+
+// ============================================
+// Puddle splashes
+// ============================================
+
+function createSplashes(scene) {
+  const geometry = new THREE.RingGeometry(0.04, 0.1, 12);
+  geometry.rotateX(-Math.PI / 2);
+
+  const material = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+
+  splashMesh = new THREE.InstancedMesh(geometry, material, MAX_SPLASHES);
+  splashMesh.frustumCulled = false;
+  splashMesh.visible = false;
+  splashMesh.userData.isRain = true;
+
+  // 빈 슬롯은 크기 0
+  dummy.scale.setScalar(0);
+  dummy.updateMatrix();
+  for (let i = 0; i < MAX_SPLASHES; i++) {
+    splashes.push({ x: 0, y: 0, z: 0, age: SPLASH_LIFE });
+    splashMesh.setMatrixAt(i, dummy.matrix);
+    splashMesh.setColorAt(i, tempColor.setRGB(0, 0, 0));
+  }
+  dummy.scale.setScalar(1);
+  scene.add(splashMesh);
+}
+
+function spawnSplash() {
+  const angle = random() * Math.PI * 2;
+  const distance = Math.sqrt(random()) * SPLASH_RADIUS;
+  const x = cameraRef.position.x + Math.cos(angle) * distance;
+  const z = cameraRef.position.z + Math.sin(angle) * distance;
+  const y = getSurfaceY(x, z, cameraRef.position.y);
+  if (y === null) return;
+
+  const splash = splashes[splashCursor];
+  splashCursor = (splashCursor + 1) % MAX_SPLASHES;
+  splash.x = x;
+  splash.y = y + 0.02;
+  splash.z = z;
+  splash.age = 0;
+}
+
+function updateSplashes(deltaTime) {
+  splashAccumulator += SPLASH_RATE * intensity * deltaTime;
+  while (splashAccumulator >= 1) {
+    splashAccumulator -= 1;
+    spawnSplash();
+  }
+
+  let active = 0;
+  splashes.forEach((splash, i) => {
+    if (splash.age >= SPLASH_LIFE) return;
+    splash.age += deltaTime;
+    const t = Math.min(1, splash.age / SPLASH_LIFE);
+    active++;
+
+    dummy.position.set(splash.x, splash.y, splash.z);
+    dummy.scale.setScalar(t < 1 ? 1 + t * SPLASH_GROWTH : 0);
+    dummy.updateMatrix();
+    splashMesh.setMatrixAt(i, dummy.matrix);
+    // Additive: 색을 검정으로 줄이면 사라짐
+    splashMesh.setColorAt(i, tempColor.copy(SPLASH_COLOR).multiplyScalar(1 - t));
+  });
+  dummy.position.set(0, 0, 0);
+  dummy.scale.setScalar(1);
+
+  splashMesh.visible = active > 0;
+  if (active > 0) {
+    splashMesh.instanceMatrix.needsUpdate = true;
+    splashMesh.instanceColor.needsUpdate = true;
+  }
+}
+
+// ============================================
+// Wet surfaces + fake reflections
+// ============================================
+
+/**
+ * Vertical streak texture (위 = 광원 바로 아래에서 밝고, 끝과 양옆으로 사라짐)
+ */
+function createReflectionTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+
+  const vertical = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  vertical.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  vertical.addColorStop(0.3, 'rgba(255, 255, 255, 0.5)');
+  vertical.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  ctx.fillStyle = vertical;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.globalCompositeOperation = 'destination-in';
+  const horizontal = ctx.createLinearGradient(0, 0, canvas.width, 0);
+  horizontal.addColorStop(0, 'rgba(255, 255, 255, 0)');
+  horizontal.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
+  horizontal.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  ctx.fillStyle = horizontal;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+function getReflectionKind(obj) {
+  const material = obj.material;
+  const data = obj.userData;
+  if (data.isSignFace) return 'sign';
+  if (material.map) return null;
+  const hex = material.color.getHex();
+  if (data.lampBulb || (!material.transparent && LAMP_BULB_COLORS.has(hex))) return 'lamp';
+  if (!material.transparent && NEON_COLORS.has(hex)) return 'neon';
+  return null;
+}
+
+/**
+ * Collect wet surface materials and reflection sources (한 번, 시간대 적용 전 원래 색으로)
+ */
+function discoverSurfaces(scene) {
+  const sources = { lamp: [], neon: [], sign: [] };
+  const box = new THREE.Box3();
+  const center = new THREE.Vector3();
+  const size = new THREE.Vector3();
+
+  scene.updateMatrixWorld(true);
+  scene.traverse(obj => {
+    if (!obj.isMesh || obj.isInstancedMesh || !obj.material || Array.isArray(obj.material) || !obj.material.color) return;
+    const material = obj.material;
+
+    if (!material.map && !material.transparent && WET_SURFACE_COLORS.has(material.color.getHex())) {
+      if (!wetMaterials.has(material)) wetMaterials.set(material, material.color.clone());
+      return;
+    }
+
+    const kind = getReflectionKind(obj);
+    if (!kind) return;
+    box.setFromObject(obj).getCenter(center);
+    box.getSize(size);
+    if (Math.max(size.x, size.y, size.z) > REFLECTION_MAX_SIZE) return;
+    const ground = getSurfaceY(center.x, center.z, center.y);
+    if (ground === null || center.y - ground > REFLECTION_MAX_DROP) return;
+
+    sources[kind].push({
+      material,
+      level: REFLECTION_LEVELS[kind],
+      x: center.x,
+      y: ground + 0.03,
+      z: center.z,
+      width: Math.max(0.6, Math.min(3, Math.max(size.x, size.z)))
+    });
+  });
+
+  // 가로등 우선, 같은 칸에는 하나만
+  const cells = new Set();
+  [...sources.lamp, ...sources.sign, ...sources.neon].forEach(source => {
+    const key = `${Math.round(source.x / REFLECTION_CELL)},${Math.round(source.z / REFLECTION_CELL)},${Math.round(source.y)}`;
+    if (cells.has(key) || reflections.length >= MAX_REFLECTIONS) return;
+    cells.add(key);
+    reflections.push(source);
+  });
+}
+
+function createReflections(scene) {
+  // 바닥에 눕힌 plane, 원점(광원 아래)에서 +z로 1만큼
+  const geometry = new THREE.PlaneGeometry(1, 1);
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, 0, 0.5);
+
+  const material = new THREE.MeshBasicMaterial({
+    map: createReflectionTexture(),
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+
+  reflectionMesh = new THREE.InstancedMesh(geometry, material, Math.max(1, reflections.length));
+  reflectionMesh.count = reflections.length;
+  reflectionMesh.frustumCulled = false;
+  reflectionMesh.visible = false;
+  reflectionMesh.userData.isRain = true;
+  reflections.forEach((source, i) => reflectionMesh.setColorAt(i, tempColor.setRGB(0, 0, 0)));
+  scene.add(reflectionMesh);
+}
+
+/**
+ * Streak를 카메라 쪽으로 돌리고 광원의 현재 색(시간대, 오디오 반영)으로 칠함
+ */
+function updateReflections() {
+  reflectionMesh.visible = wetness > 0.01 && reflections.length > 0;
+  if (!reflectionMesh.visible) return;
+
+  const { x: cx, z: cz } = cameraRef.position;
+  reflections.forEach((source, i) => {
+    const dx = cx - source.x;
+    const dz = cz - source.z;
+    const length = Math.min(REFLECTION_LENGTH, Math.hypot(dx, dz));
+
+    dummy.position.set(source.x, source.y, source.z);
+    dummy.rotation.set(0, Math.atan2(dx, dz), 0);
+    dummy.scale.set(source.width, 1, length);
+    dummy.updateMatrix();
+    reflectionMesh.setMatrixAt(i, dummy.matrix);
+
+    const opacity = source.material.visible ? source.material.opacity : 0;
+    reflectionMesh.setColorAt(i, tempColor.copy(source.material.color).multiplyScalar(source.level * wetness * opacity));
+  });
+  dummy.position.set(0, 0, 0);
+  dummy.rotation.set(0, 0, 0);
+  dummy.scale.setScalar(1);
+
+  reflectionMesh.instanceMatrix.needsUpdate = true;
+  reflectionMesh.instanceColor.needsUpdate = true;
+}
+
+function applyWetness() {
+  if (Math.abs(wetness - appliedWetness) < 0.005 && !(wetness === 0 && appliedWetness !== 0)) return;
+  appliedWetness = wetness;
+  const darken = 1 - WET_DARKEN * wetness;
+  wetMaterials.forEach((base, material) => {
+    material.color.copy(base).multiplyScalar(darken);
+  });
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Initialize weather (정적/동적 객체가 모두 추가된 뒤, initTimeOfDay보다 먼저 - 원래 색으로 광원 탐색)
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {string} [rain] - ?rain= 값 (없으면 맑음)
+ */
+export function initWeather(scene, camera, rain = null) {
+  sceneRef = scene;
+  cameraRef = camera;
+
+  discoverSurfaces(scene);
+  createRain(scene);
+  createSplashes(scene);
+  createReflections(scene);
+  console.log(`Weather: ${wetMaterials.size} wet surface materials, ${reflections.length} reflections`);
+
+  if (rain !== null && !setRainIntensity(rain)) {
+    console.warn(`Unknown rain intensity: ${rain} (0~1, on, off)`);
+  }
+  // 시작부터 비가 오는 중이면 전환 없이
+  intensity = targetIntensity;
+  wetness = Math.min(1, intensity * 2);
+}
+
+/**
+ * Set rain intensity (0 = 맑음, 1 = 폭우, on | off)
+ * @returns {boolean} false if invalid
+ */
+export function setRainIntensity(value) {
+  const parsed = parseIntensity(value);
+  if (parsed === null) return false;
+  targetIntensity = parsed;
+  return true;
+}
+
+/**
+ * Toggle rain on/off
+ * @returns {number} New target intensity
+ */
+export function toggleRain() {
+  targetIntensity = targetIntensity > 0 ? 0 : DEFAULT_INTENSITY;
+  return targetIntensity;
+}
+
+/**
+ * Advance weather (animate에서 매 프레임)
+ */
+export function updateWeather(deltaTime) {
+  if (!sceneRef) return;
+
+  intensity = approach(intensity, targetIntensity, INTENSITY_RATE * deltaTime);
+  const wetTarget = Math.min(1, intensity * 2);
+  wetness = approach(wetness, wetTarget, deltaTime / (wetTarget > wetness ? WET_TIME : DRY_TIME));
+
+  setUmbrellasOpen(intensity > UMBRELLA_THRESHOLD);
+  setVehicleRainIntensity(intensity);
+
+  updateRain(deltaTime);
+  updateSplashes(deltaTime);
+  applyWetness();
+  updateReflections();
+}
+
+/**
+ * Current weather
+ * @returns {{rain: number, intensity: number, wetness: number}}
+ */
+export function getWeather() {
+  return { rain: targetIntensity, intensity, wetness };
+}